@@ -0,0 +1,211 @@
+/**
+ * Availability Extraction
+ * Decides whether the product can be bought right now, normalized to one of:
+ * in_stock, out_of_stock, preorder, backorder, limited, unknown
+ *
+ * Sources, most specific first:
+ * 1. The selected variant (variant-extractor.js) - stock of the combination on screen
+ * 2. Structured data - JSON-LD / microdata offers.availability (structured-data.js)
+ * 3. On-page signals - stock messages, "Only 3 left", sold-out or disabled
+ *    "Add to Cart" buttons
+ *
+ * "Only N left" refines an in-stock answer from any source to "limited".
+ *
+ * Result format:
+ * { status: 'limited', stockCount: 3, source: 'dom' }
+ */
+
+const AVAILABILITY_STATUSES = ['in_stock', 'out_of_stock', 'preorder', 'backorder', 'limited', 'unknown'];
+
+// Schema.org ItemAvailability values (prefix already stripped)
+const SCHEMA_AVAILABILITY_MAP = {
+  instock: 'in_stock',
+  onlineonly: 'in_stock',
+  outofstock: 'out_of_stock',
+  soldout: 'out_of_stock',
+  discontinued: 'out_of_stock',
+  instoreonly: 'out_of_stock', // Can't be bought online
+  preorder: 'preorder',
+  presale: 'preorder',
+  backorder: 'backorder',
+  madetoorder: 'backorder',
+  limitedavailability: 'limited'
+};
+
+// Free text, checked in order (out-of-stock phrases before "in stock", which they contain)
+const AVAILABILITY_TEXT_PATTERNS = [
+  { status: 'out_of_stock', pattern: /\b(out of stock|sold out|no longer available|currently unavailable|not available|unavailable|discontinued)\b/i },
+  { status: 'preorder', pattern: /\b(pre-?order|pre-?sale|coming soon)\b/i },
+  { status: 'backorder', pattern: /\b(back-?order(ed)?|ships in \d+\s*(-\s*\d+\s*)?(weeks?|months?)|made to order)\b/i },
+  { status: 'limited', pattern: /\b(low stock|limited stock|limited availability|almost gone|selling fast)\b/i },
+  { status: 'in_stock', pattern: /\b(in stock|available now|ready to ship|ships today)\b/i }
+];
+
+// "Only 3 left", "Only 3 left in stock", "3 left in stock", "Just 2 remaining"
+const STOCK_COUNT_PATTERN = /\b(?:only|just)\s+(\d{1,4})\s+(?:items?\s+|units?\s+)?(?:left|remaining)\b|\b(\d{1,4})\s+(?:left|remaining)\s+in\s+stock\b/i;
+
+// Elements that usually hold the stock message
+const AVAILABILITY_SELECTORS = [
+  '#availability',
+  '[itemprop="availability"]',
+  '[data-availability]',
+  '[data-stock]',
+  '[class*="availability" i]',
+  '[class*="stock-status" i]',
+  '[class*="inventory" i]'
+];
+
+// Purchase buttons ("Purchase" alone is left out - it's also "Purchase history" and the like)
+const PURCHASE_BUTTON_PATTERN = /\b(add to (cart|bag|basket)|buy (it )?now)\b/i;
+
+// Buy boxes and cart forms, where plain links act as purchase buttons (eBay's "Buy It Now"
+// and "Add to cart" are <a> elements). Links elsewhere may belong to other products.
+const PURCHASE_LINK_CONTAINERS = [
+  'form[action*="cart" i]',
+  '#buybox',
+  '[id*="buy-box" i]',
+  '[class*="buybox" i]',
+  '[class*="buy-box" i]',
+  '[class*="x-bin-action"]',
+  '[class*="x-atc-action"]'
+];
+
+// Buttons that replace the purchase button when the item can't be bought
+const SOLD_OUT_BUTTON_PATTERN = /\b(sold out|out of stock|notify me|email me when available|unavailable)\b/i;
+const PREORDER_BUTTON_PATTERN = /\bpre-?order\b/i;
+
+/**
+ * Normalize an availability value from structured data or page text
+ * @param {*} value - e.g., "https://schema.org/InStock", "InStock", "Out of stock"
+ * @returns {string|null} - Normalized status, or null if the value isn't recognized
+ */
+function normalizeAvailability(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (!text) return null;
+
+  // Already normalized (e.g., from a variant item)
+  if (AVAILABILITY_STATUSES.includes(text)) return text === 'unknown' ? null : text;
+
+  const schemaKey = text.replace(/^https?:\/\/schema\.org\//i, '').replace(/^schema:/i, '').toLowerCase();
+  if (SCHEMA_AVAILABILITY_MAP[schemaKey]) return SCHEMA_AVAILABILITY_MAP[schemaKey];
+
+  const match = AVAILABILITY_TEXT_PATTERNS.find(entry => entry.pattern.test(text));
+  return match ? match.status : null;
+}
+
+/**
+ * Read an "Only N left" stock count from text
+ * @param {string} text - Text to search
+ * @returns {number|null}
+ */
+function parseStockCount(text) {
+  const match = (text || '').match(STOCK_COUNT_PATTERN);
+  if (!match) return null;
+  return parseInt(match[1] || match[2], 10);
+}
+
+/**
+ * Get the label of a button-like element
+ * @param {HTMLElement} element - Button, link or input
+ * @returns {string}
+ */
+function getButtonLabel(element) {
+  return (element.textContent || element.value || element.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Check whether a button can't be clicked
+ * @param {HTMLElement} element - Button, link or input
+ * @returns {boolean}
+ */
+function isButtonDisabled(element) {
+  return element.disabled === true ||
+    element.hasAttribute('disabled') ||
+    element.getAttribute('aria-disabled') === 'true' ||
+    /\bdisabled\b/i.test(element.className || '');
+}
+
+/**
+ * Read availability from the purchase buttons
+ * Plain links count as purchase buttons inside a buy box or cart form
+ * (PURCHASE_LINK_CONTAINERS), and only for the purchase wording.
+ * @returns {string|null} - Normalized status, or null if there are no purchase buttons
+ */
+function readButtonAvailability() {
+  const buttons = Array.from(document.querySelectorAll('button, a[role="button"], input[type="submit"], input[type="button"]'))
+    .filter(button => getButtonLabel(button).length < 60);
+  const linkSelector = PURCHASE_LINK_CONTAINERS.map(container => `${container} a:not([role="button"])`).join(', ');
+  const purchaseLinks = Array.from(document.querySelectorAll(linkSelector))
+    .filter(link => getButtonLabel(link).length < 60);
+
+  const purchaseButtons = buttons.concat(purchaseLinks).filter(button => PURCHASE_BUTTON_PATTERN.test(getButtonLabel(button)));
+  if (purchaseButtons.some(button => !isButtonDisabled(button))) return 'in_stock';
+
+  if (buttons.some(button => PREORDER_BUTTON_PATTERN.test(getButtonLabel(button)) && !isButtonDisabled(button))) {
+    return 'preorder';
+  }
+  if (buttons.some(button => SOLD_OUT_BUTTON_PATTERN.test(getButtonLabel(button)))) return 'out_of_stock';
+
+  // Every purchase button is greyed out
+  if (purchaseButtons.length > 0) return 'out_of_stock';
+  return null;
+}
+
+/**
+ * Read availability from stock messages and purchase buttons on the page
+ * @returns {Object} - { status, stockCount } (status is null without a signal)
+ */
+function extractDomAvailability() {
+  let status = null;
+  let stockCount = null;
+
+  // 1. Dedicated stock message elements (short text only, to skip whole sections)
+  const messages = [];
+  AVAILABILITY_SELECTORS.forEach(selector => {
+    document.querySelectorAll(selector).forEach(element => {
+      const text = (element.getAttribute('data-availability') || element.getAttribute('content') || element.innerText || element.textContent || '').trim();
+      if (text && text.length < 120 && !messages.includes(text)) messages.push(text);
+    });
+  });
+  for (const text of messages) {
+    if (stockCount === null) stockCount = parseStockCount(text);
+    if (!status) status = normalizeAvailability(text);
+  }
+
+  // 2. "Only 3 left" anywhere on the page
+  if (stockCount === null && document.body) {
+    stockCount = parseStockCount(document.body.innerText || document.body.textContent || '');
+  }
+
+  // 3. Purchase buttons
+  if (!status) status = readButtonAvailability();
+
+  if (stockCount !== null && (!status || status === 'in_stock')) status = 'limited';
+  return { status: status, stockCount: stockCount };
+}
+
+/**
+ * Decide the product's availability
+ * @param {Object} options - { structured: structured data value, variants: productData.variants }
+ * @returns {Object} - { status, stockCount, source } (status is one of AVAILABILITY_STATUSES)
+ */
+function extractAvailability(options = {}) {
+  const dom = extractDomAvailability();
+
+  const selectedItem = options.variants && Array.isArray(options.variants.items)
+    ? options.variants.items.find(item => item.selected)
+    : null;
+
+  const candidates = [
+    { source: 'variant', status: normalizeAvailability(selectedItem && selectedItem.availability) },
+    { source: 'structured-data', status: normalizeAvailability(options.structured) },
+    { source: 'dom', status: dom.status }
+  ];
+  const picked = candidates.find(candidate => candidate.status);
+  if (!picked) return { status: 'unknown', stockCount: null, source: null };
+
+  // A low stock count narrows "in stock" down to "limited"
+  const status = picked.status === 'in_stock' && dom.stockCount !== null ? 'limited' : picked.status;
+  return { status: status, stockCount: dom.stockCount, source: picked.source };
+}
@@ -0,0 +1,103 @@
+/**
+ * Background Service Worker
+ *
+ * Receives every successful extraction from the content script and keeps it in
+ * the history store, answers history queries from extension pages, and runs
+ * scheduled price checks for the watchlist. It records selector health one
+ * write at a time (see selector-health.js). It also clears the unsupported
+ * (junk) site list when the extension updates, since a newer version may
+ * support those sites.
+ *
+ * Messages (all respond with { success: true, data } or { success: false, error }):
+ * - recordExtraction { data }       - Save an extraction result (sent by content.js)
+ * - historyList      { filter }     - List entries, filter: { site, from, to, url }
+ * - historyGet       { id }         - Get one entry by id or product URL
+ * - historyDelete    { ids }        - Delete entries by id
+ * - historyClear                    - Delete all entries
+ * - collectionsList                 - List named collections
+ * - collectionAdd    { name, ids }  - Add entries to a collection (created if needed)
+ * - collectionRemove { name, ids }  - Remove entries from a collection
+ * - collectionDelete { name }       - Delete a collection (entries are kept)
+ * - watchAdd { data, threshold, dropPercent } - Track a product's price (or update its alert settings)
+ * - watchRemove      { ids }        - Stop tracking products
+ * - watchList                       - List tracked products
+ * - watchGet         { id }         - Get the watch for a product by id or product URL
+ * - watchCheck       { ids }        - Re-check tracked products now (all when ids is omitted)
+ * - recordJunkSite   { domain }     - Record an attempt on an unsupported site (sent by content.js,
+ *                                     see junk-sites.js); responds with the updated entry
+ * - junkSitesRemove  { domains }    - Remove domains from the unsupported site list
+ * - junkSitesClear                  - Clear the unsupported site list
+ * - recordSelectorHealth { domain, fields } - Record whether a site's rules still match
+ *                                     (sent by content.js, see selector-health.js)
+ * - selectorHealthClear             - Forget the selector health of every site
+ * - inspectTab { tabId, message }   - Forward a message to a tab's content script and return its
+ *                                     data (the DevTools panel can't message tabs itself)
+ */
+importScripts('history-store.js', 'watchlist.js', 'junk-sites.js', 'selector-health.js');
+
+/**
+ * Message handlers by action name
+ * Each handler receives the request and returns a Promise of the response data
+ */
+const MESSAGE_HANDLERS = {
+  recordExtraction: (request) => addToHistory(request.data),
+  historyList: (request) => listHistory(request.filter || {}),
+  historyGet: (request) => getHistoryEntry(request.id),
+  historyDelete: (request) => deleteFromHistory(request.ids || []),
+  historyClear: () => clearHistory(),
+  collectionsList: () => listCollections(),
+  collectionAdd: (request) => addToCollection(request.name, request.ids || []),
+  collectionRemove: (request) => removeFromCollection(request.name, request.ids || []),
+  collectionDelete: (request) => deleteCollection(request.name),
+  watchAdd: (request) => addToWatchlist(request.data, { threshold: request.threshold, dropPercent: request.dropPercent }),
+  watchRemove: (request) => removeFromWatchlist(request.ids || []),
+  watchList: () => listWatchlist(),
+  watchGet: (request) => getWatch(request.id),
+  watchCheck: (request) => checkWatchlist(request.ids),
+  recordJunkSite: (request) => recordJunkSite(request.domain),
+  junkSitesRemove: (request) => removeJunkSites(request.domains || []),
+  junkSitesClear: () => clearJunkSites(),
+  recordSelectorHealth: (request) => recordSelectorHealth(request.domain, request.fields || null),
+  selectorHealthClear: () => clearSelectorHealth(),
+  inspectTab: (request) => sendToTab(request.tabId, request.message)
+};
+
+/**
+ * Send a message to a tab's content script and unwrap its { success, data } response
+ * @param {number} tabId - Tab ID
+ * @param {Object} message - Message with an action
+ * @returns {Promise<*>} - Response data
+ */
+async function sendToTab(tabId, message) {
+  const response = await chrome.tabs.sendMessage(tabId, message);
+  if (!response || !response.success) {
+    throw new Error((response && response.error) || 'No response from the page. Reload the page and try again.');
+  }
+  return response.data;
+}
+
+chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
+  const handler = MESSAGE_HANDLERS[request.action];
+  if (!handler) {
+    return false; // Don't handle other message types
+  }
+
+  // Use async IIFE to handle async storage calls
+  (async () => {
+    try {
+      const data = await handler(request, sender);
+      sendResponse({ success: true, data: data });
+    } catch (error) {
+      console.error(`Error handling ${request.action}:`, error);
+      sendResponse({ success: false, error: error.message || `Failed to handle ${request.action}` });
+    }
+  })();
+  return true; // Keep message channel open for async response
+});
+
+// Give previously unsupported sites another chance after an update
+chrome.runtime.onInstalled.addListener(function(details) {
+  if (details.reason === 'update') {
+    clearJunkSites();
+  }
+});
@@ -3,17 +3,59 @@
  * 
  * When the popup requests product extraction, this listener:
  * 1. Calls extractProductInfo() to get product data from the current page
+ *    ({ force: true } skips the product page check on unsupported sites), and passes
+ *    its progress while waiting for the page to render on to the popup
+ *    ({ action: 'extractionProgress', message })
  * 2. Returns success response with product data, or error response with details
- * 3. Handles both structured errors (NOT_PRODUCT_PAGE, SITE_NOT_SUPPORTED) and generic errors
+ * 3. Sends successful results to the background service worker for the history store
+ * 4. Handles both structured errors (NOT_PRODUCT_PAGE, SITE_NOT_SUPPORTED) and generic errors
+ * 5. Records whether the site's rules still match, or that they failed on a product
+ *    page (errors with rulesFailed, see selector-health.js)
+ * 6. Flags generic-mode results on a domain in the unsupported site list
+ *    (previouslyUnsupported, see junk-sites.js), so the popup can warn about them
+ *
+ * It also answers captureSupportSnapshot with a snapshot of the page for support requests.
  */
 chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
+  if (request.action === 'captureSupportSnapshot') {
+    sendResponse({ success: true, data: captureSupportSnapshot() });
+    return false;
+  }
   if (request.action === 'extractProduct') {
     // Use async IIFE to handle async extractProductInfo() function
     (async () => {
       try {
-        const result = await extractProductInfo();
-        sendResponse({ success: true, data: result });
+        const result = await extractProductInfo({
+          force: request.force === true,
+          onProgress: message => {
+            chrome.runtime.sendMessage({ action: 'extractionProgress', message: message }).catch(() => {});
+          }
+        });
+        // Other pages on this domain failed the product-page check recently, so the
+        // heuristics may have picked up something that isn't a product
+        const previouslyUnsupported = result.mode === 'generic' && await isJunkSite(result.site);
+        sendResponse({ success: true, data: result, previouslyUnsupported: previouslyUnsupported });
+
+        // Keep every successful extraction in the background history store
+        chrome.runtime.sendMessage({ action: 'recordExtraction', data: result })
+          .then(response => {
+            if (response && !response.success) {
+              console.warn('Failed to record extraction in history:', response.error);
+            }
+          })
+          .catch(error => {
+            console.warn('Failed to record extraction in history:', error);
+          });
+
+        if (result.mode === 'site') {
+          reportSelectorHealth(result.site, checkSelectorHealth(result));
+        }
       } catch (error) {
+        // Only failures on a product page count against the rules, not home or search pages
+        if (error.rulesFailed) {
+          reportSelectorHealth(getBaseDomain(window.location.href), null);
+        }
+
         // Check if it's a structured error (has error.type property)
         if (error.type) {
           sendResponse({ 
@@ -38,18 +80,17 @@ chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
 });
 
 /**
- * Heuristic function to extract product name from h1 elements
+ * Heuristic: find product name candidates among the h1 elements
  * 
  * Strategy:
  * - Finds all h1 elements on the page
  * - Scores each h1 based on position (higher on page = better) and length
- * - Returns the h1 with the lowest score (best candidate)
+ * - Returns the h1s sorted by score, lowest (best candidate) first
  * 
- * @returns {string|null} - Product name or null if no h1 found
+ * @returns {Array<Object>} - Candidates { value, element, score }, best first (empty if no h1 found)
  */
-function extractProductName() {
+function findProductNameCandidates() {
   const headings = Array.from(document.querySelectorAll("h1"));
-  if (headings.length === 0) return null;
 
   // Score each h1: lower score = better candidate
   // Score = vertical position + (text length * 0.5)
@@ -59,14 +100,23 @@ function extractProductName() {
     .map(el => {
       const rect = el.getBoundingClientRect();
       return {
-        text: el.innerText.trim(),
+        value: el.innerText.trim(),
+        element: el,
         score: rect.top + el.innerText.length * 0.5 // Lower = better (higher on page)
       };
     });
 
-  // Sort by score (ascending) and return the best candidate
+  // Sort by score (ascending), best candidate first
   candidates.sort((a, b) => a.score - b.score);
-  return candidates[0]?.text || null;
+  return candidates;
+}
+
+/**
+ * Heuristic function to extract product name from h1 elements (see findProductNameCandidates)
+ * @returns {string|null} - Product name or null if no h1 found
+ */
+function extractProductName() {
+  return findProductNameCandidates()[0]?.value || null;
 }
 
 /**
@@ -85,13 +135,13 @@ function extractProductName() {
  * @returns {string|null} - Extracted price (e.g., "$29.99") or null
  */
 function extractPriceFromElement(el) {
-  const currencyRegex = /([$€£¥])\s?(\d+)/; // Match currency symbol + main price digits
+  const currencyRegex = new RegExp(`(${CURRENCY_PATTERN})\\s?(\\d+)`); // Match currency symbol + main price digits
   const text = el.innerText?.trim() || '';
   
   // Step 1: Find currency symbol and main price digits
   const match = text.match(currencyRegex);
   if (match) {
-    const currency = match[1]; // $, €, £, or ¥
+    const currency = match[1]; // $, €, CA$, R$, etc.
     const mainPrice = match[2]; // The main number part (e.g., "29")
     
     // Step 2: Check for superscript elements within this element
@@ -134,12 +184,13 @@ function extractPriceFromElement(el) {
       }
     }
     
-    // Step 4: If no superscript found, return the regular price
-    return match[0]; // e.g., "$29"
+    // Step 4: If no superscript found, return the regular price (with decimals if present)
+    const regularMatch = text.match(createPriceRegex());
+    return regularMatch ? regularMatch[1] : match[0]; // e.g., "$29.99" or "$29"
   }
   
-  // Fallback: try to match full price pattern (with decimals already included)
-  const fullMatch = text.match(/([$€£¥]\s?\d+(?:[\.,]\d+)?)/);
+  // Fallback: try to match full price pattern (with decimals already included, or suffix currency like "29,99 €")
+  const fullMatch = text.match(createPriceRegex());
   return fullMatch ? fullMatch[1] : null;
 }
 
@@ -163,7 +214,7 @@ function extractPriceWithDiscountPreference(containerSelector, variantAttribute
   const container = rootElement.querySelector(containerSelector);
   if (!container) return null;
   
-  const priceRegex = /([$€£¥]\s?\d+(?:[\.,]\d+)?)/;
+  const priceRegex = createPriceRegex();
   
   // First, try to find discount price
   const discountElement = container.querySelector(`[${variantAttribute}="${discountValue}"]`);
@@ -211,34 +262,29 @@ function extractPriceWithDiscountPreference(containerSelector, variantAttribute
 }
 
 /**
- * Heuristic function to extract price using currency pattern matching
+ * Heuristic: find price candidates using currency pattern matching
  * 
  * This is a fallback function that searches the entire page for price-like text.
  * It uses a scoring system to find the most likely product price.
  * 
  * Strategy:
- * 1. Find all elements containing currency patterns ($, €, £, ¥)
+ * 1. Find all elements containing currency patterns ($, €, CA$, "29,99 €", etc. - see price-parser.js)
  * 2. Filter out non-price elements (shipping, fees, etc.)
  * 3. Score each candidate based on:
  *    - Position on page (higher = better)
  *    - Proximity to product name
  *    - Price value (reasonable range = better)
  *    - Font size (larger = more prominent)
- * 4. Return the highest-scoring price
+ * 4. Return the candidates, highest-scoring price first
  * 
- * @returns {string|null} - Extracted price or null if not found
+ * @returns {Array<Object>} - Candidates { value, element, score }, best first (empty if not found)
  */
-function extractPrice() {
-  const currencyRegex = /([$€£¥]\s?\d+(?:[\.,]\d+)?)/; // Match currency + number with optional decimals
+function findPriceCandidates() {
+  const currencyRegex = createPriceRegex(); // Match currency + number (prefix or suffix currency)
   
   // Get product name position for proximity scoring
   // Prices near the product name are more likely to be the main product price
-  const productName = extractProductName();
-  let nameElement = null;
-  if (productName) {
-    const headings = Array.from(document.querySelectorAll("h1"));
-    nameElement = headings.find(h => h.innerText.trim() === productName);
-  }
+  const nameElement = findProductNameCandidates()[0]?.element || null;
 
   // Search all elements on the page
   const elements = Array.from(document.querySelectorAll("body *"));
@@ -270,7 +316,7 @@ function extractPrice() {
       // Extract the price value to validate it's reasonable
       const finalPrice = priceText || (text.match(currencyRegex)?.[1]);
       if (finalPrice) {
-        const priceValue = parseFloat(finalPrice.replace(/[$€£¥\s,]/g, '').replace(',', '.'));
+        const priceValue = parsePriceAmount(finalPrice);
         
         // Filter out very small prices (likely shipping costs, fees, etc.)
         if (priceValue < 0.50) return false;
@@ -294,7 +340,7 @@ function extractPrice() {
         priceText = match[1];
       }
       
-      const priceValue = parseFloat(priceText.replace(/[$€£¥\s,]/g, '').replace(',', '.'));
+      const priceValue = parsePriceAmount(priceText);
       
       // Calculate score - LOWER score = BETTER candidate
       // We subtract points for good indicators, add points for bad indicators
@@ -332,36 +378,41 @@ function extractPrice() {
       }
       
       return {
-        price: priceText,
+        value: priceText,
+        element: el,
         score: score, // Lower = better
         priceValue: priceValue
       };
     });
 
-  // Step 3: Return the best candidate (lowest score)
-  if (candidates.length === 0) return null;
-
-  // Filter out null candidates and sort by score (ascending = best first)
+  // Step 3: Filter out null candidates and sort by score (ascending = best first)
   const validCandidates = candidates.filter(c => c !== null);
   validCandidates.sort((a, b) => a.score - b.score);
   
-  return validCandidates[0]?.price || null;
+  return validCandidates;
+}
+
+/**
+ * Heuristic function to extract price using currency pattern matching (see findPriceCandidates)
+ * @returns {string|null} - Extracted price or null if not found
+ */
+function extractPrice() {
+  return findPriceCandidates()[0]?.value || null;
 }
 
 /**
- * Heuristic function to extract product image
+ * Heuristic: find product image candidates
  * 
  * Strategy:
  * 1. Find all images on the page
  * 2. Filter out small images (icons), hidden images, and non-product images (logos, etc.)
  * 3. Score each candidate based on size and position
- * 4. Return the highest-scoring image URL
+ * 4. Return the candidates, highest-scoring image first
  * 
- * @returns {string|null} - Image URL or null if no suitable image found
+ * @returns {Array<Object>} - Candidates { value, element, score }, best first (empty if no suitable image found)
  */
-function extractProductImage() {
+function findProductImageCandidates() {
   const images = Array.from(document.querySelectorAll("img"));
-  if (images.length === 0) return null;
 
   // Step 1: Filter to find product image candidates
   const candidates = images
@@ -402,16 +453,23 @@ function extractProductImage() {
       const score = area - rect.top * 10;
       
       return {
-        url: src,
+        value: src,
+        element: img,
         score: score // Higher = better
       };
     });
 
-  // Step 3: Return the best candidate (highest score)
-  if (candidates.length === 0) return null;
+  // Step 3: Sort descending (highest score first)
+  candidates.sort((a, b) => b.score - a.score);
+  return candidates;
+}
 
-  candidates.sort((a, b) => b.score - a.score); // Sort descending (highest score first)
-  return candidates[0]?.url || null;
+/**
+ * Heuristic function to extract product image (see findProductImageCandidates)
+ * @returns {string|null} - Image URL or null if no suitable image found
+ */
+function extractProductImage() {
+  return findProductImageCandidates()[0]?.value || null;
 }
 
 // Error types
@@ -420,6 +478,14 @@ const ERROR_TYPES = {
   SITE_NOT_SUPPORTED: 'SITE_NOT_SUPPORTED'
 };
 
+// Confidence (0-1) of a result by extraction mode. Generic results are capped
+// further by the page check's confidence (see getExtractionConfidence)
+const EXTRACTION_MODE_CONFIDENCE = {
+  site: 1,
+  platform: 0.8,
+  generic: 0.5
+};
+
 /**
  * Detect if the current page is a product page based on DOM analysis
  * @returns {Object} - { isProductPage: boolean, confidence: number, indicators: Array }
@@ -436,18 +502,8 @@ function detectProductPage() {
     indicators.push('Schema.org Product markup found');
   }
   
-  // 2. Check for JSON-LD product data
-  const jsonLdScripts = Array.from(document.querySelectorAll('script[type="application/ld+json"]'));
-  const hasProductJsonLd = jsonLdScripts.some(script => {
-    try {
-      const data = JSON.parse(script.textContent);
-      return data['@type'] === 'Product' || 
-             (Array.isArray(data) && data.some(item => item['@type'] === 'Product')) ||
-             (data['@graph'] && data['@graph'].some(item => item['@type'] === 'Product'));
-    } catch (e) {
-      return false;
-    }
-  });
+  // 2. Check for JSON-LD product data (handles arrays and @graph, see structured-data.js)
+  const hasProductJsonLd = findJsonLdProduct(collectJsonLdNodes()) !== null;
   if (hasProductJsonLd) {
     score += 5;
     indicators.push('JSON-LD Product data found');
@@ -470,7 +526,7 @@ function detectProductPage() {
   }
   
   // 4. Check for price elements (strong indicator)
-  const pricePattern = /([$€£¥])\s?(\d+(?:[\.,]\d+)?)/;
+  const pricePattern = createPriceRegex();
   const priceElements = Array.from(document.querySelectorAll('*')).filter(el => {
     const text = el.innerText?.trim() || '';
     return pricePattern.test(text) && text.length < 50 && el.offsetParent !== null;
@@ -604,41 +660,153 @@ function formatSupportedSitesList(sites) {
       }
     }
   });
+
+  // Platform stores work on any domain
+  Object.keys(PLATFORM_ADAPTERS).forEach(id => {
+    formatted.push(`• ${PLATFORM_ADAPTERS[id].name} stores (any domain)`);
+  });
   
   return formatted.join('\n');
 }
 
+// Snapshots larger than this are cut off (very large pages would make the support file unwieldy)
+const SUPPORT_SNAPSHOT_MAX_HTML = 5 * 1024 * 1024;
+
+/**
+ * Capture what a selector maintainer needs to add support for the current page
+ * @returns {Object} - { domain, url, title, capturedAt, html, htmlTruncated, pageCheck, platform, structuredData, meta }
+ */
+function captureSupportSnapshot() {
+  const html = document.documentElement.outerHTML;
+  const platform = detectPlatform();
+
+  const meta = {};
+  document.querySelectorAll('meta[property], meta[name]').forEach(el => {
+    const key = el.getAttribute('property') || el.getAttribute('name');
+    if (key && !(key in meta)) meta[key] = el.getAttribute('content');
+  });
+
+  return {
+    domain: getBaseDomain(window.location.href),
+    url: window.location.href,
+    title: document.title,
+    capturedAt: new Date().toISOString(),
+    html: html.slice(0, SUPPORT_SNAPSHOT_MAX_HTML),
+    htmlTruncated: html.length > SUPPORT_SNAPSHOT_MAX_HTML,
+    pageCheck: detectProductPage(),
+    platform: platform ? platform.id : null,
+    structuredData: extractStructuredData(),
+    meta: meta
+  };
+}
+
+/**
+ * Get the confidence of an extraction result
+ * @param {string} mode - 'site', 'platform' or 'generic'
+ * @param {Object} pageCheck - Result of detectProductPage()
+ * @returns {number} - 0-1
+ */
+function getExtractionConfidence(mode, pageCheck) {
+  const confidence = EXTRACTION_MODE_CONFIDENCE[mode];
+  if (mode !== 'generic') return confidence;
+  // Without rules, the result is only as trustworthy as the page looks like a product page
+  return Math.round(Math.min(confidence, pageCheck.confidence / 100) * 100) / 100;
+}
+
 /**
  * Main function: Extract product information from the current page
  * 
  * Flow:
- * 1. Validate site is supported
- * 2. Detect if page is a product page
- * 3. Get site-specific selectors
- * 4. Extract product data (name, price, image) using site-specific logic or heuristics
- * 5. Return product data object
+ * 1. Work out the mode: 'site' (listed in site-selectors.js), 'platform' (built on a
+ *    known platform) or 'generic' (neither - structured data and heuristics only)
+ * 2. Get site-specific rules, and wait for client-rendered pages to show the fields
+ *    they need, unless the page can't become a product page (see wait-for-content.js)
+ * 3. Detect if page is a product page and check the site's guard
+ * 4. Read Schema.org structured data (JSON-LD / microdata) when the page publishes it,
+ *    then the platform's product API (e.g., Shopify product JSON)
+ * 5. Fill remaining fields (name, price, image) using site rules, then heuristics
+ * 6. Return product data object
  * 
+ * Unsupported sites run in generic mode when the page check says the page is a
+ * product page, and are rejected (SITE_NOT_SUPPORTED) otherwise. With force,
+ * generic mode runs regardless of the page check.
+ * 
+ * @param {Object} options
+ * @param {boolean} options.force - Attempt extraction even if the page check fails on an unsupported site
+ * @param {Object} options.testRules - Rules to try on top of the site's rules without saving them,
+ *   applied like picked selectors (used by the DevTools panel, see devtools-bridge.js)
+ * @param {boolean} options.wait - Wait for missing fields to render and lazy images to load
+ * @param {number} options.waitTimeout - Longest wait for the fields in milliseconds
+ * @param {Function} options.onProgress - Called with a status message while waiting
  * @returns {Promise<Object>} - Product data object with name, price, image, site, url, timestamp
- * @throws {Object} - Structured error if site not supported or not a product page
+ * @throws {Object} - Structured error if site not supported or not a product page. Errors
+ *   after the page passed the product-page check on a site with rules have rulesFailed set.
  */
-async function extractProductInfo() {
+async function extractProductInfo({ force = false, testRules = null, wait = true, waitTimeout = CONTENT_WAIT_TIMEOUT_MS, onProgress = null } = {}) {
   // ============================================================================
   // STEP 1: VALIDATE SITE SUPPORT
   // ============================================================================
   const url = window.location.href;
   const domain = getBaseDomain(url);
+
+  // The user's overrides: picked selectors, the options page editor and imported
+  // rule packs (see selector-overrides.js). They also decide isSupportedSite() below.
+  await loadSelectorOverrides();
+  const savedOverride = getSelectorOverride(domain);
+  const selectorOverride = testRules
+    ? { rules: { ...(savedOverride ? savedOverride.rules : {}), ...testRules } }
+    : savedOverride;
   
   // Check if this site is in our supported sites list
   const isSupported = isSupportedSite(domain);
+
+  // Stores on a known platform (e.g., Shopify) are supported on any domain (see platforms.js)
+  const platform = detectPlatform();
+  const mode = isSupported ? 'site' : platform ? 'platform' : 'generic';
   
-  if (!isSupported) {
-    // Site is not supported - add to junk sites list and throw error
-    const isJunk = await isJunkSite(domain);
-    
-    if (!isJunk) {
-      // Add to junk sites list (so we don't check it again)
-      await addToJunkSites(domain);
+  // ============================================================================
+  // STEP 2: GET SITE-SPECIFIC RULES
+  // ============================================================================
+  // A domain's own entry wins over the platform's generic theme rules, and the
+  // user's overrides win over both; generic mode has no other rules
+  const platformRules = platform ? platform.rules : null;
+  const siteSelectors = getSelectorsForSite(url, platformRules) || platformRules || (mode === 'generic' ? {} : null);
+  const selectors = siteSelectors && testRules ? { ...siteSelectors, ...testRules } : siteSelectors;
+  
+  if (!selectors) {
+    // This shouldn't happen if isSupportedSite worked correctly, but just in case
+    throw new Error(`Site not supported: ${domain}`);
+  }
+  const siteRules = normalizeSiteRules(selectors);
+
+  // ============================================================================
+  // STEP 2b: WAIT FOR CLIENT-RENDERED CONTENT (SEE wait-for-content.js)
+  // ============================================================================
+  // Client-rendered pages (Temu, Shopee, JD, ...) fill in the name and price after
+  // this script runs. Without rules, a page that is still loading can't be told
+  // from one that isn't a product page, so generic mode doesn't wait. Neither do
+  // home and search pages, which won't show a product however long they render.
+  let pageCheck = detectProductPage();
+  if (wait && mode !== 'generic' && mayShowProductContent(siteRules, pageCheck)) {
+    const waitResult = await waitForProductContent(siteRules, { timeout: waitTimeout, onProgress: onProgress });
+    if (!waitResult.ready && onProgress) {
+      onProgress(`The page didn't show the ${waitResult.missing.join(' and ')} - extracting what is there`);
+    }
+    // Lazy-loaded product images only get their URL once scrolled into view
+    const imageLoaded = await loadLazyProductImage(siteRules, { onProgress: onProgress });
+    if (waitResult.waited > 0 || imageLoaded) {
+      pageCheck = detectProductPage();
     }
+  }
+
+  // ============================================================================
+  // STEP 3: DETECT IF PAGE IS A PRODUCT PAGE
+  // ============================================================================
+  
+  if (mode === 'generic' && !pageCheck.isProductPage && !force) {
+    // No rules for this site and the page doesn't look like a product page -
+    // record the attempt (see junk-sites.js) and throw error
+    const junkSite = await reportJunkSite(domain);
     
     // Get supported sites list for error message
     const supportedSites = getSupportedSitesList();
@@ -649,18 +817,16 @@ async function extractProductInfo() {
       message: `Site not supported: ${domain}`,
       supportedSites: supportedSites,
       supportedSitesFormatted: supportedSitesFormatted,
-      domain: domain
+      domain: domain,
+      junkSite: junkSite,
+      confidence: pageCheck.confidence,
+      indicators: pageCheck.indicators
     };
     
     throw error;
   }
   
-  // ============================================================================
-  // STEP 2: DETECT IF PAGE IS A PRODUCT PAGE
-  // ============================================================================
-  const pageCheck = detectProductPage();
-  
-  if (!pageCheck.isProductPage) {
+  if (!pageCheck.isProductPage && mode !== 'generic') {
     // Page doesn't appear to be a product detail page
     const error = {
       type: ERROR_TYPES.NOT_PRODUCT_PAGE,
@@ -672,15 +838,20 @@ async function extractProductInfo() {
     
     throw error;
   }
-  
-  // ============================================================================
-  // STEP 3: GET SITE-SPECIFIC SELECTORS
-  // ============================================================================
-  const selectors = getSelectorsForSite(url);
-  
-  if (!selectors) {
-    // This shouldn't happen if isSupportedSite worked correctly, but just in case
-    throw new Error(`Site not supported: ${domain}`);
+
+  // Guard: if the elements this site requires are missing, treat as NOT_PRODUCT_PAGE
+  const guardMessage = checkSiteRuleGuard(siteRules);
+  if (guardMessage) {
+    const error = {
+      type: ERROR_TYPES.NOT_PRODUCT_PAGE,
+      message: `This isn't a product page.`,
+      domain: domain,
+      confidence: 100,
+      indicators: [guardMessage],
+      // The page passed the product-page check, so a stale guard selector is likely
+      rulesFailed: mode === 'site'
+    };
+    throw error;
   }
 
   // ============================================================================
@@ -689,855 +860,122 @@ async function extractProductInfo() {
   const productData = {
     name: null,
     image: null,
+    images: [],
     price: null,
+    amount: null,
+    currency: null,
+    locale: null,
+    listPrice: null,
+    salePrice: null,
+    discountPercent: null,
+    couponText: null,
+    brand: null,
+    sku: null,
+    gtin: null,
+    availability: null,
+    stockCount: null,
+    variants: null,
+    platform: platform ? platform.id : null,
+    mode: mode,
+    confidence: getExtractionConfidence(mode, pageCheck),
+    fieldMeta: {},
     site: domain,
     url: url,
+    canonicalUrl: document.querySelector('link[rel="canonical"]')?.href || null,
     timestamp: new Date().toISOString()
   };
 
   // ============================================================================
-  // STEP 5: EXTRACT PRODUCT DATA (SITE-SPECIFIC LOGIC)
+  // STEP 4b: EXTRACT STRUCTURED DATA (JSON-LD / MICRODATA)
   // ============================================================================
-  const isAmazon = domain.includes('amazon.');
-  const isEbay = domain.includes('ebay.');
-  const isAbercrombie = domain.includes('abercrombie.com');
-  
-  if (isAmazon) {
-    // Guard: if core Amazon product selectors are missing, treat as NOT_PRODUCT_PAGE
-    const hasTitleElement = !!document.querySelector(selectors.name || '#productTitle');
-    let hasPriceElement = false;
-    if (selectors.price) {
-      const priceSelectorsForCheck = selectors.price.split(',').map(s => s.trim());
-      hasPriceElement = priceSelectorsForCheck.some(sel => document.querySelector(sel));
-    }
-
-    if (!hasTitleElement || !hasPriceElement) {
-      const error = {
-        type: ERROR_TYPES.NOT_PRODUCT_PAGE,
-        message: `This isn't a product page.`,
-        domain: domain,
-        confidence: 100,
-        indicators: ['Missing Amazon product title or price selectors on this page']
-      };
-      throw error;
+  // Structured data is published by the site itself, so it takes priority over
+  // CSS selectors and heuristics. The steps below only fill fields left empty here.
+  // Where each field came from (see field-meta.js)
+  const fieldMeta = productData.fieldMeta;
+  const setFieldMeta = (field, strategy, details) => {
+    if (FIELD_META_FIELDS.includes(field)) {
+      fieldMeta[field] = createFieldMeta(strategy, details);
     }
+  };
 
-    // For Amazon, try specific selectors first (more reliable)
-    // Extract product name
-    if (selectors.name) {
-      const nameElement = document.querySelector(selectors.name);
-      if (nameElement) {
-        productData.name = nameElement.textContent.trim();
-      }
-    }
-    
-    // --- Extract Product Price ---
-    if (selectors.price) {
-      const priceSelectors = selectors.price.split(',').map(s => s.trim()); // Handle multiple selectors
-      const priceRegex = /([$€£¥]\s?\d+(?:[\.,]\d+)?)/; // Match currency + number with optional decimals
-      
-      // Try each price selector until we find a valid price
-      for (const selector of priceSelectors) {
-        const priceElement = document.querySelector(selector);
-        if (priceElement) {
-          // Step 1: Try to extract price with superscript handling (e.g., "$29<sup>99</sup>" -> "$29.99")
-          let priceText = extractPriceFromElement(priceElement);
-          
-          // Step 2: If superscript extraction didn't work, try traditional text extraction
-          if (!priceText) {
-            // Get full text content (handles prices split across child elements)
-            priceText = priceElement.textContent || priceElement.innerText;
-            if (!priceText || priceText.trim() === '') {
-              // Fallback to aria-label or title attribute
-              priceText = priceElement.getAttribute('aria-label') || priceElement.title;
-            }
-            
-            if (priceText) {
-              priceText = priceText.trim();
-              
-              // Use regex to extract the full price pattern (ensures we get decimals)
-              const priceMatch = priceText.match(priceRegex);
-              if (priceMatch) {
-                priceText = priceMatch[1];
-              } else {
-                // Fallback: clean up common prefixes/suffixes
-                priceText = priceText.replace(/^\s*Price:\s*/i, '');
-                priceText = priceText.replace(/\s*each\s*$/i, '');
-              }
-            }
-          }
-          
-          // Step 3: Amazon-specific - Check for split price format
-          // Amazon sometimes splits price: main digits in one element, cents in .a-price-fraction
-          // Example: "$39" + "95" (in separate elements) = "$39.95"
-          // Or: "$39." + "95" = "$39.95"
-          if (priceText && priceText.trim()) {
-            // Always check for .a-price-fraction element (Amazon's cents element)
-            // This handles both "$39" and "$39." cases
-            const parentPrice = priceElement.closest('.a-price');
-            if (parentPrice) {
-              const fractionElement = parentPrice.querySelector('.a-price-fraction');
-              if (fractionElement) {
-                const fraction = fractionElement.textContent?.trim() || '';
-                if (fraction) {
-                  // Check if price already has a decimal point
-                  if (priceText.endsWith('.')) {
-                    // Combine: "$39." + "95" = "$39.95"
-                    priceText = priceText + fraction;
-                  } else if (!priceText.includes('.')) {
-                    // Combine: "$39" + "95" = "$39.95"
-                    priceText = priceText + '.' + fraction;
-                  }
-                }
-              }
-            }
-            
-            // If we found a price, use it and stop searching
-            if (priceText && priceText.trim()) {
-              productData.price = priceText.trim();
-              break;
-            }
-          }
-        }
-      }
-    }
-    
-    // --- Extract Product Image ---
-    if (selectors.image) {
-      const imageSelectors = selectors.image.split(',').map(s => s.trim());
-      
-      for (const selector of imageSelectors) {
-        const imageElement = document.querySelector(selector);
-        if (imageElement) {
-          // Try multiple attributes for lazy-loaded images
-          let imageUrl = imageElement.src || 
-                        imageElement.getAttribute('data-src') || 
-                        imageElement.getAttribute('data-lazy-src') ||
-                        imageElement.getAttribute('data-old-src');
-          
-          // Amazon-specific: Handle dynamic image data attribute
-          // Amazon stores image URLs in a JSON object in data-a-dynamic-image
-          if (!imageUrl && imageElement.hasAttribute('data-a-dynamic-image')) {
-            try {
-              const dynamicImage = JSON.parse(imageElement.getAttribute('data-a-dynamic-image'));
-              const imageKeys = Object.keys(dynamicImage);
-              if (imageKeys.length > 0) {
-                imageUrl = imageKeys[0]; // Use the first (usually largest) image
-              }
-            } catch (e) {
-              console.warn('Failed to parse Amazon dynamic image data:', e);
-            }
-          }
-          
-          if (imageUrl) {
-            productData.image = imageUrl;
-            break; // Found image, stop searching
-          }
-        }
+  const structuredData = extractStructuredData();
+  if (structuredData) {
+    Object.keys(structuredData).forEach(field => {
+      if (field !== 'sources' && structuredData[field] !== null) {
+        productData[field] = structuredData[field];
+        setFieldMeta(field, structuredData.sources[field]);
       }
-    }
-    
-    // --- Fallback to Heuristics ---
-    // If site-specific selectors didn't work, use heuristic functions
-    if (!productData.name) {
-      productData.name = extractProductName();
-    }
-    if (!productData.price) {
-      productData.price = extractPrice();
-    }
-    if (!productData.image) {
-      productData.image = extractProductImage();
-    }
+    });
+  }
+
   // ============================================================================
-  // EBAY-SPECIFIC EXTRACTION
+  // STEP 4c: EXTRACT PLATFORM PRODUCT DATA (SEE platforms.js)
   // ============================================================================
-  } else if (isEbay) {
-    // Guard: Verify this is actually a product page
-    // Since detectProductPage() already passed (we wouldn't be here if it didn't),
-    // we trust that it's a product page. The selectors might be outdated, but
-    // heuristics will handle extraction if selectors don't match.
-    // Only do a light check: if selectors don't exist AND heuristics also fail,
-    // we'll know during extraction. But don't block here.
-    
-    // Note: We removed the strict guard because:
-    // 1. detectProductPage() already validated it's a product page
-    // 2. Selectors might be outdated (eBay changes their HTML frequently)
-    // 3. Heuristics can still extract data even if selectors don't match
-    // 4. This prevents false negatives on legitimate product pages
-
-    // eBay extraction: Use selectors first, then heuristics as fallback
-    
-    // --- Extract Product Name ---
-    if (selectors.name) {
-      const nameElement = document.querySelector(selectors.name);
-      if (nameElement) {
-        productData.name = nameElement.textContent.trim();
+  // The platform's product API (e.g., Shopify's /products/<handle>.js) is the
+  // store's own record, with exact prices, so it overrides structured data.
+  const platformData = platform ? await extractPlatformProduct(platform) : null;
+  if (platformData) {
+    Object.keys(platformData).forEach(field => {
+      if (platformData[field] !== null && platformData[field] !== undefined) {
+        productData[field] = platformData[field];
+        setFieldMeta(field, 'platform');
       }
-    }
-
-    // --- Extract Product Price ---
-    if (selectors.price) {
-      const priceSelectors = selectors.price.split(',').map(s => s.trim());
-      // Regex to match prices with thousands separators and decimals
-      // Handles: $2,250.00 (US format with comma thousands, dot decimals)
-      // Pattern: currency + optional space + digits with optional comma thousands + optional dot decimals
-      // Examples: "$2,250.00", "$249.99", "$1,234.56"
-      // The (?:,\d{3})* part handles thousands separators (e.g., $2,250 or $1,234,567)
-      // The (?:\.\d{1,2})? part handles US decimal format (e.g., .00 or .99)
-      const priceRegex = /([$€£¥]\s?\d{1,3}(?:,\d{3})*(?:\.\d{1,2})?)/g;
-
-      // For eBay, prioritize div.x-bin-price__content (main price container with discount info)
-      // Collect all price candidates first, then pick the best one
-      const priceCandidates = [];
-
-      // Try each price selector (some may match multiple elements)
-      for (const selector of priceSelectors) {
-        const priceElements = document.querySelectorAll(selector);
-
-        // Check each matching element
-        for (const priceElement of priceElements) {
-          // Get full text content to check for multiple prices
-          const fullText = priceElement.textContent || priceElement.innerText || '';
-          
-          // Reset regex for fresh match
-          priceRegex.lastIndex = 0;
-          const allPrices = fullText.match(priceRegex);
-          
-          let priceText = null;
-          let priceValue = null;
-          
-          if (allPrices && allPrices.length >= 2) {
-            // Multiple prices found - extract all, sort, and pick the highest (original price)
-            // Example: "US $269.99\n$249.99 with coupon code" -> extract both, pick $269.99
-            const prices = allPrices.map(p => {
-              // Clean the price text (remove extra spaces, preserve thousands separators in text)
-              const cleanPrice = p.trim();
-              // Parse value: remove currency symbol, spaces, and thousands separators (commas)
-              // Keep decimal point/dot for parsing
-              const valueStr = cleanPrice.replace(/[$€£¥\s]/g, '').replace(/,/g, '');
-              const value = parseFloat(valueStr);
-              return { text: cleanPrice, value: value };
-            });
-            prices.sort((a, b) => b.value - a.value); // Sort descending (highest first)
-            
-            // Use the highest price (original price, ignore discount)
-            priceText = prices[0].text;
-            priceValue = prices[0].value;
-          } else if (allPrices && allPrices.length === 1) {
-            // Single price found - preserve the full price string as-is
-            priceText = allPrices[0].trim();
-            // Parse value: remove currency symbol, spaces, and thousands separators for calculation
-            const valueStr = priceText.replace(/[$€£¥\s]/g, '').replace(/,/g, '');
-            priceValue = parseFloat(valueStr);
-          } else {
-            // No prices found in text, try superscript extraction
-            priceText = extractPriceFromElement(priceElement);
-            if (priceText) {
-              // Reset regex for validation
-              priceRegex.lastIndex = 0;
-              if (priceRegex.test(priceText)) {
-                priceValue = parseFloat(priceText.replace(/[$€£¥\s,]/g, '').replace(',', '.'));
-              } else {
-                priceText = null;
-              }
-            }
-          }
-
-          // Validate price is reasonable and add to candidates
-          if (priceText && priceValue !== null) {
-            // Ensure we have the full price with decimals
-            // Check if price ends with a decimal point (might be split format)
-            if (priceText.endsWith('.')) {
-              // Look for decimal part in nearby elements (eBay might split like Amazon)
-              const parent = priceElement.parentElement;
-              if (parent) {
-                const siblingText = parent.textContent || parent.innerText || '';
-                priceRegex.lastIndex = 0;
-                const siblingPrices = siblingText.match(priceRegex);
-                if (siblingPrices && siblingPrices.length > 0) {
-                  // Find the price that starts with our price
-                  const completePrice = siblingPrices.find(p => p.startsWith(priceText));
-                  if (completePrice && completePrice.includes('.')) {
-                    priceText = completePrice;
-                    priceValue = parseFloat(priceText.replace(/[$€£¥\s,]/g, '').replace(',', '.'));
-                  }
-                }
-              }
-            }
-            
-            // Validate price is in reasonable range (not shipping, not error)
-            if (priceValue >= 0.5 && priceValue <= 100000) {
-              // Score this candidate:
-              // - Higher score = better candidate
-              // - Prioritize div.x-bin-price__content (main price container)
-              // - Prioritize higher prices (main product vs. shipping/related items)
-              let score = 0;
-              
-              // Check if this element is the main eBay price container
-              // Prioritize div.x-price-primary (most reliable) and div.x-bin-price__content
-              const isMainPriceContainer = priceElement.classList.contains('x-price-primary') ||
-                                          priceElement.closest('.x-price-primary') !== null ||
-                                          (priceElement.tagName === 'DIV' && priceElement.className.includes('x-price-primary')) ||
-                                          selector === 'div.x-price-primary' ||
-                                          selector.includes('x-price-primary') ||
-                                          priceElement.classList.contains('x-bin-price__content') ||
-                                          priceElement.closest('.x-bin-price__content') !== null ||
-                                          (priceElement.tagName === 'DIV' && priceElement.className.includes('x-bin-price__content')) ||
-                                          selector === 'div.x-bin-price__content' ||
-                                          selector.includes('x-bin-price__content');
-              
-              if (isMainPriceContainer) {
-                // Extra boost for x-price-primary (the most reliable selector)
-                if (priceElement.classList.contains('x-price-primary') || 
-                    priceElement.closest('.x-price-primary') !== null ||
-                    selector === 'div.x-price-primary' ||
-                    selector.includes('x-price-primary')) {
-                  score += 200000; // Highest priority for x-price-primary
-                } else {
-                  score += 100000; // High priority for x-bin-price__content
-                }
-              }
-              // Prefer prices in reasonable product range ($50-$1000) over very low prices
-              if (priceValue >= 50 && priceValue <= 1000) {
-                score += 20000; // Strong boost for typical product prices
-              }
-              // Penalize very low prices (likely shipping or related items)
-              if (priceValue < 30) {
-                score -= 50000; // Heavy penalty for very low prices
-              }
-              score += priceValue * 100; // Prefer higher prices (main product vs. $20 shipping)
-              
-              priceCandidates.push({
-                text: priceText.trim(),
-                value: priceValue,
-                score: score,
-                selector: selector
-              });
-            }
-          }
-        }
-      }
-
-      // Sort candidates by score (highest = best) and use the best one
-      if (priceCandidates.length > 0) {
-        priceCandidates.sort((a, b) => b.score - a.score);
-        const bestCandidate = priceCandidates[0];
-        productData.price = bestCandidate.text;
-      }
-    }
-
-    // --- Extract Product Image ---
-    if (selectors.image) {
-      const imageSelectors = selectors.image.split(',').map(s => s.trim());
-      for (const selector of imageSelectors) {
-        const imageElement = document.querySelector(selector);
-        if (imageElement) {
-          let imageUrl =
-            imageElement.src ||
-            imageElement.getAttribute('data-src') ||
-            imageElement.getAttribute('data-lazy-src') ||
-            imageElement.getAttribute('data-old-src');
-          if (imageUrl) {
-            productData.image = imageUrl;
-            break;
-          }
-        }
-      }
-    }
+    });
+  }
 
-    // --- Fallback to Heuristics ---
-    if (!productData.name) {
-      productData.name = extractProductName();
-    }
-    if (!productData.price) {
-      // For sites without specific logic, try selectors first, then heuristics
-      if (selectors.price) {
-        const priceSelectors = selectors.price.split(',').map(s => s.trim());
-        // Match full price with decimals - ensure we capture .99, .00, etc.
-        // Pattern: currency + optional space + digits + optional decimal point + 1-2 digits
-        const priceRegex = /([$€£¥]\s?\d+\.\d{1,2}|[$€£¥]\s?\d+)/g; // Prioritize prices with decimals first
-        
-        // Collect all price candidates from all matching elements
-        const priceCandidates = [];
-        
-        for (const selector of priceSelectors) {
-          const priceElements = document.querySelectorAll(selector);
-          
-          for (const priceElement of priceElements) {
-            const fullText = priceElement.textContent || priceElement.innerText || '';
-            
-            // Skip if text is too short or doesn't look like a price
-            if (!fullText || fullText.trim().length < 3) continue;
-            
-            // Reset regex
-            priceRegex.lastIndex = 0;
-            const matches = fullText.match(priceRegex);
-            
-            if (matches && matches.length > 0) {
-              // For each match, score it and add to candidates
-              matches.forEach(match => {
-                const priceText = match.trim();
-                const priceValue = parseFloat(priceText.replace(/[$€£¥\s,]/g, '').replace(',', '.'));
-                
-                // Validate price is reasonable
-                if (priceValue >= 0.5 && priceValue <= 100000) {
-                  // Score: prioritize prices with decimals, then by value (higher = better for product prices)
-                  let score = 0;
-                  const hasDecimal = /\.\d{1,2}$/.test(priceText);
-                  
-                  if (hasDecimal) {
-                    score += 1000; // Big boost for prices with decimals
-                  }
-                  
-                  // Prefer prices in reasonable product range
-                  if (priceValue >= 5 && priceValue <= 1000) {
-                    score += 500;
-                  }
-                  
-                  // Prefer longer price strings (more complete)
-                  score += priceText.length * 10;
-                  
-                  priceCandidates.push({
-                    text: priceText,
-                    value: priceValue,
-                    score: score
-                  });
-                }
-              });
-            }
-          }
-        }
-        
-        // Sort candidates by score (highest = best) and use the best one
-        if (priceCandidates.length > 0) {
-          priceCandidates.sort((a, b) => b.score - a.score);
-          productData.price = priceCandidates[0].text;
-        }
-      }
-      
-      // If still no price, use heuristic function
-      if (!productData.price) {
-        productData.price = extractPrice();
-      }
-    }
-    if (!productData.image) {
-      productData.image = extractProductImage();
-    }
-    
   // ============================================================================
-  // ABERCROMBIE-SPECIFIC EXTRACTION (with discount price support)
+  // STEP 5: EXTRACT REMAINING PRODUCT DATA (SITE RULES, SEE rule-engine.js)
   // ============================================================================
-  } else if (isAbercrombie) {
-    // Guard: Verify this is actually a product page
-    const hasTitleElement = selectors.name
-      ? !!document.querySelector(selectors.name)
-      : false;
-    const hasPriceElement = selectors.price
-      ? !!document.querySelector(selectors.price)
-      : false;
+  // Every site goes through the same rule interpreter. Per-site differences
+  // (split prices, discount variants, dynamic image attributes, etc.) are
+  // declared in site-selectors.js instead of being hard-coded here.
+  ['name', 'price', 'image'].forEach(field => {
+    // Already filled by structured data - unless the user picked a selector for
+    // this field, which is how wrong structured data gets corrected
+    const isOverride = Boolean(selectorOverride && selectorOverride.rules[field]);
+    if (productData[field] && !isOverride) return;
 
-    if (!hasTitleElement || !hasPriceElement) {
-      const error = {
-        type: ERROR_TYPES.NOT_PRODUCT_PAGE,
-        message: `This isn't a product page.`,
-        domain: domain,
-        confidence: 100,
-        indicators: ['Abercrombie: missing product title or price selectors']
-      };
-      throw error;
-    }
-
-    // --- Extract Product Name ---
-    if (selectors.name) {
-      // Try main header on main page (sub-item/variant title)
-      const mainHeaderElement = document.querySelector('h1.product-title-component.product-title-main-header');
-      if (mainHeaderElement) {
-        productData.name = mainHeaderElement.textContent.trim();
-      } else {
-        // Fallback to regular product title
-        const regularTitle = document.querySelector(selectors.name);
-        if (regularTitle) {
-          productData.name = regularTitle.textContent.trim();
-        }
-      }
-    }
-
-    // --- Extract Product Price (with Discount Detection) ---
-    // Abercrombie displays both original and discount prices
-    // Strategy: Prioritize discount price over original price
-    if (selectors.price) {
-      let priceText = null;
-      let isDiscounted = false;
-      const priceRegex = /([$€£¥]\s?\d+(?:[\.,]\d+)?)/g; // Global flag to find all prices
-      
-      // METHOD 1: Try direct discount element first (most reliable)
-      // span.product-price-text directly contains the discount price
-      const directPriceElement = document.querySelector('span.product-price-text');
-      if (directPriceElement) {
-        const text = directPriceElement.textContent || directPriceElement.innerText || '';
-        priceRegex.lastIndex = 0; // Reset regex for fresh match
-        const match = text.match(priceRegex);
-        if (match && match[0]) {
-          priceText = match[0].trim();
-          // Check if there's also an original price nearby to confirm discount
-          const priceContainer = directPriceElement.closest('div.product-price-container') || 
-                                 document.querySelector('div.product-price-container');
-          if (priceContainer) {
-            const containerText = priceContainer.textContent || priceContainer.innerText || '';
-            priceRegex.lastIndex = 0;
-            const allPrices = containerText.match(priceRegex);
-            if (allPrices && allPrices.length >= 2) {
-              isDiscounted = true; // Multiple prices = discount exists
-            }
-          }
-        }
-      }
-      
-      // METHOD 2: If direct element didn't work, search within price container
-      if (!priceText) {
-        const priceContainer = document.querySelector(selectors.price);
-        if (priceContainer) {
-          // Step 2a: Look for element with data-variant="discount" attribute
-          const discountElement = priceContainer.querySelector('[data-variant="discount"]');
-          if (discountElement) {
-            isDiscounted = true;
-            let discountText = extractPriceFromElement(discountElement);
-            if (!discountText) {
-              const text = discountElement.textContent || discountElement.innerText || '';
-              priceRegex.lastIndex = 0;
-              const match = text.match(priceRegex);
-              if (match) {
-                discountText = match[0];
-              }
-            }
-            if (discountText && priceRegex.test(discountText)) {
-              priceText = discountText.trim();
-            }
-          }
-          
-          // Step 2b: If no discount element, check span.product-price-text within container
-          if (!priceText) {
-            const priceTextElement = priceContainer.querySelector('span.product-price-text');
-            if (priceTextElement) {
-              const text = priceTextElement.textContent || priceTextElement.innerText || '';
-              priceRegex.lastIndex = 0;
-              const match = text.match(priceRegex);
-              if (match) {
-                priceText = match[0].trim();
-                // Check wrapper for multiple prices to confirm discount
-                const wrapper = priceContainer.querySelector('.product-price-text-wrapper');
-                if (wrapper) {
-                  const wrapperText = wrapper.textContent || wrapper.innerText || '';
-                  priceRegex.lastIndex = 0;
-                  const allPrices = wrapperText.match(priceRegex);
-                  if (allPrices && allPrices.length >= 2) {
-                    isDiscounted = true;
-                  }
-                }
-              }
-            }
-          }
-          
-          // Step 2c: Check if price wrapper contains both prices (e.g., "$160\n$136")
-          if (!priceText) {
-            const priceWrapper = priceContainer.querySelector('.product-price-text-wrapper');
-            if (priceWrapper) {
-              const wrapperText = priceWrapper.textContent || priceWrapper.innerText || '';
-              priceRegex.lastIndex = 0;
-              const allPrices = wrapperText.match(priceRegex);
-              if (allPrices && allPrices.length >= 2) {
-                // Multiple prices found - extract and compare values
-                const prices = allPrices.map(p => {
-                  const value = parseFloat(p.replace(/[$€£¥\s,]/g, '').replace(',', '.'));
-                  return { text: p.trim(), value: value };
-                });
-                
-                // Sort by value (ascending) - discount is usually the lower price
-                prices.sort((a, b) => a.value - b.value);
-                
-                // Use the lower price as discount
-                if (prices.length >= 2 && prices[0].value < prices[1].value) {
-                  isDiscounted = true;
-                  priceText = prices[0].text; // Lower price = discount
-                } else {
-                  priceText = prices[0].text; // Fallback to first price
-                }
-              } else if (allPrices && allPrices.length === 1) {
-                priceText = allPrices[0].trim();
-              }
-            }
-          }
-          
-          // Step 2d: Fallback to original price element (if no discount found)
-          if (!priceText) {
-            const originalElement = priceContainer.querySelector('[data-variant="original"]');
-            if (originalElement) {
-              let originalText = extractPriceFromElement(originalElement);
-              if (!originalText) {
-                const text = originalElement.textContent || originalElement.innerText || '';
-                priceRegex.lastIndex = 0;
-                const match = text.match(priceRegex);
-                if (match) {
-                  originalText = match[0];
-                }
-              }
-              if (originalText && priceRegex.test(originalText)) {
-                priceText = originalText.trim();
-              }
-            }
-          }
-          
-          // Step 2e: Try wrapper with data-variant="discount" attribute
-          if (!priceText) {
-            const discountWrapper = priceContainer.querySelector('.product-price-text-wrapper[data-variant="discount"]');
-            if (discountWrapper) {
-              isDiscounted = true;
-              let discountText = extractPriceFromElement(discountWrapper);
-              if (!discountText) {
-                const text = discountWrapper.textContent || discountWrapper.innerText || '';
-                priceRegex.lastIndex = 0;
-                const match = text.match(priceRegex);
-                if (match) {
-                  discountText = match[0];
-                }
-              }
-              if (discountText && priceRegex.test(discountText)) {
-                priceText = discountText.trim();
-              }
-            }
-          }
-          
-          // Step 2f: Final fallback - use generic discount preference function
-          if (!priceText) {
-            priceText = extractPriceWithDiscountPreference(
-              selectors.price,
-              'data-variant',
-              'discount',
-              'original'
-            );
-            if (priceText && priceContainer.querySelector('[data-variant="discount"]')) {
-              isDiscounted = true;
-            }
-          }
-        }
-      }
-      
-      // VALIDATION: If we detected a discount but got a high price, correct it
-      // This handles cases where the extraction picked up the original price instead of discount
-      if (priceText && isDiscounted) {
-        const priceContainer = document.querySelector('div.product-price-container');
-        if (priceContainer) {
-          const containerText = priceContainer.textContent || priceContainer.innerText || '';
-          priceRegex.lastIndex = 0;
-          const allPrices = containerText.match(priceRegex);
-          if (allPrices && allPrices.length >= 2) {
-            const prices = allPrices.map(p => {
-              const value = parseFloat(p.replace(/[$€£¥\s,]/g, '').replace(',', '.'));
-              return { text: p.trim(), value: value };
-            });
-            prices.sort((a, b) => a.value - b.value);
-            
-            // Compare current price with lowest price
-            const currentValue = parseFloat(priceText.replace(/[$€£¥\s,]/g, '').replace(',', '.'));
-            
-            // If current price is higher than the lowest, use the lowest (discount)
-            if (prices[0].value < currentValue) {
-              priceText = prices[0].text; // Correct to discount price
-            }
-          }
-        }
-      }
-      
-      // Store the extracted price if valid
-      if (priceText) {
-        const priceValue = parseFloat(priceText.replace(/[$€£¥\s,]/g, '').replace(',', '.'));
-        if (priceValue >= 0.50 && priceValue <= 100000) {
-          productData.price = priceText;
-          if (isDiscounted) {
-            productData.isDiscounted = true;
-          }
-        }
+    const match = extractRuleField(field, siteRules.fields[field]);
+    if (match) {
+      productData[field] = match.value;
+      const ruleStrategy = isOverride ? 'override' : mode === 'site' ? 'site-selector' : 'platform-selector';
+      setFieldMeta(field, ruleStrategy, {
+        selector: match.selector,
+        rejected: match.rejected
+      });
+      if (match.isDiscounted) {
+        productData.isDiscounted = true;
       }
-      
-      // METHOD 3: If all discount methods failed, try standard extraction
-      if (!productData.price) {
-        const priceSelectors = selectors.price.split(',').map(s => s.trim());
-        const priceRegex = /([$€£¥]\s?\d+(?:[\.,]\d+)?)/;
-        
-        for (const selector of priceSelectors) {
-          const priceElement = document.querySelector(selector);
-          if (priceElement) {
-            let priceText = extractPriceFromElement(priceElement);
-            if (!priceText) {
-              priceText = priceElement.textContent || priceElement.innerText;
-              if (priceText) {
-                priceText = priceText.trim();
-                const match = priceText.match(priceRegex);
-                if (match) {
-                  priceText = match[1];
-                }
-              }
-            }
-            
-            if (priceText && priceRegex.test(priceText)) {
-              const priceValue = parseFloat(priceText.replace(/[$€£¥\s,]/g, '').replace(',', '.'));
-              if (priceValue >= 0.50 && priceValue <= 100000) {
-                productData.price = priceText.trim();
-                break;
-              }
-            }
-          }
-        }
+      if (match.listPrice && !productData.listPrice) {
+        productData.listPrice = match.listPrice;
       }
     }
+  });
 
-    // --- Extract Product Image ---
-    // Filter for large images (product images are typically 200x200px or larger)
-    if (selectors.image) {
-      const images = Array.from(document.querySelectorAll('img'));
-      const productImages = images.filter(img => {
-        const rect = img.getBoundingClientRect();
-        const src = img.src || img.getAttribute('data-src') || img.getAttribute('data-lazy-src');
-        if (!src || img.offsetParent === null) return false;
-        // Filter for large images (likely product images, not icons)
-        return rect.width >= 200 && rect.height >= 200;
-      });
-      
-      // Sort by size (largest first) - biggest image is usually the main product image
-      productImages.sort((a, b) => {
-        const aRect = a.getBoundingClientRect();
-        const bRect = b.getBoundingClientRect();
-        return (bRect.width * bRect.height) - (aRect.width * aRect.height);
-      });
-      
-      if (productImages.length > 0) {
-        const img = productImages[0];
-        productData.image = img.src || img.getAttribute('data-src') || img.getAttribute('data-lazy-src');
-      }
-    }
+  // --- Fallback to Heuristics ---
+  // If site rules didn't work, use heuristic functions
+  const heuristicFinders = {
+    name: findProductNameCandidates,
+    price: findPriceCandidates,
+    image: findProductImageCandidates
+  };
+  Object.keys(heuristicFinders).forEach(field => {
+    if (productData[field]) return;
+    const candidates = heuristicFinders[field]();
+    if (candidates.length === 0) return;
+    productData[field] = candidates[0].value;
+    fieldMeta[field] = createHeuristicFieldMeta(field, candidates);
+  });
 
-    // --- Fallback to Heuristics ---
-    if (!productData.name) {
-      productData.name = extractProductName();
-    }
-    if (!productData.price) {
-      productData.price = extractPrice();
-    }
-    if (!productData.image) {
-      productData.image = extractProductImage();
-    }
-  // ============================================================================
-  // GENERIC EXTRACTION (for all other supported sites)
-  // ============================================================================
-  } else {
-    // For other sites (Best Buy, Target, Temu, etc.), use generic extraction:
-    // 1. Try site-specific selectors first
-    // 2. Fall back to heuristic functions if selectors don't work
-    
-    // --- Extract Product Name ---
-    if (selectors.name) {
-      const nameElement = document.querySelector(selectors.name);
-      if (nameElement) {
-        productData.name = nameElement.textContent.trim();
-      }
-    }
-    
-    // --- Extract Product Price ---
-    if (selectors.price) {
-      const priceSelectors = selectors.price.split(',').map(s => s.trim());
-      // Use global regex to find all price matches, prioritize ones with decimals
-      const priceRegex = /([$€£¥]\s?\d+\.\d{1,2}|[$€£¥]\s?\d+)/g;
-      
-      // Collect all price candidates from all matching elements
-      const priceCandidates = [];
-      
-      // Try each price selector (some sites have multiple fallback selectors)
-      for (const selector of priceSelectors) {
-        // Some selectors may match multiple elements (e.g., multiple prices on page)
-        const priceElements = document.querySelectorAll(selector);
-        
-        // Check each matching element
-        for (const priceElement of priceElements) {
-          const fullText = priceElement.textContent || priceElement.innerText || '';
-          
-          // Skip if text is too short
-          if (!fullText || fullText.trim().length < 3) continue;
-          
-          // Reset regex and find all price matches
-          priceRegex.lastIndex = 0;
-          const matches = fullText.match(priceRegex);
-          
-          if (matches && matches.length > 0) {
-            // For each match, score it and add to candidates
-            matches.forEach(match => {
-              const priceText = match.trim();
-              const priceValue = parseFloat(priceText.replace(/[$€£¥\s,]/g, '').replace(',', '.'));
-              
-              // Validate price is reasonable
-              if (priceValue >= 0.5 && priceValue <= 100000) {
-                // Score: prioritize prices with decimals, then by value
-                let score = 0;
-                const hasDecimal = /\.\d{1,2}$/.test(priceText);
-                
-                if (hasDecimal) {
-                  score += 10000; // Very large boost for prices with decimals
-                }
-                
-                // Prefer prices in reasonable product range
-                if (priceValue >= 5 && priceValue <= 1000) {
-                  score += 5000;
-                }
-                
-                // Prefer longer price strings (more complete)
-                score += priceText.length * 100;
-                
-                priceCandidates.push({
-                  text: priceText,
-                  value: priceValue,
-                  score: score
-                });
-              }
-            });
-          }
-        }
-      }
-      
-      // Sort candidates by score (highest = best) and use the best one
-      if (priceCandidates.length > 0) {
-        priceCandidates.sort((a, b) => b.score - a.score);
-        productData.price = priceCandidates[0].text;
-      }
-    }
-    
-    // --- Extract Product Image ---
-    if (selectors.image) {
-      const imageSelectors = selectors.image.split(',').map(s => s.trim());
-      for (const selector of imageSelectors) {
-        const imageElement = document.querySelector(selector);
-        if (imageElement) {
-          let imageUrl = imageElement.src || 
-                        imageElement.getAttribute('data-src') || 
-                        imageElement.getAttribute('data-lazy-src') ||
-                        imageElement.getAttribute('data-old-src');
-          if (imageUrl) {
-            productData.image = imageUrl;
-            break;
-          }
-        }
-      }
-    }
-    
-    // --- Fallback to Heuristics ---
-    // If site-specific selectors didn't work, use heuristic functions
-    if (!productData.name) {
-      productData.name = extractProductName();
-    }
-    if (!productData.price) {
-      productData.price = extractPrice();
-    }
-    if (!productData.image) {
-      productData.image = extractProductImage();
-    }
+  // --- Image Gallery ---
+  // Every product angle, main image first, one (full-size) URL per picture
+  productData.images = extractProductImages({
+    mainImage: productData.image,
+    structuredImages: productData.images || [],
+    gallerySelectors: siteRules.gallery
+  });
+  if (productData.images.length > 0) {
+    productData.image = productData.images[0];
   }
 
   // ============================================================================
@@ -1545,7 +983,46 @@ async function extractProductInfo() {
   // ============================================================================
   // Ensure we extracted at least some product information
   if (!productData.name && !productData.image && !productData.price) {
-    throw new Error('Could not find product information on this page. Make sure you are on a product page.');
+    const error = new Error('Could not find product information on this page. Make sure you are on a product page.');
+    error.rulesFailed = mode === 'site';
+    throw error;
+  }
+
+  // Normalize the price: numeric amount, ISO currency and the locale used to read separators
+  // Currency from structured data (e.g., priceCurrency: "EUR") wins over the symbol guess
+  if (productData.price) {
+    const parsedPrice = parsePrice(productData.price, {
+      currencyHint: productData.currency || getCurrencyHintForDomain(domain)
+    });
+    if (parsedPrice) {
+      // The structured-data amount is exact - reading its display string again could round it
+      const structuredAmount = structuredData && structuredData.price === productData.price ? structuredData.amount : null;
+      productData.amount = structuredAmount ?? parsedPrice.amount;
+      productData.currency = productData.currency || parsedPrice.currency;
+      productData.locale = parsedPrice.locale;
+    }
+  }
+
+  // Regular vs. sale price, discount and coupon (see price-details.js)
+  Object.assign(productData, extractPriceDetails(productData, siteRules));
+
+  // Size/color/style options and per-variant prices (see variant-extractor.js)
+  productData.variants = await extractVariants({ currency: productData.currency });
+
+  // Can the item be bought? Normalized status (see availability.js)
+  const availability = extractAvailability({
+    structured: productData.availability,
+    variants: productData.variants
+  });
+  productData.availability = availability.status;
+  productData.stockCount = availability.stockCount;
+  // Structured data / platform metadata is already set; other sources replace it
+  if (availability.source === 'variant') {
+    setFieldMeta('availability', 'variant');
+  } else if (availability.source === 'dom') {
+    setFieldMeta('availability', 'heuristic');
+  } else if (!availability.source) {
+    delete fieldMeta.availability;
   }
 
   return productData;
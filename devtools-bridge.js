@@ -0,0 +1,172 @@
+/**
+ * DevTools Panel Bridge
+ * Content script side of the selector finder panel (panel.html). The panel can't
+ * reach the page itself, so its requests come through the background worker
+ * (inspectTab) and are answered here:
+ *
+ * - finderScan                  - Ranked selector candidates, discount price elements and
+ *                                 the page's current rules (see selector-finder.js)
+ * - finderHighlight { selector } - Outline every element a selector matches
+ * - finderClearHighlight        - Remove the outlines
+ * - finderTest { rules }        - Read each field with the given selectors, then run the
+ *                                 full extraction with them applied on top of the site's rules
+ *
+ * Everything sent back is plain data - DOM elements are replaced by their selectors.
+ * Test extractions are not recorded in the history.
+ */
+
+// Candidates sent to the panel per field
+const FINDER_MAX_CANDIDATES = 15;
+
+// Outlines drawn per selector
+const FINDER_MAX_HIGHLIGHTS = 50;
+
+// Above anything the page is likely to use (same as the element picker)
+const FINDER_Z_INDEX = 2147483646;
+
+// Shadow host of the outlines while they are shown (null otherwise)
+let finderHighlightHost = null;
+
+/**
+ * Remove DOM element references from a result so it can be sent as a message
+ * @param {Object} item - Result item with an element property
+ * @returns {Object} - Copy without the element
+ */
+function withoutElement(item) {
+  const { element, ...rest } = item;
+  return rest;
+}
+
+/**
+ * Collect everything the panel shows for the current page
+ * @returns {Object} - { url, domain, currentRules, modal, candidates, modalCandidates, discounts, discountDebug }
+ */
+function scanForPanel() {
+  const url = window.location.href;
+  const results = collectProductSelectors();
+  const discounts = collectDiscountPrices();
+  const discountDebug = collectDiscountDebug();
+
+  const candidates = {};
+  const modalCandidates = {};
+  ['name', 'price', 'image'].forEach(field => {
+    candidates[field] = results[field].slice(0, FINDER_MAX_CANDIDATES);
+    modalCandidates[field] = results.modalResults[field].length;
+  });
+
+  return {
+    url: url,
+    domain: getBaseDomain(url),
+    currentRules: getSelectorsForSite(url),
+    modal: results.modal ? withoutElement(results.modal) : null,
+    candidates: candidates,
+    modalCandidates: modalCandidates,
+    discounts: {
+      discount: discounts.discount.map(withoutElement),
+      original: discounts.original.map(withoutElement),
+      // Only containers that hold a variant are interesting here
+      containers: discounts.containers.filter(c => c.hasDiscount || c.hasOriginal).map(withoutElement)
+    },
+    discountDebug: {
+      ...discountDebug,
+      discount: discountDebug.discount ? withoutElement(discountDebug.discount) : null
+    }
+  };
+}
+
+/**
+ * Remove the outlines drawn by highlightSelectorMatches()
+ */
+function clearSelectorHighlight() {
+  if (finderHighlightHost) {
+    finderHighlightHost.remove();
+    finderHighlightHost = null;
+  }
+}
+
+/**
+ * Outline every element a selector (or selector list) matches
+ * Scrolls the first match into view when it is off screen.
+ * @param {string} selector - CSS selector
+ * @returns {number} - Number of matching elements
+ */
+function highlightSelectorMatches(selector) {
+  clearSelectorHighlight();
+  const matches = splitSelectorList(selector || '')
+    .flatMap(part => queryRuleSelectorAll(part))
+    .filter((el, index, all) => all.indexOf(el) === index);
+  if (matches.length === 0) return 0;
+
+  const first = matches[0].getBoundingClientRect();
+  if (first.bottom < 0 || first.top > window.innerHeight) {
+    matches[0].scrollIntoView({ block: 'center' });
+  }
+
+  // Shadow root keeps the page's styles off the outlines
+  finderHighlightHost = document.createElement('div');
+  finderHighlightHost.style.all = 'initial';
+  const shadow = finderHighlightHost.attachShadow({ mode: 'open' });
+  matches.slice(0, FINDER_MAX_HIGHLIGHTS).forEach((el, index) => {
+    const rect = el.getBoundingClientRect();
+    const box = document.createElement('div');
+    Object.assign(box.style, {
+      position: 'absolute',
+      top: `${rect.top + window.scrollY}px`,
+      left: `${rect.left + window.scrollX}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`,
+      pointerEvents: 'none',
+      zIndex: FINDER_Z_INDEX,
+      outline: index === 0 ? '2px solid #4285f4' : '2px dashed #f9a825',
+      background: index === 0 ? 'rgba(66, 133, 244, 0.15)' : 'rgba(249, 168, 37, 0.1)'
+    });
+    shadow.appendChild(box);
+  });
+  document.documentElement.appendChild(finderHighlightHost);
+  return matches.length;
+}
+
+/**
+ * Test selectors: read each field on its own, then run the full extraction with them
+ * @param {Object} rules - Map of field -> selector (empty selectors are skipped)
+ * @returns {Promise<Object>} - { fields: { [field]: { selector, matches, value } }, product, error }
+ */
+async function testSelectorRules(rules) {
+  const testRules = {};
+  const fields = {};
+  Object.keys(rules || {}).forEach(field => {
+    const selector = (rules[field] || '').trim();
+    if (!selector) return;
+    testRules[field] = selector;
+    const match = extractRuleField(field, normalizeFieldRule(field, selector));
+    fields[field] = {
+      selector: selector,
+      matches: splitSelectorList(selector).reduce((count, part) => count + queryRuleSelectorAll(part).length, 0),
+      value: match ? String(match.value) : null
+    };
+  });
+
+  try {
+    // The page is already rendered - a selector under test that matches nothing shouldn't wait
+    const product = await extractProductInfo({ force: true, testRules: testRules, wait: false });
+    return { fields: fields, product: product, error: null };
+  } catch (error) {
+    // Structured errors ({ type, message, ... }) or exceptions
+    return { fields: fields, product: null, error: { type: error.type || 'UNKNOWN_ERROR', message: error.message } };
+  }
+}
+
+chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
+  if (request.action === 'finderScan') {
+    sendResponse({ success: true, data: scanForPanel() });
+  } else if (request.action === 'finderHighlight') {
+    sendResponse({ success: true, data: { matches: highlightSelectorMatches(request.selector) } });
+  } else if (request.action === 'finderClearHighlight') {
+    clearSelectorHighlight();
+    sendResponse({ success: true });
+  } else if (request.action === 'finderTest') {
+    testSelectorRules(request.rules).then(result => sendResponse({ success: true, data: result }));
+    return true; // Keep message channel open for async response
+  }
+  return false; // Don't handle other message types
+});
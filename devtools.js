@@ -0,0 +1,5 @@
+/**
+ * DevTools Page
+ * Registers the selector finder panel (panel.html) in the browser's DevTools.
+ */
+chrome.devtools.panels.create('Product Extractor', 'icons/icon16.png', 'panel.html');
@@ -0,0 +1,294 @@
+/**
+ * Element Picker
+ * Lets the user fix a wrong or empty field by clicking the right element on the page.
+ *
+ * Started from the popup ({ action: 'startElementPicker', field }). While active:
+ * - the element under the mouse is outlined
+ * - a toolbar at the bottom of the page switches between name, price and image
+ * - clicking an element shows the value the extraction would read from it, with its selector
+ * - Save stores the selector as an override for this domain (see selector-overrides.js);
+ *   the next extraction uses it
+ * - Escape or Cancel leaves the picker without changes
+ *
+ * Selectors come from generateSelector() in selector-finder.js, and the preview runs
+ * through the same rule engine as the extraction (rule-engine.js).
+ */
+
+const PICKER_FIELD_LABELS = {
+  name: 'Name',
+  price: 'Price',
+  image: 'Image'
+};
+
+// Above anything the page is likely to use
+const PICKER_Z_INDEX = 2147483646;
+
+// The picker while it is active (null otherwise)
+let activePicker = null;
+
+/**
+ * Find the element a click on the page means for a field
+ * For images, the image under the pointer wins over overlays (zoom lenses, links)
+ * @param {string} field - 'name', 'price' or 'image'
+ * @param {MouseEvent} event - Mouse event
+ * @returns {Element|null}
+ */
+function getPickerTarget(field, event) {
+  const elements = document.elementsFromPoint(event.clientX, event.clientY)
+    .filter(el => !activePicker || !activePicker.host.contains(el));
+  if (field === 'image') {
+    const image = elements.find(el => el.tagName === 'IMG');
+    if (image) return image;
+  }
+  return elements[0] || null;
+}
+
+/**
+ * Read what the extraction would get from a selector
+ * @param {string} field - 'name', 'price' or 'image'
+ * @param {string} selector - CSS selector
+ * @returns {string|null} - Value, or null if the selector gives nothing
+ */
+function previewPickedSelector(field, selector) {
+  const match = extractRuleField(field, normalizeFieldRule(field, selector));
+  return match ? String(match.value) : null;
+}
+
+/**
+ * Create an element with inline styles (page stylesheets can't reach the shadow root,
+ * but inherited properties still can)
+ * @param {string} tagName - Tag name
+ * @param {Object} styles - CSS properties
+ * @param {string} text - Text content
+ * @returns {HTMLElement}
+ */
+function createPickerElement(tagName, styles = {}, text = '') {
+  const el = document.createElement(tagName);
+  Object.assign(el.style, styles);
+  if (text) el.textContent = text;
+  return el;
+}
+
+/**
+ * Create a toolbar button
+ * @param {string} label - Button text
+ * @param {boolean} primary - Filled (true) or outlined style
+ * @returns {HTMLButtonElement}
+ */
+function createPickerButton(label, primary = false) {
+  return createPickerElement('button', {
+    padding: '4px 10px',
+    marginLeft: '6px',
+    border: '1px solid #4285f4',
+    borderRadius: '4px',
+    background: primary ? '#4285f4' : 'white',
+    color: primary ? 'white' : '#4285f4',
+    font: '13px sans-serif',
+    cursor: 'pointer'
+  }, label);
+}
+
+/**
+ * Update the toolbar for the current field and selection
+ */
+function renderPickerToolbar() {
+  const { toolbar, field, selection } = activePicker;
+  toolbar.textContent = '';
+
+  const fieldRow = createPickerElement('div', { marginBottom: '6px' }, 'Click the product ');
+  Object.keys(PICKER_FIELD_LABELS).forEach(key => {
+    const button = createPickerButton(PICKER_FIELD_LABELS[key], key === field);
+    button.addEventListener('click', () => {
+      activePicker.field = key;
+      activePicker.selection = null;
+      renderPickerToolbar();
+    });
+    fieldRow.appendChild(button);
+  });
+  const cancelButton = createPickerButton('Cancel');
+  cancelButton.addEventListener('click', stopElementPicker);
+  fieldRow.appendChild(cancelButton);
+  toolbar.appendChild(fieldRow);
+
+  if (!selection) {
+    toolbar.appendChild(createPickerElement('div', { color: '#666' }, 'Hover to highlight, click to select. Press Esc to cancel.'));
+    return;
+  }
+
+  const valueText = selection.value === null
+    ? 'Nothing could be read from this element - try a different one.'
+    : `${PICKER_FIELD_LABELS[field]}: ${selection.value.length > 120 ? selection.value.slice(0, 117) + '...' : selection.value}`;
+  toolbar.appendChild(createPickerElement('div', { fontWeight: 'bold', wordBreak: 'break-all' }, valueText));
+  toolbar.appendChild(createPickerElement('div', { color: '#666', fontFamily: 'monospace', wordBreak: 'break-all' }, selection.selector));
+
+  const actions = createPickerElement('div', { marginTop: '6px' });
+  const saveButton = createPickerButton(`Save for ${activePicker.domain}`, true);
+  saveButton.disabled = selection.value === null;
+  saveButton.addEventListener('click', savePickedSelector);
+  const againButton = createPickerButton('Pick again');
+  againButton.addEventListener('click', () => {
+    activePicker.selection = null;
+    renderPickerToolbar();
+  });
+  actions.appendChild(saveButton);
+  actions.appendChild(againButton);
+  toolbar.appendChild(actions);
+}
+
+/**
+ * Outline an element
+ * @param {Element|null} element - Element, or null to hide the outline
+ */
+function highlightPickerElement(element) {
+  const { highlight } = activePicker;
+  if (!element) {
+    highlight.style.display = 'none';
+    return;
+  }
+  const rect = element.getBoundingClientRect();
+  Object.assign(highlight.style, {
+    display: 'block',
+    top: `${rect.top}px`,
+    left: `${rect.left}px`,
+    width: `${rect.width}px`,
+    height: `${rect.height}px`
+  });
+}
+
+/**
+ * Mouse move handler - outline the element under the pointer until one is selected
+ * @param {MouseEvent} event
+ */
+function onPickerMouseMove(event) {
+  if (activePicker.selection) return;
+  highlightPickerElement(getPickerTarget(activePicker.field, event));
+}
+
+/**
+ * Click handler - select the element instead of letting the page handle the click
+ * @param {MouseEvent} event
+ */
+function onPickerClick(event) {
+  if (activePicker.host.contains(event.target)) return;
+  event.preventDefault();
+  event.stopPropagation();
+
+  const element = getPickerTarget(activePicker.field, event);
+  if (!element) return;
+  const selector = generateSelector(element);
+  activePicker.selection = {
+    selector: selector,
+    value: previewPickedSelector(activePicker.field, selector)
+  };
+  highlightPickerElement(element);
+  renderPickerToolbar();
+}
+
+/**
+ * Key handler - Escape leaves the picker
+ * @param {KeyboardEvent} event
+ */
+function onPickerKeyDown(event) {
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    stopElementPicker();
+  }
+}
+
+/**
+ * Save the selected selector as an override for this domain, then close the picker
+ */
+async function savePickedSelector() {
+  const picker = activePicker;
+  const { domain, field, selection, toolbar } = picker;
+  try {
+    await saveSelectorOverride(domain, field, selection.selector);
+  } catch (error) {
+    console.error('Error saving picked selector:', error);
+    toolbar.appendChild(createPickerElement('div', { color: '#c62828', marginTop: '6px' }, 'Could not save the selector.'));
+    return;
+  }
+  if (activePicker !== picker) return; // Closed while saving
+
+  toolbar.textContent = '';
+  toolbar.appendChild(createPickerElement('div', { fontWeight: 'bold' }, `Saved. The ${PICKER_FIELD_LABELS[field].toLowerCase()} will be read from this element on ${domain}.`));
+  toolbar.appendChild(createPickerElement('div', { color: '#666' }, 'Open the extension and extract again to see the result.'));
+  picker.highlight.style.display = 'none';
+  setTimeout(() => {
+    if (activePicker === picker) stopElementPicker();
+  }, 3000);
+}
+
+/**
+ * Start the element picker
+ * @param {string} field - Field to pick first: 'name', 'price' or 'image'
+ */
+function startElementPicker(field) {
+  if (activePicker) stopElementPicker();
+
+  // Shadow root keeps the page's styles off the toolbar
+  const host = createPickerElement('div', { all: 'initial' });
+  const shadow = host.attachShadow({ mode: 'open' });
+
+  const highlight = createPickerElement('div', {
+    position: 'fixed',
+    display: 'none',
+    pointerEvents: 'none',
+    zIndex: PICKER_Z_INDEX,
+    outline: '2px solid #4285f4',
+    background: 'rgba(66, 133, 244, 0.15)'
+  });
+  const toolbar = createPickerElement('div', {
+    position: 'fixed',
+    bottom: '16px',
+    left: '50%',
+    transform: 'translateX(-50%)',
+    zIndex: PICKER_Z_INDEX + 1,
+    maxWidth: '600px',
+    padding: '10px 14px',
+    background: 'white',
+    color: '#333',
+    border: '1px solid #ddd',
+    borderRadius: '6px',
+    boxShadow: '0 4px 16px rgba(0, 0, 0, 0.2)',
+    font: '13px/1.5 sans-serif'
+  });
+  shadow.appendChild(highlight);
+  shadow.appendChild(toolbar);
+  document.documentElement.appendChild(host);
+
+  activePicker = {
+    field: PICKER_FIELD_LABELS[field] ? field : 'price',
+    domain: getBaseDomain(window.location.href),
+    selection: null,
+    host: host,
+    highlight: highlight,
+    toolbar: toolbar
+  };
+
+  // Capture phase, so the page's own handlers don't see the clicks
+  document.addEventListener('mousemove', onPickerMouseMove, true);
+  document.addEventListener('click', onPickerClick, true);
+  document.addEventListener('keydown', onPickerKeyDown, true);
+  renderPickerToolbar();
+}
+
+/**
+ * Stop the element picker and remove its UI
+ */
+function stopElementPicker() {
+  if (!activePicker) return;
+  document.removeEventListener('mousemove', onPickerMouseMove, true);
+  document.removeEventListener('click', onPickerClick, true);
+  document.removeEventListener('keydown', onPickerKeyDown, true);
+  activePicker.host.remove();
+  activePicker = null;
+}
+
+chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
+  if (request.action === 'startElementPicker') {
+    startElementPicker(request.field);
+    sendResponse({ success: true });
+  }
+  return false; // Don't handle other message types
+});
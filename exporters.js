@@ -0,0 +1,318 @@
+/**
+ * Product Exporters
+ * Turns one or many extraction results into CSV, NDJSON or XLSX and downloads them.
+ *
+ * Flattening rules (CSV and XLSX):
+ * - Nested objects become dot-separated columns: { seller: { name } } -> "seller.name"
+ * - Arrays become indexed columns: images: [a, b] -> "images.0", "images.1"
+ *   (and variants: [{ price }] -> "variants.0.price")
+ * - Known fields always come first in EXPORT_COLUMNS order, every other column
+ *   follows sorted by path (numeric indexes in numeric order)
+ *
+ * NDJSON keeps the original nested structure, one product per line.
+ *
+ * Page text that starts like a formula ("=HYPERLINK(...)", "+1", "@SUM") is kept as text:
+ * CSV cells get a leading apostrophe, XLSX cells the "quote prefix" text style.
+ *
+ * Requires zip.js for XLSX export.
+ */
+
+// Column order for fields every extraction may have (see README "Output Format")
+const EXPORT_COLUMNS = [
+  'name', 'price', 'amount', 'currency', 'locale', 'isDiscounted',
+  'listPrice', 'salePrice', 'discountPercent', 'couponText',
+  'image', 'brand', 'sku', 'gtin', 'availability', 'stockCount',
+  'site', 'url', 'canonicalUrl', 'timestamp'
+];
+
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  ndjson: { extension: 'ndjson', mimeType: 'application/x-ndjson' },
+  xlsx: { extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+/**
+ * Flatten a product into a single-level object of dot-separated paths
+ * @param {Object} product - Extraction result
+ * @returns {Object} - Map of column path -> scalar value
+ */
+function flattenProduct(product) {
+  const flat = {};
+
+  function visit(value, path) {
+    if (value === null || value === undefined) {
+      if (path) flat[path] = null;
+      return;
+    }
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => visit(item, path ? `${path}.${index}` : String(index)));
+      return;
+    }
+    if (typeof value === 'object') {
+      Object.keys(value).forEach(key => visit(value[key], path ? `${path}.${key}` : key));
+      return;
+    }
+    flat[path] = value;
+  }
+
+  visit(product, '');
+  return flat;
+}
+
+/**
+ * Compare two column paths, ordering numeric segments numerically ("images.2" < "images.10")
+ * @param {string} a - Column path
+ * @param {string} b - Column path
+ * @returns {number}
+ */
+function compareColumnPaths(a, b) {
+  const partsA = a.split('.');
+  const partsB = b.split('.');
+  for (let i = 0; i < Math.min(partsA.length, partsB.length); i++) {
+    if (partsA[i] === partsB[i]) continue;
+    const isNumA = /^\d+$/.test(partsA[i]);
+    const isNumB = /^\d+$/.test(partsB[i]);
+    if (isNumA && isNumB) return Number(partsA[i]) - Number(partsB[i]);
+    return partsA[i] < partsB[i] ? -1 : 1;
+  }
+  return partsA.length - partsB.length;
+}
+
+/**
+ * Flatten products into a table with a stable column order
+ * @param {Array<Object>} products - Extraction results
+ * @returns {{columns: Array<string>, rows: Array<Object>}}
+ */
+function buildExportTable(products) {
+  const rows = products.map(flattenProduct);
+  const seen = new Set();
+  rows.forEach(row => Object.keys(row).forEach(key => seen.add(key)));
+
+  // Known fields are always present (even when empty) so files line up across exports
+  const extraColumns = Array.from(seen)
+    .filter(column => !EXPORT_COLUMNS.includes(column))
+    .sort(compareColumnPaths);
+
+  return { columns: [...EXPORT_COLUMNS, ...extraColumns], rows: rows };
+}
+
+// Text a spreadsheet would run as a formula: anything starting with "=" or "@", and "+" or
+// "-" followed by a function call, a sheet reference ("!A1") or a DDE link ("cmd|...").
+// Plain text like "-20% off" stays as it is. Leading tabs and carriage returns are
+// skipped, as some spreadsheets skip them before looking.
+const FORMULA_PREFIX = /^[\t\r]*(?:[=@]|[+\-][\s\S]*(?:[A-Za-z_][\w.]*\(|![$A-Za-z]|\|))/;
+
+/**
+ * Check if a (non-numeric) cell value would be read as a formula
+ * @param {*} value - Cell value
+ * @returns {boolean}
+ */
+function isFormulaLike(value) {
+  return typeof value === 'string' && FORMULA_PREFIX.test(value);
+}
+
+/**
+ * Quote a value for CSV (RFC 4180)
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = isFormulaLike(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export products as CSV with a header row
+ * @param {Array<Object>} products - Extraction results
+ * @returns {string}
+ */
+function productsToCsv(products) {
+  const { columns, rows } = buildExportTable(products);
+  const lines = [columns.map(toCsvCell).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => toCsvCell(row[column])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Export products as newline-delimited JSON (one object per line, nesting kept)
+ * @param {Array<Object>} products - Extraction results
+ * @returns {string}
+ */
+function productsToNdjson(products) {
+  return products.map(product => JSON.stringify(product)).join('\n') + '\n';
+}
+
+/**
+ * Escape text for XML, dropping characters XML 1.0 doesn't allow
+ * @param {*} value - Text
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert a zero-based column index to a spreadsheet column name (0 -> A, 26 -> AA)
+ * @param {number} index - Column index
+ * @returns {string}
+ */
+function toSpreadsheetColumn(index) {
+  let name = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    name = String.fromCharCode(65 + remainder) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+}
+
+// Cell style (index into cellXfs in xl/styles.xml) that keeps a formula-like string as text
+const XLSX_TEXT_STYLE = 1;
+
+/**
+ * Build one worksheet cell; numbers stay numeric, everything else is an inline string
+ * @param {*} value - Cell value
+ * @param {string} ref - Cell reference (e.g. "B2")
+ * @returns {string} - <c> element, or '' for empty cells
+ */
+function toXlsxCell(value, ref) {
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'number' && isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  const style = isFormulaLike(value) ? ` s="${XLSX_TEXT_STYLE}"` : '';
+  return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * Export products as an XLSX workbook with a single "Products" sheet
+ * @param {Array<Object>} products - Extraction results
+ * @returns {Uint8Array} - XLSX file bytes
+ */
+function productsToXlsx(products) {
+  const { columns, rows } = buildExportTable(products);
+  const sheetRows = [columns, ...rows.map(row => columns.map(column => row[column]))];
+
+  const sheetData = sheetRows.map((cells, rowIndex) => {
+    const rowNumber = rowIndex + 1;
+    const cellXml = cells.map((value, columnIndex) => toXlsxCell(value, toSpreadsheetColumn(columnIndex) + rowNumber)).join('');
+    return `<row r="${rowNumber}">${cellXml}</row>`;
+  }).join('');
+
+  const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data: xmlHeader +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: xmlHeader +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: xmlHeader +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        '<sheets><sheet name="Products" sheetId="1" r:id="rId1"/></sheets>' +
+        '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: xmlHeader +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      // Style 0 is the default, style 1 (XLSX_TEXT_STYLE) adds the quote prefix
+      name: 'xl/styles.xml',
+      data: xmlHeader +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" quotePrefix="1"/></cellXfs>' +
+        '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+        '</styleSheet>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      data: xmlHeader +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        `<sheetData>${sheetData}</sheetData>` +
+        '</worksheet>'
+    }
+  ]);
+}
+
+/**
+ * Save data as a file through the browser's download flow
+ * @param {string|Uint8Array} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type
+ */
+function downloadFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the download a moment to start before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Export products in the given format and download the file
+ * @param {Array<Object>} products - Extraction results
+ * @param {string} format - 'csv', 'ndjson' or 'xlsx'
+ * @param {string} baseName - File name without extension (defaults to products-YYYY-MM-DD)
+ * @returns {string} - The downloaded file name
+ */
+function exportProducts(products, format, baseName) {
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  let content;
+  if (format === 'csv') {
+    content = productsToCsv(products);
+  } else if (format === 'ndjson') {
+    content = productsToNdjson(products);
+  } else {
+    content = productsToXlsx(products);
+  }
+
+  const filename = `${baseName || 'products-' + new Date().toISOString().slice(0, 10)}.${exportFormat.extension}`;
+  downloadFile(content, filename, exportFormat.mimeType);
+  return filename;
+}
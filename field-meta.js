@@ -0,0 +1,93 @@
+/**
+ * Field Metadata (extraction provenance)
+ * Records how each main field of the result was found, so records can be
+ * accepted automatically when every field is confident and reviewed otherwise.
+ *
+ * productData.fieldMeta format (one entry per field in FIELD_META_FIELDS that has a value):
+ * {
+ *   price: {
+ *     strategy: 'heuristic',   // json-ld, microdata, platform, site-selector, platform-selector, override, variant or heuristic
+ *     selector: 'span.price',  // Selector of the element the value came from (null when not read from the DOM)
+ *     confidence: 0.48,        // 0-1
+ *     rejected: [              // Other candidates that were considered, best first
+ *       { value: '$4.99', selector: 'span.shipping-cost' }
+ *     ]
+ *   }
+ * }
+ *
+ * Heuristic confidence reuses the scores of the selector finder (selector-finder.js).
+ */
+
+// Fields that get an entry in productData.fieldMeta
+const FIELD_META_FIELDS = ['name', 'price', 'image', 'brand', 'sku', 'gtin', 'availability'];
+
+// Confidence (0-1) by strategy. Heuristics are scaled below this by the element's score
+const FIELD_STRATEGY_CONFIDENCE = {
+  'json-ld': 0.95,
+  microdata: 0.9,
+  platform: 0.95,            // The platform's product API (platforms.js)
+  'site-selector': 0.9,      // The domain's rules in site-selectors.js
+  'platform-selector': 0.75, // The platform's generic theme rules
+  override: 0.9,             // Selector picked by the user (selector-overrides.js)
+  variant: 0.9,              // The selected variant (availability only)
+  heuristic: 0.6
+};
+
+// Where structured data was read from (the value itself isn't tied to one element)
+const STRUCTURED_DATA_SELECTORS = {
+  'json-ld': 'script[type="application/ld+json"]',
+  microdata: '[itemtype*="schema.org/Product" i]'
+};
+
+// Rejected candidates kept per field
+const MAX_REJECTED_CANDIDATES = 5;
+
+/**
+ * Create a field metadata entry
+ * @param {string} strategy - Key of FIELD_STRATEGY_CONFIDENCE
+ * @param {Object} details - { selector, confidence, rejected } (all optional)
+ * @returns {Object} - { strategy, selector, confidence, rejected }
+ */
+function createFieldMeta(strategy, details = {}) {
+  return {
+    strategy: strategy,
+    selector: details.selector || STRUCTURED_DATA_SELECTORS[strategy] || null,
+    confidence: details.confidence ?? FIELD_STRATEGY_CONFIDENCE[strategy],
+    rejected: (details.rejected || []).slice(0, MAX_REJECTED_CANDIDATES)
+  };
+}
+
+/**
+ * Score a heuristic candidate with the selector finder's 0-10 scores
+ * @param {string} field - 'name', 'price' or 'image'
+ * @param {Object} candidate - { value, element }
+ * @returns {number} - 0-10
+ */
+function scoreHeuristicCandidate(field, candidate) {
+  if (field === 'name') return calculateNameConfidence(candidate.element, candidate.value);
+  if (field === 'price') return calculatePriceConfidence(candidate.element, parsePriceAmount(candidate.value));
+  return calculateImageConfidence(candidate.element);
+}
+
+/**
+ * Create field metadata for a value picked by a heuristic
+ * @param {string} field - 'name', 'price' or 'image'
+ * @param {Array<Object>} candidates - Candidates { value, element }, best (picked) first
+ * @returns {Object} - Field metadata entry
+ */
+function createHeuristicFieldMeta(field, candidates) {
+  const picked = candidates[0];
+  const score = scoreHeuristicCandidate(field, picked);
+  // Other values only - nested elements repeating the picked value aren't alternatives
+  const others = candidates.filter((candidate, index) =>
+    candidate.value !== picked.value && candidates.findIndex(other => other.value === candidate.value) === index
+  );
+  return createFieldMeta('heuristic', {
+    selector: generateSelector(picked.element),
+    confidence: Math.round(FIELD_STRATEGY_CONFIDENCE.heuristic * score / 10 * 100) / 100,
+    rejected: others.slice(0, MAX_REJECTED_CANDIDATES).map(candidate => ({
+      value: candidate.value,
+      selector: generateSelector(candidate.element)
+    }))
+  });
+}
@@ -0,0 +1,384 @@
+/**
+ * Extraction History Storage
+ * Keeps every successful extraction in chrome.storage.local, one entry per product.
+ *
+ * Entries are keyed by canonical URL, so extracting the same product again
+ * (with different tracking parameters, fragments, etc.) updates the existing
+ * entry instead of adding a duplicate.
+ *
+ * Entry format:
+ * {
+ *   id: 'https://amazon.com/dp/B09B8V1LZ3',   // Canonical URL (also the storage key)
+ *   canonicalUrl: 'https://amazon.com/dp/B09B8V1LZ3',
+ *   site: 'amazon.com',
+ *   firstExtracted: '2024-01-01T12:00:00.000Z',
+ *   lastExtracted: '2024-01-02T12:00:00.000Z',
+ *   extractCount: 2,
+ *   data: { name, price, image, ... },         // Latest extraction result (HISTORY_DATA_FIELDS only)
+ *   observations: [                            // Price series, oldest first
+ *     { timestamp, amount, currency, price, isDiscounted, availability }
+ *   ]
+ * }
+ */
+
+const HISTORY_KEY = 'extractionHistory';
+const COLLECTIONS_KEY = 'collections';
+
+// Oldest observations are dropped past this many, to keep storage bounded
+const MAX_OBSERVATIONS = 500;
+
+// Fields of an extraction kept in history entries. The whole history is one storage
+// value, so provenance (fieldMeta) and variant lists stay out of it to keep it small.
+const HISTORY_DATA_FIELDS = [
+  'name', 'price', 'amount', 'currency', 'locale', 'isDiscounted',
+  'listPrice', 'salePrice', 'discountPercent', 'couponText',
+  'image', 'images', 'brand', 'sku', 'gtin', 'availability', 'stockCount',
+  'platform', 'mode', 'site', 'url', 'canonicalUrl', 'timestamp'
+];
+
+// Query parameters that only track the visit and never change the product, on any site
+const TRACKING_PARAMS = [
+  /^utm_/i, /^_trk/i,
+  /^(gclid|fbclid|msclkid|dclid|yclid|srsltid|mc_cid|mc_eid|igshid|spm|scm)$/i
+];
+
+// Amazon's own tracking parameters. Names like ref, tag, th or sr pick the product or
+// variant on other sites, so they are only dropped from Amazon URLs.
+const AMAZON_TRACKING_PARAMS = [
+  /^pd_rd_/i, /^pf_rd_/i,
+  /^(ref|ref_|tag|psc|th|smid|_encoding|content-id|qid|sr|keywords|crid|sprefix)$/i
+];
+
+/**
+ * Canonicalize a product URL so the same product always maps to the same key
+ *
+ * - Lowercases the host and removes "www."
+ * - Drops the fragment and tracking parameters (utm_*, gclid, ...; ref, tag, ... on Amazon)
+ * - Sorts the remaining query parameters
+ * - Shortens Amazon product URLs to /dp/<ASIN>
+ *
+ * @param {string} url - Page URL or <link rel="canonical"> URL
+ * @returns {string} - Canonical URL (or the input if it cannot be parsed)
+ */
+function canonicalizeUrl(url) {
+  try {
+    const urlObj = new URL(url);
+    urlObj.hash = '';
+    urlObj.hostname = urlObj.hostname.toLowerCase().replace(/^www\./, '');
+
+    // Amazon: /Some-Product-Name/dp/B09B8V1LZ3/ref=... -> /dp/B09B8V1LZ3
+    const isAmazon = urlObj.hostname.includes('amazon.');
+    const asinMatch = urlObj.pathname.match(/\/(?:dp|gp\/product)\/([A-Z0-9]{10})/i);
+    if (isAmazon && asinMatch) {
+      urlObj.pathname = `/dp/${asinMatch[1].toUpperCase()}`;
+      urlObj.search = '';
+    }
+
+    const trackingParams = isAmazon ? TRACKING_PARAMS.concat(AMAZON_TRACKING_PARAMS) : TRACKING_PARAMS;
+    const params = Array.from(urlObj.searchParams.entries())
+      .filter(([key]) => !trackingParams.some(pattern => pattern.test(key)))
+      .sort(([a], [b]) => a.localeCompare(b));
+    urlObj.search = new URLSearchParams(params).toString();
+
+    // Trailing slash is never significant for product pages
+    if (urlObj.pathname.length > 1 && urlObj.pathname.endsWith('/')) {
+      urlObj.pathname = urlObj.pathname.slice(0, -1);
+    }
+
+    return urlObj.toString();
+  } catch (e) {
+    console.error('Error canonicalizing URL:', e);
+    return url;
+  }
+}
+
+// Writes are chained so two extractions finishing together can't overwrite each other
+let historyWriteQueue = Promise.resolve();
+
+/**
+ * Run a read-modify-write on the history after any pending ones finish
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} - Result of the task
+ */
+function queueHistoryWrite(task) {
+  const run = historyWriteQueue.then(task, task);
+  historyWriteQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Read the whole history map from storage
+ * @returns {Promise<Object>} - Map of canonical URL -> entry
+ */
+async function readHistory() {
+  const result = await chrome.storage.local.get(HISTORY_KEY);
+  return result[HISTORY_KEY] || {};
+}
+
+/**
+ * Write the whole history map to storage
+ * A full storage area is reported as such, so the user knows to delete old entries.
+ * @param {Object} history - Map of canonical URL -> entry
+ * @returns {Promise<void>}
+ * @throws {Error} - If the write fails
+ */
+async function writeHistory(history) {
+  try {
+    await chrome.storage.local.set({ [HISTORY_KEY]: history });
+  } catch (error) {
+    if (/quota/i.test(error.message || '')) {
+      throw new Error('The extraction history is full. Delete old entries on the history page to keep saving new ones.');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Keep the fields of an extraction result that history entries store
+ * @param {Object} productData - Result of extractProductInfo()
+ * @returns {Object}
+ */
+function pickHistoryData(productData) {
+  const data = {};
+  HISTORY_DATA_FIELDS.forEach(field => {
+    if (productData[field] !== undefined) data[field] = productData[field];
+  });
+  return data;
+}
+
+/**
+ * Save an extraction result, updating the existing entry for the same product
+ * @param {Object} productData - Result of extractProductInfo()
+ * @returns {Promise<Object>} - The saved entry
+ * @throws {Error} - If the history can't be written (e.g., storage is full)
+ */
+async function addToHistory(productData) {
+  try {
+    return await queueHistoryWrite(async () => {
+      const history = await readHistory();
+      const canonicalUrl = canonicalizeUrl(productData.canonicalUrl || productData.url);
+      const extractedAt = productData.timestamp || new Date().toISOString();
+      const existing = history[canonicalUrl];
+
+      const observations = existing && existing.observations ? existing.observations : [];
+      observations.push({
+        timestamp: extractedAt,
+        amount: typeof productData.amount === 'number' ? productData.amount : null,
+        currency: productData.currency || null,
+        price: productData.price || null,
+        isDiscounted: Boolean(productData.isDiscounted),
+        availability: productData.availability || null
+      });
+
+      const entry = {
+        id: canonicalUrl,
+        canonicalUrl: canonicalUrl,
+        site: productData.site,
+        firstExtracted: existing ? existing.firstExtracted : extractedAt,
+        lastExtracted: extractedAt,
+        extractCount: existing ? existing.extractCount + 1 : 1,
+        data: pickHistoryData(productData),
+        observations: observations.slice(-MAX_OBSERVATIONS)
+      };
+
+      history[canonicalUrl] = entry;
+      await writeHistory(history);
+      return entry;
+    });
+  } catch (error) {
+    console.error('Error saving extraction to history:', error);
+    throw error;
+  }
+}
+
+/**
+ * List history entries, newest first
+ * @param {Object} filter - Optional filters
+ * @param {string} filter.site - Only entries for this site (subdomains included)
+ * @param {string} filter.from - Only entries extracted at or after this date (ISO string)
+ * @param {string} filter.to - Only entries extracted at or before this date (ISO string)
+ * @param {string} filter.url - Only entries whose canonical URL matches, or whose URL contains this text
+ * @returns {Promise<Array<Object>>} - Matching entries
+ */
+async function listHistory(filter = {}) {
+  try {
+    const history = await readHistory();
+    const fromTime = filter.from ? new Date(filter.from).getTime() : null;
+    const toTime = filter.to ? new Date(filter.to).getTime() : null;
+    const canonicalFilterUrl = filter.url ? canonicalizeUrl(filter.url) : null;
+
+    return Object.values(history)
+      .filter(entry => {
+        if (filter.site && entry.site !== filter.site && !entry.site.endsWith('.' + filter.site)) return false;
+
+        const extractedTime = new Date(entry.lastExtracted).getTime();
+        if (fromTime !== null && extractedTime < fromTime) return false;
+        if (toTime !== null && extractedTime > toTime) return false;
+
+        if (filter.url && entry.canonicalUrl !== canonicalFilterUrl && !entry.data.url.includes(filter.url)) return false;
+
+        return true;
+      })
+      .sort((a, b) => new Date(b.lastExtracted) - new Date(a.lastExtracted));
+  } catch (error) {
+    console.error('Error listing history:', error);
+    return [];
+  }
+}
+
+/**
+ * Get one history entry by id or by any URL of the product
+ * @param {string} idOrUrl - Entry id (canonical URL) or a product page URL
+ * @returns {Promise<Object|null>} - Entry or null if not found
+ */
+async function getHistoryEntry(idOrUrl) {
+  try {
+    const history = await readHistory();
+    return history[idOrUrl] || history[canonicalizeUrl(idOrUrl)] || null;
+  } catch (error) {
+    console.error('Error getting history entry:', error);
+    return null;
+  }
+}
+
+/**
+ * Delete history entries
+ * @param {Array<string>} ids - Entry ids (canonical URLs)
+ * @returns {Promise<number>} - Number of entries deleted
+ */
+async function deleteFromHistory(ids) {
+  try {
+    return await queueHistoryWrite(async () => {
+      const history = await readHistory();
+      let deleted = 0;
+      ids.forEach(id => {
+        if (history[id]) {
+          delete history[id];
+          deleted++;
+        }
+      });
+      await writeHistory(history);
+
+      // Deleted products can't stay in collections
+      const collections = await readCollections();
+      Object.values(collections).forEach(collection => {
+        collection.ids = collection.ids.filter(id => !ids.includes(id));
+      });
+      await writeCollections(collections);
+
+      return deleted;
+    });
+  } catch (error) {
+    console.error('Error deleting from history:', error);
+    return 0;
+  }
+}
+
+/**
+ * Clear the whole history (collections are emptied too, since they only group history entries)
+ * @returns {Promise<void>}
+ */
+async function clearHistory() {
+  try {
+    await queueHistoryWrite(() => chrome.storage.local.remove([HISTORY_KEY, COLLECTIONS_KEY]));
+  } catch (error) {
+    console.error('Error clearing history:', error);
+  }
+}
+
+/**
+ * Read all collections from storage
+ * @returns {Promise<Object>} - Map of collection name -> { name, created, ids }
+ */
+async function readCollections() {
+  const result = await chrome.storage.local.get(COLLECTIONS_KEY);
+  return result[COLLECTIONS_KEY] || {};
+}
+
+/**
+ * Write all collections to storage
+ * @param {Object} collections - Map of collection name -> collection
+ * @returns {Promise<void>}
+ */
+async function writeCollections(collections) {
+  await chrome.storage.local.set({ [COLLECTIONS_KEY]: collections });
+}
+
+/**
+ * List all collections, sorted by name
+ * @returns {Promise<Array<Object>>} - [{ name, created, ids }]
+ */
+async function listCollections() {
+  try {
+    const collections = await readCollections();
+    return Object.values(collections).sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    console.error('Error listing collections:', error);
+    return [];
+  }
+}
+
+/**
+ * Add history entries to a named collection, creating it if needed
+ * @param {string} name - Collection name
+ * @param {Array<string>} ids - Entry ids to add
+ * @returns {Promise<Object|null>} - Updated collection, or null on error
+ */
+async function addToCollection(name, ids) {
+  try {
+    return await queueHistoryWrite(async () => {
+      const collections = await readCollections();
+      const collection = collections[name] || { name: name, created: new Date().toISOString(), ids: [] };
+      ids.forEach(id => {
+        if (!collection.ids.includes(id)) {
+          collection.ids.push(id);
+        }
+      });
+      collections[name] = collection;
+      await writeCollections(collections);
+      return collection;
+    });
+  } catch (error) {
+    console.error('Error adding to collection:', error);
+    return null;
+  }
+}
+
+/**
+ * Remove history entries from a collection (the entries themselves are kept)
+ * @param {string} name - Collection name
+ * @param {Array<string>} ids - Entry ids to remove
+ * @returns {Promise<Object|null>} - Updated collection, or null if it doesn't exist
+ */
+async function removeFromCollection(name, ids) {
+  try {
+    return await queueHistoryWrite(async () => {
+      const collections = await readCollections();
+      const collection = collections[name];
+      if (!collection) return null;
+      collection.ids = collection.ids.filter(id => !ids.includes(id));
+      await writeCollections(collections);
+      return collection;
+    });
+  } catch (error) {
+    console.error('Error removing from collection:', error);
+    return null;
+  }
+}
+
+/**
+ * Delete a collection (the entries in it are kept)
+ * @param {string} name - Collection name
+ * @returns {Promise<void>}
+ */
+async function deleteCollection(name) {
+  try {
+    await queueHistoryWrite(async () => {
+      const collections = await readCollections();
+      delete collections[name];
+      await writeCollections(collections);
+    });
+  } catch (error) {
+    console.error('Error deleting collection:', error);
+  }
+}
@@ -0,0 +1,421 @@
+/**
+ * History Page
+ * Browse, search, sort and organize previously extracted products.
+ *
+ * All data comes from the background service worker (see background.js);
+ * this page only keeps the current view state.
+ */
+
+/**
+ * Send a message to the background service worker and unwrap the response
+ * @param {Object} message - Message with an action field
+ * @returns {Promise<*>} - Response data
+ */
+async function sendBackgroundMessage(message) {
+  const response = await chrome.runtime.sendMessage(message);
+  if (!response || !response.success) {
+    throw new Error(response?.error || `Failed to handle ${message.action}`);
+  }
+  return response.data;
+}
+
+/**
+ * Get the value of an entry used for sorting by the given column
+ * @param {Object} entry - History entry
+ * @param {string} key - Sort key (name, amount, site, lastExtracted)
+ * @returns {string|number} - Comparable value
+ */
+function getSortValue(entry, key) {
+  switch (key) {
+    case 'name':
+      return (entry.data.name || '').toLowerCase();
+    case 'amount':
+      return typeof entry.data.amount === 'number' ? entry.data.amount : -1;
+    case 'site':
+      return entry.site || '';
+    default:
+      return new Date(entry.lastExtracted).getTime();
+  }
+}
+
+/**
+ * Check whether an entry matches the free-text search
+ * @param {Object} entry - History entry
+ * @param {string} query - Lowercased search text
+ * @returns {boolean}
+ */
+function matchesSearch(entry, query) {
+  if (!query) return true;
+  const haystack = [entry.data.name, entry.site, entry.data.url, entry.data.brand]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+  return haystack.includes(query);
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+  const searchInput = document.getElementById('searchInput');
+  const siteFilter = document.getElementById('siteFilter');
+  const collectionFilter = document.getElementById('collectionFilter');
+  const sortSelect = document.getElementById('sortSelect');
+  const selectionCount = document.getElementById('selectionCount');
+  const collectionNameInput = document.getElementById('collectionNameInput');
+  const collectionNames = document.getElementById('collectionNames');
+  const addToCollectionBtn = document.getElementById('addToCollectionBtn');
+  const removeFromCollectionBtn = document.getElementById('removeFromCollectionBtn');
+  const deleteCollectionBtn = document.getElementById('deleteCollectionBtn');
+  const deleteSelectedBtn = document.getElementById('deleteSelectedBtn');
+  const trackSelectedBtn = document.getElementById('trackSelectedBtn');
+  const untrackSelectedBtn = document.getElementById('untrackSelectedBtn');
+  const exportFormat = document.getElementById('exportFormat');
+  const exportBtn = document.getElementById('exportBtn');
+  const selectAll = document.getElementById('selectAll');
+  const historyBody = document.getElementById('historyBody');
+  const emptyState = document.getElementById('emptyState');
+  const summary = document.getElementById('summary');
+
+  let entries = [];
+  let collections = [];
+  let watches = [];
+  const selectedIds = new Set();
+
+  /**
+   * Reload entries and collections from the background
+   */
+  async function loadData() {
+    try {
+      [entries, collections, watches] = await Promise.all([
+        sendBackgroundMessage({ action: 'historyList' }),
+        sendBackgroundMessage({ action: 'collectionsList' }),
+        sendBackgroundMessage({ action: 'watchList' })
+      ]);
+    } catch (error) {
+      console.error('Error loading history:', error);
+      entries = [];
+      collections = [];
+      watches = [];
+    }
+
+    // Forget selections for entries that no longer exist
+    const existingIds = new Set(entries.map(entry => entry.id));
+    Array.from(selectedIds).forEach(id => {
+      if (!existingIds.has(id)) selectedIds.delete(id);
+    });
+
+    renderFilters();
+    render();
+  }
+
+  /**
+   * Replace the options of a select, keeping its first ("All ...") option
+   * @param {HTMLSelectElement} select - Select element
+   * @param {Array<string>} values - Option values (also used as labels)
+   */
+  function setSelectOptions(select, values) {
+    const current = select.value;
+    while (select.options.length > 1) {
+      select.remove(1);
+    }
+    values.forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      select.appendChild(option);
+    });
+    select.value = values.includes(current) ? current : '';
+  }
+
+  /**
+   * Rebuild the site and collection filter options
+   */
+  function renderFilters() {
+    const sites = Array.from(new Set(entries.map(entry => entry.site))).sort();
+    setSelectOptions(siteFilter, sites);
+    setSelectOptions(collectionFilter, collections.map(collection => collection.name));
+
+    collectionNames.textContent = '';
+    collections.forEach(collection => {
+      const option = document.createElement('option');
+      option.value = collection.name;
+      collectionNames.appendChild(option);
+    });
+  }
+
+  /**
+   * Get the entries matching the current search, filters and sort order
+   * @returns {Array<Object>}
+   */
+  function getVisibleEntries() {
+    const query = searchInput.value.trim().toLowerCase();
+    const site = siteFilter.value;
+    const activeCollection = collections.find(collection => collection.name === collectionFilter.value);
+    const [sortKey, sortDir] = sortSelect.value.split(':');
+
+    return entries
+      .filter(entry => !site || entry.site === site)
+      .filter(entry => !activeCollection || activeCollection.ids.includes(entry.id))
+      .filter(entry => matchesSearch(entry, query))
+      .sort((a, b) => {
+        const valueA = getSortValue(a, sortKey);
+        const valueB = getSortValue(b, sortKey);
+        const order = valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+        return sortDir === 'desc' ? -order : order;
+      });
+  }
+
+  /**
+   * Build one table row for an entry
+   * @param {Object} entry - History entry
+   * @returns {HTMLTableRowElement}
+   */
+  function createRow(entry) {
+    const row = document.createElement('tr');
+    if (selectedIds.has(entry.id)) row.classList.add('selected');
+
+    // Selection checkbox
+    const selectCell = document.createElement('td');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = selectedIds.has(entry.id);
+    checkbox.addEventListener('change', function() {
+      if (checkbox.checked) {
+        selectedIds.add(entry.id);
+      } else {
+        selectedIds.delete(entry.id);
+      }
+      render();
+    });
+    selectCell.appendChild(checkbox);
+    row.appendChild(selectCell);
+
+    // Thumbnail
+    const imageCell = document.createElement('td');
+    if (entry.data.image) {
+      const img = document.createElement('img');
+      img.className = 'thumbnail';
+      img.src = entry.data.image;
+      img.alt = '';
+      img.loading = 'lazy';
+      imageCell.appendChild(img);
+    }
+    row.appendChild(imageCell);
+
+    // Name (links to the product page) plus the collections it belongs to
+    const nameCell = document.createElement('td');
+    const link = document.createElement('a');
+    link.className = 'product-link';
+    link.href = entry.data.url || entry.canonicalUrl;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = entry.data.name || entry.canonicalUrl;
+    nameCell.appendChild(link);
+
+    const memberOf = collections.filter(collection => collection.ids.includes(entry.id));
+    const watch = watches.find(item => item.id === entry.id);
+    if (memberOf.length > 0 || watch) {
+      const tags = document.createElement('div');
+      tags.className = 'collection-tags';
+      if (watch) {
+        const tag = document.createElement('span');
+        tag.className = 'tracking-tag';
+        tag.textContent = 'Tracking';
+        tag.title = watch.lastChecked
+          ? `Last checked ${new Date(watch.lastChecked).toLocaleString()}${watch.lastError ? ` (${watch.lastError})` : ''}`
+          : 'Not checked yet';
+        tags.appendChild(tag);
+      }
+      memberOf.forEach(collection => {
+        const tag = document.createElement('span');
+        tag.className = 'collection-tag';
+        tag.textContent = collection.name;
+        tags.appendChild(tag);
+      });
+      nameCell.appendChild(tags);
+    }
+    row.appendChild(nameCell);
+
+    const priceCell = document.createElement('td');
+    priceCell.textContent = entry.data.price || '';
+    row.appendChild(priceCell);
+
+    const siteCell = document.createElement('td');
+    siteCell.textContent = entry.site || '';
+    row.appendChild(siteCell);
+
+    const dateCell = document.createElement('td');
+    dateCell.textContent = new Date(entry.lastExtracted).toLocaleString();
+    dateCell.title = `Extracted ${entry.extractCount} time(s), first on ${new Date(entry.firstExtracted).toLocaleString()}`;
+    row.appendChild(dateCell);
+
+    return row;
+  }
+
+  /**
+   * Render the table, sort indicators and selection controls
+   */
+  function render() {
+    const visible = getVisibleEntries();
+
+    historyBody.textContent = '';
+    visible.forEach(entry => historyBody.appendChild(createRow(entry)));
+
+    emptyState.style.display = visible.length === 0 ? 'block' : 'none';
+    emptyState.textContent = entries.length === 0
+      ? 'No extracted products yet. Use the extension popup on a product page to add one.'
+      : 'No products match the current filters.';
+    summary.textContent = `${visible.length} of ${entries.length} products`;
+
+    // Sort indicators on the column headers
+    const [sortKey, sortDir] = sortSelect.value.split(':');
+    document.querySelectorAll('th.sortable').forEach(th => {
+      th.classList.remove('sorted-asc', 'sorted-desc');
+      if (th.dataset.sort === sortKey) th.classList.add(`sorted-${sortDir}`);
+    });
+
+    // Selection state
+    const hasSelection = selectedIds.size > 0;
+    selectionCount.textContent = `${selectedIds.size} selected`;
+    selectAll.checked = visible.length > 0 && visible.every(entry => selectedIds.has(entry.id));
+    deleteSelectedBtn.disabled = !hasSelection;
+    trackSelectedBtn.disabled = !hasSelection;
+    untrackSelectedBtn.disabled = !Array.from(selectedIds).some(id => watches.some(watch => watch.id === id));
+    exportBtn.textContent = hasSelection ? `Export ${selectedIds.size} selected` : `Export ${visible.length} shown`;
+    exportBtn.disabled = !hasSelection && visible.length === 0;
+    addToCollectionBtn.disabled = !hasSelection;
+
+    // Collection actions only make sense while viewing a collection
+    const viewingCollection = collectionFilter.value !== '';
+    removeFromCollectionBtn.style.display = viewingCollection ? 'inline-block' : 'none';
+    removeFromCollectionBtn.disabled = !hasSelection;
+    deleteCollectionBtn.style.display = viewingCollection ? 'inline-block' : 'none';
+  }
+
+  // Filters and sorting
+  searchInput.addEventListener('input', render);
+  siteFilter.addEventListener('change', render);
+  collectionFilter.addEventListener('change', function() {
+    if (collectionFilter.value) collectionNameInput.value = collectionFilter.value;
+    render();
+  });
+  sortSelect.addEventListener('change', render);
+
+  // Clicking a column header sorts by it, clicking again flips the direction
+  document.querySelectorAll('th.sortable').forEach(th => {
+    th.addEventListener('click', function() {
+      const [sortKey, sortDir] = sortSelect.value.split(':');
+      const newDir = sortKey === th.dataset.sort && sortDir === 'asc' ? 'desc' : 'asc';
+      sortSelect.value = `${th.dataset.sort}:${newDir}`;
+      render();
+    });
+  });
+
+  selectAll.addEventListener('change', function() {
+    getVisibleEntries().forEach(entry => {
+      if (selectAll.checked) {
+        selectedIds.add(entry.id);
+      } else {
+        selectedIds.delete(entry.id);
+      }
+    });
+    render();
+  });
+
+  deleteSelectedBtn.addEventListener('click', async function() {
+    const ids = Array.from(selectedIds);
+    if (!confirm(`Delete ${ids.length} product(s) from history?`)) return;
+    try {
+      await sendBackgroundMessage({ action: 'historyDelete', ids: ids });
+      selectedIds.clear();
+    } catch (error) {
+      console.error('Error deleting history entries:', error);
+    }
+    await loadData();
+  });
+
+  addToCollectionBtn.addEventListener('click', async function() {
+    const name = collectionNameInput.value.trim();
+    if (!name) {
+      collectionNameInput.focus();
+      return;
+    }
+    try {
+      await sendBackgroundMessage({ action: 'collectionAdd', name: name, ids: Array.from(selectedIds) });
+      selectedIds.clear();
+    } catch (error) {
+      console.error('Error adding to collection:', error);
+    }
+    await loadData();
+  });
+
+  removeFromCollectionBtn.addEventListener('click', async function() {
+    try {
+      await sendBackgroundMessage({ action: 'collectionRemove', name: collectionFilter.value, ids: Array.from(selectedIds) });
+      selectedIds.clear();
+    } catch (error) {
+      console.error('Error removing from collection:', error);
+    }
+    await loadData();
+  });
+
+  deleteCollectionBtn.addEventListener('click', async function() {
+    const name = collectionFilter.value;
+    if (!confirm(`Delete the collection "${name}"? The products stay in your history.`)) return;
+    try {
+      await sendBackgroundMessage({ action: 'collectionDelete', name: name });
+      collectionFilter.value = '';
+    } catch (error) {
+      console.error('Error deleting collection:', error);
+    }
+    await loadData();
+  });
+
+  // Tracking from here alerts on any new lowest price; thresholds are set in the popup
+  trackSelectedBtn.addEventListener('click', async function() {
+    const selected = entries.filter(entry => selectedIds.has(entry.id));
+    try {
+      for (const entry of selected) {
+        const watch = watches.find(item => item.id === entry.id);
+        await sendBackgroundMessage({
+          action: 'watchAdd',
+          data: entry.data,
+          threshold: watch ? watch.threshold : null,
+          dropPercent: watch ? watch.dropPercent : null
+        });
+      }
+    } catch (error) {
+      console.error('Error tracking products:', error);
+    }
+    await loadData();
+  });
+
+  untrackSelectedBtn.addEventListener('click', async function() {
+    try {
+      await sendBackgroundMessage({ action: 'watchRemove', ids: Array.from(selectedIds) });
+    } catch (error) {
+      console.error('Error removing products from the watchlist:', error);
+    }
+    await loadData();
+  });
+
+  // Export the selected products, or everything currently shown when nothing is selected
+  exportBtn.addEventListener('click', function() {
+    const visible = getVisibleEntries();
+    const toExport = selectedIds.size > 0
+      ? entries.filter(entry => selectedIds.has(entry.id))
+      : visible;
+    try {
+      exportProducts(toExport.map(entry => entry.data), exportFormat.value);
+    } catch (error) {
+      console.error('Error exporting products:', error);
+    }
+  });
+
+  // Pick up extractions made in other tabs while this page is open
+  chrome.storage.onChanged.addListener(function(changes, areaName) {
+    if (areaName === 'local' && (changes.extractionHistory || changes.collections || changes.watchlist)) {
+      loadData();
+    }
+  });
+
+  loadData();
+});
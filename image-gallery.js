@@ -0,0 +1,368 @@
+/**
+ * Product Image Gallery Extraction
+ * Collects every product image (all angles) into an ordered, de-duplicated list.
+ *
+ * Sources, in order:
+ * 1. The main image already chosen by structured data / site rules / heuristics
+ * 2. Schema.org image arrays (JSON-LD / microdata)
+ * 3. Gallery elements: the site's `gallery` selectors, then common gallery/thumbnail
+ *    markup and every image inside the main image's gallery or carousel
+ *    (src, srcset, lazy-load attributes, zoom attributes, data-a-dynamic-image).
+ *    The common markup is only searched there, since related-product strips and
+ *    recommendations use the same class names.
+ * 4. og:image / twitter:image meta tags
+ *
+ * The same picture usually appears in several sizes (a 40px thumbnail, a 500px
+ * preview, a 1500px zoom image). Each URL is reduced to an "asset key" with
+ * the size parts removed, so all sizes collapse into one image, and the
+ * largest known size is kept. For CDNs whose size tokens are well known
+ * (Amazon, Shopify, eBay, WordPress) the full-size URL is rebuilt directly.
+ */
+
+// Stop after this many images (some pages embed hundreds of swatches)
+const MAX_GALLERY_IMAGES = 30;
+
+// Size used for URLs that are known to be the original, full-size asset
+const ORIGINAL_IMAGE_SIZE = Number.MAX_SAFE_INTEGER;
+
+// Widths of Shopify's legacy named image sizes
+const SHOPIFY_NAMED_SIZES = {
+  pico: 16, icon: 32, thumb: 50, small: 100, compact: 160, medium: 240, large: 480, grande: 600
+};
+
+// Generic markup used by image galleries and thumbnail strips (searched inside the
+// main image's gallery only, see findMainImageGallery())
+const GENERIC_GALLERY_SELECTORS = [
+  '[class*="gallery" i] img',
+  '[id*="gallery" i] img',
+  '[class*="thumbnail" i] img',
+  '[class*="product-image" i] img',
+  '[class*="product__media" i] img',
+  '[class*="productImage" i] img',
+  '[data-zoom-image]',
+  '[data-large-image]'
+];
+
+// Containers around a product's own images
+const GALLERY_CONTAINER_SELECTOR = [
+  '[class*="gallery" i]',
+  '[id*="gallery" i]',
+  '[class*="carousel" i]',
+  '[class*="product__media" i]',
+  '[class*="product-media" i]',
+  '[id*="imageBlock" i]'
+].join(', ');
+
+// Ancestor levels of the main image searched for its gallery
+const GALLERY_CONTAINER_DEPTH = 6;
+
+// A container with more images than this is a whole page section, not a gallery
+const MAX_GALLERY_CONTAINER_IMAGES = 40;
+
+// Attributes that hold a single image URL (lazy loading, zoom, hi-res)
+const GALLERY_URL_ATTRIBUTES = [
+  'src', 'data-src', 'data-lazy-src', 'data-old-src', 'data-old-hires',
+  'data-zoom-image', 'data-large-image', 'data-zoom', 'data-full', 'data-image'
+];
+
+// Attributes that hold a srcset ("url 400w, url 800w")
+const GALLERY_SRCSET_ATTRIBUTES = ['srcset', 'data-srcset', 'data-lazy-srcset'];
+
+// URLs that are never product photos
+const NON_PRODUCT_IMAGE_PATTERN = /logo|icon|avatar|spinner|placeholder|sprite|blank\.|transparent\./i;
+
+// Query parameters that only select a rendition size
+const IMAGE_SIZE_PARAMS = /^(w|h|width|height|wid|hei|size|sw|sh|resize|fit|crop|dpr|quality|q|fmt|format|auto|im|imwidth|odnWidth|odnHeight|odnBg)$/i;
+
+/**
+ * Known CDN size conventions
+ * Each entry: test(url) -> bool, full(url) -> full-size URL (also used as the asset key),
+ * and size(url) -> width of this rendition (ORIGINAL_IMAGE_SIZE for originals, null if unknown)
+ */
+const IMAGE_CDN_PATTERNS = [
+  {
+    // Amazon: /images/I/71abc._AC_SX679_.jpg (modifiers between the dots)
+    name: 'amazon',
+    test: url => /(media-amazon|ssl-images-amazon|images-amazon)\.com\/images\//i.test(url),
+    full: url => url.replace(/\._[^/]*?_\.(\w+)(\?.*)?$/, '.$1'),
+    size: url => {
+      const modifiers = url.match(/\._([^/]*?)_\.\w+(\?.*)?$/);
+      if (!modifiers) return ORIGINAL_IMAGE_SIZE;
+      const sizes = (modifiers[1].match(/(?:SX|SY|SL|UL|SS|US|UX|UY|SR)\d+/g) || [])
+        .map(token => parseInt(token.replace(/\D/g, ''), 10));
+      return sizes.length > 0 ? Math.max(...sizes) : null;
+    }
+  },
+  {
+    // Shopify: /products/shirt_600x600.jpg, shirt_600x.jpg, shirt_grande.jpg, shirt_1024x1024@2x.jpg
+    name: 'shopify',
+    test: url => /cdn\.shopify\.com|\/cdn\/shop\//i.test(url),
+    full: url => stripImageSizeParams(url.replace(/_(\d*x\d*|pico|icon|thumb|small|compact|medium|large|grande|master|original)(@\dx)?(?=\.\w+(\?|$))/i, '')),
+    size: url => {
+      const token = url.match(/_(\d*)x(\d*)(?:@(\d)x)?(?=\.\w+(\?|$))/i);
+      if (token && (token[1] || token[2])) {
+        return parseInt(token[1] || token[2], 10) * (token[3] ? parseInt(token[3], 10) : 1);
+      }
+      const named = url.match(/_(pico|icon|thumb|small|compact|medium|large|grande)(?=\.\w+(\?|$))/i);
+      if (named) return SHOPIFY_NAMED_SIZES[named[1].toLowerCase()];
+      const widthParam = url.match(/[?&]width=(\d+)/i);
+      return widthParam ? parseInt(widthParam[1], 10) : ORIGINAL_IMAGE_SIZE;
+    }
+  },
+  {
+    // eBay: /images/g/abc/s-l64.jpg ... s-l1600.jpg
+    name: 'ebay',
+    test: url => /ebayimg\.com/i.test(url),
+    full: url => url.replace(/\/s-l\d+\.(\w+)/i, '/s-l1600.$1'),
+    size: url => {
+      const match = url.match(/\/s-l(\d+)\./i);
+      return match ? parseInt(match[1], 10) : null;
+    }
+  },
+  {
+    // WordPress / WooCommerce: /wp-content/uploads/2024/01/shirt-300x300.jpg
+    name: 'wordpress',
+    test: url => /\/wp-content\/uploads\//i.test(url),
+    full: url => url.replace(/-\d+x\d+(?=\.\w+(\?|$))/, ''),
+    size: url => {
+      const match = url.match(/-(\d+)x\d+(?=\.\w+(\?|$))/);
+      return match ? parseInt(match[1], 10) : ORIGINAL_IMAGE_SIZE;
+    }
+  }
+];
+
+/**
+ * Remove size-selecting query parameters from an image URL
+ * @param {string} url - Absolute image URL
+ * @returns {string}
+ */
+function stripImageSizeParams(url) {
+  try {
+    const urlObj = new URL(url);
+    Array.from(urlObj.searchParams.keys()).forEach(key => {
+      if (IMAGE_SIZE_PARAMS.test(key)) urlObj.searchParams.delete(key);
+    });
+    return urlObj.href;
+  } catch (e) {
+    return url;
+  }
+}
+
+/**
+ * Get the key that identifies an image regardless of which size variant the URL points to
+ * @param {string} url - Absolute image URL
+ * @returns {string}
+ */
+function getImageAssetKey(url) {
+  const cdn = IMAGE_CDN_PATTERNS.find(pattern => pattern.test(url));
+  const key = cdn ? cdn.full(url) : stripImageSizeParams(url);
+  // Same file over http/https or with different cache-busting versions is the same asset
+  return key
+    .replace(/^https?:/i, '')
+    .replace(/([?&])v=\d+(&|$)/, '$1')
+    .replace(/[?&]$/, '');
+}
+
+/**
+ * Estimate the width of the rendition a URL points to
+ * @param {string} url - Absolute image URL
+ * @param {number|null} hintWidth - Width known from srcset / dynamic-image data, if any
+ * @returns {number} - Width in pixels (ORIGINAL_IMAGE_SIZE for full-size originals, 0 if unknown)
+ */
+function estimateImageWidth(url, hintWidth) {
+  const cdn = IMAGE_CDN_PATTERNS.find(pattern => pattern.test(url));
+  const cdnSize = cdn ? cdn.size(url) : null;
+  if (cdnSize !== null) return cdnSize;
+  if (hintWidth) return hintWidth;
+
+  // Generic CDNs: ?width=800 / ?w=800
+  const widthParam = url.match(/[?&](?:w|width|wid|imwidth|sw)=(\d+)/i);
+  return widthParam ? parseInt(widthParam[1], 10) : 0;
+}
+
+/**
+ * Get the best URL for an asset: the rebuilt full-size URL on known CDNs,
+ * otherwise the largest variant seen on the page
+ * @param {string} url - Largest variant seen
+ * @returns {string}
+ */
+function getFullSizeImageUrl(url) {
+  const cdn = IMAGE_CDN_PATTERNS.find(pattern => pattern.test(url));
+  return cdn ? cdn.full(url) : url;
+}
+
+/**
+ * Resolve a possibly relative / protocol-relative image URL
+ * @param {string} value - Raw URL
+ * @returns {string|null} - Absolute http(s) URL, or null for data: URIs, SVGs and junk
+ */
+function resolveImageUrl(value) {
+  if (!value || typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  if (!trimmed || trimmed.startsWith('data:') || trimmed.startsWith('blob:')) return null;
+  try {
+    const url = new URL(trimmed, window.location.href);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    if (/\.svg(\?|$)/i.test(url.pathname)) return null;
+    if (NON_PRODUCT_IMAGE_PATTERN.test(url.pathname)) return null;
+    return url.href;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Parse a srcset attribute
+ * @param {string} srcset - "a.jpg 400w, b.jpg 800w" or "a.jpg 1x, b.jpg 2x"
+ * @returns {Array<{url: string, width: number|null}>}
+ */
+function parseSrcset(srcset) {
+  if (!srcset) return [];
+  // Split on commas that are followed by whitespace, so commas inside URLs survive
+  return srcset.split(/,\s+/).map(candidate => {
+    const [url, descriptor] = candidate.trim().split(/\s+/);
+    const widthMatch = descriptor && descriptor.match(/^(\d+)w$/);
+    return { url: url, width: widthMatch ? parseInt(widthMatch[1], 10) : null };
+  }).filter(candidate => candidate.url);
+}
+
+/**
+ * Read every image URL an element exposes, with a width hint when one is known
+ * @param {HTMLElement} el - <img>, <source> or any element with image attributes
+ * @returns {Array<{url: string, width: number|null}>}
+ */
+function readElementImageUrls(el) {
+  const found = [];
+
+  GALLERY_URL_ATTRIBUTES.forEach(attribute => {
+    const value = el.getAttribute(attribute);
+    if (value) found.push({ url: value, width: null });
+  });
+
+  GALLERY_SRCSET_ATTRIBUTES.forEach(attribute => {
+    found.push(...parseSrcset(el.getAttribute(attribute)));
+  });
+
+  // Amazon: {"https://...SX300_.jpg": [300, 300], "https://...SX679_.jpg": [679, 679]}
+  const dynamicImage = el.getAttribute('data-a-dynamic-image');
+  if (dynamicImage) {
+    try {
+      const sizes = JSON.parse(dynamicImage);
+      Object.keys(sizes).forEach(url => {
+        found.push({ url: url, width: Array.isArray(sizes[url]) ? sizes[url][0] : null });
+      });
+    } catch (e) {
+      console.warn('Failed to parse data-a-dynamic-image:', e);
+    }
+  }
+
+  // <picture><source srcset> siblings of an <img>
+  if (el.tagName === 'IMG' && el.parentElement && el.parentElement.tagName === 'PICTURE') {
+    el.parentElement.querySelectorAll('source').forEach(source => {
+      found.push(...parseSrcset(source.getAttribute('srcset')));
+    });
+  }
+
+  // Zoom links: <a href="big.jpg"><img src="small.jpg"></a>
+  const link = el.closest ? el.closest('a[href]') : null;
+  if (link && /\.(jpe?g|png|webp|avif)(\?|$)/i.test(link.getAttribute('href'))) {
+    found.push({ url: link.getAttribute('href'), width: null });
+  }
+
+  return found;
+}
+
+/**
+ * Find the element showing the main image
+ * @param {string} mainImage - Main image URL
+ * @returns {HTMLElement|null}
+ */
+function findMainImageElement(mainImage) {
+  const mainKey = getImageAssetKey(mainImage);
+  return Array.from(document.querySelectorAll('img')).find(img =>
+    readElementImageUrls(img).some(candidate => {
+      const url = resolveImageUrl(candidate.url);
+      return url && getImageAssetKey(url) === mainKey;
+    })) || null;
+}
+
+/**
+ * Find the gallery around the main image: the outermost gallery-like container
+ * (GALLERY_CONTAINER_SELECTOR) close to it, or else the closest ancestor that holds
+ * several images. Containers with more than MAX_GALLERY_CONTAINER_IMAGES images are
+ * page sections, not galleries.
+ * @param {string} mainImage - Main image URL
+ * @returns {HTMLElement|null}
+ */
+function findMainImageGallery(mainImage) {
+  const mainElement = findMainImageElement(mainImage);
+  if (!mainElement) return null;
+
+  let gallery = null;
+  let carousel = null;
+  let container = mainElement.parentElement;
+  for (let depth = 0; container && depth < GALLERY_CONTAINER_DEPTH; depth++) {
+    if (container.querySelectorAll('img').length > MAX_GALLERY_CONTAINER_IMAGES) break;
+    if (container.matches(GALLERY_CONTAINER_SELECTOR)) gallery = container;
+    if (!carousel && container.querySelectorAll('img').length >= 2) carousel = container;
+    container = container.parentElement;
+  }
+  return gallery || carousel;
+}
+
+/**
+ * Collect all product images, main image first
+ * @param {Object} options
+ * @param {string|null} options.mainImage - Main image chosen by the normal extraction
+ * @param {Array<string>} options.structuredImages - Image URLs from structured data
+ * @param {Array<string>} options.gallerySelectors - Site-specific gallery selectors (see site-selectors.js)
+ * @returns {Array<string>} - Ordered, de-duplicated full-size image URLs
+ */
+function extractProductImages({ mainImage = null, structuredImages = [], gallerySelectors = [] } = {}) {
+  // Asset key -> { url, width, order }
+  const assets = new Map();
+
+  function addCandidate(rawUrl, hintWidth) {
+    const url = resolveImageUrl(rawUrl);
+    if (!url) return;
+    const key = getImageAssetKey(url);
+    const width = estimateImageWidth(url, hintWidth);
+    const existing = assets.get(key);
+    if (!existing) {
+      if (assets.size >= MAX_GALLERY_IMAGES) return;
+      assets.set(key, { url: url, width: width, order: assets.size });
+    } else if (width > existing.width) {
+      existing.url = url;
+      existing.width = width;
+    }
+  }
+
+  function addElements(elements) {
+    elements.forEach(el => {
+      readElementImageUrls(el).forEach(candidate => addCandidate(candidate.url, candidate.width));
+    });
+  }
+
+  // 1. Main image
+  if (mainImage) addCandidate(mainImage, null);
+
+  // 2. Structured data
+  structuredImages.forEach(url => addCandidate(url, null));
+
+  // 3. Gallery markup: site selectors, then generic gallery markup and the other
+  // images in the main image's gallery
+  gallerySelectors.forEach(selector => addElements(queryRuleSelectorAll(selector)));
+  const gallery = mainImage ? findMainImageGallery(mainImage) : null;
+  if (gallery) {
+    GENERIC_GALLERY_SELECTORS.forEach(selector => addElements(Array.from(gallery.querySelectorAll(selector))));
+    addElements(Array.from(gallery.querySelectorAll('img, [data-a-dynamic-image]')));
+  }
+
+  // 4. Social meta tags
+  document.querySelectorAll('meta[property="og:image"], meta[property="og:image:secure_url"], meta[name="twitter:image"]')
+    .forEach(meta => addCandidate(meta.getAttribute('content'), null));
+
+  return Array.from(assets.values())
+    .sort((a, b) => a.order - b.order)
+    .map(asset => getFullSizeImageUrl(asset.url));
+}
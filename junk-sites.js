@@ -1,68 +1,180 @@
 /**
  * Junk Sites Storage Management
- * Manages a list of unsupported sites that have been checked and confirmed as not supported
+ * Keeps track of unsupported sites where extraction was attempted.
+ *
+ * One entry per domain:
+ * { domain, firstSeen, lastSeen, attempts }   (dates are ISO strings)
+ *
+ * Entries expire JUNK_SITE_EXPIRY_DAYS after the last attempt and are cleared
+ * when the extension updates, since a newer version may support the site.
+ * The list can be viewed and edited on the options page (options.html).
+ *
+ * Older versions stored a plain array of domains; it is converted on read.
+ *
+ * Content scripts in several tabs record attempts at the same time, so every change goes
+ * through the background service worker (reportJunkSite() and the junkSites* messages),
+ * which makes them one at a time.
  */
 
 const JUNK_SITES_KEY = 'junkSites';
 
+// Entries not attempted again within this many days are dropped
+const JUNK_SITE_EXPIRY_DAYS = 30;
+
+// Serializes read-modify-write cycles on the junk sites map
+let junkSitesWriteQueue = Promise.resolve();
+
 /**
- * Check if a domain is in the junk sites list
- * @param {string} domain - The domain to check
- * @returns {Promise<boolean>} - True if domain is in junk list
+ * Run a junk sites update after the ones already queued
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} - Result of the task
  */
-async function isJunkSite(domain) {
+function queueJunkSitesWrite(task) {
+  const run = junkSitesWriteQueue.then(task, task);
+  junkSitesWriteQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Get the time an entry expires
+ * @param {Object} entry - Junk site entry
+ * @returns {number} - Milliseconds since epoch
+ */
+function getJunkSiteExpiry(entry) {
+  return new Date(entry.lastSeen).getTime() + JUNK_SITE_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Read the junk sites map, converting the old array format and dropping expired entries
+ * @returns {Promise<Object>} - Map of domain -> entry
+ */
+async function readJunkSites() {
   try {
     const result = await chrome.storage.local.get(JUNK_SITES_KEY);
-    const junkSites = result[JUNK_SITES_KEY] || [];
-    return junkSites.includes(domain);
+    const stored = result[JUNK_SITES_KEY] || {};
+
+    let junkSites = stored;
+    if (Array.isArray(stored)) {
+      // Old format: domains only, so the first/last attempt dates are unknown
+      const now = new Date().toISOString();
+      junkSites = {};
+      stored.forEach(domain => {
+        junkSites[domain] = { domain: domain, firstSeen: now, lastSeen: now, attempts: 1 };
+      });
+    }
+
+    const now = Date.now();
+    Object.keys(junkSites).forEach(domain => {
+      if (getJunkSiteExpiry(junkSites[domain]) <= now) delete junkSites[domain];
+    });
+    return junkSites;
   } catch (error) {
-    console.error('Error checking junk sites:', error);
-    return false;
+    console.error('Error reading junk sites:', error);
+    return {};
   }
 }
 
 /**
- * Add a domain to the junk sites list
- * @param {string} domain - The domain to add
+ * Write the junk sites map
+ * @param {Object} junkSites - Map of domain -> entry
  * @returns {Promise<void>}
  */
-async function addToJunkSites(domain) {
+async function writeJunkSites(junkSites) {
+  await chrome.storage.local.set({ [JUNK_SITES_KEY]: junkSites });
+}
+
+/**
+ * Check if a domain is in the junk sites list (and not expired)
+ * @param {string} domain - The domain to check
+ * @returns {Promise<boolean>} - True if domain is in junk list
+ */
+async function isJunkSite(domain) {
+  const junkSites = await readJunkSites();
+  return Boolean(junkSites[domain]);
+}
+
+/**
+ * Send an extraction attempt on an unsupported domain to the background service worker
+ * Runs in the content script.
+ * @param {string} domain - The domain
+ * @returns {Promise<Object|null>} - Updated entry, or null if it couldn't be saved
+ */
+async function reportJunkSite(domain) {
   try {
-    const result = await chrome.storage.local.get(JUNK_SITES_KEY);
-    const junkSites = result[JUNK_SITES_KEY] || [];
-    
-    if (!junkSites.includes(domain)) {
-      junkSites.push(domain);
-      await chrome.storage.local.set({ [JUNK_SITES_KEY]: junkSites });
+    const response = await chrome.runtime.sendMessage({ action: 'recordJunkSite', domain: domain });
+    if (!response || !response.success) {
+      console.warn('Failed to record unsupported site:', response && response.error);
+      return null;
     }
+    return response.data;
   } catch (error) {
-    console.error('Error adding to junk sites:', error);
+    console.warn('Failed to record unsupported site:', error);
+    return null;
   }
 }
 
 /**
- * Get all junk sites
- * @returns {Promise<Array<string>>} - Array of junk site domains
+ * Record an extraction attempt on an unsupported domain
+ * Runs in the background service worker (see reportJunkSite()).
+ * @param {string} domain - The domain
+ * @returns {Promise<Object|null>} - Updated entry, or null if it couldn't be saved
+ */
+async function recordJunkSite(domain) {
+  return queueJunkSitesWrite(async () => {
+    try {
+      const junkSites = await readJunkSites();
+      const now = new Date().toISOString();
+      const entry = junkSites[domain] || { domain: domain, firstSeen: now, lastSeen: now, attempts: 0 };
+      entry.lastSeen = now;
+      entry.attempts += 1;
+      junkSites[domain] = entry;
+      await writeJunkSites(junkSites);
+      return entry;
+    } catch (error) {
+      console.error('Error adding to junk sites:', error);
+      return null;
+    }
+  });
+}
+
+/**
+ * Get all junk sites, most recent attempt first
+ * @returns {Promise<Array<Object>>} - Entries with an expires date added
  */
 async function getJunkSites() {
-  try {
-    const result = await chrome.storage.local.get(JUNK_SITES_KEY);
-    return result[JUNK_SITES_KEY] || [];
-  } catch (error) {
-    console.error('Error getting junk sites:', error);
-    return [];
-  }
+  const junkSites = await readJunkSites();
+  return Object.values(junkSites)
+    .map(entry => Object.assign({}, entry, { expires: new Date(getJunkSiteExpiry(entry)).toISOString() }))
+    .sort((a, b) => new Date(b.lastSeen) - new Date(a.lastSeen));
 }
 
 /**
- * Clear all junk sites (for testing/debugging)
+ * Remove domains from the junk sites list
+ * @param {Array<string>} domains - Domains to remove
  * @returns {Promise<void>}
  */
-async function clearJunkSites() {
-  try {
-    await chrome.storage.local.remove(JUNK_SITES_KEY);
-  } catch (error) {
-    console.error('Error clearing junk sites:', error);
-  }
+async function removeJunkSites(domains) {
+  await queueJunkSitesWrite(async () => {
+    try {
+      const junkSites = await readJunkSites();
+      domains.forEach(domain => delete junkSites[domain]);
+      await writeJunkSites(junkSites);
+    } catch (error) {
+      console.error('Error removing junk sites:', error);
+    }
+  });
 }
 
+/**
+ * Clear all junk sites
+ * @returns {Promise<void>}
+ */
+async function clearJunkSites() {
+  await queueJunkSitesWrite(async () => {
+    try {
+      await chrome.storage.local.remove(JUNK_SITES_KEY);
+    } catch (error) {
+      console.error('Error clearing junk sites:', error);
+    }
+  });
+}
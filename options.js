@@ -0,0 +1,537 @@
+/**
+ * Options Page
+ * - Site rules: add, edit, disable, import and export the user's overrides of the
+ *   built-in site rules (selector-overrides.js), with lint warnings and a quality score
+ *   for the selectors (selector-lint.js)
+ * - Selector health: how well each site's rules still match (selector-health.js)
+ * - Unsupported sites: manage the list of unsupported (junk) sites recorded by the content script
+ *
+ * All lists are read from storage directly and refreshed whenever they change,
+ * e.g. after a selector is picked or an extraction is attempted in another tab.
+ */
+
+const SITE_RULE_LABELS = {
+  name: 'Name',
+  price: 'Price',
+  image: 'Image',
+  listPrice: 'List price',
+  coupon: 'Coupon',
+  gallery: 'Gallery',
+  guard: 'Guard'
+};
+
+// Domain of the override being edited (null when adding a site)
+let editingSiteRule = null;
+
+/**
+ * Show a value of a rule as text: selectors as they are, rule objects as JSON
+ * @param {string|Object} value - Rule value
+ * @returns {string}
+ */
+function formatRuleValue(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Read a rule value typed in the editor
+ * @param {string} key - Rule key
+ * @param {string} text - Input text
+ * @returns {string|Object|null} - Selector, rule object, or null when empty
+ * @throws {Error} - If the text looks like JSON but doesn't parse
+ */
+function parseRuleValue(key, text) {
+  const value = text.trim();
+  if (!value) return null;
+  if (key !== 'guard' && !value.startsWith('{')) return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    throw new Error(`${SITE_RULE_LABELS[key]}: invalid JSON`);
+  }
+}
+
+/**
+ * Show a message under the site rule toolbar
+ * @param {string|null} message - Message, or null to hide it
+ * @param {boolean} isError - Error style
+ */
+function showSiteRulesMessage(message, isError = false) {
+  const messageDiv = document.getElementById('siteRulesMessage');
+  messageDiv.textContent = message || '';
+  messageDiv.className = isError ? 'options-message error' : 'options-message';
+  messageDiv.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Show the built-in rules of the domain in the editor as placeholders
+ */
+function updateSiteRulePlaceholders() {
+  const domain = normalizeOverrideDomain(document.getElementById('siteRuleDomain').value);
+  const builtIn = domain ? getBuiltInSelectors(domain) : null;
+  OVERRIDE_RULE_KEYS.forEach(key => {
+    const input = document.getElementById(`siteRule-${key}`);
+    input.placeholder = builtIn && builtIn[key] ? `Built-in: ${formatRuleValue(builtIn[key])}` : 'Not set';
+  });
+}
+
+/**
+ * Lint an override as it applies: merged over the domain's built-in entry, keeping the
+ * findings about the fields the override sets (and the entry as a whole)
+ * @param {string} domain - Domain
+ * @param {Object} rules - Override rules
+ * @returns {Array<Object>} - Warnings (see selector-lint.js)
+ */
+function lintSiteOverride(domain, rules) {
+  const merged = Object.assign({}, getBuiltInSelectors(domain) || {}, rules);
+  return lintSiteRules(domain, merged).filter(warning =>
+    warning.field === null || warning.field in rules || warning.code === 'guard-without-rule'
+  );
+}
+
+/**
+ * Describe a lint warning in one line
+ * @param {Object} warning - Warning from selector-lint.js
+ * @returns {string}
+ */
+function formatLintWarning(warning) {
+  const where = [warning.field && SITE_RULE_LABELS[warning.field], warning.selector].filter(Boolean).join(' ');
+  return where ? `${where}: ${warning.message}` : warning.message;
+}
+
+/**
+ * Lint the rules typed in the editor and list the warnings under the fields
+ * Fields that don't parse yet are skipped; saving reports them.
+ */
+function updateSiteRuleWarnings() {
+  const domain = normalizeOverrideDomain(document.getElementById('siteRuleDomain').value) || 'example.com';
+  const rules = {};
+  OVERRIDE_RULE_KEYS.forEach(key => {
+    try {
+      const value = parseRuleValue(key, document.getElementById(`siteRule-${key}`).value);
+      if (value !== null) rules[key] = value;
+    } catch (e) {
+      // Invalid JSON while typing
+    }
+  });
+
+  const list = document.getElementById('siteRuleWarnings');
+  list.textContent = '';
+  const warnings = Object.keys(rules).length > 0 ? lintSiteOverride(domain, rules) : [];
+  warnings.forEach(warning => {
+    const item = document.createElement('li');
+    item.className = warning.severity;
+    item.textContent = formatLintWarning(warning);
+    list.appendChild(item);
+  });
+  list.style.display = warnings.length > 0 ? 'block' : 'none';
+}
+
+/**
+ * Open the editor for an override, or for a new site
+ * @param {Object|null} entry - { domain, rules, disabled } or null to add a site
+ */
+function openSiteRuleEditor(entry) {
+  editingSiteRule = entry ? entry.domain : null;
+  const domainInput = document.getElementById('siteRuleDomain');
+  domainInput.value = entry ? entry.domain : '';
+  domainInput.readOnly = Boolean(entry);
+  OVERRIDE_RULE_KEYS.forEach(key => {
+    document.getElementById(`siteRule-${key}`).value = entry ? formatRuleValue(entry.rules[key]) : '';
+  });
+  document.getElementById('siteRuleDisabled').checked = Boolean(entry && entry.disabled);
+  document.getElementById('siteRuleError').style.display = 'none';
+  updateSiteRulePlaceholders();
+  updateSiteRuleWarnings();
+
+  const editor = document.getElementById('siteRuleEditor');
+  editor.style.display = 'block';
+  (entry ? document.getElementById('siteRule-name') : domainInput).focus();
+}
+
+/**
+ * Close the editor without saving
+ */
+function closeSiteRuleEditor() {
+  editingSiteRule = null;
+  document.getElementById('siteRuleEditor').style.display = 'none';
+}
+
+/**
+ * Save the editor's override
+ */
+async function saveSiteRuleEditor() {
+  const errorDiv = document.getElementById('siteRuleError');
+  try {
+    const rules = {};
+    OVERRIDE_RULE_KEYS.forEach(key => {
+      const value = parseRuleValue(key, document.getElementById(`siteRule-${key}`).value);
+      if (value !== null) rules[key] = value;
+    });
+    const domain = document.getElementById('siteRuleDomain').value;
+    const disabled = document.getElementById('siteRuleDisabled').checked;
+    if (!editingSiteRule && !disabled && Object.keys(rules).length === 0) {
+      throw new Error('Set at least one field, or disable the site');
+    }
+
+    await setSiteOverride(domain, { rules: rules, disabled: disabled });
+    closeSiteRuleEditor();
+    showSiteRulesMessage(`Saved rules for ${normalizeOverrideDomain(domain)}.`);
+  } catch (error) {
+    errorDiv.textContent = error.message;
+    errorDiv.style.display = 'block';
+  }
+}
+
+/**
+ * Download a rule pack
+ * @param {Array<string>} domains - Domains to export (all when omitted)
+ */
+async function downloadRulePack(domains) {
+  const pack = await exportRulePack(domains);
+  const name = domains && domains.length === 1
+    ? `rule-pack-${domains[0]}`
+    : `rule-pack-${new Date().toISOString().split('T')[0]}`;
+  downloadFile(JSON.stringify(pack, null, 2), `${name}.json`, 'application/json');
+}
+
+/**
+ * Import the rule pack chosen in the file input
+ * @param {File} file - Rule pack file
+ */
+async function importRulePackFile(file) {
+  try {
+    const result = await importRulePack(JSON.parse(await file.text()));
+    showSiteRulesMessage(`Imported ${file.name}: ${result.added.length} site(s) added, ${result.updated.length} updated.`);
+  } catch (error) {
+    const message = error instanceof SyntaxError ? 'the file is not valid JSON' : error.message;
+    showSiteRulesMessage(`Could not import ${file.name}: ${message}`, true);
+  }
+}
+
+/**
+ * Render the site rule table
+ */
+async function renderSiteRules() {
+  const entries = await listSelectorOverrides();
+  const tbody = document.getElementById('siteRulesBody');
+  tbody.textContent = '';
+
+  entries.forEach(entry => {
+    const row = document.createElement('tr');
+    if (entry.disabled) row.className = 'disabled-row';
+
+    const domainCell = document.createElement('td');
+    domainCell.textContent = entry.domain;
+    row.appendChild(domainCell);
+
+    const fieldsCell = document.createElement('td');
+    const fields = Object.keys(entry.rules).map(key => SITE_RULE_LABELS[key] || key);
+    fieldsCell.textContent = fields.length > 0 ? fields.join(', ') : '(none)';
+    row.appendChild(fieldsCell);
+
+    const builtInCell = document.createElement('td');
+    builtInCell.textContent = getBuiltInSelectors(entry.domain) ? 'Yes' : 'No';
+    row.appendChild(builtInCell);
+
+    // Quality score of the override's selectors, with the lint warnings as a tooltip
+    const qualityCell = document.createElement('td');
+    if (Object.keys(entry.rules).length > 0) {
+      const warnings = lintSiteOverride(entry.domain, entry.rules);
+      qualityCell.textContent = scoreSiteRules(warnings);
+      qualityCell.title = warnings.length > 0 ? warnings.map(formatLintWarning).join('\n') : 'No lint warnings';
+      if (warnings.length > 0) qualityCell.className = 'lint-score';
+    } else {
+      qualityCell.textContent = '-';
+    }
+    row.appendChild(qualityCell);
+
+    const updatedCell = document.createElement('td');
+    updatedCell.textContent = entry.updated ? new Date(entry.updated).toLocaleString() : '';
+    row.appendChild(updatedCell);
+
+    const enabledCell = document.createElement('td');
+    const enabledToggle = document.createElement('input');
+    enabledToggle.type = 'checkbox';
+    enabledToggle.checked = !entry.disabled;
+    enabledToggle.title = entry.disabled ? 'Enable this site' : 'Disable this site';
+    enabledToggle.addEventListener('change', () => setSiteDisabled(entry.domain, !enabledToggle.checked));
+    enabledCell.appendChild(enabledToggle);
+    row.appendChild(enabledCell);
+
+    const actionsCell = document.createElement('td');
+    actionsCell.className = 'col-actions';
+    [
+      ['Edit', () => openSiteRuleEditor(entry)],
+      ['Export', () => downloadRulePack([entry.domain])],
+      ['Delete', () => {
+        if (confirm(`Delete your rules for ${entry.domain}?`)) {
+          removeSelectorOverride(entry.domain);
+        }
+      }]
+    ].forEach(([label, onClick]) => {
+      const button = document.createElement('button');
+      button.className = label === 'Delete' ? 'action-button danger' : 'action-button';
+      button.textContent = label;
+      button.addEventListener('click', onClick);
+      actionsCell.appendChild(button);
+    });
+    row.appendChild(actionsCell);
+
+    tbody.appendChild(row);
+  });
+
+  document.getElementById('siteRulesSummary').textContent = `${entries.length} site(s)`;
+  document.getElementById('siteRulesEmptyState').style.display = entries.length === 0 ? 'block' : 'none';
+  document.getElementById('exportRulePackBtn').disabled = entries.length === 0;
+}
+
+/**
+ * Create the editor inputs, one per rule key
+ */
+function renderSiteRuleFields() {
+  const container = document.getElementById('siteRuleFields');
+  OVERRIDE_RULE_KEYS.forEach(key => {
+    const row = document.createElement('div');
+    row.className = 'editor-row';
+    const label = document.createElement('label');
+    label.htmlFor = `siteRule-${key}`;
+    label.textContent = SITE_RULE_LABELS[key];
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = `siteRule-${key}`;
+    input.className = 'search-input rule-value';
+    input.spellcheck = false;
+    input.addEventListener('input', updateSiteRuleWarnings);
+    row.appendChild(label);
+    row.appendChild(input);
+    container.appendChild(row);
+  });
+}
+
+/**
+ * Format a match rate for the health table
+ * @param {number|null} rate - 0-1
+ * @returns {string}
+ */
+function formatHealthRate(rate) {
+  return rate === null ? '-' : `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * Open the site rule editor for a site from the health table
+ * @param {string} domain - Domain
+ */
+async function fixSiteRules(domain) {
+  const overrides = await listSelectorOverrides();
+  const entry = overrides.find(override => override.domain === domain) || { domain: domain, rules: {}, disabled: false };
+  openSiteRuleEditor(entry);
+  document.getElementById('siteRuleEditor').scrollIntoView({ block: 'center' });
+}
+
+/**
+ * Create the cells of one health table row (everything after the domain)
+ * @param {Object} site - Site from getSelectorHealthReport()
+ * @param {Object|null} field - Field of the site, or null for a site without field stats
+ * @returns {Array<HTMLElement>}
+ */
+function createHealthCells(site, field) {
+  const texts = field
+    ? [
+      SITE_RULE_LABELS[field.field],
+      field.selector,
+      formatHealthRate(field.recentRate),
+      formatHealthRate(field.earlierRate),
+      String(field.rescued),
+      field.lastMatched ? new Date(field.lastMatched).toLocaleString() : 'Never'
+    ]
+    : ['-', 'No successful extraction yet', '-', '-', '-', '-'];
+
+  const cells = texts.map(text => {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    return cell;
+  });
+  cells[1].className = 'health-selector';
+  if (field && field.matchedSelector && field.matchedSelector !== field.selector) {
+    cells[1].title = `Last matched: ${field.matchedSelector}`;
+  }
+  if (field) {
+    cells[2].title = `${field.checks} extraction(s) checked, ${field.missed} without a value`;
+  }
+
+  const statusCell = document.createElement('td');
+  const status = document.createElement('span');
+  const statusValue = field ? field.status : site.status;
+  status.className = `health-status ${statusValue}`;
+  status.textContent = statusValue;
+  statusCell.appendChild(status);
+  cells.push(statusCell);
+  return cells;
+}
+
+/**
+ * Render the selector health table, one row per checked field
+ */
+async function renderSelectorHealth() {
+  const report = await getSelectorHealthReport();
+  const problemsOnly = document.getElementById('healthProblemsOnly').checked;
+  const problems = report.filter(site => site.status === 'broken' || site.status === 'degraded');
+  const sites = problemsOnly ? problems : report;
+  const tbody = document.getElementById('healthBody');
+  tbody.textContent = '';
+
+  sites.forEach(site => {
+    const rows = (site.fields.length > 0 ? site.fields : [null]).map(field => {
+      const row = document.createElement('tr');
+      createHealthCells(site, field).forEach(cell => row.appendChild(cell));
+      return row;
+    });
+
+    const domainCell = document.createElement('td');
+    domainCell.rowSpan = rows.length;
+    domainCell.textContent = site.domain;
+    const details = document.createElement('div');
+    details.className = 'health-site-summary';
+    details.textContent = `${site.extractions} extraction(s), ${site.failures} failed`;
+    domainCell.appendChild(details);
+    rows[0].insertBefore(domainCell, rows[0].firstChild);
+
+    const actionsCell = document.createElement('td');
+    actionsCell.className = 'col-actions';
+    actionsCell.rowSpan = rows.length;
+    const fixBtn = document.createElement('button');
+    fixBtn.className = 'action-button';
+    fixBtn.textContent = 'Fix rules';
+    fixBtn.addEventListener('click', () => fixSiteRules(site.domain));
+    actionsCell.appendChild(fixBtn);
+    rows[0].appendChild(actionsCell);
+
+    rows.forEach(row => tbody.appendChild(row));
+  });
+
+  document.getElementById('healthSummary').textContent = `${report.length} site(s), ${problems.length} with problems`;
+  const emptyState = document.getElementById('healthEmptyState');
+  emptyState.textContent = report.length === 0
+    ? 'No extractions on sites with rules yet.'
+    : 'All site rules are matching.';
+  emptyState.style.display = sites.length === 0 ? 'block' : 'none';
+  document.getElementById('clearHealthBtn').disabled = report.length === 0;
+}
+
+/**
+ * Ask the background service worker to change the unsupported site list, which it
+ * shares with the content scripts (the table re-renders through the storage listener)
+ * @param {Object} message - junkSitesRemove or junkSitesClear message
+ */
+function sendJunkSitesChange(message) {
+  chrome.runtime.sendMessage(message).catch(error => {
+    console.error('Error changing junk sites:', error);
+  });
+}
+
+/**
+ * Render the unsupported site table
+ */
+async function renderJunkSites() {
+  const junkSites = await getJunkSites();
+  const tbody = document.getElementById('junkSitesBody');
+  tbody.textContent = '';
+
+  junkSites.forEach(entry => {
+    const row = document.createElement('tr');
+
+    const domainCell = document.createElement('td');
+    domainCell.textContent = entry.domain;
+    row.appendChild(domainCell);
+
+    [entry.firstSeen, entry.lastSeen].forEach(date => {
+      const cell = document.createElement('td');
+      cell.textContent = new Date(date).toLocaleString();
+      row.appendChild(cell);
+    });
+
+    const attemptsCell = document.createElement('td');
+    attemptsCell.textContent = entry.attempts;
+    row.appendChild(attemptsCell);
+
+    const expiresCell = document.createElement('td');
+    expiresCell.textContent = new Date(entry.expires).toLocaleDateString();
+    row.appendChild(expiresCell);
+
+    const actionsCell = document.createElement('td');
+    actionsCell.className = 'col-actions';
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'action-button';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => sendJunkSitesChange({ action: 'junkSitesRemove', domains: [entry.domain] }));
+    actionsCell.appendChild(removeBtn);
+    row.appendChild(actionsCell);
+
+    tbody.appendChild(row);
+  });
+
+  document.getElementById('junkSummary').textContent = `${junkSites.length} site(s)`;
+  document.getElementById('junkEmptyState').style.display = junkSites.length === 0 ? 'block' : 'none';
+  document.getElementById('clearJunkSitesBtn').disabled = junkSites.length === 0;
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+  renderSiteRuleFields();
+  document.getElementById('addSiteRuleBtn').addEventListener('click', () => openSiteRuleEditor(null));
+  document.getElementById('cancelSiteRuleBtn').addEventListener('click', closeSiteRuleEditor);
+  document.getElementById('siteRuleDomain').addEventListener('input', function() {
+    updateSiteRulePlaceholders();
+    updateSiteRuleWarnings();
+  });
+  document.getElementById('siteRuleEditor').addEventListener('submit', function(event) {
+    event.preventDefault();
+    saveSiteRuleEditor();
+  });
+  document.getElementById('exportRulePackBtn').addEventListener('click', () => downloadRulePack());
+
+  const rulePackFile = document.getElementById('rulePackFile');
+  document.getElementById('importRulePackBtn').addEventListener('click', () => rulePackFile.click());
+  rulePackFile.addEventListener('change', function() {
+    if (rulePackFile.files[0]) {
+      importRulePackFile(rulePackFile.files[0]);
+    }
+    rulePackFile.value = '';
+  });
+
+  document.getElementById('healthRecentSize').textContent = HEALTH_RECENT_SIZE;
+  document.getElementById('healthProblemsOnly').addEventListener('change', renderSelectorHealth);
+  document.getElementById('clearHealthBtn').addEventListener('click', function() {
+    if (confirm('Forget the selector health of every site?')) {
+      // The background service worker records the outcomes, so it clears them too
+      chrome.runtime.sendMessage({ action: 'selectorHealthClear' }).catch(error => {
+        console.error('Error clearing selector health:', error);
+      });
+    }
+  });
+
+  document.getElementById('junkExpiryDays').textContent = JUNK_SITE_EXPIRY_DAYS;
+
+  document.getElementById('clearJunkSitesBtn').addEventListener('click', function() {
+    if (confirm('Remove all unsupported sites from the list?')) {
+      sendJunkSitesChange({ action: 'junkSitesClear' });
+    }
+  });
+
+  // Removing entries (here or elsewhere) re-renders through the storage listener
+  chrome.storage.onChanged.addListener(function(changes, areaName) {
+    if (areaName === 'local' && changes[JUNK_SITES_KEY]) {
+      renderJunkSites();
+    }
+    if (areaName === 'local' && changes[SELECTOR_OVERRIDES_KEY]) {
+      renderSiteRules();
+    }
+    if (areaName === 'local' && changes[SELECTOR_HEALTH_KEY]) {
+      renderSelectorHealth();
+    }
+  });
+
+  renderSiteRules();
+  renderSelectorHealth();
+  renderJunkSites();
+});
@@ -0,0 +1,173 @@
+/**
+ * Page Capture
+ * Serializes the current product page so an extraction can be reproduced offline,
+ * as a regression fixture (test/fixtures) or attached to a bug report.
+ *
+ * A plain "Save page as" loses the layout, and the heuristics in content.js depend on
+ * it (getBoundingClientRect() for position and size, offsetParent for visibility).
+ * So candidate elements - images, headings, buttons and elements with short text, where
+ * names, prices and stock messages are found - are annotated in the saved HTML:
+ *
+ * - data-capture-rect="top,left,width,height" - getBoundingClientRect() at capture time
+ * - data-capture-hidden                       - offsetParent was null
+ * - data-capture-viewport="width,height"      - On <html>: the window size
+ *
+ * test/harness.js replays these attributes in place of its default layout.
+ *
+ * Started from the popup ({ action: 'capturePage' }). The response holds:
+ * - html       - The annotated page, with Chrome's "saved from url" comment so it can be
+ *                used as a fixture as is
+ * - capture    - The support snapshot (see captureSupportSnapshot() in content.js) plus
+ *                the raw JSON-LD blocks, the site's current rules, the viewport and layout counts
+ * - extraction - The extraction result with its fieldMeta provenance, or the structured
+ *                error, in the same shape as the golden files in test/golden
+ */
+
+// Elements with more text than this are containers, not candidates
+const CAPTURE_MAX_TEXT_LENGTH = 200;
+
+// Annotated elements per page (the rest keep the harness's default layout)
+const CAPTURE_MAX_LAYOUT_ELEMENTS = 20000;
+
+// Candidates whatever their text (images, names and purchase buttons)
+const CAPTURE_LAYOUT_TAGS = ['IMG', 'H1', 'H2', 'BUTTON', 'INPUT', 'SELECT'];
+
+// Never annotated or captured
+const CAPTURE_SKIP_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD', 'META', 'LINK', 'TITLE'];
+
+/**
+ * Check if an element's layout is worth keeping
+ * textContent is used rather than innerText, which would force a layout per element.
+ * @param {Element} el - Element
+ * @returns {boolean}
+ */
+function isLayoutCandidate(el) {
+  if (CAPTURE_SKIP_TAGS.includes(el.tagName)) return false;
+  if (CAPTURE_LAYOUT_TAGS.includes(el.tagName)) return true;
+  const text = (el.textContent || '').trim();
+  return text.length > 0 && text.length <= CAPTURE_MAX_TEXT_LENGTH;
+}
+
+/**
+ * Get the extension's own overlays, which are left out of the capture
+ * @returns {Array<Element>}
+ */
+function getExtensionOverlays() {
+  const overlays = [];
+  if (typeof activePicker !== 'undefined' && activePicker) overlays.push(activePicker.host);
+  if (typeof finderHighlightHost !== 'undefined' && finderHighlightHost) overlays.push(finderHighlightHost);
+  return overlays;
+}
+
+/**
+ * Serialize the page with the layout of its candidate elements
+ * The page is cloned and the clone annotated, so the live page is never modified.
+ * @returns {Object} - { html, annotated, hidden, elements }
+ */
+function serializePageLayout() {
+  const root = document.documentElement;
+  const clone = root.cloneNode(true);
+
+  // cloneNode() keeps document order, so both lists line up element for element
+  const liveElements = Array.from(root.querySelectorAll('*'));
+  const cloneElements = Array.from(clone.querySelectorAll('*'));
+  const overlays = getExtensionOverlays();
+
+  let annotated = 0;
+  let hidden = 0;
+  liveElements.forEach((el, index) => {
+    if (annotated >= CAPTURE_MAX_LAYOUT_ELEMENTS || !isLayoutCandidate(el)) return;
+    const rect = el.getBoundingClientRect();
+    const copy = cloneElements[index];
+    copy.setAttribute('data-capture-rect', [rect.top, rect.left, rect.width, rect.height].map(Math.round).join(','));
+    if (el.offsetParent === null) {
+      copy.setAttribute('data-capture-hidden', '');
+      hidden++;
+    }
+    annotated++;
+  });
+
+  overlays.forEach(overlay => {
+    const index = liveElements.indexOf(overlay);
+    if (index !== -1) cloneElements[index].remove();
+  });
+
+  clone.setAttribute('data-capture-viewport', `${window.innerWidth},${window.innerHeight}`);
+
+  // Same header as Chrome's "Save page as", which the test harness reads the URL from
+  const url = window.location.href;
+  const header = `<!-- saved from url=(${String(url.length).padStart(4, '0')})${url} -->`;
+  return {
+    html: `<!DOCTYPE html>\n${header}\n${clone.outerHTML}`,
+    annotated: annotated,
+    hidden: hidden,
+    elements: liveElements.length
+  };
+}
+
+/**
+ * Read the raw JSON-LD blocks (extractStructuredData() only keeps the Product)
+ * @returns {Array<string>}
+ */
+function collectJsonLdBlocks() {
+  return Array.from(document.querySelectorAll('script[type="application/ld+json"]'))
+    .map(script => script.textContent.trim())
+    .filter(text => text.length > 0);
+}
+
+/**
+ * Capture the current page
+ * The extraction is forced, so unsupported pages are captured too, and not recorded in the history.
+ * It doesn't wait for content or scroll, so it sees the page as serialized.
+ * @returns {Promise<Object>} - { html, capture, extraction }
+ */
+async function capturePage() {
+  const layout = serializePageLayout();
+  const { html, ...snapshot } = captureSupportSnapshot();
+
+  let extraction;
+  try {
+    extraction = await extractProductInfo({ force: true, wait: false });
+    delete extraction.timestamp;
+  } catch (error) {
+    // Structured errors ({ type, message, ... }) or exceptions
+    extraction = { error: { type: error.type || 'UNKNOWN_ERROR', message: error.message } };
+  }
+
+  const capture = Object.assign(snapshot, {
+    viewport: {
+      width: window.innerWidth,
+      height: window.innerHeight,
+      scrollX: Math.round(window.scrollX),
+      scrollY: Math.round(window.scrollY)
+    },
+    layout: {
+      elements: layout.elements,
+      annotated: layout.annotated,
+      hidden: layout.hidden,
+      truncated: layout.annotated >= CAPTURE_MAX_LAYOUT_ELEMENTS
+    },
+    htmlTruncated: layout.html.length > SUPPORT_SNAPSHOT_MAX_HTML,
+    jsonLd: collectJsonLdBlocks(),
+    rules: getSelectorsForSite(window.location.href)
+  });
+
+  return {
+    html: layout.html.slice(0, SUPPORT_SNAPSHOT_MAX_HTML),
+    capture: capture,
+    extraction: extraction
+  };
+}
+
+chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
+  if (request.action === 'capturePage') {
+    capturePage()
+      .then(result => sendResponse({ success: true, data: result }))
+      .catch(error => {
+        console.error('Error capturing page:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // Keep message channel open for async response
+  }
+  return false; // Don't handle other message types
+});
@@ -0,0 +1,415 @@
+/**
+ * Selector Finder Panel (DevTools)
+ * Shows the selector finder's results for the inspected page (see selector-finder.js)
+ * and builds a SITE_SELECTORS entry from them.
+ *
+ * The panel can't message the page directly: every request goes to the background
+ * worker (inspectTab), which forwards it to devtools-bridge.js in the inspected tab.
+ */
+
+// Fields of the generated entry, in entry order
+const PANEL_FIELDS = ['name', 'price', 'image'];
+
+const PANEL_FIELD_LABELS = {
+  name: 'Name',
+  price: 'Price',
+  image: 'Image'
+};
+
+// Last scan of the page (see scanForPanel() in devtools-bridge.js)
+let scanResult = null;
+
+/**
+ * Send a message to the content script of the inspected tab
+ * @param {Object} message - Message with an action
+ * @returns {Promise<*>} - Response data
+ */
+async function sendToPage(message) {
+  const response = await chrome.runtime.sendMessage({
+    action: 'inspectTab',
+    tabId: chrome.devtools.inspectedWindow.tabId,
+    message: message
+  });
+  if (!response || !response.success) {
+    throw new Error((response && response.error) || 'No response from the page');
+  }
+  return response.data;
+}
+
+/**
+ * Show or hide the error message
+ * @param {string|null} message - Message, or null to hide it
+ */
+function showPanelError(message) {
+  const errorDiv = document.getElementById('panelError');
+  errorDiv.textContent = message || '';
+  errorDiv.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Create a table cell
+ * @param {string} text - Cell text
+ * @param {string} className - Optional class name
+ * @returns {HTMLTableCellElement}
+ */
+function createCell(text, className = '') {
+  const cell = document.createElement('td');
+  cell.textContent = text;
+  if (className) cell.className = className;
+  return cell;
+}
+
+/**
+ * Create a table with a header row
+ * @param {Array<string>} headings - Column headings
+ * @returns {Object} - { table, tbody }
+ */
+function createPanelTable(headings) {
+  const table = document.createElement('table');
+  table.className = 'history-table panel-table';
+  const headerRow = document.createElement('tr');
+  headings.forEach(heading => {
+    const th = document.createElement('th');
+    th.textContent = heading;
+    headerRow.appendChild(th);
+  });
+  const thead = document.createElement('thead');
+  thead.appendChild(headerRow);
+  const tbody = document.createElement('tbody');
+  table.appendChild(thead);
+  table.appendChild(tbody);
+  return { table, tbody };
+}
+
+/**
+ * Create a small action button
+ * @param {string} label - Button text
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement}
+ */
+function createPanelButton(label, onClick) {
+  const button = document.createElement('button');
+  button.className = 'action-button small';
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Highlight a selector's matches in the page while the pointer is over an element
+ * @param {HTMLElement} element - Row or input
+ * @param {Function} getSelector - Returns the selector to highlight
+ */
+function highlightOnHover(element, getSelector) {
+  element.addEventListener('mouseenter', () => {
+    const selector = getSelector();
+    if (!selector) return;
+    sendToPage({ action: 'finderHighlight', selector: selector }).catch(error => {
+      console.warn('Failed to highlight selector:', error);
+    });
+  });
+  element.addEventListener('mouseleave', () => {
+    sendToPage({ action: 'finderClearHighlight' }).catch(() => {});
+  });
+}
+
+/**
+ * Read the selectors of the entry inputs
+ * @returns {Object} - Map of field -> selector ('' when empty)
+ */
+function getPanelRules() {
+  const rules = {};
+  PANEL_FIELDS.forEach(field => {
+    rules[field] = document.getElementById(`rule-${field}`).value.trim();
+  });
+  return rules;
+}
+
+/**
+ * Show the SITE_SELECTORS entry for the current inputs
+ */
+function renderEntry() {
+  const domain = scanResult ? scanResult.domain : 'example.com';
+  document.getElementById('entryOutput').textContent = buildSiteSelectorsEntry(domain, getPanelRules());
+}
+
+/**
+ * Create the selector inputs, one per field
+ */
+function renderRuleInputs() {
+  const container = document.getElementById('ruleInputs');
+  PANEL_FIELDS.forEach(field => {
+    const row = document.createElement('div');
+    row.className = 'rule-row';
+
+    const label = document.createElement('label');
+    label.className = 'rule-label';
+    label.htmlFor = `rule-${field}`;
+    label.textContent = PANEL_FIELD_LABELS[field];
+
+    const input = document.createElement('input');
+    input.id = `rule-${field}`;
+    input.className = 'search-input rule-input';
+    input.placeholder = `CSS selector for the ${field}`;
+    input.spellcheck = false;
+    input.addEventListener('input', renderEntry);
+    highlightOnHover(input, () => input.value.trim());
+
+    row.appendChild(label);
+    row.appendChild(input);
+    row.appendChild(createPanelButton('Test', () => runSelectorTest({ [field]: input.value.trim() })));
+    container.appendChild(row);
+  });
+}
+
+/**
+ * Describe a candidate's value for the table
+ * @param {string} field - 'name', 'price' or 'image'
+ * @param {Object} item - Candidate from collectProductSelectors()
+ * @returns {string}
+ */
+function describeCandidateValue(field, item) {
+  if (field === 'image') return `${item.width}x${item.height} ${item.src}`;
+  if (field === 'price') {
+    const discount = item.isDiscount ? ' (discount)' : '';
+    return item.note ? `${item.price}${discount} - ${item.note}` : `${item.price}${discount} - "${item.text}"`;
+  }
+  return item.text;
+}
+
+/**
+ * Show the ranked candidates of every field
+ */
+function renderCandidates() {
+  const container = document.getElementById('candidateTables');
+  container.textContent = '';
+
+  PANEL_FIELDS.forEach(field => {
+    const candidates = scanResult.candidates[field];
+    const heading = document.createElement('h3');
+    heading.className = 'candidate-heading';
+    heading.textContent = `${PANEL_FIELD_LABELS[field]} (${candidates.length})`;
+    container.appendChild(heading);
+
+    if (candidates.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'empty-state';
+      empty.textContent = `No ${field} candidates found.`;
+      container.appendChild(empty);
+      return;
+    }
+
+    const { table, tbody } = createPanelTable(['#', 'Selector', 'Value', 'Source', 'Confidence', '']);
+    candidates.forEach((item, index) => {
+      const row = document.createElement('tr');
+      row.appendChild(createCell(String(index + 1), 'col-rank'));
+      row.appendChild(createCell(item.selector, 'selector-cell'));
+      row.appendChild(createCell(describeCandidateValue(field, item), 'value-cell'));
+      row.appendChild(createCell(item.source === 'MODAL' ? 'Modal' : 'Page'));
+      row.appendChild(createCell(`${item.confidence.toFixed(1)}/10`));
+
+      const actionsCell = document.createElement('td');
+      actionsCell.className = 'col-actions';
+      actionsCell.appendChild(createPanelButton('Test', () => runSelectorTest({ ...getPanelRules(), [field]: item.selector })));
+      actionsCell.appendChild(createPanelButton('Use', () => {
+        document.getElementById(`rule-${field}`).value = item.selector;
+        renderEntry();
+      }));
+      row.appendChild(actionsCell);
+
+      highlightOnHover(row, () => item.selector);
+      tbody.appendChild(row);
+    });
+    container.appendChild(table);
+  });
+
+  const modalCount = PANEL_FIELDS.reduce((sum, field) => sum + scanResult.modalCandidates[field], 0);
+  document.getElementById('candidateSummary').textContent = scanResult.modal
+    ? `${modalCount} candidate(s) in the modal`
+    : '';
+}
+
+/**
+ * Show the discount price elements and the discount debug report
+ */
+function renderDiscounts() {
+  const container = document.getElementById('discountTables');
+  container.textContent = '';
+  const { discounts, discountDebug } = scanResult;
+
+  [['discount', 'Discount elements'], ['original', 'Original price elements']].forEach(([key, title]) => {
+    const items = discounts[key];
+    if (items.length === 0) return;
+    const heading = document.createElement('h3');
+    heading.className = 'candidate-heading';
+    heading.textContent = `${title} (${items.length})`;
+    container.appendChild(heading);
+
+    const { table, tbody } = createPanelTable(['Selector', 'Text', 'Price', 'Visible', 'Parent']);
+    items.forEach(item => {
+      const row = document.createElement('tr');
+      row.appendChild(createCell(item.selector, 'selector-cell'));
+      row.appendChild(createCell(item.text, 'value-cell'));
+      row.appendChild(createCell(item.price || 'Not found'));
+      row.appendChild(createCell(item.visible ? 'Yes' : 'No'));
+      row.appendChild(createCell(item.parent || '', 'selector-cell'));
+      highlightOnHover(row, () => item.selector);
+      tbody.appendChild(row);
+    });
+    container.appendChild(table);
+  });
+
+  if (discounts.containers.length > 0) {
+    const heading = document.createElement('h3');
+    heading.className = 'candidate-heading';
+    heading.textContent = `Price containers (${discounts.containers.length})`;
+    container.appendChild(heading);
+
+    const { table, tbody } = createPanelTable(['Selector', 'Discount price', 'Original price']);
+    discounts.containers.forEach(item => {
+      const row = document.createElement('tr');
+      row.appendChild(createCell(item.selector, 'selector-cell'));
+      row.appendChild(createCell(item.hasDiscount ? item.discountPrice || 'Not found' : '-'));
+      row.appendChild(createCell(item.hasOriginal ? item.originalPrice || 'Not found' : '-'));
+      highlightOnHover(row, () => item.selector);
+      tbody.appendChild(row);
+    });
+    container.appendChild(table);
+  }
+
+  if (discountDebug.variants.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'empty-state';
+    empty.textContent = 'No data-variant elements on this page.';
+    container.appendChild(empty);
+  }
+
+  document.getElementById('discountSummary').textContent = [
+    `${discountDebug.variants.length} data-variant element(s)`,
+    discountDebug.priceContainer ? 'div.product-price-container found' : 'no div.product-price-container'
+  ].join(', ');
+}
+
+/**
+ * Show the result of a selector test
+ * @param {Object} result - { fields, product, error } from testSelectorRules()
+ */
+function renderTestResults(result) {
+  const container = document.getElementById('testResults');
+  container.textContent = '';
+
+  const summary = document.createElement('div');
+  summary.className = result.error ? 'panel-message error' : 'panel-message';
+  summary.textContent = result.error
+    ? `Extraction failed: ${result.error.message} (${result.error.type})`
+    : `Extraction succeeded in ${result.product.mode} mode (confidence ${result.product.confidence})`;
+  container.appendChild(summary);
+
+  const { table, tbody } = createPanelTable(['Field', 'Selector', 'Matches', 'Selector reads', 'Extraction result', 'Strategy']);
+  PANEL_FIELDS.forEach(field => {
+    const tested = result.fields[field];
+    const product = result.product || {};
+    const meta = product.fieldMeta && product.fieldMeta[field];
+    const row = document.createElement('tr');
+    row.appendChild(createCell(PANEL_FIELD_LABELS[field]));
+    row.appendChild(createCell(tested ? tested.selector : '(site rules)', 'selector-cell'));
+    row.appendChild(createCell(tested ? String(tested.matches) : ''));
+    row.appendChild(createCell(tested ? (tested.value ?? 'Nothing') : '', 'value-cell'));
+    row.appendChild(createCell(product[field] ?? '', 'value-cell'));
+    row.appendChild(createCell(meta ? `${meta.strategy} (${meta.confidence})` : ''));
+    if (tested) {
+      highlightOnHover(row, () => tested.selector);
+    }
+    tbody.appendChild(row);
+  });
+  container.appendChild(table);
+}
+
+/**
+ * Test selectors against the live extraction
+ * @param {Object} rules - Map of field -> selector (empty selectors keep the site's rules)
+ */
+async function runSelectorTest(rules) {
+  showPanelError(null);
+  document.getElementById('panelStatus').textContent = 'Testing...';
+  try {
+    renderTestResults(await sendToPage({ action: 'finderTest', rules: rules }));
+    document.getElementById('panelStatus').textContent = '';
+  } catch (error) {
+    document.getElementById('panelStatus').textContent = '';
+    showPanelError(`Test failed: ${error.message}`);
+  }
+}
+
+/**
+ * Scan the inspected page and show the results
+ */
+async function scanPage() {
+  const scanBtn = document.getElementById('scanBtn');
+  const status = document.getElementById('panelStatus');
+  scanBtn.disabled = true;
+  status.textContent = 'Scanning...';
+  showPanelError(null);
+
+  try {
+    scanResult = await sendToPage({ action: 'finderScan' });
+  } catch (error) {
+    status.textContent = '';
+    scanBtn.disabled = false;
+    showPanelError(`Could not scan the page: ${error.message}. Reload the page if the extension was installed or updated after it was opened.`);
+    return;
+  }
+
+  document.getElementById('pageSummary').textContent = scanResult.domain;
+  const modalNotice = document.getElementById('modalNotice');
+  modalNotice.textContent = scanResult.modal
+    ? `Modal/overlay detected: ${scanResult.modal.description} (${scanResult.modal.size}, z-index ${scanResult.modal.zIndex}). Its candidates are listed first.`
+    : '';
+  modalNotice.style.display = scanResult.modal ? 'block' : 'none';
+
+  // Start the entry from the best candidate of each field
+  PANEL_FIELDS.forEach(field => {
+    const best = scanResult.candidates[field][0];
+    document.getElementById(`rule-${field}`).value = best ? best.selector : '';
+  });
+  document.getElementById('currentRulesOutput').textContent = scanResult.currentRules
+    ? JSON.stringify(scanResult.currentRules, null, 2)
+    : 'None - this site has no built-in rules or saved overrides.';
+
+  renderCandidates();
+  renderDiscounts();
+  renderEntry();
+  document.getElementById('testResults').textContent = '';
+  status.textContent = `Scanned ${new Date().toLocaleTimeString()}`;
+  scanBtn.disabled = false;
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+  renderRuleInputs();
+  renderEntry();
+
+  document.getElementById('scanBtn').addEventListener('click', scanPage);
+  document.getElementById('testAllBtn').addEventListener('click', () => runSelectorTest(getPanelRules()));
+
+  document.getElementById('copyEntryBtn').addEventListener('click', async function() {
+    try {
+      await navigator.clipboard.writeText(document.getElementById('entryOutput').textContent);
+      document.getElementById('panelStatus').textContent = 'Entry copied';
+    } catch (error) {
+      showPanelError('Could not copy the entry. Select it and copy it manually.');
+    }
+  });
+
+  document.getElementById('downloadEntryBtn').addEventListener('click', function() {
+    const domain = scanResult ? scanResult.domain : 'example.com';
+    downloadFile(document.getElementById('entryOutput').textContent + '\n', `site-selectors-${domain}.js`, 'text/javascript');
+  });
+
+  // A new page needs a new scan
+  chrome.devtools.network.onNavigated.addListener(function() {
+    scanResult = null;
+    document.getElementById('panelStatus').textContent = 'The page changed - scan again.';
+  });
+
+  scanPage();
+});
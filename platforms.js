@@ -0,0 +1,730 @@
+/**
+ * E-commerce Platform Adapters
+ * Recognizes stores built on a common e-commerce platform (Shopify, WooCommerce,
+ * Magento, BigCommerce, Salesforce Commerce Cloud) from page
+ * fingerprints, so they are supported on any domain - not just the ones
+ * listed in site-selectors.js.
+ *
+ * Each adapter in PLATFORM_ADAPTERS has:
+ * - name:    Display name
+ * - detect:  () => boolean - page fingerprints (meta tags, asset hosts, inline scripts)
+ * - rules:   Site rules in the site-selectors.js format, used when the domain has no entry
+ * - extract: async () => fields | null - product data from the platform's own API or
+ *            the data it embeds in the page (variation JSON, price configs)
+ *
+ * Platform data is the store's own product record, so extractProductInfo() lets
+ * it override structured data; site rules and heuristics fill whatever is left.
+ *
+ * Content scripts run in an isolated world and can't read page globals like
+ * window.Shopify or BCData, so detection and extraction read the DOM and the
+ * text of inline scripts only.
+ */
+
+const SHOPIFY_FETCH_TIMEOUT_MS = 5000;
+
+// Tags only Shopify storefronts have
+const SHOPIFY_FINGERPRINT_SELECTOR = [
+  'meta[name="shopify-digital-wallet"]',
+  'meta[name="shopify-checkout-api-token"]',
+  'link[href*="cdn.shopify.com"]',
+  'script[src*="cdn.shopify.com"]',
+  'script#shopify-features'
+].join(', ');
+
+// Inline scripts that set up the Shopify global ("Shopify.shop = ...", "window.Shopify = ...")
+const SHOPIFY_INLINE_SCRIPT_PATTERN = /\b(?:window\.)?Shopify\.(?:shop|theme|currency)\s*=|\bwindow\.Shopify\s*=/;
+
+// Selectors shared by common Shopify themes (Dawn and older "product-single" themes)
+const SHOPIFY_RULES = {
+  name: '.product__title h1, h1.product__title, h1.product-single__title, h1.product_title, h1.product-title, .product-meta__title, h1[itemprop="name"]',
+  price: {
+    selectors: ['.price__sale .price-item--sale', '.price-item--regular', '.product__price', '.product-single__price', '[data-product-price]', '.price'],
+    sources: ['price', 'text']
+  },
+  image: '.product__media img, .product-single__photo img, .product-featured-media img, .product__main-photos img',
+  gallery: '.product__media-list img, .product__thumbnails img, .product-single__thumbnails img',
+  listPrice: '.price__sale s.price-item--regular, .product__price--compare, [data-compare-price], .compare-at-price'
+};
+
+// Cached product JSON requests by path (the extractor and variant-extractor.js both need it)
+const shopifyProductRequests = new Map();
+
+// WooCommerce (WordPress plugin)
+const WOOCOMMERCE_FINGERPRINT_SELECTOR = [
+  'body.woocommerce',
+  'body.woocommerce-page',
+  'meta[name="generator"][content^="WooCommerce"]',
+  'link[href*="/plugins/woocommerce/"]',
+  'script[src*="/plugins/woocommerce/"]',
+  'form.variations_form'
+].join(', ');
+
+const WOOCOMMERCE_RULES = {
+  name: 'h1.product_title, .product .product_title',
+  price: {
+    // Sale prices are wrapped in <ins>, the regular price in <del>
+    selectors: ['.summary .price ins .woocommerce-Price-amount', '.summary .price .woocommerce-Price-amount', '.product .price ins .woocommerce-Price-amount', '.product .price .woocommerce-Price-amount'],
+    sources: ['text']
+  },
+  listPrice: '.summary .price del .woocommerce-Price-amount, .product .price del .woocommerce-Price-amount',
+  image: {
+    selectors: ['.woocommerce-product-gallery__image img', '.woocommerce-main-image img'],
+    sources: ['data-large_image', 'data-src', 'src']
+  },
+  gallery: '.woocommerce-product-gallery__image img, .flex-control-thumbs img'
+};
+
+// Magento 2 (Luma-based themes)
+const MAGENTO_FINGERPRINT_SELECTOR = [
+  'script[type="text/x-magento-init"]',
+  '[data-mage-init]',
+  '[data-role="priceBox"]'
+].join(', ');
+
+const MAGENTO_RULES = {
+  name: '.product-info-main h1.page-title .base, h1.page-title .base, .product-info-main h1',
+  price: {
+    selectors: ['.product-info-main [data-price-type="finalPrice"] .price', '.product-info-main .price-box .price', '.price-box [data-price-type="finalPrice"] .price'],
+    sources: ['text']
+  },
+  listPrice: '.product-info-main [data-price-type="oldPrice"] .price, .product-info-main .old-price .price',
+  image: '.fotorama__stage__frame.fotorama__active img, .gallery-placeholder img, .product.media img',
+  gallery: '.fotorama__nav__frame img, .fotorama__stage__frame img'
+};
+
+// BigCommerce (Stencil themes)
+const BIGCOMMERCE_FINGERPRINT_SELECTOR = [
+  'link[href*="cdn11.bigcommerce.com"]',
+  'script[src*="cdn11.bigcommerce.com"]',
+  'img[src*="cdn11.bigcommerce.com"]'
+].join(', ');
+
+const BIGCOMMERCE_RULES = {
+  name: 'h1.productView-title, .productView-title',
+  price: {
+    selectors: ['.productView-price [data-product-price-with-tax]', '.productView-price [data-product-price-without-tax]', '.productView-price .price--withTax', '.productView-price .price--withoutTax'],
+    sources: ['text']
+  },
+  listPrice: '.productView-price [data-product-non-sale-price-with-tax], .productView-price [data-product-non-sale-price-without-tax], .productView-price [data-product-rrp-with-tax], .productView-price [data-product-rrp-price-without-tax]',
+  image: {
+    selectors: ['.productView-image img', '.productView-img-container img'],
+    sources: ['data-src', 'src']
+  },
+  gallery: '.productView-thumbnail img'
+};
+
+// Salesforce Commerce Cloud (Demandware; SFRA and older SiteGenesis storefronts)
+const SFCC_FINGERPRINT_SELECTOR = [
+  '[src*="demandware.static"]',
+  '[href*="demandware.static"]',
+  '[src*="/dw/image/"]',
+  '[action*="demandware.store"]',
+  '[data-url*="demandware.store"]',
+  '.product-detail[data-pid]'
+].join(', ');
+
+const SFCC_RULES = {
+  name: '.product-detail h1.product-name, h1.product-name, #product-content .product-name',
+  price: {
+    selectors: ['.product-detail .prices .sales .value', '.prices .sales .value', '.product-price .price-sales'],
+    sources: ['text', 'content']
+  },
+  listPrice: '.product-detail .prices .strike-through .value, .prices .list .value, .product-price .price-standard',
+  image: '.primary-images .carousel-item.active img, .primary-images img, .product-primary-image img',
+  gallery: '.primary-images .carousel-item img, .product-thumbnails img'
+};
+
+// ============================================================================
+// SHARED HELPERS
+// ============================================================================
+
+/**
+ * Fetch JSON from the current site with a timeout
+ * @param {string} path - Same-origin path
+ * @param {number} timeoutMs - Timeout
+ * @returns {Promise<Object|null>} - Parsed JSON or null on any failure
+ */
+async function fetchSameOriginJson(path, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(new URL(path, window.location.origin).href, {
+      credentials: 'same-origin',
+      headers: { Accept: 'application/json' },
+      signal: controller.signal
+    });
+    if (!response.ok) return null;
+    return await response.json();
+  } catch (e) {
+    console.warn(`Failed to fetch ${path}:`, e);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Parse a JSON attribute without throwing
+ * @param {HTMLElement} el - Element
+ * @param {string} attribute - Attribute name
+ * @returns {*} - Parsed value, or null if missing or invalid
+ */
+function parseJsonAttribute(el, attribute) {
+  const value = el ? el.getAttribute(attribute) : null;
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    console.warn(`Invalid JSON in ${attribute}:`, e);
+    return null;
+  }
+}
+
+/**
+ * Read an object literal assigned to a variable in an inline script ("var BCData = {...};")
+ * @param {string} variableName - Variable name
+ * @returns {Object|null} - Parsed object, or null if not found or not valid JSON
+ */
+function readScriptAssignedJson(variableName) {
+  const assignment = new RegExp(`\\b${variableName}\\s*=\\s*\\{`);
+  for (const script of document.querySelectorAll('script:not([src])')) {
+    const text = script.textContent;
+    const match = assignment.exec(text);
+    if (!match) continue;
+
+    // Find the matching closing brace, skipping braces inside strings
+    const start = match.index + match[0].length - 1;
+    let depth = 0;
+    let quote = null;
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+      if (quote) {
+        if (char === '\\') i++;
+        else if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}' && --depth === 0) {
+        try {
+          return JSON.parse(text.slice(start, i + 1));
+        } catch (e) {
+          console.warn(`${variableName} is not valid JSON:`, e);
+          return null;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the first value stored under a key anywhere in a nested object
+ * @param {*} value - Object or array to search
+ * @param {string} key - Key to look for
+ * @param {number} depth - Remaining depth
+ * @returns {*} - The value, or undefined
+ */
+function findNestedKey(value, key, depth = 8) {
+  if (!value || typeof value !== 'object' || depth < 0) return undefined;
+  if (!Array.isArray(value) && Object.prototype.hasOwnProperty.call(value, key)) return value[key];
+  for (const child of Object.values(value)) {
+    const found = findNestedKey(child, key, depth - 1);
+    if (found !== undefined) return found;
+  }
+  return undefined;
+}
+
+/**
+ * Read the page's currency from meta tags
+ * @returns {string|null} - ISO 4217 code or null
+ */
+function readMetaCurrency() {
+  const meta = document.querySelector('meta[property="og:price:currency"], meta[property="product:price:currency"], meta[itemprop="priceCurrency"]');
+  const currency = meta && (meta.getAttribute('content') || '').trim().toUpperCase();
+  return currency && /^[A-Z]{3}$/.test(currency) ? currency : null;
+}
+
+/**
+ * Format a numeric platform price for display
+ * @param {number|string} amount - Amount
+ * @param {string|null} currency - ISO 4217 code
+ * @param {string|null} pattern - Store price pattern like "$%s" or "%s €" (used without a currency code)
+ * @returns {string|null} - Display price, or null without an amount or a way to show the currency
+ */
+function formatPlatformPrice(amount, currency, pattern = null) {
+  const value = amount === null || amount === undefined || amount === '' ? NaN : Number(amount);
+  if (!isFinite(value)) return null;
+  if (currency) return formatStructuredPrice(value, currency);
+  if (pattern && pattern.includes('%s')) return pattern.replace('%s', value.toFixed(2));
+  return null;
+}
+
+/**
+ * Turn a possibly protocol-relative URL ("//cdn.shopify.com/...") into an absolute one
+ * @param {string} url - URL
+ * @returns {string|null}
+ */
+function toAbsolutePlatformUrl(url) {
+  if (!url) return null;
+  try {
+    return new URL(url, window.location.href).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+// ============================================================================
+// SHOPIFY
+// ============================================================================
+
+/**
+ * Check whether the current page belongs to a Shopify store
+ * @returns {boolean}
+ */
+function isShopifyStore() {
+  if (document.querySelector(SHOPIFY_FINGERPRINT_SELECTOR)) return true;
+  return Array.from(document.querySelectorAll('script:not([src])'))
+    .some(script => SHOPIFY_INLINE_SCRIPT_PATTERN.test(script.textContent));
+}
+
+/**
+ * Get the product handle of a Shopify product page
+ * @returns {string|null} - Product handle, or null if this isn't a Shopify product page
+ */
+function getShopifyProductHandle() {
+  const handleMatch = window.location.pathname.match(/\/products\/([^/?#]+)/);
+  if (!handleMatch || !isShopifyStore()) return null;
+  return decodeURIComponent(handleMatch[1]);
+}
+
+/**
+ * Convert the .json product format ({ product: {...} }, prices as "19.99")
+ * into the .js format (prices in cents, image URLs as strings)
+ * @param {Object} product - product from /products/<handle>.json
+ * @returns {Object}
+ */
+function normalizeShopifyJsonProduct(product) {
+  const toCents = value => (value === null || value === undefined || value === '' ? null : Math.round(parseFloat(value) * 100));
+  const images = (product.images || []).map(image => image.src);
+  const imagesById = new Map((product.images || []).map(image => [image.id, image]));
+
+  const variants = (product.variants || []).map(variant => Object.assign({}, variant, {
+    price: toCents(variant.price),
+    compare_at_price: toCents(variant.compare_at_price),
+    featured_image: imagesById.get(variant.image_id) || null
+  }));
+
+  return Object.assign({}, product, {
+    price: variants.length > 0 ? variants[0].price : null,
+    images: images,
+    featured_image: product.image ? product.image.src : images[0] || null,
+    variants: variants
+  });
+}
+
+/**
+ * Fetch a Shopify product record
+ *
+ * The .js flavour is tried first because, unlike .json, it includes
+ * per-variant availability. Both are requested under the current path prefix
+ * so localized storefronts ("/en-ca/products/...") return translated data.
+ *
+ * @param {string} handle - Product handle
+ * @returns {Promise<Object|null>} - Product in the .js format (prices in cents), or null
+ */
+function fetchShopifyProduct(handle) {
+  const prefix = window.location.pathname.split('/products/')[0];
+  const path = `${prefix}/products/${encodeURIComponent(handle)}`;
+  if (shopifyProductRequests.has(path)) return shopifyProductRequests.get(path);
+
+  const request = (async () => {
+    const product = await fetchSameOriginJson(`${path}.js`, SHOPIFY_FETCH_TIMEOUT_MS);
+    if (product && Array.isArray(product.variants)) return product;
+
+    const json = await fetchSameOriginJson(`${path}.json`, SHOPIFY_FETCH_TIMEOUT_MS);
+    if (json && json.product && Array.isArray(json.product.variants)) return normalizeShopifyJsonProduct(json.product);
+    return null;
+  })();
+
+  shopifyProductRequests.set(path, request);
+  // Don't keep failures around - the next extraction should try again
+  request.then(product => {
+    if (!product) shopifyProductRequests.delete(path);
+  });
+  return request;
+}
+
+/**
+ * Read the store's currency (the product JSON doesn't include it)
+ * @returns {string|null} - ISO 4217 code or null
+ */
+function getShopifyCurrency() {
+  const fromMeta = readMetaCurrency();
+  if (fromMeta) return fromMeta;
+
+  // Shopify.currency = {"active":"EUR","rate":"1.0"};
+  for (const script of document.querySelectorAll('script:not([src])')) {
+    const match = script.textContent.match(/Shopify\.currency\s*=\s*\{[^}]*"active"\s*:\s*"([A-Z]{3})"/);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Pick the variant shown on the page: ?variant=, the cart form, then the first available one
+ * @param {Object} product - Product in the .js format
+ * @returns {Object|null} - Variant
+ */
+function pickShopifyVariant(product) {
+  const variants = product.variants || [];
+  const formVariant = document.querySelector('form[action*="/cart/add"] [name="id"]');
+  const selectedId = new URLSearchParams(window.location.search).get('variant') || (formVariant && formVariant.value);
+
+  return (selectedId && variants.find(variant => String(variant.id) === String(selectedId))) ||
+    variants.find(variant => variant.available) ||
+    variants[0] ||
+    null;
+}
+
+/**
+ * Extract a product from the store's product JSON
+ * @returns {Promise<Object|null>} - { name, price, currency, listPrice, image, images, brand, sku, gtin, availability } or null
+ */
+async function extractShopifyProduct() {
+  const handle = getShopifyProductHandle();
+  if (!handle) return null;
+
+  const product = await fetchShopifyProduct(handle);
+  if (!product) return null;
+
+  const variant = pickShopifyVariant(product);
+  const currency = getShopifyCurrency();
+  const cents = variant && typeof variant.price === 'number' ? variant.price : product.price;
+  const compareAtCents = variant ? variant.compare_at_price : product.compare_at_price;
+
+  const images = (product.images || []).map(toAbsolutePlatformUrl).filter(Boolean);
+  const variantImage = variant && variant.featured_image ? toAbsolutePlatformUrl(variant.featured_image.src) : null;
+  const image = variantImage || toAbsolutePlatformUrl(product.featured_image) || images[0] || null;
+
+  return {
+    name: product.title || null,
+    price: typeof cents === 'number' ? formatStructuredPrice(cents / 100, currency) : null,
+    currency: currency,
+    listPrice: typeof compareAtCents === 'number' && compareAtCents > cents ? formatStructuredPrice(compareAtCents / 100, currency) : null,
+    image: image,
+    images: image ? [image].concat(images.filter(url => url !== image)) : images,
+    brand: product.vendor || null,
+    sku: (variant && variant.sku) || null,
+    gtin: (variant && variant.barcode) || null,
+    availability: variant && typeof variant.available === 'boolean' ? (variant.available ? 'in_stock' : 'out_of_stock') : null
+  };
+}
+
+// ============================================================================
+// WOOCOMMERCE
+// ============================================================================
+
+/**
+ * Check whether the current page belongs to a WooCommerce store
+ * @returns {boolean}
+ */
+function isWooCommerceStore() {
+  return document.querySelector(WOOCOMMERCE_FINGERPRINT_SELECTOR) !== null;
+}
+
+/**
+ * Read the variation list WooCommerce embeds in the add-to-cart form
+ *
+ * data-product_variations is "false" when the product has too many variations
+ * to embed (they are loaded over AJAX instead); that case returns null.
+ *
+ * @returns {Object|null} - { form, variations } or null
+ */
+function readWooCommerceVariations() {
+  const form = document.querySelector('form.variations_form[data-product_variations]');
+  const variations = parseJsonAttribute(form, 'data-product_variations');
+  return Array.isArray(variations) && variations.length > 0 ? { form: form, variations: variations } : null;
+}
+
+/**
+ * Find the variation matching the shopper's selection
+ * @param {HTMLFormElement} form - variations_form
+ * @param {Array<Object>} variations - Variations from data-product_variations
+ * @returns {Object|null} - Variation, or null until every attribute is chosen
+ */
+function pickWooCommerceVariation(form, variations) {
+  const idInput = form.querySelector('input[name="variation_id"]');
+  if (idInput && idInput.value && idInput.value !== '0') {
+    const byId = variations.find(variation => String(variation.variation_id) === idInput.value);
+    if (byId) return byId;
+  }
+
+  const selects = Array.from(form.querySelectorAll('select[name^="attribute_"]'));
+  if (selects.length === 0 || selects.some(select => !select.value)) return null;
+
+  // An empty attribute value in a variation means "any"
+  return variations.find(variation => selects.every(select => {
+    const value = (variation.attributes || {})[select.name];
+    return !value || value === select.value;
+  })) || null;
+}
+
+/**
+ * Read the displayed price strings from a variation's price_html
+ * @param {string} html - e.g. '<del>...$30...</del> <ins>...$25...</ins>'
+ * @returns {Object} - { price, listPrice } display strings (null when missing)
+ */
+function parseWooCommercePriceHtml(html) {
+  if (!html) return { price: null, listPrice: null };
+  // DOMParser documents are inert: nothing in them loads or runs
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const text = el => (el ? el.textContent.replace(/\s+/g, ' ').trim() : null);
+  const amounts = doc.querySelectorAll('.woocommerce-Price-amount');
+  return {
+    price: text(doc.querySelector('ins .woocommerce-Price-amount') || amounts[amounts.length - 1]),
+    listPrice: text(doc.querySelector('del .woocommerce-Price-amount'))
+  };
+}
+
+/**
+ * Extract the selected variation's price, SKU, image and stock
+ * @returns {Object|null} - Product fields or null
+ */
+function extractWooCommerceProduct() {
+  const skuElement = document.querySelector('.product_meta .sku');
+  const fields = { sku: skuElement ? skuElement.textContent.trim() || null : null };
+
+  const data = readWooCommerceVariations();
+  const variation = data ? pickWooCommerceVariation(data.form, data.variations) : null;
+  if (!variation) return fields;
+
+  const currency = readMetaCurrency();
+  const symbolElement = document.querySelector('.woocommerce-Price-currencySymbol');
+  const pattern = symbolElement ? `${symbolElement.textContent.trim()}%s` : null;
+  const display = parseWooCommercePriceHtml(variation.price_html);
+  const onSale = Number(variation.display_regular_price) > Number(variation.display_price);
+
+  const image = variation.image ? toAbsolutePlatformUrl(variation.image.full_src || variation.image.src) : null;
+  return {
+    price: display.price || formatPlatformPrice(variation.display_price, currency, pattern),
+    currency: currency,
+    listPrice: onSale ? display.listPrice || formatPlatformPrice(variation.display_regular_price, currency, pattern) : null,
+    sku: variation.sku || fields.sku,
+    image: image,
+    availability: typeof variation.is_in_stock === 'boolean' ? (variation.is_in_stock ? 'in_stock' : 'out_of_stock') : null
+  };
+}
+
+// ============================================================================
+// MAGENTO
+// ============================================================================
+
+/**
+ * Check whether the current page belongs to a Magento 2 store
+ * @returns {boolean}
+ */
+function isMagentoStore() {
+  return document.querySelector(MAGENTO_FINGERPRINT_SELECTOR) !== null;
+}
+
+/**
+ * Read the product's priceBox config from the x-magento-init scripts
+ *
+ * { "[data-role=priceBox][data-price-box=product-id-42]": { "priceBox": { "priceConfig": {
+ *     "productId": "42", "priceFormat": { "pattern": "$%s" },
+ *     "prices": { "finalPrice": { "amount": 29.99 }, "oldPrice": { "amount": 39.99 } } } } } }
+ *
+ * @param {string|null} productId - Product id of the main price box (configs for related products are skipped)
+ * @returns {Object|null} - priceConfig or null
+ */
+function readMagentoPriceConfig(productId) {
+  const configs = [];
+  document.querySelectorAll('script[type="text/x-magento-init"]').forEach(script => {
+    try {
+      const config = findNestedKey(JSON.parse(script.textContent), 'priceConfig');
+      if (config && config.prices) configs.push(config);
+    } catch (e) {
+      // Not JSON (or a theme's own init block) - skip it
+    }
+  });
+  return configs.find(config => productId && String(config.productId) === String(productId)) || configs[0] || null;
+}
+
+/**
+ * Extract prices and SKU from Magento's price box
+ * @returns {Object|null} - Product fields or null
+ */
+function extractMagentoProduct() {
+  const priceBox = document.querySelector('.product-info-main [data-role="priceBox"], [data-role="priceBox"][data-product-id]');
+  const productId = priceBox ? priceBox.getAttribute('data-product-id') : null;
+  const config = readMagentoPriceConfig(productId);
+  const readAmount = type => {
+    const fromConfig = config && config.prices[type] ? config.prices[type].amount : null;
+    if (fromConfig !== null && fromConfig !== undefined) return Number(fromConfig);
+    const el = priceBox ? priceBox.querySelector(`[data-price-type="${type}"][data-price-amount]`) : null;
+    return el ? Number(el.getAttribute('data-price-amount')) : null;
+  };
+
+  const finalAmount = readAmount('finalPrice');
+  const oldAmount = readAmount('oldPrice');
+  const currency = readMetaCurrency();
+  const pattern = config && config.priceFormat ? config.priceFormat.pattern : null;
+  const skuElement = document.querySelector('.product-info-main .product.attribute.sku .value');
+
+  return {
+    price: formatPlatformPrice(finalAmount, currency, pattern),
+    currency: currency,
+    listPrice: oldAmount > finalAmount ? formatPlatformPrice(oldAmount, currency, pattern) : null,
+    sku: skuElement ? skuElement.textContent.trim() || null : null
+  };
+}
+
+// ============================================================================
+// BIGCOMMERCE
+// ============================================================================
+
+/**
+ * Check whether the current page belongs to a BigCommerce store
+ * @returns {boolean}
+ */
+function isBigCommerceStore() {
+  if (document.querySelector(BIGCOMMERCE_FINGERPRINT_SELECTOR)) return true;
+  return Array.from(document.querySelectorAll('script:not([src])')).some(script => /\bBCData\s*=/.test(script.textContent));
+}
+
+/**
+ * Extract the product from the BCData object Stencil themes embed
+ *
+ * BCData.product_attributes.price holds the current price and, when on sale,
+ * non_sale_price_* (the regular price); rrp_* is the manufacturer's price.
+ *
+ * @returns {Object|null} - Product fields or null
+ */
+function extractBigCommerceProduct() {
+  const data = readScriptAssignedJson('BCData');
+  const attributes = data && data.product_attributes;
+  if (!attributes) return null;
+
+  const prices = attributes.price || {};
+  const taxKey = prices.with_tax ? 'with_tax' : 'without_tax';
+  const current = prices[taxKey] || null;
+  const regular = prices[`non_sale_price_${taxKey}`] || prices[`rrp_${taxKey}`] || null;
+  const currentAmount = current ? Number(current.value) : null;
+
+  let availability = null;
+  if (attributes.instock === false || attributes.purchasable === false) availability = 'out_of_stock';
+  else if (attributes.instock === true) availability = 'in_stock';
+
+  return {
+    price: current ? current.formatted || formatPlatformPrice(current.value, current.currency) : null,
+    currency: current ? current.currency || null : null,
+    listPrice: regular && Number(regular.value) > currentAmount ? regular.formatted || formatPlatformPrice(regular.value, regular.currency) : null,
+    sku: attributes.sku || null,
+    gtin: attributes.gtin || attributes.upc || null,
+    availability: availability
+  };
+}
+
+// ============================================================================
+// SALESFORCE COMMERCE CLOUD
+// ============================================================================
+
+/**
+ * Check whether the current page belongs to a Salesforce Commerce Cloud store
+ * @returns {boolean}
+ */
+function isSfccStore() {
+  return document.querySelector(SFCC_FINGERPRINT_SELECTOR) !== null;
+}
+
+/**
+ * Extract the product id (data-pid) and the numeric prices SFRA puts in content attributes
+ * @returns {Object|null} - Product fields or null
+ */
+function extractSfccProduct() {
+  const detail = document.querySelector('.product-detail[data-pid]') || document.querySelector('[data-pid]');
+  const sales = document.querySelector('.product-detail .prices .sales .value[content], .prices .sales .value[content]');
+  const list = document.querySelector('.product-detail .prices .strike-through .value[content], .prices .list .value[content]');
+
+  const currency = readMetaCurrency();
+  const salesAmount = sales ? Number(sales.getAttribute('content')) : null;
+  const listAmount = list ? Number(list.getAttribute('content')) : null;
+
+  return {
+    // Without a currency code the rules read the displayed price instead
+    price: formatPlatformPrice(salesAmount, currency),
+    currency: currency,
+    listPrice: listAmount > salesAmount ? formatPlatformPrice(listAmount, currency) : null,
+    sku: detail ? detail.getAttribute('data-pid') || null : null
+  };
+}
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+// Checked in order; the first adapter whose detect() matches wins
+
+const PLATFORM_ADAPTERS = {
+  shopify: {
+    name: 'Shopify',
+    detect: isShopifyStore,
+    rules: SHOPIFY_RULES,
+    extract: extractShopifyProduct
+  },
+  woocommerce: {
+    name: 'WooCommerce',
+    detect: isWooCommerceStore,
+    rules: WOOCOMMERCE_RULES,
+    extract: extractWooCommerceProduct
+  },
+  magento: {
+    name: 'Magento',
+    detect: isMagentoStore,
+    rules: MAGENTO_RULES,
+    extract: extractMagentoProduct
+  },
+  bigcommerce: {
+    name: 'BigCommerce',
+    detect: isBigCommerceStore,
+    rules: BIGCOMMERCE_RULES,
+    extract: extractBigCommerceProduct
+  },
+  sfcc: {
+    name: 'Salesforce Commerce Cloud',
+    detect: isSfccStore,
+    rules: SFCC_RULES,
+    extract: extractSfccProduct
+  }
+};
+
+/**
+ * Detect the e-commerce platform the current page is built on
+ * @returns {Object|null} - { id, name, detect, rules, extract } or null if no adapter matches
+ */
+function detectPlatform() {
+  for (const id of Object.keys(PLATFORM_ADAPTERS)) {
+    const adapter = PLATFORM_ADAPTERS[id];
+    try {
+      if (adapter.detect()) return Object.assign({ id: id }, adapter);
+    } catch (e) {
+      console.warn(`Platform detection failed for ${id}:`, e);
+    }
+  }
+  return null;
+}
+
+/**
+ * Run a platform adapter's extractor without letting its failure stop the extraction
+ * @param {Object} platform - Result of detectPlatform()
+ * @returns {Promise<Object|null>} - Product fields or null
+ */
+async function extractPlatformProduct(platform) {
+  try {
+    return await platform.extract();
+  } catch (e) {
+    console.warn(`${platform.name} product data unavailable:`, e);
+    return null;
+  }
+}
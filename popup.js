@@ -5,26 +5,136 @@ document.addEventListener('DOMContentLoaded', function() {
   const resultsDiv = document.getElementById('results');
   const jsonOutput = document.getElementById('jsonOutput');
   const errorDiv = document.getElementById('error');
+  const historyBtn = document.getElementById('historyBtn');
+  const captureBtn = document.getElementById('captureBtn');
+  const trackThreshold = document.getElementById('trackThreshold');
+  const trackDropPercent = document.getElementById('trackDropPercent');
+  const trackStatus = document.getElementById('trackStatus');
+  const trackBtn = document.getElementById('trackBtn');
+  const untrackBtn = document.getElementById('untrackBtn');
+  const priceHistoryDiv = document.getElementById('priceHistory');
+  const priceChartDiv = document.getElementById('priceChart');
+  const priceHistorySummary = document.getElementById('priceHistorySummary');
+  const unsupportedPanel = document.getElementById('unsupportedPanel');
+  const unsupportedTitle = document.getElementById('unsupportedTitle');
+  const unsupportedInfo = document.getElementById('unsupportedInfo');
+  const supportedSitesList = document.getElementById('supportedSitesList');
+  const tryAnywayBtn = document.getElementById('tryAnywayBtn');
+  const requestSupportBtn = document.getElementById('requestSupportBtn');
+  const manageJunkSitesLink = document.getElementById('manageJunkSitesLink');
 
-  // Extract button click handler
-  extractBtn.addEventListener('click', async function() {
+  // Last successful extraction, used by the export buttons
+  let lastResult = null;
+
+  // Last SITE_NOT_SUPPORTED error, used by the support request
+  let unsupportedError = null;
+
+  // Tab being extracted, whose progress messages are shown in the status line
+  let extractingTabId = null;
+
+  // Longest wait for an extraction: the content script waits up to 8 seconds for
+  // client-rendered pages and 2 for a lazy image (see wait-for-content.js)
+  const EXTRACTION_TIMEOUT_MS = 20000;
+
+  /**
+   * Send a message to a tab, giving up after a timeout
+   * @param {number} tabId - Tab ID
+   * @param {Object} message - Message
+   * @param {number} timeout - Timeout in milliseconds
+   * @returns {Promise<Object>} - Response; rejects with a timeout error
+   */
+  function sendTabMessageWithTimeout(tabId, message, timeout) {
+    let timer = null;
+    const timedOut = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(new Error(`The page took too long to respond. Wait until it has finished loading, or reload it, and try again.`));
+      }, timeout);
+    });
+    return Promise.race([chrome.tabs.sendMessage(tabId, message), timedOut]).finally(() => clearTimeout(timer));
+  }
+
+  // Progress of the running extraction (e.g., waiting for the page to render)
+  chrome.runtime.onMessage.addListener(function(request, sender) {
+    if (request.action !== 'extractionProgress') return false;
+    if (extractingTabId !== null && sender.tab && sender.tab.id === extractingTabId) {
+      statusDiv.textContent = request.message;
+    }
+    return false;
+  });
+
+  /**
+   * Get the active tab
+   * @returns {Promise<Object>}
+   */
+  async function getActiveTab() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) {
+      throw new Error('No active tab found');
+    }
+    return tab;
+  }
+
+  /**
+   * Show an error message, one line per row
+   * @param {string} message - Message, may contain newlines
+   */
+  function showError(message) {
+    errorDiv.textContent = '';
+    message.split('\n').forEach(line => {
+      if (line.trim() === '') {
+        errorDiv.appendChild(document.createElement('br'));
+        return;
+      }
+      const row = document.createElement('div');
+      row.textContent = line;
+      errorDiv.appendChild(row);
+    });
+    errorDiv.style.display = 'block';
+  }
+
+  /**
+   * Explain that the site isn't supported and offer the next steps
+   * @param {Object} errorData - SITE_NOT_SUPPORTED error from content.js
+   */
+  function showUnsupportedPanel(errorData) {
+    unsupportedError = errorData;
+    const domain = errorData.domain || 'this site';
+    const junkSite = errorData.junkSite;
+
+    unsupportedTitle.textContent = `Site not supported: ${domain}`;
+    let info = `There are no extraction rules for this site, and this page doesn't look like a product page. You can try the generic heuristics anyway, or send a support request.`;
+    if (junkSite && junkSite.attempts > 1) {
+      info += ` Tried ${junkSite.attempts} times since ${new Date(junkSite.firstSeen).toLocaleDateString()}.`;
+    }
+    unsupportedInfo.textContent = info;
+    supportedSitesList.textContent = errorData.supportedSitesFormatted || 'No supported sites listed.';
+    tryAnywayBtn.disabled = false;
+    requestSupportBtn.disabled = false;
+    requestSupportBtn.textContent = 'Request support';
+    unsupportedPanel.style.display = 'block';
+  }
+
+  /**
+   * Extract product data from the active tab and show it
+   * @param {boolean} force - Use the generic heuristics even if the site isn't supported
+   */
+  async function runExtraction(force) {
     // Reset UI
     statusDiv.textContent = 'Extracting product information...';
     statusDiv.className = 'status-message loading';
     resultsDiv.style.display = 'none';
     errorDiv.style.display = 'none';
+    unsupportedPanel.style.display = 'none';
     extractBtn.disabled = true;
+    lastResult = null;
+    priceHistoryDiv.style.display = 'none';
 
     try {
-      // Get the active tab
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      
-      if (!tab) {
-        throw new Error('No active tab found');
-      }
+      const tab = await getActiveTab();
+      extractingTabId = tab.id;
 
       // Inject content script and send message
-      const response = await chrome.tabs.sendMessage(tab.id, { action: 'extractProduct' });
+      const response = await sendTabMessageWithTimeout(tab.id, { action: 'extractProduct', force: force }, EXTRACTION_TIMEOUT_MS);
 
       if (!response || !response.success) {
         // Handle structured errors
@@ -33,36 +143,138 @@ document.addEventListener('DOMContentLoaded', function() {
           const domain = errorData.domain || 'this site';
           throw new Error(`⚠️ This isn't a product page.\n\nYou're on a supported e-commerce site (${domain}), but this page doesn't appear to be a product detail page. Please navigate to a specific product page and try again.`);
         } else if (response?.errorType === 'SITE_NOT_SUPPORTED') {
-          const errorData = response.errorData || {};
-          const domain = errorData.domain || 'this site';
-          const supportedSites = errorData.supportedSitesFormatted || 'No supported sites listed.';
-          throw new Error(`⚠️ Site not supported: ${domain}\n\nCurrently supported sites:\n${supportedSites}\n\nThis site has been added to the filter list.`);
+          showUnsupportedPanel(response.errorData || {});
+          statusDiv.textContent = 'Site not supported';
+          statusDiv.className = 'status-message error';
+          return;
         } else {
           throw new Error(response?.error || 'Failed to extract product information');
         }
       }
 
       // Display results
+      lastResult = response.data;
       const jsonData = JSON.stringify(response.data, null, 2);
       jsonOutput.textContent = jsonData;
       resultsDiv.style.display = 'block';
-      statusDiv.textContent = 'Product information extracted successfully!';
-      statusDiv.className = 'status-message success';
+      // The price of an item that can't be bought isn't a real offer - say so up front
+      if (lastResult.availability === 'out_of_stock') {
+        statusDiv.textContent = 'Product information extracted, but this item is out of stock.';
+        statusDiv.className = 'status-message warning';
+      } else if (lastResult.mode === 'generic' && response.previouslyUnsupported) {
+        statusDiv.textContent = `Extracted with generic heuristics, but other pages on this site didn't look like product pages - check the values before relying on them.`;
+        statusDiv.className = 'status-message warning';
+      } else if (lastResult.mode === 'generic') {
+        statusDiv.textContent = 'Extracted with generic heuristics - check the values before relying on them.';
+        statusDiv.className = 'status-message warning';
+      } else {
+        statusDiv.textContent = 'Product information extracted successfully!';
+        statusDiv.className = 'status-message success';
+      }
+      refreshTrackPanel();
+      showPriceHistory();
       
     } catch (error) {
       console.error('Error:', error);
-      // Handle multi-line error messages
-      const errorMessage = error.message || 'Failed to extract product information. Make sure you are on a supported e-commerce site.';
-      errorDiv.innerHTML = errorMessage.split('\n').map(line => {
-        if (line.trim() === '') return '<br>';
-        return `<div>${line}</div>`;
-      }).join('');
-      errorDiv.style.display = 'block';
+      showError(error.message || 'Failed to extract product information. Make sure you are on a supported e-commerce site.');
       statusDiv.textContent = 'Extraction failed';
       statusDiv.className = 'status-message error';
     } finally {
+      extractingTabId = null;
       extractBtn.disabled = false;
     }
+  }
+
+  // Extract button click handler
+  extractBtn.addEventListener('click', function() {
+    runExtraction(false);
+  });
+
+  // Try anyway button click handler - generic heuristics on an unsupported site
+  tryAnywayBtn.addEventListener('click', function() {
+    tryAnywayBtn.disabled = true;
+    runExtraction(true);
+  });
+
+  // Request support button click handler - downloads the domain and a page snapshot
+  // as a zip that can be attached to a support request
+  requestSupportBtn.addEventListener('click', async function() {
+    requestSupportBtn.disabled = true;
+    try {
+      const tab = await getActiveTab();
+      const response = await chrome.tabs.sendMessage(tab.id, { action: 'captureSupportSnapshot' });
+      if (!response || !response.success) {
+        throw new Error('Failed to capture the page');
+      }
+
+      const { html, ...snapshot } = response.data;
+      const request = Object.assign({
+        extensionVersion: chrome.runtime.getManifest().version,
+        junkSite: unsupportedError ? unsupportedError.junkSite || null : null
+      }, snapshot);
+      const zip = createZip([
+        { name: 'request.json', data: JSON.stringify(request, null, 2) },
+        { name: 'page.html', data: html }
+      ]);
+      const date = new Date().toISOString().slice(0, 10);
+      downloadFile(zip, `support-request-${snapshot.domain}-${date}.zip`, 'application/zip');
+      requestSupportBtn.textContent = 'Downloaded';
+    } catch (err) {
+      console.error('Failed to create support request:', err);
+      showError('Failed to create the support request');
+      requestSupportBtn.disabled = false;
+    }
+  });
+
+  // Capture button click handler - downloads the page with its layout and the extraction
+  // result as a zip, for bug reports and regression fixtures (see page-capture.js)
+  captureBtn.addEventListener('click', async function() {
+    captureBtn.disabled = true;
+    captureBtn.textContent = 'Capturing...';
+    try {
+      const tab = await getActiveTab();
+      const response = await chrome.tabs.sendMessage(tab.id, { action: 'capturePage' });
+      if (!response || !response.success) {
+        throw new Error(response ? response.error : 'Failed to capture the page');
+      }
+
+      const { html, capture, extraction } = response.data;
+      capture.extensionVersion = chrome.runtime.getManifest().version;
+      const zip = createZip([
+        { name: 'page.html', data: html },
+        { name: 'capture.json', data: JSON.stringify(capture, null, 2) },
+        { name: 'extraction.json', data: JSON.stringify(extraction, null, 2) }
+      ]);
+      const date = new Date().toISOString().slice(0, 10);
+      downloadFile(zip, `capture-${capture.domain}-${date}.zip`, 'application/zip');
+      captureBtn.textContent = 'Downloaded';
+    } catch (err) {
+      console.error('Failed to capture page:', err);
+      showError(`The page can't be captured. Reload the page and try again.`);
+      captureBtn.textContent = 'Capture page';
+      captureBtn.disabled = false;
+    }
+  });
+
+  // Pick buttons - start the element picker on the page. The popup closes as soon as
+  // the page gets focus, so close it right away; the picker has its own toolbar.
+  document.querySelectorAll('.pick-button').forEach(function(button) {
+    button.addEventListener('click', async function() {
+      try {
+        const tab = await getActiveTab();
+        await chrome.tabs.sendMessage(tab.id, { action: 'startElementPicker', field: button.dataset.field });
+        window.close();
+      } catch (err) {
+        console.error('Failed to start the element picker:', err);
+        showError(`The element picker can't run on this page. Reload the page and try again.`);
+      }
+    });
+  });
+
+  // Manage link click handler - the unsupported site list lives on the options page
+  manageJunkSitesLink.addEventListener('click', function(event) {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
   });
 
   // Copy button click handler
@@ -85,5 +297,151 @@ document.addEventListener('DOMContentLoaded', function() {
       errorDiv.style.display = 'block';
     });
   });
+
+  // Export button click handlers - download the current result as a file
+  document.querySelectorAll('.export-button').forEach(function(button) {
+    button.addEventListener('click', function() {
+      if (!lastResult) return;
+      try {
+        exportProducts([lastResult], button.dataset.format);
+      } catch (err) {
+        console.error('Failed to export:', err);
+        errorDiv.textContent = 'Failed to export product data';
+        errorDiv.style.display = 'block';
+      }
+    });
+  });
+
+  /**
+   * Show the price chart for the current product once it has been extracted more than once
+   */
+  async function showPriceHistory() {
+    if (!lastResult) return;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'historyGet', id: lastResult.canonicalUrl || lastResult.url });
+      const entry = response && response.success ? response.data : null;
+      const observations = entry && entry.observations ? entry.observations.slice() : [];
+
+      // content.js records the extraction after answering us, so it may not be stored yet
+      const latest = observations[observations.length - 1];
+      if (!latest || latest.timestamp !== lastResult.timestamp) {
+        observations.push({
+          timestamp: lastResult.timestamp,
+          amount: lastResult.amount,
+          currency: lastResult.currency,
+          price: lastResult.price,
+          isDiscounted: Boolean(lastResult.isDiscounted),
+          availability: lastResult.availability
+        });
+      }
+
+      if (!renderPriceChart(priceChartDiv, observations, lastResult.currency)) {
+        priceHistoryDiv.style.display = 'none';
+        return;
+      }
+      priceHistorySummary.textContent = describePriceHistory(summarizePriceHistory(observations), lastResult.currency);
+      priceHistoryDiv.style.display = 'block';
+    } catch (err) {
+      console.error('Failed to load price history:', err);
+      priceHistoryDiv.style.display = 'none';
+    }
+  }
+
+  /**
+   * Describe a price history summary in one or two sentences
+   * @param {Object} summary - Result of summarizePriceHistory()
+   * @param {string} currency - ISO currency code
+   * @returns {string}
+   */
+  function describePriceHistory(summary, currency) {
+    const low = formatChartAmount(summary.min.amount, currency);
+    const high = formatChartAmount(summary.max.amount, currency);
+    const lines = [`Low ${low} (${formatChartDate(summary.min.time)}), high ${high} (${formatChartDate(summary.max.time)}) across ${summary.count} checks.`];
+
+    // Is the flagged discount actually lower than what the product usually costs?
+    if (summary.current.isDiscounted) {
+      const earlier = summary.count - 1;
+      lines.push(summary.earlierAtOrBelowCurrent > 0
+        ? `Marked as discounted, but ${summary.earlierAtOrBelowCurrent} of ${earlier} earlier checks were at this price or lower.`
+        : 'Marked as discounted, and lower than every earlier check.');
+    }
+
+    summary.availabilityChanges.forEach(change => {
+      lines.push(`${formatChartDate(change.time)}: ${formatAvailability(change.availability)}.`);
+    });
+    return lines.join(' ');
+  }
+
+  /**
+   * Find the watch for the current result, if the product is tracked
+   * @returns {Promise<Object|null>}
+   */
+  async function findCurrentWatch() {
+    const response = await chrome.runtime.sendMessage({ action: 'watchGet', id: lastResult.canonicalUrl || lastResult.url });
+    return response && response.success ? response.data : null;
+  }
+
+  /**
+   * Show whether the current product is tracked and its alert settings
+   */
+  async function refreshTrackPanel() {
+    if (!lastResult) return;
+    try {
+      const watch = await findCurrentWatch();
+      trackThreshold.value = watch && watch.threshold !== null ? watch.threshold : '';
+      trackDropPercent.value = watch && watch.dropPercent !== null ? watch.dropPercent : '';
+      trackStatus.textContent = watch ? 'Tracking' : '';
+      trackBtn.textContent = watch ? 'Update alert' : 'Track';
+      untrackBtn.style.display = watch ? 'inline-block' : 'none';
+      untrackBtn.dataset.id = watch ? watch.id : '';
+    } catch (err) {
+      console.error('Failed to load watchlist:', err);
+    }
+  }
+
+  // Track button click handler - adds the product to the watchlist (or updates its alert)
+  trackBtn.addEventListener('click', async function() {
+    if (!lastResult) return;
+    trackBtn.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'watchAdd',
+        data: lastResult,
+        threshold: trackThreshold.value,
+        dropPercent: trackDropPercent.value
+      });
+      if (!response || !response.success || !response.data) {
+        throw new Error((response && response.error) || 'No response from the extension');
+      }
+      await refreshTrackPanel();
+    } catch (err) {
+      console.error('Failed to track product:', err);
+      showError(`Failed to track this product: ${err.message}`);
+    } finally {
+      trackBtn.disabled = false;
+    }
+  });
+
+  // Stop tracking button click handler
+  untrackBtn.addEventListener('click', async function() {
+    untrackBtn.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'watchRemove', ids: [untrackBtn.dataset.id] });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'No response from the extension');
+      }
+      await refreshTrackPanel();
+    } catch (err) {
+      console.error('Failed to stop tracking product:', err);
+      showError(`Failed to stop tracking this product: ${err.message}`);
+    } finally {
+      untrackBtn.disabled = false;
+    }
+  });
+
+  // History button click handler - opens the history page in a new tab
+  historyBtn.addEventListener('click', function() {
+    chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+  });
 });
 
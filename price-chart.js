@@ -0,0 +1,275 @@
+/**
+ * Price History Chart
+ * Draws a product's price series (history entry observations) as an inline SVG.
+ *
+ * Everything is drawn with plain SVG elements so the chart works offline and
+ * needs no charting library. Marked on the chart:
+ * - Lowest, highest and current price
+ * - Observations where the extractor flagged a discount (isDiscounted)
+ * - Dates when availability changed (dashed vertical lines)
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const PRICE_CHART_SIZE = { width: 360, height: 170 };
+const PRICE_CHART_PADDING = { top: 18, right: 44, bottom: 22, left: 52 };
+
+const PRICE_CHART_COLORS = {
+  line: '#4285f4',
+  point: '#4285f4',
+  discounted: '#f57c00',
+  min: '#2e7d32',
+  max: '#c62828',
+  current: '#333',
+  availability: '#9e9e9e',
+  grid: '#eeeeee',
+  text: '#666'
+};
+
+// Display labels for normalized availability values (see availability.js)
+const AVAILABILITY_LABELS = {
+  in_stock: 'In stock',
+  out_of_stock: 'Out of stock',
+  preorder: 'Pre-order',
+  backorder: 'Backorder',
+  limited: 'Limited stock',
+  unknown: 'Unknown availability'
+};
+
+/**
+ * Create an SVG element with attributes
+ * @param {string} tag - Element name
+ * @param {Object} attributes - Attribute map
+ * @param {string} text - Optional text content
+ * @returns {SVGElement}
+ */
+function createSvgElement(tag, attributes = {}, text = null) {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.keys(attributes).forEach(name => element.setAttribute(name, attributes[name]));
+  if (text !== null) element.textContent = text;
+  return element;
+}
+
+/**
+ * Format an amount for chart labels
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO currency code (optional)
+ * @returns {string}
+ */
+function formatChartAmount(amount, currency) {
+  if (currency) {
+    try {
+      return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency }).format(amount);
+    } catch (e) {
+      // Unknown currency code - fall through to a plain number
+    }
+  }
+  return amount.toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+/**
+ * Format a timestamp as a short date for chart labels
+ * @param {number} time - Milliseconds since epoch
+ * @returns {string}
+ */
+function formatChartDate(time) {
+  return new Date(time).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Format an availability value for labels
+ * @param {string} availability - Normalized availability, e.g. "out_of_stock"
+ * @returns {string}
+ */
+function formatAvailability(availability) {
+  return AVAILABILITY_LABELS[availability] || availability;
+}
+
+/**
+ * Keep only observations that have a price, oldest first
+ * @param {Array<Object>} observations - History entry observations
+ * @returns {Array<Object>} - Observations with a numeric time field added
+ */
+function getChartPoints(observations) {
+  return (observations || [])
+    .filter(observation => typeof observation.amount === 'number' && isFinite(observation.amount))
+    .map(observation => Object.assign({}, observation, { time: new Date(observation.timestamp).getTime() }))
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Find the observations where availability differs from the previous one
+ * @param {Array<Object>} points - Chart points, oldest first
+ * @returns {Array<Object>} - Points where availability changed
+ */
+function findAvailabilityChanges(points) {
+  const changes = [];
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].availability && points[i - 1].availability &&
+        points[i].availability !== points[i - 1].availability) {
+      changes.push(points[i]);
+    }
+  }
+  return changes;
+}
+
+/**
+ * Summarize chart points
+ * @param {Array<Object>} points - Chart points, oldest first
+ * @returns {Object|null} - Summary (see summarizePriceHistory), or null with fewer than two prices
+ */
+function summarizeChartPoints(points) {
+  if (points.length < 2) return null;
+
+  let min = points[0];
+  let max = points[0];
+  points.forEach(point => {
+    if (point.amount < min.amount) min = point;
+    if (point.amount > max.amount) max = point;
+  });
+
+  const current = points[points.length - 1];
+
+  return {
+    min: min,
+    max: max,
+    current: current,
+    // Earlier observations at or below the current price, to judge whether a discount is real
+    earlierAtOrBelowCurrent: points.slice(0, -1).filter(point => point.amount <= current.amount).length,
+    discountedCount: points.filter(point => point.isDiscounted).length,
+    availabilityChanges: findAvailabilityChanges(points),
+    count: points.length
+  };
+}
+
+/**
+ * Summarize a price series (used for the text under the chart)
+ * @param {Array<Object>} observations - History entry observations
+ * @returns {Object|null} - { min, max, current, earlierAtOrBelowCurrent, discountedCount,
+ *   availabilityChanges, count }, or null with fewer than two prices
+ */
+function summarizePriceHistory(observations) {
+  return summarizeChartPoints(getChartPoints(observations));
+}
+
+/**
+ * Render the price chart into a container (replacing its contents)
+ * @param {HTMLElement} container - Element to draw into
+ * @param {Array<Object>} observations - History entry observations
+ * @param {string} currency - ISO currency code for labels (optional)
+ * @returns {boolean} - True if a chart was drawn (needs at least two prices)
+ */
+function renderPriceChart(container, observations, currency) {
+  container.textContent = '';
+  const points = getChartPoints(observations);
+  const summary = summarizeChartPoints(points);
+  if (!summary) return false;
+
+  const { width, height } = PRICE_CHART_SIZE;
+  const pad = PRICE_CHART_PADDING;
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+
+  // Flat series still get some vertical room so the line isn't drawn on the border
+  const span = summary.max.amount - summary.min.amount || Math.max(summary.max.amount * 0.1, 1);
+  const low = summary.min.amount - span * 0.1;
+  const high = summary.max.amount + span * 0.1;
+  const firstTime = points[0].time;
+  const lastTime = points[points.length - 1].time;
+
+  // All extractions at the same moment are spread evenly instead
+  const x = (point, index) => pad.left + (lastTime > firstTime
+    ? (point.time - firstTime) / (lastTime - firstTime) * plotWidth
+    : index / (points.length - 1) * plotWidth);
+  const y = amount => pad.top + (high - amount) / (high - low) * plotHeight;
+
+  const svg = createSvgElement('svg', {
+    viewBox: `0 0 ${width} ${height}`,
+    width: width,
+    height: height,
+    class: 'price-chart',
+    role: 'img',
+    'aria-label': 'Price history chart'
+  });
+
+  // Grid lines and price labels at the lowest and highest price
+  [summary.min.amount, summary.max.amount].forEach(amount => {
+    svg.appendChild(createSvgElement('line', {
+      x1: pad.left, x2: width - pad.right, y1: y(amount), y2: y(amount),
+      stroke: PRICE_CHART_COLORS.grid
+    }));
+    svg.appendChild(createSvgElement('text', {
+      x: pad.left - 4, y: y(amount) + 3, 'text-anchor': 'end', 'font-size': 9, fill: PRICE_CHART_COLORS.text
+    }, formatChartAmount(amount, currency)));
+  });
+
+  // Date labels for the first and last observation
+  svg.appendChild(createSvgElement('text', {
+    x: pad.left, y: height - 6, 'font-size': 9, fill: PRICE_CHART_COLORS.text
+  }, formatChartDate(firstTime)));
+  svg.appendChild(createSvgElement('text', {
+    x: width - pad.right, y: height - 6, 'text-anchor': 'end', 'font-size': 9, fill: PRICE_CHART_COLORS.text
+  }, formatChartDate(lastTime)));
+
+  // Availability changes
+  summary.availabilityChanges.forEach(change => {
+    const changeX = x(change, points.indexOf(change));
+    const line = createSvgElement('line', {
+      x1: changeX, x2: changeX, y1: pad.top, y2: height - pad.bottom,
+      stroke: PRICE_CHART_COLORS.availability, 'stroke-dasharray': '3,3'
+    });
+    line.appendChild(createSvgElement('title', {}, `${formatChartDate(change.time)}: ${formatAvailability(change.availability)}`));
+    svg.appendChild(line);
+    svg.appendChild(createSvgElement('text', {
+      x: changeX + 2, y: pad.top - 6, 'font-size': 8, fill: PRICE_CHART_COLORS.availability
+    }, formatAvailability(change.availability)));
+  });
+
+  // Price line
+  svg.appendChild(createSvgElement('polyline', {
+    points: points.map((point, index) => `${x(point, index)},${y(point.amount)}`).join(' '),
+    fill: 'none',
+    stroke: PRICE_CHART_COLORS.line,
+    'stroke-width': 1.5
+  }));
+
+  // One dot per observation; discounted ones are highlighted
+  points.forEach((point, index) => {
+    const dot = createSvgElement('circle', {
+      cx: x(point, index), cy: y(point.amount), r: point.isDiscounted ? 3.5 : 2.5,
+      fill: point.isDiscounted ? PRICE_CHART_COLORS.discounted : PRICE_CHART_COLORS.point
+    });
+    dot.appendChild(createSvgElement('title', {},
+      `${new Date(point.time).toLocaleString()}: ${formatChartAmount(point.amount, currency)}${point.isDiscounted ? ' (discounted)' : ''}`));
+    svg.appendChild(dot);
+  });
+
+  // Min / max / current markers
+  const markers = [
+    { point: summary.min, label: 'Low', color: PRICE_CHART_COLORS.min, dy: 12 },
+    { point: summary.max, label: 'High', color: PRICE_CHART_COLORS.max, dy: -6 },
+    { point: summary.current, label: 'Now', color: PRICE_CHART_COLORS.current, dy: -6 }
+  ];
+  markers.forEach(marker => {
+    const index = points.indexOf(marker.point);
+    svg.appendChild(createSvgElement('circle', {
+      cx: x(marker.point, index), cy: y(marker.point.amount), r: 5,
+      fill: 'none', stroke: marker.color, 'stroke-width': 1.5
+    }));
+  });
+  // "Now" goes to the right of the last point; Low/High sit above/below theirs
+  markers.forEach(marker => {
+    const index = points.indexOf(marker.point);
+    const isCurrent = marker.label === 'Now';
+    svg.appendChild(createSvgElement('text', {
+      x: isCurrent ? x(marker.point, index) + 8 : x(marker.point, index),
+      y: isCurrent ? y(marker.point.amount) + 3 : y(marker.point.amount) + marker.dy,
+      'text-anchor': isCurrent ? 'start' : 'middle',
+      'font-size': 9,
+      fill: marker.color
+    }, marker.label));
+  });
+
+  container.appendChild(svg);
+  return true;
+}
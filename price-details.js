@@ -0,0 +1,141 @@
+/**
+ * Price Details (deal analysis)
+ * Separates the regular price from the sale price and reads coupon offers,
+ * so discounts are reported instead of being folded into a single price.
+ *
+ * The list price comes from, in order:
+ * 1. Structured data - PriceSpecification with priceType ListPrice / StrikethroughPrice
+ * 2. The site's price rule - discount/original markers (extractPriceWithDiscountPreference)
+ *    or two prices in the price container
+ * 3. The site's listPrice rule (site-selectors.js)
+ * 4. Generic page signals - struck-through prices, "Was $X", "List Price: $X", "MSRP", "Compare at"
+ *
+ * A candidate only counts when it is higher than the extracted price.
+ *
+ * Result fields:
+ * - listPrice: regular price (the struck-through one on sale, otherwise the price itself)
+ * - salePrice: discounted price, or null when the item isn't on sale
+ * - discountPercent: whole percent off the list price, or null
+ * - couponText: coupon / promo code offer shown with the price, or null
+ */
+
+// Elements that usually hold a crossed-out or "was" price
+const LIST_PRICE_SELECTORS = [
+  'del', 's', 'strike',
+  '[style*="line-through"]',
+  '[data-variant="original"]',
+  '[class*="strike" i]',
+  '[class*="was-price" i]',
+  '[class*="was_price" i]',
+  '[class*="wasprice" i]',
+  '[class*="compare-at" i]',
+  '[class*="compare_at" i]',
+  '[class*="price--compare" i]',
+  '[class*="original-price" i]',
+  '[class*="list-price" i]',
+  '[class*="regular-price" i]',
+  '[class*="old-price" i]'
+];
+
+// Labels in front of a regular price: "Was $39.99", "List Price: $49.99", "MSRP $60", "Compare at $30"
+const LIST_PRICE_LABEL_PATTERN = /^\s*(was|list price|list|msrp|rrp|srp|compare at|originally|original price|regular price|reg\.?|retail price|typical price)\b\s*:?/i;
+
+// Coupon / promo code offers
+const COUPON_PATTERN = /\b(coupon|promo code|promocode|use code|with code|voucher)\b/i;
+
+// Elements searched for labelled prices and coupon text
+const PRICE_DETAIL_TEXT_SELECTOR = 'span, p, div, li, dd, td, small, label, strong, b, em';
+
+// A "list price" more than this multiple of the price is probably another product
+const MAX_LIST_PRICE_RATIO = 10;
+
+/**
+ * Get an element's text with whitespace collapsed
+ * @param {HTMLElement} el - Element
+ * @returns {string}
+ */
+function getPriceDetailText(el) {
+  return (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Find regular-price candidates on the page (struck-through or labelled prices)
+ * @returns {Array<string>} - Price strings in page order
+ */
+function findListPriceCandidates() {
+  const candidates = [];
+  const add = text => {
+    const match = text.match(createPriceRegex());
+    if (match && !candidates.includes(match[1].trim())) candidates.push(match[1].trim());
+  };
+
+  queryRuleSelectorAll(LIST_PRICE_SELECTORS.join(', ')).forEach(el => {
+    if (el.offsetParent === null) return;
+    const text = getPriceDetailText(el);
+    if (text && text.length < 60) add(text);
+  });
+
+  queryRuleSelectorAll(PRICE_DETAIL_TEXT_SELECTOR).forEach(el => {
+    if (el.offsetParent === null || el.children.length > 3) return;
+    const text = getPriceDetailText(el);
+    if (text.length < 60 && LIST_PRICE_LABEL_PATTERN.test(text)) add(text.replace(LIST_PRICE_LABEL_PATTERN, ''));
+  });
+
+  return candidates;
+}
+
+/**
+ * Find a coupon / promo code message on the page
+ * @returns {string|null} - The innermost element text that mentions a coupon
+ */
+function findCouponText() {
+  const matches = queryRuleSelectorAll(PRICE_DETAIL_TEXT_SELECTOR).filter(el => {
+    if (el.offsetParent === null) return false;
+    const text = getPriceDetailText(el);
+    return text.length >= 4 && text.length <= 150 && COUPON_PATTERN.test(text);
+  });
+  // Innermost match, so "Save $5 with coupon" wins over the whole price block around it
+  const innermost = matches.find(el => !matches.some(other => other !== el && el.contains(other)));
+  return innermost ? getPriceDetailText(innermost) : null;
+}
+
+/**
+ * Work out list price, sale price, discount and coupon for the extracted price
+ * @param {Object} productData - Product data with price, amount and currency already set
+ *   (productData.listPrice may already hold a structured-data or price-rule value)
+ * @param {Object} siteRules - Result of normalizeSiteRules() for the site
+ * @returns {Object} - { listPrice, salePrice, discountPercent, couponText, isDiscounted }
+ */
+function extractPriceDetails(productData, siteRules) {
+  const couponMatch = extractRuleField('coupon', siteRules.fields.coupon);
+  // Flagged as discounted by the price rule, but the regular price isn't known (yet)
+  const details = {
+    listPrice: productData.isDiscounted ? null : productData.price,
+    salePrice: productData.isDiscounted ? productData.price : null,
+    discountPercent: null,
+    couponText: couponMatch ? couponMatch.value : findCouponText(),
+    isDiscounted: Boolean(productData.isDiscounted)
+  };
+  if (productData.amount === null) return details;
+
+  const ruleMatch = extractRuleField('listPrice', siteRules.fields.listPrice);
+  const candidates = [productData.listPrice, ruleMatch && ruleMatch.value]
+    .concat(findListPriceCandidates())
+    .filter(Boolean);
+
+  const currencyHint = productData.currency || getCurrencyHintForDomain(productData.site);
+  for (const candidate of candidates) {
+    const parsed = parsePrice(candidate, { currencyHint: currencyHint });
+    if (!parsed || parsed.amount <= productData.amount) continue;
+    if (parsed.currency && productData.currency && parsed.currency !== productData.currency) continue;
+    if (parsed.amount > productData.amount * MAX_LIST_PRICE_RATIO) continue;
+
+    details.listPrice = candidate;
+    details.salePrice = productData.price;
+    details.discountPercent = Math.round((parsed.amount - productData.amount) / parsed.amount * 100);
+    details.isDiscounted = true;
+    break;
+  }
+
+  return details;
+}
@@ -0,0 +1,317 @@
+/**
+ * Price Parser
+ * Turns price text from any site into a normalized price model:
+ *   { amount: 1299, currency: 'EUR', display: '1.299,00 €', locale: 'de-DE' }
+ *
+ * Handles:
+ * - Prefix currencies, including multi-letter ones ("US $", "CA$", "R$", "Rp", "RM", "Rs.")
+ * - Suffix currencies ("29,99 €", "199 kr", "1 299 zł")
+ * - ISO codes ("USD 29.99", "29.99 EUR", "EUR29.99")
+ * - Locale-aware thousands/decimal separators ("1,299.00" vs "1.299,00" vs "1 299,00")
+ */
+
+// Currency tokens and their ISO 4217 codes
+// Longer tokens must come first so "US$" wins over "$"
+const CURRENCY_TOKENS = [
+  { token: 'US$', code: 'USD' },
+  { token: 'US $', code: 'USD' },
+  { token: 'CA$', code: 'CAD' },
+  { token: 'C$', code: 'CAD' },
+  { token: 'AU$', code: 'AUD' },
+  { token: 'A$', code: 'AUD' },
+  { token: 'NZ$', code: 'NZD' },
+  { token: 'HK$', code: 'HKD' },
+  { token: 'S$', code: 'SGD' },
+  { token: 'MX$', code: 'MXN' },
+  { token: 'R$', code: 'BRL' },
+  { token: 'CHF', code: 'CHF' },
+  { token: 'Rp', code: 'IDR' },
+  { token: 'RM', code: 'MYR' },
+  { token: 'Rs.', code: 'INR' },
+  { token: 'Rs', code: 'INR' },
+  { token: 'zł', code: 'PLN' },
+  { token: 'Kč', code: 'CZK' },
+  { token: 'kr', code: 'SEK' },
+  { token: '$', code: 'USD' },
+  { token: '€', code: 'EUR' },
+  { token: '£', code: 'GBP' },
+  { token: '¥', code: 'JPY' },
+  { token: '￥', code: 'JPY' },
+  { token: '₹', code: 'INR' },
+  { token: '₩', code: 'KRW' },
+  { token: '₽', code: 'RUB' },
+  { token: '₺', code: 'TRY' },
+  { token: '₱', code: 'PHP' },
+  { token: '฿', code: 'THB' },
+  { token: '₫', code: 'VND' },
+  { token: '₪', code: 'ILS' },
+  { token: '₴', code: 'UAH' }
+];
+
+// ISO 4217 codes recognized when written next to an amount ("USD 29.99", "29,99 EUR")
+const ISO_CURRENCY_CODES = [
+  'USD', 'EUR', 'GBP', 'JPY', 'CNY', 'CAD', 'AUD', 'NZD', 'HKD', 'SGD', 'MXN', 'BRL', 'CHF',
+  'SEK', 'NOK', 'DKK', 'ISK', 'PLN', 'CZK', 'HUF', 'INR', 'KRW', 'RUB', 'TRY', 'PHP', 'THB',
+  'VND', 'IDR', 'MYR', 'ILS', 'UAH', 'ZAR', 'AED', 'SAR', 'CLP', 'COP', 'ARS', 'TWD'
+];
+
+// Ambiguous tokens whose currency depends on the site (e.g., "$" on amazon.ca is CAD)
+const AMBIGUOUS_CURRENCY_TOKENS = ['$', '¥', '￥', 'kr'];
+
+// Currencies that are normally shown without decimals
+// For these, "1.299" and "1,299" are always thousands separators
+const ZERO_DECIMAL_CURRENCIES = ['JPY', 'KRW', 'VND', 'IDR', 'CLP', 'HUF', 'ISK'];
+
+// Default currency per domain, used to resolve ambiguous tokens
+// Keys starting with "." are domain suffixes; the others match the domain and its subdomains
+const DOMAIN_CURRENCY_HINTS = {
+  '.ca': 'CAD',
+  '.com.au': 'AUD',
+  '.co.nz': 'NZD',
+  '.co.uk': 'GBP',
+  '.co.jp': 'JPY',
+  '.com.mx': 'MXN',
+  '.com.br': 'BRL',
+  '.sg': 'SGD',
+  '.co.id': 'IDR',
+  '.com.my': 'MYR',
+  '.ph': 'PHP',
+  '.co.th': 'THB',
+  '.vn': 'VND',
+  '.se': 'SEK',
+  '.no': 'NOK',
+  '.dk': 'DKK',
+  '.cn': 'CNY',
+  'jd.com': 'CNY',
+  'alibaba.com': 'USD'
+};
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Letters a currency token that starts or ends with a letter must not touch
+const CURRENCY_TOKEN_LETTERS = 'A-Za-z\\u00c0-\\u024f';
+
+/**
+ * Build the regex source for one currency token
+ * Tokens that start or end with a letter ("kr", "RM", "Rp", "Rs") only match on their own,
+ * not inside words ("kr" in "Skrill", "RM" in "FORMAT").
+ * @param {string} token - Currency token
+ * @returns {string} - Regex source
+ */
+function createCurrencyTokenPattern(token) {
+  const source = escapeRegExp(token).replace(/ /g, '\\s?');
+  const before = /^\p{L}/u.test(token) ? `(?<![${CURRENCY_TOKEN_LETTERS}])` : '';
+  const after = /\p{L}$/u.test(token) ? `(?![${CURRENCY_TOKEN_LETTERS}])` : '';
+  return before + source + after;
+}
+
+// Regex source for any currency token or 3-letter ISO code
+// ISO codes may touch the amount ("EUR29.99", "29.99EUR"), but not other letters
+const CURRENCY_PATTERN = '(?:' +
+  CURRENCY_TOKENS.map(c => createCurrencyTokenPattern(c.token)).join('|') +
+  `|(?<![${CURRENCY_TOKEN_LETTERS}])(?:` + ISO_CURRENCY_CODES.join('|') + `)(?![${CURRENCY_TOKEN_LETTERS}]))`;
+
+// Regex source for a number with optional thousands/decimal separators
+// - Indian grouping ("1,49,999.00") is tried first
+// - (?!\d) stops "1299.00" from matching as "129" via the grouped branch
+const AMOUNT_PATTERN = '(?:\\d{1,2}(?:,\\d{2})+,\\d{3}(?:\\.\\d{1,2})?(?!\\d)|\\d{1,3}(?:[.,\\u00a0\\u202f\' ]\\d{3})+(?:[.,]\\d{1,2})?(?!\\d)|\\d+(?:[.,]\\d{1,2})?(?!\\d))';
+
+/**
+ * Create a regex that finds price text (currency + amount, in either order)
+ * @param {string} flags - RegExp flags (e.g., 'g' to find all prices)
+ * @returns {RegExp} - Price regex; the whole match is the price text
+ */
+function createPriceRegex(flags = '') {
+  return new RegExp(
+    `(${CURRENCY_PATTERN}\\s?${AMOUNT_PATTERN}|${AMOUNT_PATTERN}\\s?${CURRENCY_PATTERN})`,
+    flags
+  );
+}
+
+/**
+ * Get the default currency for a domain (e.g., 'amazon.ca' -> 'CAD')
+ * @param {string} domain - Domain name
+ * @returns {string|null} - ISO currency code or null
+ */
+function getCurrencyHintForDomain(domain) {
+  if (!domain) return null;
+  const key = Object.keys(DOMAIN_CURRENCY_HINTS)
+    .sort((a, b) => b.length - a.length)
+    .find(k => k.startsWith('.') ? domain.endsWith(k) : domain === k || domain.endsWith('.' + k));
+  return key ? DOMAIN_CURRENCY_HINTS[key] : null;
+}
+
+/**
+ * Get the decimal separator a locale uses
+ * @param {string} locale - BCP 47 locale (e.g., 'de-DE')
+ * @returns {string|null} - '.' or ',' or null if the locale is unknown
+ */
+function getLocaleDecimalSeparator(locale) {
+  try {
+    const part = new Intl.NumberFormat(locale).formatToParts(1.5).find(p => p.type === 'decimal');
+    return part ? part.value : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Resolve a currency token to an ISO code
+ * @param {string} token - Token found in the price text (e.g., "CA$", "€", "EUR")
+ * @param {string|null} currencyHint - Site default currency for ambiguous tokens
+ * @returns {string|null} - ISO currency code or null
+ */
+function resolveCurrencyToken(token, currencyHint) {
+  if (!token) return currencyHint || null;
+  const normalized = token.replace(/\s+/g, ' ').trim();
+
+  if (AMBIGUOUS_CURRENCY_TOKENS.includes(normalized) && currencyHint) {
+    // "$" on a CAD site is CAD, "¥" on jd.com is CNY, "kr" on a .no site is NOK
+    const hintTokens = CURRENCY_TOKENS.filter(c => c.code === currencyHint).map(c => c.token);
+    const hintUsesToken = hintTokens.includes(normalized) ||
+                          (normalized === '$' && ['CAD', 'AUD', 'NZD', 'SGD', 'HKD', 'MXN'].includes(currencyHint)) ||
+                          ((normalized === '¥' || normalized === '￥') && currencyHint === 'CNY') ||
+                          (normalized === 'kr' && ['NOK', 'DKK', 'ISK'].includes(currencyHint));
+    if (hintUsesToken) return currencyHint;
+  }
+
+  const match = CURRENCY_TOKENS.find(c => c.token.replace(/\s+/g, ' ') === normalized ||
+                                          c.token.replace(/\s+/g, '') === normalized.replace(/\s+/g, ''));
+  if (match) return match.code;
+
+  // Three-letter ISO code ("USD 29.99")
+  if (ISO_CURRENCY_CODES.includes(normalized)) return normalized;
+
+  return currencyHint || null;
+}
+
+/**
+ * Convert a number string to a float, working out which separator is the decimal
+ *
+ * Rules:
+ * - Both "." and "," present: the last one is the decimal separator
+ * - One separator repeated ("1.299.000"): thousands separator
+ * - One separator followed by exactly 3 digits ("1,299"): thousands (except "0,299")
+ * - One separator followed by 1-2 digits ("29,99"): decimal separator
+ * - Zero-decimal currencies (JPY, KRW, ...): separators are always thousands
+ *
+ * @param {string} numberText - Number as shown on the page
+ * @param {string|null} currency - ISO currency code
+ * @returns {{ amount: number, decimal: string|null }} - Parsed amount and the decimal separator used
+ */
+function parseLocalizedAmount(numberText, currency) {
+  // Whitespace (including NBSP / narrow NBSP) and apostrophes are always grouping separators
+  const compact = numberText.replace(/[\s']/g, '');
+  const lastDot = compact.lastIndexOf('.');
+  const lastComma = compact.lastIndexOf(',');
+
+  let decimal = null;
+  if (ZERO_DECIMAL_CURRENCIES.includes(currency)) {
+    decimal = null;
+  } else if (lastDot >= 0 && lastComma >= 0) {
+    decimal = lastDot > lastComma ? '.' : ',';
+  } else if (lastDot >= 0 || lastComma >= 0) {
+    const separator = lastDot >= 0 ? '.' : ',';
+    const occurrences = compact.split(separator).length - 1;
+    const digitsAfter = compact.length - compact.lastIndexOf(separator) - 1;
+    if (occurrences > 1) {
+      decimal = null;
+    } else if (digitsAfter === 3) {
+      // "1,299" / "1.299" - thousands separator, except "0,299" which can only be a decimal
+      decimal = compact.startsWith('0' + separator) ? separator : null;
+    } else {
+      decimal = separator;
+    }
+  }
+
+  let normalized;
+  if (decimal) {
+    const thousands = decimal === '.' ? ',' : '.';
+    normalized = compact.split(thousands).join('').replace(decimal, '.');
+  } else {
+    normalized = compact.replace(/[.,]/g, '');
+  }
+
+  return { amount: parseFloat(normalized), decimal: decimal };
+}
+
+/**
+ * Parse price text into a normalized price model
+ *
+ * @param {string} text - Text containing a price (e.g., "US $1,299.99", "1.299,00 €", "Price: R$ 49,90")
+ * @param {Object} options - Parsing options
+ * @param {string} options.currencyHint - Default currency for ambiguous tokens ("$", "¥", "kr") and bare numbers
+ * @param {string} options.locale - Page locale used to break separator ties (default: <html lang> or navigator.language)
+ * @returns {Object|null} - { amount, currency, display, locale } or null if no price found
+ */
+function parsePrice(text, options = {}) {
+  if (text === null || text === undefined) return null;
+  if (typeof text === 'number') {
+    return { amount: text, currency: options.currencyHint || null, display: String(text), locale: options.locale || null };
+  }
+
+  const source = String(text).replace(/\s+/g, ' ').trim();
+  if (!source) return null;
+
+  const pageLocale = options.locale ||
+                     (typeof document !== 'undefined' && document.documentElement?.lang) ||
+                     (typeof navigator !== 'undefined' && navigator.language) ||
+                     null;
+  const localeDecimal = pageLocale ? getLocaleDecimalSeparator(pageLocale) : null;
+
+  // Prefer text with a currency; fall back to a bare number ("29.99")
+  const match = source.match(createPriceRegex());
+  let display, numberText, token;
+  if (match) {
+    display = match[1].trim();
+    const amountMatch = display.match(new RegExp(AMOUNT_PATTERN));
+    numberText = amountMatch ? amountMatch[0] : null;
+    token = display.replace(numberText, '').trim();
+  } else {
+    const bareMatch = source.match(new RegExp(AMOUNT_PATTERN));
+    if (!bareMatch) return null;
+    display = bareMatch[0].trim();
+    numberText = display;
+    token = null;
+  }
+  if (!numberText) return null;
+
+  const currency = resolveCurrencyToken(token, options.currencyHint || null);
+  const { amount, decimal } = parseLocalizedAmount(numberText, currency);
+  if (isNaN(amount)) return null;
+
+  // Report the locale the separators were read in: the page locale if it agrees,
+  // otherwise a representative locale for the detected format
+  let locale = pageLocale;
+  if (decimal && localeDecimal && decimal !== localeDecimal) {
+    locale = decimal === ',' ? 'de-DE' : 'en-US';
+  } else if (!locale && decimal) {
+    locale = decimal === ',' ? 'de-DE' : 'en-US';
+  }
+
+  return {
+    amount: amount,
+    currency: currency,
+    display: display,
+    locale: locale
+  };
+}
+
+/**
+ * Parse only the numeric amount of a price
+ * Shorthand for the many places that just need a value to compare/sort
+ * @param {string} text - Price text
+ * @param {Object} options - Same as parsePrice()
+ * @returns {number} - Amount, or NaN if no price found
+ */
+function parsePriceAmount(text, options = {}) {
+  const parsed = parsePrice(text, options);
+  return parsed ? parsed.amount : NaN;
+}
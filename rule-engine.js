@@ -0,0 +1,493 @@
+/**
+ * Site Rule Engine
+ * Interprets the declarative per-site rules defined in site-selectors.js
+ *
+ * Every supported site goes through the same interpreter:
+ * 1. normalizeSiteRules() turns a SITE_SELECTORS entry (strings or rule objects) into field rules
+ * 2. checkSiteRuleGuard() verifies the elements a site requires are on the page
+ * 3. extractRuleField() runs one field rule (name, price, image, listPrice or coupon) and returns the value
+ *
+ * See the "Rule format" comment at the top of site-selectors.js for the options.
+ */
+
+// Fields a site entry can define rules for
+const RULE_FIELDS = ['name', 'price', 'image', 'listPrice', 'coupon'];
+
+// Attributes to read image URLs from, in order (lazy-loaded images use data-* attributes)
+const DEFAULT_IMAGE_SOURCES = ['src', 'data-src', 'data-lazy-src', 'data-old-src'];
+
+// Prices outside this range are treated as noise (fees, cart totals, errors)
+const RULE_PRICE_RANGE = { min: 0.5, max: 100000 };
+
+/**
+ * Named value transforms that rules can reference
+ * Each transform takes a string and returns a string (or null to reject the value)
+ */
+const RULE_TRANSFORMS = {
+  // Remove leading/trailing whitespace
+  trim: value => value.trim(),
+
+  // Collapse runs of whitespace/newlines into single spaces
+  collapseWhitespace: value => value.replace(/\s+/g, ' ').trim(),
+
+  // Remove labels around prices ("Price: $29.99 each" -> "$29.99")
+  stripPriceLabel: value => value.replace(/^\s*Price:\s*/i, '').replace(/\s*each\s*$/i, ''),
+
+  // Amazon's data-a-dynamic-image is a JSON object keyed by image URL - use the first key
+  firstJsonKey: value => {
+    try {
+      const keys = Object.keys(JSON.parse(value));
+      return keys.length > 0 ? keys[0] : null;
+    } catch (e) {
+      console.warn('Failed to parse JSON attribute:', e);
+      return null;
+    }
+  },
+
+  // Resolve relative URLs ("/images/a.jpg") against the page URL
+  absoluteUrl: value => {
+    try {
+      return new URL(value, window.location.href).href;
+    } catch (e) {
+      return value;
+    }
+  }
+};
+
+/**
+ * Scoring functions for choosing one price among collected candidates
+ * Higher score = better candidate
+ *
+ * Each candidate has: { text, value, selectorIndex, order, hasDecimal }
+ * selectorCount is the number of selectors in the rule (earlier selectors rank higher)
+ */
+const PRICE_PICKERS = {
+  // First valid price in selector order
+  first: (candidate, selectorCount) => (selectorCount - candidate.selectorIndex) * 1e9 - candidate.order,
+
+  // Prefer complete prices ("$29.99" over "$29") in a typical product range
+  decimal: (candidate) => {
+    let score = 0;
+    if (candidate.hasDecimal) score += 10000; // Very large boost for prices with decimals
+    if (candidate.value >= 5 && candidate.value <= 1000) score += 5000; // Reasonable product range
+    score += candidate.text.length * 100; // Longer price strings are more complete
+    return score;
+  },
+
+  // Prefer earlier selectors, then higher prices (main product vs. shipping/related items)
+  highest: (candidate, selectorCount) => {
+    let score = (selectorCount - candidate.selectorIndex) * 100000;
+    if (candidate.value >= 50 && candidate.value <= 1000) score += 20000; // Typical product prices
+    if (candidate.value < 30) score -= 50000; // Likely shipping or related items
+    score += candidate.value * 100;
+    return score;
+  },
+
+  // Prefer the lowest price (sale price when several are shown)
+  lowest: (candidate) => -candidate.value
+};
+
+/**
+ * Split a comma-separated selector list, ignoring commas inside brackets, parentheses or quotes
+ * e.g. 'a[title="x, y"], b:is(.c, .d)' -> ['a[title="x, y"]', 'b:is(.c, .d)']
+ * @param {string} text - Selector list
+ * @returns {Array<string>} - Individual selectors
+ */
+function splitSelectorList(text) {
+  const selectors = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[' || char === '(') {
+      depth++;
+    } else if (char === ']' || char === ')') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      selectors.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  selectors.push(current.trim());
+
+  return selectors.filter(Boolean);
+}
+
+/**
+ * Normalize one field rule (string or object) into a full rule object with defaults
+ * @param {string} field - Field name (see RULE_FIELDS)
+ * @param {string|Object} rule - Selector string or rule object from SITE_SELECTORS
+ * @returns {Object|null} - Normalized rule, or null if the rule has no selectors
+ */
+function normalizeFieldRule(field, rule) {
+  if (!rule) return null;
+
+  const fromString = typeof rule === 'string';
+  const ruleObject = fromString ? { selectors: rule } : rule;
+  const selectors = typeof ruleObject.selectors === 'string'
+    ? splitSelectorList(ruleObject.selectors)
+    : (ruleObject.selectors || []).filter(Boolean);
+
+  if (selectors.length === 0) return null;
+
+  const defaults = {
+    name: { sources: ['text'], transforms: ['collapseWhitespace'] },
+    // Plain selector strings keep the old behavior: collect every price and prefer complete ones
+    price: { sources: ['text'], transforms: [], collect: fromString, multiple: 'all', pick: fromString ? 'decimal' : 'first' },
+    image: { sources: DEFAULT_IMAGE_SOURCES, transforms: ['absoluteUrl'] },
+    // Regular price shown next to a sale price ("Was $39.99", struck-through prices)
+    listPrice: { sources: ['price', 'text'], transforms: ['stripPriceLabel'], collect: false, multiple: 'all', pick: 'first' },
+    coupon: { sources: ['text'], transforms: ['collapseWhitespace'] }
+  }[field] || { sources: ['text'], transforms: ['trim'] };
+
+  return Object.assign({}, defaults, ruleObject, { selectors: selectors });
+}
+
+/**
+ * Normalize a SITE_SELECTORS entry into field rules plus guard and gallery selectors
+ * @param {Object} entry - Site entry from SITE_SELECTORS
+ * @returns {Object} - { guard, gallery, fields: { name, price, image, listPrice, coupon } }
+ */
+function normalizeSiteRules(entry) {
+  const fields = {};
+  RULE_FIELDS.forEach(field => {
+    fields[field] = normalizeFieldRule(field, entry ? entry[field] : null);
+  });
+
+  return {
+    guard: entry && entry.guard ? entry.guard : null,
+    gallery: entry && entry.gallery ? splitSelectorList(entry.gallery) : [],
+    fields: fields
+  };
+}
+
+/**
+ * Run querySelectorAll without throwing on invalid selectors
+ * @param {string} selector - CSS selector
+ * @param {Document|HTMLElement} root - Root element to search within
+ * @returns {Array<HTMLElement>} - Matching elements (empty if selector is invalid)
+ */
+function queryRuleSelectorAll(selector, root = document) {
+  try {
+    return Array.from(root.querySelectorAll(selector));
+  } catch (e) {
+    console.warn(`Invalid selector in site rules: ${selector}`, e);
+    return [];
+  }
+}
+
+/**
+ * Check a site's guard: every required field must have at least one matching element
+ * @param {Object} siteRules - Result of normalizeSiteRules()
+ * @returns {string|null} - Guard failure message, or null if the guard passes (or there is none)
+ */
+function checkSiteRuleGuard(siteRules) {
+  const guard = siteRules.guard;
+  if (!guard || !Array.isArray(guard.required)) return null;
+
+  const missing = guard.required.filter(field => {
+    const rule = siteRules.fields[field];
+    return !rule || !rule.selectors.some(selector => queryRuleSelectorAll(selector).length > 0);
+  });
+
+  if (missing.length === 0) return null;
+  return guard.message || `Missing required elements: ${missing.join(', ')}`;
+}
+
+/**
+ * Apply a list of named transforms to a value
+ * @param {string|null} value - Value to transform
+ * @param {Array<string>} transforms - Names from RULE_TRANSFORMS
+ * @returns {string|null} - Transformed value, or null if a transform rejected it
+ */
+function applyRuleTransforms(value, transforms = []) {
+  let result = value;
+  for (const name of transforms) {
+    if (result === null || result === undefined) return null;
+    const transform = RULE_TRANSFORMS[name];
+    if (!transform) {
+      console.warn(`Unknown transform in site rules: ${name}`);
+      continue;
+    }
+    result = transform(String(result));
+  }
+  return result === null || result === undefined || String(result).trim() === '' ? null : result;
+}
+
+/**
+ * Read one source from an element
+ *
+ * A source is either a string or an object { attribute, transforms }:
+ * - 'text'  -> element text content
+ * - 'price' -> extractPriceFromElement() (handles superscript cents like "$29<sup>99</sup>")
+ * - anything else -> attribute of that name (e.g., 'aria-label', 'data-a-dynamic-image')
+ *
+ * @param {HTMLElement} el - Element to read
+ * @param {string|Object} source - Source definition
+ * @returns {string|null} - Raw value or null
+ */
+function readRuleSource(el, source) {
+  const name = typeof source === 'string' ? source : source.attribute;
+  let value = null;
+
+  if (name === 'text') {
+    value = el.textContent || el.innerText || null;
+  } else if (name === 'price') {
+    value = extractPriceFromElement(el);
+  } else if (el.hasAttribute(name)) {
+    value = el.getAttribute(name);
+  }
+
+  if (value === null || String(value).trim() === '') return null;
+  return typeof source === 'string' ? value : applyRuleTransforms(value, source.transforms);
+}
+
+/**
+ * Read a field value from an element by trying the rule's sources in order
+ * @param {HTMLElement} el - Element to read
+ * @param {Object} rule - Normalized field rule
+ * @returns {Object|null} - { value, source } or null
+ */
+function readRuleValue(el, rule) {
+  for (const source of rule.sources) {
+    const raw = readRuleSource(el, source);
+    const value = applyRuleTransforms(raw, rule.transforms);
+    if (value !== null) {
+      return { value: String(value).trim(), source: typeof source === 'string' ? source : source.attribute };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find every price in a piece of text that falls inside the valid range
+ * @param {string} text - Text to search
+ * @returns {Array<Object>} - [{ text, value }] in page order
+ */
+function findRulePrices(text) {
+  const matches = (text || '').match(createPriceRegex('g')) || [];
+  return matches
+    .map(match => ({ text: match.trim(), value: parsePriceAmount(match) }))
+    .filter(price => price.value >= RULE_PRICE_RANGE.min && price.value <= RULE_PRICE_RANGE.max);
+}
+
+/**
+ * Compose a split price (e.g., Amazon's "$39" + <span class="a-price-fraction">95</span>)
+ * @param {string} priceText - Price read from the element
+ * @param {HTMLElement} el - Element the price was read from
+ * @param {Object} splitPrice - { container, fraction } selectors
+ * @returns {string} - Price with the fraction added, or the original price
+ */
+function composeSplitPrice(priceText, el, splitPrice) {
+  if (!splitPrice || /[.,]\d{1,2}(?!\d)/.test(priceText)) return priceText; // Already has decimals
+
+  const container = el.closest(splitPrice.container);
+  const fractionElement = container ? container.querySelector(splitPrice.fraction) : null;
+  const fraction = fractionElement?.textContent?.trim() || '';
+  if (!/^\d{1,2}$/.test(fraction)) return priceText;
+
+  // "$39" -> "$39.95", "$39." -> "$39.95", "39 €" -> "39.95 €"
+  return priceText.replace(/(\d+)([.,]?)(\D*)$/, (match, digits, separator, rest) => `${digits}${separator || '.'}${fraction}${rest}`);
+}
+
+/**
+ * Extract a price using discount/original variant markers
+ *
+ * Sites like Abercrombie mark prices with data-variant="discount" / data-variant="original".
+ * When a discount marker exists, or the container shows two different prices,
+ * the lower (discount) price wins and the result is flagged as discounted.
+ *
+ * @param {Object} rule - Normalized price rule with a variants option
+ * @returns {Object|null} - { value, selector, source, isDiscounted, listPrice } or null
+ */
+function extractVariantPrice(rule) {
+  const variants = Object.assign({ attribute: 'data-variant', discount: 'discount', original: 'original' }, rule.variants);
+  const containerSelector = variants.container || rule.selectors.join(', ');
+  const container = queryRuleSelectorAll(containerSelector)[0];
+  if (!container) return null;
+
+  // Discount marker present: use the generic discount preference helper
+  if (container.querySelector(`[${variants.attribute}="${variants.discount}"]`)) {
+    const priceText = extractPriceWithDiscountPreference(containerSelector, variants.attribute, variants.discount, variants.original);
+    // Same helper with the original marker preferred reads the regular price
+    const listPrice = container.querySelector(`[${variants.attribute}="${variants.original}"]`)
+      ? extractPriceWithDiscountPreference(containerSelector, variants.attribute, variants.original, variants.original)
+      : null;
+    if (priceText) {
+      return { value: priceText, selector: containerSelector, source: variants.attribute, isDiscounted: true, listPrice: listPrice };
+    }
+  }
+
+  // Two or more different prices in the container (e.g., "$160 $136"): lower one is the sale price
+  const prices = findRulePrices(container.textContent || container.innerText || '');
+  const distinctValues = new Set(prices.map(price => price.value));
+  if (distinctValues.size >= 2) {
+    prices.sort((a, b) => a.value - b.value);
+    return {
+      value: prices[0].text,
+      selector: containerSelector,
+      source: 'text',
+      isDiscounted: true,
+      listPrice: prices[prices.length - 1].text
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Extract a price field
+ *
+ * - collect: false -> first element (in selector order) with a valid price wins
+ * - collect: true  -> every price in every matching element becomes a candidate,
+ *                     then rule.pick (see PRICE_PICKERS) chooses one
+ * - multiple       -> how to treat several prices inside one element: 'all', 'highest' or 'lowest'
+ *
+ * @param {Object} rule - Normalized price rule
+ * @returns {Object|null} - { value, selector, source, isDiscounted, rejected } or null
+ *   (rejected: the other prices found, best first, as { value, selector })
+ */
+function extractPriceRule(rule) {
+  if (rule.variants) {
+    const variantPrice = extractVariantPrice(rule);
+    if (variantPrice) return variantPrice;
+  }
+
+  const candidates = [];
+  let order = 0;
+
+  for (let selectorIndex = 0; selectorIndex < rule.selectors.length; selectorIndex++) {
+    const selector = rule.selectors[selectorIndex];
+    const elements = queryRuleSelectorAll(selector);
+
+    for (const el of (rule.collect ? elements : elements.slice(0, 1))) {
+      const read = readRuleValue(el, rule);
+      if (!read) continue;
+
+      const text = composeSplitPrice(read.value, el, rule.splitPrice);
+      let prices = findRulePrices(text);
+      if (prices.length === 0) continue;
+
+      // Several prices in one element (e.g., "US $269.99 / $249.99 with coupon")
+      if (rule.multiple === 'highest') {
+        prices = [prices.reduce((best, price) => (price.value > best.value ? price : best))];
+      } else if (rule.multiple === 'lowest') {
+        prices = [prices.reduce((best, price) => (price.value < best.value ? price : best))];
+      } else if (!rule.collect) {
+        prices = prices.slice(0, 1);
+      }
+
+      prices.forEach(price => {
+        candidates.push({
+          text: price.text,
+          value: price.value,
+          hasDecimal: /[.,]\d{1,2}(?!\d)/.test(price.text),
+          selectorIndex: selectorIndex,
+          selector: selector,
+          source: read.source,
+          order: order++
+        });
+      });
+    }
+
+    // Without collect, stop at the first selector that produced a price
+    if (!rule.collect && candidates.length > 0) break;
+  }
+
+  if (candidates.length === 0) return null;
+
+  const picker = PRICE_PICKERS[rule.pick] || PRICE_PICKERS.first;
+  candidates.sort((a, b) => picker(b, rule.selectors.length) - picker(a, rule.selectors.length));
+  const best = candidates[0];
+
+  return {
+    value: best.text,
+    selector: best.selector,
+    source: best.source,
+    isDiscounted: false,
+    rejected: candidates
+      .filter((candidate, index) => candidate.text !== best.text && candidates.findIndex(other => other.text === candidate.text) === index)
+      .map(candidate => ({ value: candidate.text, selector: candidate.selector }))
+  };
+}
+
+/**
+ * Check if an element is rendered (not display:none / detached)
+ * @param {HTMLElement} el - Element to check
+ * @returns {boolean}
+ */
+function isRuleElementVisible(el) {
+  return el.offsetParent !== null;
+}
+
+/**
+ * Extract an image field
+ *
+ * - Default: first matching element (in selector order) with a usable URL
+ * - largest: { minWidth, minHeight } -> largest visible matching image above the minimum size
+ *
+ * @param {Object} rule - Normalized image rule
+ * @returns {Object|null} - { value, selector, source } or null
+ */
+function extractImageRule(rule) {
+  if (rule.largest) {
+    const minWidth = rule.largest.minWidth || 0;
+    const minHeight = rule.largest.minHeight || 0;
+    const candidates = [];
+
+    rule.selectors.forEach(selector => {
+      queryRuleSelectorAll(selector).forEach(el => {
+        if (!isRuleElementVisible(el)) return;
+        const rect = el.getBoundingClientRect();
+        if (rect.width < minWidth || rect.height < minHeight) return;
+        const read = readRuleValue(el, rule);
+        if (read) {
+          candidates.push({ value: read.value, source: read.source, selector: selector, area: rect.width * rect.height });
+        }
+      });
+    });
+
+    // Biggest image is usually the main product image
+    candidates.sort((a, b) => b.area - a.area);
+    return candidates[0] ? { value: candidates[0].value, selector: candidates[0].selector, source: candidates[0].source } : null;
+  }
+
+  return extractTextRule(rule);
+}
+
+/**
+ * Extract a text field (first matching element with a value, in selector order)
+ * @param {Object} rule - Normalized field rule
+ * @returns {Object|null} - { value, selector, source } or null
+ */
+function extractTextRule(rule) {
+  for (const selector of rule.selectors) {
+    const el = queryRuleSelectorAll(selector)[0];
+    if (!el) continue;
+    const read = readRuleValue(el, rule);
+    if (read) {
+      return { value: read.value, selector: selector, source: read.source };
+    }
+  }
+  return null;
+}
+
+/**
+ * Main function: Run one field rule against the current page
+ * @param {string} field - Field name (see RULE_FIELDS)
+ * @param {Object} rule - Normalized field rule from normalizeSiteRules()
+ * @returns {Object|null} - { value, selector, source, isDiscounted?, listPrice?, rejected? } or null if nothing matched
+ */
+function extractRuleField(field, rule) {
+  if (!rule) return null;
+  if (field === 'price' || field === 'listPrice') return extractPriceRule(rule);
+  if (field === 'image') return extractImageRule(rule);
+  return extractTextRule(rule);
+}
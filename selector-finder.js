@@ -9,6 +9,12 @@
  * 2. Open browser console (F12)
  * 3. Copy and paste this entire file, or call findProductSelectors()
  * 4. Review the suggested selectors
+ *
+ * It is also loaded as a content script: the extraction uses generateSelector()
+ * and the calculate*Confidence() scores to describe heuristic matches (see field-meta.js),
+ * and the DevTools panel (panel.html, through devtools-bridge.js) shows the results of
+ * collectProductSelectors(), collectDiscountPrices() and collectDiscountDebug().
+ * The find*() / debug*() functions print the same results to the console.
  */
 
 /**
@@ -77,35 +83,198 @@ function findActiveModal(rootElement = document) {
   return candidates[0].element;
 }
 
+// Attributes that usually stay the same across deploys (test hooks, schema.org, form names)
+const STABLE_SELECTOR_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-qa', 'data-cy', 'data-automation-id', 'itemprop', 'name'];
+
 /**
- * Generate a unique CSS selector for an element
+ * Check if an id or class looks hand-written rather than generated by a build tool
+ * @param {string} token - id or class name
+ * @returns {boolean} - False for hashes ("a1b2c3d4"), CSS-in-JS ("css-1x2y3z", "sc-bdVaJa"),
+ *   CSS module suffixes ("price__3xK2a"), long numbers ("item-123456") and state classes ("is-active")
  */
-function generateSelector(element) {
-  if (element.id) {
-    return `#${element.id}`;
+function isStableSelectorToken(token) {
+  if (!token || token.length > 40) return false;
+  if (/^(css|sc|jsx|emotion|svelte)-/i.test(token)) return false;
+  if (/__[A-Za-z0-9_-]{5,}$/.test(token) && /\d/.test(token)) return false;
+  // Letters and digits switching back and forth ("a1b2c3", "x9fk3") - a hash, not a name
+  if ((token.match(/[a-z]\d|\d[a-z]/gi) || []).length >= 2) return false;
+  if (/\d{4,}/.test(token)) return false;
+  if (/^(is|has|js)-/.test(token)) return false;
+  return true;
+}
+
+/**
+ * Quote a value for use in an attribute selector
+ * @param {string} value - Attribute value
+ * @returns {string} - e.g., "\"product-title\""
+ */
+function quoteSelectorValue(value) {
+  return `"${value.replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Get the stable class names of an element
+ * @param {Element} element - Element
+ * @returns {Array<string>} - Escaped class names
+ */
+function getStableClasses(element) {
+  return Array.from(element.classList || [])
+    .filter(isStableSelectorToken)
+    .map(className => CSS.escape(className));
+}
+
+/**
+ * Selectors that describe the element on its own, most readable first
+ * @param {Element} element - Element
+ * @returns {Array<string>}
+ */
+function getOwnSelectorCandidates(element) {
+  const tagName = element.tagName.toLowerCase();
+  const candidates = [];
+
+  if (element.id && isStableSelectorToken(element.id)) {
+    candidates.push(`#${CSS.escape(element.id)}`);
   }
-  
-  if (element.className) {
-    const classes = element.className.split(' ').filter(c => c && !c.match(/^[a-z0-9]{8,}$/i)); // Filter out hashed classes
-    if (classes.length > 0) {
-      const classSelector = '.' + classes[0].replace(/\s+/g, '.');
-      const tagName = element.tagName.toLowerCase();
-      return `${tagName}${classSelector}`;
+  STABLE_SELECTOR_ATTRIBUTES.forEach(attribute => {
+    const value = element.getAttribute(attribute);
+    if (value && value.length <= 60 && !/\d{4,}/.test(value)) {
+      candidates.push(`${tagName}[${attribute}=${quoteSelectorValue(value)}]`);
     }
+  });
+
+  const classes = getStableClasses(element);
+  classes.slice(0, 3).forEach(className => candidates.push(`${tagName}.${className}`));
+  if (classes.length > 1) {
+    candidates.push(`${tagName}.${classes.slice(0, 3).join('.')}`);
   }
-  
-  // Use tag name and nth-child as fallback
+  return candidates;
+}
+
+/**
+ * Check if a selector matches exactly one element, the given one
+ * @param {string} selector - CSS selector
+ * @param {Element} element - Element it should match
+ * @returns {boolean}
+ */
+function isUniqueSelector(selector, element) {
+  try {
+    const matches = element.ownerDocument.querySelectorAll(selector);
+    return matches.length === 1 && matches[0] === element;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * One step of a selector path: tag, first stable class, and position among its siblings when needed
+ * @param {Element} element - Element
+ * @returns {string} - e.g., "li.item:nth-of-type(2)"
+ */
+function getSelectorPathStep(element) {
   const tagName = element.tagName.toLowerCase();
+  const classes = getStableClasses(element);
+  const step = classes.length > 0 ? `${tagName}.${classes[0]}` : tagName;
+
   const parent = element.parentElement;
-  if (parent) {
-    const siblings = Array.from(parent.children).filter(el => el.tagName === element.tagName);
-    const index = siblings.indexOf(element);
-    if (index >= 0 && siblings.length > 1) {
-      return `${tagName}:nth-child(${index + 1})`;
+  if (!parent) return step;
+  const sameTag = Array.from(parent.children).filter(child => child.tagName === element.tagName);
+  const similar = sameTag.filter(child => child.matches(step));
+  return similar.length > 1 ? `${step}:nth-of-type(${sameTag.indexOf(element) + 1})` : step;
+}
+
+/**
+ * Generate a robust CSS selector that matches only the given element
+ *
+ * Prefers what survives site updates: stable ids, test/schema.org attributes and
+ * hand-written class names. Generated ids and classes (hashes, CSS-in-JS) are skipped.
+ * When the element has nothing unique of its own, a short path is built up to the
+ * nearest ancestor that does, using positions only where siblings look alike.
+ *
+ * @param {Element} element - Element to describe
+ * @returns {string} - CSS selector
+ */
+function generateSelector(element) {
+  const ownSelector = getOwnSelectorCandidates(element).find(selector => isUniqueSelector(selector, element));
+  if (ownSelector) return ownSelector;
+
+  const steps = [];
+  let current = element;
+  while (current && current.tagName !== 'HTML' && current.tagName !== 'BODY') {
+    steps.unshift(getSelectorPathStep(current));
+    const pathSelector = steps.join(' > ');
+
+    // Descendant (not child) of a uniquely named ancestor, so extra wrapper elements don't break it.
+    // Tried before the bare path, which may only be unique until the site adds a similar element.
+    const parent = current.parentElement;
+    const anchor = parent && parent.tagName !== 'BODY'
+      ? getOwnSelectorCandidates(parent).find(selector => isUniqueSelector(selector, parent))
+      : null;
+    if (anchor && isUniqueSelector(`${anchor} ${pathSelector}`, element)) {
+      return `${anchor} ${pathSelector}`;
     }
+    if (isUniqueSelector(pathSelector, element)) return pathSelector;
+    current = parent;
   }
-  
-  return tagName;
+
+  return ['body', ...steps].join(' > ');
+}
+
+// Matches the first currency amount in a text
+const DISCOUNT_PRICE_PATTERN = /([$€£¥]\s?\d+(?:[\.,]\d+)?)/;
+
+/**
+ * Describe a discount or original price element
+ * @param {Element} el - Element with data-variant
+ * @returns {Object} - { element, selector, text, price, classes, parent, visible }
+ */
+function describeVariantPriceElement(el) {
+  const text = el.textContent?.trim() || el.innerText?.trim() || '';
+  const match = text.match(DISCOUNT_PRICE_PATTERN);
+  return {
+    element: el,
+    selector: generateSelector(el),
+    text: text,
+    price: match ? match[1] : null,
+    classes: el.className,
+    parent: el.parentElement ? generateSelector(el.parentElement) : null,
+    visible: el.offsetParent !== null
+  };
+}
+
+/**
+ * Collect discount price elements (data-variant="discount" / "original") and their containers
+ * @returns {Object} - { discount, original, containers }
+ */
+function collectDiscountPrices() {
+  const discount = Array.from(document.querySelectorAll('[data-variant="discount"]')).map(el => {
+    const rect = el.getBoundingClientRect();
+    return {
+      ...describeVariantPriceElement(el),
+      zIndex: window.getComputedStyle(el).zIndex,
+      position: `(${Math.round(rect.left)}, ${Math.round(rect.top)})`
+    };
+  });
+  const original = Array.from(document.querySelectorAll('[data-variant="original"]')).map(describeVariantPriceElement);
+
+  const containers = Array.from(document.querySelectorAll('div.product-price-container, [class*="price"]')).map(container => {
+    const discountInContainer = container.querySelector('[data-variant="discount"]');
+    const originalInContainer = container.querySelector('[data-variant="original"]');
+    const readPrice = (el) => {
+      const match = (el.textContent?.trim() || '').match(DISCOUNT_PRICE_PATTERN);
+      return match ? match[1] : null;
+    };
+    return {
+      element: container,
+      selector: generateSelector(container),
+      classes: container.className,
+      hasDiscount: Boolean(discountInContainer),
+      hasOriginal: Boolean(originalInContainer),
+      discountPrice: discountInContainer ? readPrice(discountInContainer) : null,
+      originalPrice: originalInContainer ? readPrice(originalInContainer) : null
+    };
+  });
+
+  return { discount, original, containers };
 }
 
 /**
@@ -114,135 +283,72 @@ function generateSelector(element) {
  */
 function findDiscountPrices() {
   console.log('🔍 Searching for discount price elements...\n');
-  
-  const results = {
-    discount: [],
-    original: [],
-    containers: []
-  };
-  
-  // Find all elements with data-variant="discount"
-  const discountElements = document.querySelectorAll('[data-variant="discount"]');
-  console.log(`Found ${discountElements.length} element(s) with data-variant="discount"`);
-  
-  discountElements.forEach((el, i) => {
-    const text = el.textContent?.trim() || el.innerText?.trim() || '';
-    const priceRegex = /([$€£¥]\s?\d+(?:[\.,]\d+)?)/;
-    const match = text.match(priceRegex);
-    
-    const rect = el.getBoundingClientRect();
-    const styles = window.getComputedStyle(el);
-    
-    results.discount.push({
-      element: el,
-      selector: generateSelector(el),
-      text: text,
-      price: match ? match[1] : null,
-      classes: el.className,
-      parent: el.parentElement ? generateSelector(el.parentElement) : null,
-      visible: el.offsetParent !== null,
-      zIndex: styles.zIndex,
-      position: `(${Math.round(rect.left)}, ${Math.round(rect.top)})`
-    });
-    
+
+  const results = collectDiscountPrices();
+
+  console.log(`Found ${results.discount.length} element(s) with data-variant="discount"`);
+  results.discount.forEach((item, i) => {
     console.log(`\n${i + 1}. DISCOUNT ELEMENT:`);
-    console.log(`   Selector: ${generateSelector(el)}`);
-    console.log(`   Classes: ${el.className || 'none'}`);
-    console.log(`   Text: "${text}"`);
-    console.log(`   Price: ${match ? match[1] : 'NOT FOUND'}`);
-    console.log(`   Visible: ${el.offsetParent !== null}`);
-    console.log(`   Parent: ${el.parentElement ? generateSelector(el.parentElement) : 'none'}`);
+    console.log(`   Selector: ${item.selector}`);
+    console.log(`   Classes: ${item.classes || 'none'}`);
+    console.log(`   Text: "${item.text}"`);
+    console.log(`   Price: ${item.price || 'NOT FOUND'}`);
+    console.log(`   Visible: ${item.visible}`);
+    console.log(`   Parent: ${item.parent || 'none'}`);
   });
-  
-  // Find all elements with data-variant="original"
-  const originalElements = document.querySelectorAll('[data-variant="original"]');
-  console.log(`\n\nFound ${originalElements.length} element(s) with data-variant="original"`);
-  
-  originalElements.forEach((el, i) => {
-    const text = el.textContent?.trim() || el.innerText?.trim() || '';
-    const priceRegex = /([$€£¥]\s?\d+(?:[\.,]\d+)?)/;
-    const match = text.match(priceRegex);
-    
-    results.original.push({
-      element: el,
-      selector: generateSelector(el),
-      text: text,
-      price: match ? match[1] : null,
-      classes: el.className,
-      parent: el.parentElement ? generateSelector(el.parentElement) : null,
-      visible: el.offsetParent !== null
-    });
-    
+
+  console.log(`\n\nFound ${results.original.length} element(s) with data-variant="original"`);
+  results.original.forEach((item, i) => {
     console.log(`\n${i + 1}. ORIGINAL ELEMENT:`);
-    console.log(`   Selector: ${generateSelector(el)}`);
-    console.log(`   Classes: ${el.className || 'none'}`);
-    console.log(`   Text: "${text}"`);
-    console.log(`   Price: ${match ? match[1] : 'NOT FOUND'}`);
-    console.log(`   Visible: ${el.offsetParent !== null}`);
-    console.log(`   Parent: ${el.parentElement ? generateSelector(el.parentElement) : 'none'}`);
+    console.log(`   Selector: ${item.selector}`);
+    console.log(`   Classes: ${item.classes || 'none'}`);
+    console.log(`   Text: "${item.text}"`);
+    console.log(`   Price: ${item.price || 'NOT FOUND'}`);
+    console.log(`   Visible: ${item.visible}`);
+    console.log(`   Parent: ${item.parent || 'none'}`);
   });
-  
-  // Find price containers
-  const priceContainers = document.querySelectorAll('div.product-price-container, [class*="price"]');
-  console.log(`\n\nFound ${priceContainers.length} potential price container(s)`);
-  
-  priceContainers.forEach((container, i) => {
-    const discountInContainer = container.querySelector('[data-variant="discount"]');
-    const originalInContainer = container.querySelector('[data-variant="original"]');
-    
+
+  console.log(`\n\nFound ${results.containers.length} potential price container(s)`);
+  results.containers.forEach((container, i) => {
     console.log(`\n${i + 1}. PRICE CONTAINER:`);
-    console.log(`   Selector: ${generateSelector(container)}`);
-    console.log(`   Classes: ${container.className || 'none'}`);
-    console.log(`   Has discount element: ${!!discountInContainer}`);
-    console.log(`   Has original element: ${!!originalInContainer}`);
-    
-    if (discountInContainer) {
-      const discountText = discountInContainer.textContent?.trim() || '';
-      const priceRegex = /([$€£¥]\s?\d+(?:[\.,]\d+)?)/;
-      const match = discountText.match(priceRegex);
-      console.log(`   Discount price: ${match ? match[1] : 'NOT FOUND'}`);
+    console.log(`   Selector: ${container.selector}`);
+    console.log(`   Classes: ${container.classes || 'none'}`);
+    console.log(`   Has discount element: ${container.hasDiscount}`);
+    console.log(`   Has original element: ${container.hasOriginal}`);
+    if (container.hasDiscount) {
+      console.log(`   Discount price: ${container.discountPrice || 'NOT FOUND'}`);
     }
-    
-    if (originalInContainer) {
-      const originalText = originalInContainer.textContent?.trim() || '';
-      const priceRegex = /([$€£¥]\s?\d+(?:[\.,]\d+)?)/;
-      const match = originalText.match(priceRegex);
-      console.log(`   Original price: ${match ? match[1] : 'NOT FOUND'}`);
+    if (container.hasOriginal) {
+      console.log(`   Original price: ${container.originalPrice || 'NOT FOUND'}`);
     }
   });
-  
+
   return results;
 }
 
 /**
- * Find the best selectors for product information
- * @returns {Object} Object with suggested selectors for name, price, and image
+ * Collect ranked selector candidates for product name, price and image
+ * Candidates inside an open modal/overlay come first.
+ * @returns {Object} - { name, price, image, modalResults: { name, price, image }, modal }
+ *   Each candidate: { selector, text?, price?, src?, width?, height?, confidence (0-10), source, isDiscount?, note? }
+ *   modal: { element, description, zIndex, size, position } or null
  */
-function findProductSelectors() {
-  console.log('🔍 Searching for product selectors...\n');
-  
+function collectProductSelectors() {
   // Check for active modal/overlay first
   const activeModal = findActiveModal();
+  let modal = null;
   if (activeModal) {
     const modalStyles = window.getComputedStyle(activeModal);
     const modalRect = activeModal.getBoundingClientRect();
-    console.log('📦 MODAL/OVERLAY DETECTED:');
-    console.log(`   Element: ${activeModal.tagName}${activeModal.className ? '.' + activeModal.className.split(' ').join('.') : ''}`);
-    console.log(`   Z-index: ${modalStyles.zIndex}`);
-    console.log(`   Size: ${Math.round(modalRect.width)}x${Math.round(modalRect.height)}px`);
-    console.log(`   Position: (${Math.round(modalRect.left)}, ${Math.round(modalRect.top)})`);
-    console.log('   Searching within modal first, then main page...\n');
-  } else {
-    console.log('ℹ️  No active modal/overlay detected. Searching main page only.\n');
+    modal = {
+      element: activeModal,
+      description: `${activeModal.tagName}${activeModal.className ? '.' + activeModal.className.split(' ').join('.') : ''}`,
+      zIndex: modalStyles.zIndex,
+      size: `${Math.round(modalRect.width)}x${Math.round(modalRect.height)}px`,
+      position: `(${Math.round(modalRect.left)}, ${Math.round(modalRect.top)})`
+    };
   }
-  
-  // DEBUG: Check for discount prices
-  console.log('\n' + '='.repeat(60));
-  console.log('💰 DISCOUNT PRICE DEBUG');
-  console.log('='.repeat(60));
-  const discountResults = findDiscountPrices();
-  console.log('\n' + '='.repeat(60) + '\n');
-  
+
   const results = {
     name: [],
     price: [],
@@ -251,7 +357,8 @@ function findProductSelectors() {
       name: [],
       price: [],
       image: []
-    }
+    },
+    modal: modal
   };
   
   // Search roots: modal first, then document
@@ -528,9 +635,51 @@ function findProductSelectors() {
   results.modalResults.name.sort((a, b) => b.confidence - a.confidence);
   results.modalResults.price.sort((a, b) => b.confidence - a.confidence);
   results.modalResults.image.sort((a, b) => b.confidence - a.confidence);
-  
+
+  return results;
+}
+
+/**
+ * Format a SITE_SELECTORS entry for site-selectors.js
+ * @param {string} domain - Domain (e.g., 'example.com')
+ * @param {Object} rules - Map of field -> selector (e.g., { name, price, image })
+ * @returns {string} - JavaScript source of the entry, ready to paste
+ */
+function buildSiteSelectorsEntry(domain, rules) {
+  const quote = (value) => `'${String(value).replace(/[\\']/g, '\\$&')}'`;
+  const fields = Object.keys(rules).map(field => `  ${field}: ${quote(rules[field] || '')}`);
+  return `${quote(domain)}: {\n${fields.join(',\n')}\n},`;
+}
+
+/**
+ * Find the best selectors for product information and print them to the console
+ * @returns {Object} Object with suggested selectors for name, price, and image
+ */
+function findProductSelectors() {
+  console.log('🔍 Searching for product selectors...\n');
+
+  const results = collectProductSelectors();
+  const { modal } = results;
+  if (modal) {
+    console.log('📦 MODAL/OVERLAY DETECTED:');
+    console.log(`   Element: ${modal.description}`);
+    console.log(`   Z-index: ${modal.zIndex}`);
+    console.log(`   Size: ${modal.size}`);
+    console.log(`   Position: ${modal.position}`);
+    console.log('   Searching within modal first, then main page...\n');
+  } else {
+    console.log('ℹ️  No active modal/overlay detected. Searching main page only.\n');
+  }
+
+  // DEBUG: Check for discount prices
+  console.log('\n' + '='.repeat(60));
+  console.log('💰 DISCOUNT PRICE DEBUG');
+  console.log('='.repeat(60));
+  findDiscountPrices();
+  console.log('\n' + '='.repeat(60) + '\n');
+
   // Display results
-  if (activeModal && (results.modalResults.name.length > 0 || results.modalResults.price.length > 0 || results.modalResults.image.length > 0)) {
+  if (modal && (results.modalResults.name.length > 0 || results.modalResults.price.length > 0 || results.modalResults.image.length > 0)) {
     console.log('🎯 FOUND IN MODAL/OVERLAY:');
     console.log('─'.repeat(60));
     
@@ -601,16 +750,12 @@ function findProductSelectors() {
   console.log('\n✅ COPY THIS TO YOUR site-selectors.js:');
   console.log('─'.repeat(60));
   const domain = window.location.hostname.replace('www.', '');
-  const bestName = results.name[0]?.selector || '';
-  const bestPrice = results.price[0]?.selector || '';
-  const bestImage = results.image[0]?.selector || '';
-  
-  console.log(`'${domain}': {`);
-  console.log(`  name: '${bestName}',`);
-  console.log(`  price: '${bestPrice}',`);
-  console.log(`  image: '${bestImage}'`);
-  console.log(`},`);
-  
+  console.log(buildSiteSelectorsEntry(domain, {
+    name: results.name[0]?.selector,
+    price: results.price[0]?.selector,
+    image: results.image[0]?.selector
+  }));
+
   return results;
 }
 
@@ -702,61 +847,90 @@ function calculateImageConfidence(img) {
   return Math.min(Math.max(score, 0), 10);
 }
 
+/**
+ * Collect what the discount price debugging looks at
+ * @returns {Object} - { priceContainer, discount, containerDiscount, containerOriginal, variants }
+ *   priceContainer: start of the div.product-price-container HTML, or null
+ *   discount: first [data-variant="discount"] element { text, classes, parent }, or null
+ *   containerDiscount / containerOriginal: text of the variants inside the container, or null
+ *   variants: every [data-variant] element { variant, text }
+ */
+function collectDiscountDebug() {
+  const priceContainer = document.querySelector('div.product-price-container');
+  const discountEl = document.querySelector('[data-variant="discount"]');
+  const discountInContainer = priceContainer ? priceContainer.querySelector('[data-variant="discount"]') : null;
+  const originalInContainer = priceContainer ? priceContainer.querySelector('[data-variant="original"]') : null;
+
+  return {
+    priceContainer: priceContainer ? priceContainer.outerHTML.substring(0, 500) : null,
+    discount: discountEl ? {
+      element: discountEl,
+      text: discountEl.textContent,
+      classes: discountEl.className,
+      parent: discountEl.parentElement ? generateSelector(discountEl.parentElement) : null
+    } : null,
+    containerDiscount: discountInContainer ? discountInContainer.textContent : null,
+    containerOriginal: originalInContainer ? originalInContainer.textContent : null,
+    variants: Array.from(document.querySelectorAll('[data-variant]')).map(el => ({
+      variant: el.getAttribute('data-variant'),
+      text: el.textContent?.trim()
+    }))
+  };
+}
+
 /**
  * Quick debug function - call this directly in console
  */
 window.debugDiscountPrice = function() {
   console.log('🔍 DEBUGGING DISCOUNT PRICE...\n');
-  
+
+  const report = collectDiscountDebug();
+
   // Check if price container exists
-  const priceContainer = document.querySelector('div.product-price-container');
-  console.log('Price container found:', !!priceContainer);
-  if (priceContainer) {
-    console.log('Container HTML:', priceContainer.outerHTML.substring(0, 500));
+  console.log('Price container found:', report.priceContainer !== null);
+  if (report.priceContainer) {
+    console.log('Container HTML:', report.priceContainer);
   }
-  
+
   // Check for discount element
-  const discountEl = document.querySelector('[data-variant="discount"]');
-  console.log('\nDiscount element found:', !!discountEl);
-  if (discountEl) {
-    console.log('Discount element:', discountEl);
-    console.log('Discount text:', discountEl.textContent);
-    console.log('Discount classes:', discountEl.className);
-    console.log('Discount parent:', discountEl.parentElement);
+  console.log('\nDiscount element found:', report.discount !== null);
+  if (report.discount) {
+    console.log('Discount element:', report.discount.element);
+    console.log('Discount text:', report.discount.text);
+    console.log('Discount classes:', report.discount.classes);
+    console.log('Discount parent:', report.discount.parent);
   }
-  
+
   // Check within price container
-  if (priceContainer) {
-    const discountInContainer = priceContainer.querySelector('[data-variant="discount"]');
-    console.log('\nDiscount in container:', !!discountInContainer);
-    if (discountInContainer) {
-      console.log('Discount text in container:', discountInContainer.textContent);
+  if (report.priceContainer) {
+    console.log('\nDiscount in container:', report.containerDiscount !== null);
+    if (report.containerDiscount !== null) {
+      console.log('Discount text in container:', report.containerDiscount);
     }
-    
-    const originalInContainer = priceContainer.querySelector('[data-variant="original"]');
-    console.log('Original in container:', !!originalInContainer);
-    if (originalInContainer) {
-      console.log('Original text in container:', originalInContainer.textContent);
+    console.log('Original in container:', report.containerOriginal !== null);
+    if (report.containerOriginal !== null) {
+      console.log('Original text in container:', report.containerOriginal);
     }
   }
-  
+
   // Check all data-variant elements
-  const allVariants = document.querySelectorAll('[data-variant]');
-  console.log(`\nTotal elements with data-variant: ${allVariants.length}`);
-  allVariants.forEach((el, i) => {
-    console.log(`${i + 1}. ${el.getAttribute('data-variant')}: ${el.textContent?.trim()}`);
+  console.log(`\nTotal elements with data-variant: ${report.variants.length}`);
+  report.variants.forEach((item, i) => {
+    console.log(`${i + 1}. ${item.variant}: ${item.text}`);
   });
+
+  return report;
 };
 
-// Auto-run if in browser console
-if (typeof window !== 'undefined') {
+// Auto-run if in browser console (not when loaded as a content script, which runs on every page)
+const isExtensionContentScript = typeof chrome !== 'undefined' && Boolean(chrome.runtime && chrome.runtime.id);
+if (typeof window !== 'undefined' && !isExtensionContentScript) {
   // Export for manual calling
   window.findProductSelectors = findProductSelectors;
   window.findDiscountPrices = findDiscountPrices;
-  
+
   console.log('✅ Selector Finder Tool loaded!');
   console.log('📝 Run: findProductSelectors()');
   console.log('📝 Run: debugDiscountPrice() for quick discount debugging');
   console.log('   Or just call it directly in the console.\n');
 }
-
@@ -0,0 +1,294 @@
+/**
+ * Selector Health
+ * Tracks whether each site's rules still match, so stale selectors (hashed class names,
+ * redesigned pages) show up on the options page before the results get noticeably worse.
+ *
+ * After every extraction on a site with rules (mode 'site'), the content script runs the
+ * site's name, price and image rules (site-selectors.js plus the user's overrides) against
+ * the page and records one outcome per configured field:
+ * - 'm' - matched: the rule found a value
+ * - 'r' - rescued: the rule found nothing, but structured data or the heuristics filled the field
+ * - 'x' - missed: the rule found nothing and the field stayed empty
+ * Failed extractions on those sites are recorded per site when the page passed the
+ * product-page check and the rules then failed (guard failed, nothing found), since a
+ * broken guard selector makes every extraction fail. Home and search pages
+ * (NOT_PRODUCT_PAGE) say nothing about the rules and aren't recorded.
+ *
+ * The content script sends each outcome to the background service worker
+ * (reportSelectorHealth()), which records it (recordSelectorHealth()) one write at a time,
+ * so extractions in several tabs don't overwrite each other's outcomes.
+ *
+ * Storage format (chrome.storage.local, key 'selectorHealth'):
+ * {
+ *   'target.com': {
+ *     results: 'sssfs',                 // Last extractions, oldest first: s = succeeded, f = failed
+ *     lastSeen: '2024-01-01T12:00:00.000Z',
+ *     fields: {
+ *       price: {
+ *         selector: 'div.styles_priceFullLineHeight__BgU9C span',  // The rule's selectors
+ *         outcomes: 'mmmmmmrrrr',        // Last outcomes, oldest first
+ *         lastMatched: '2024-01-01T11:00:00.000Z',  // null if the rule never matched
+ *         matchedSelector: 'div.styles_priceFullLineHeight__BgU9C span'  // Selector that last matched
+ *       }
+ *     }
+ *   }
+ * }
+ *
+ * A field's outcomes start over when its selectors change (an override or an extension update).
+ */
+
+const SELECTOR_HEALTH_KEY = 'selectorHealth';
+
+// Fields checked after each extraction (listPrice and coupon are only on some pages)
+const HEALTH_FIELDS = ['name', 'price', 'image'];
+
+// Outcomes kept per field (and results per site)
+const HEALTH_HISTORY_SIZE = 50;
+
+// The most recent outcomes, compared with the ones before them
+const HEALTH_RECENT_SIZE = 10;
+
+// Outcomes needed before a field gets a status
+const HEALTH_MIN_CHECKS = 3;
+
+// Match rates (0-1) for the statuses, and the drop from the earlier rate that counts as degraded
+const HEALTH_THRESHOLDS = {
+  broken: 0.5,
+  degraded: 0.8,
+  drop: 0.2
+};
+
+// Statuses, worst first
+const HEALTH_STATUSES = ['broken', 'degraded', 'ok', 'unknown'];
+
+// Serializes read-modify-write cycles on the health map
+let selectorHealthWriteQueue = Promise.resolve();
+
+/**
+ * Run a health map update after the ones already queued
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} - Result of the task
+ */
+function queueSelectorHealthWrite(task) {
+  const run = selectorHealthWriteQueue.then(task, task);
+  selectorHealthWriteQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Read the health map
+ * @returns {Promise<Object>} - Map of domain -> entry
+ */
+async function readSelectorHealth() {
+  try {
+    const result = await chrome.storage.local.get(SELECTOR_HEALTH_KEY);
+    return result[SELECTOR_HEALTH_KEY] || {};
+  } catch (error) {
+    console.error('Error reading selector health:', error);
+    return {};
+  }
+}
+
+/**
+ * Add an outcome to a history string, dropping the oldest beyond HEALTH_HISTORY_SIZE
+ * @param {string} history - Outcomes, oldest first
+ * @param {string} outcome - One character
+ * @returns {string}
+ */
+function appendHealthOutcome(history, outcome) {
+  return ((history || '') + outcome).slice(-HEALTH_HISTORY_SIZE);
+}
+
+/**
+ * Check the site's rules against the current page after an extraction
+ * Runs in the content script, with the rules the extraction used.
+ * @param {Object} productData - Extraction result
+ * @returns {Object|null} - Map of field -> { selector, outcome, matchedSelector }, or null
+ *   if the extraction didn't use site rules
+ */
+function checkSelectorHealth(productData) {
+  if (productData.mode !== 'site') return null;
+
+  const siteRules = normalizeSiteRules(getSelectorsForSite(productData.url));
+  const fields = {};
+  HEALTH_FIELDS.forEach(field => {
+    const rule = siteRules.fields[field];
+    if (!rule) return;
+    const match = extractRuleField(field, rule);
+    fields[field] = {
+      selector: rule.selectors.join(', '),
+      outcome: match ? 'm' : productData[field] ? 'r' : 'x',
+      matchedSelector: match ? match.selector : null
+    };
+  });
+  return fields;
+}
+
+/**
+ * Send the outcome of an extraction on a site with rules to the background service worker
+ * Runs in the content script.
+ * @param {string} domain - Domain (e.g., 'target.com')
+ * @param {Object|null} fields - checkSelectorHealth() result, or null if the rules failed
+ */
+function reportSelectorHealth(domain, fields) {
+  chrome.runtime.sendMessage({ action: 'recordSelectorHealth', domain: domain, fields: fields })
+    .then(response => {
+      if (response && !response.success) {
+        console.warn('Failed to record selector health:', response.error);
+      }
+    })
+    .catch(error => {
+      console.warn('Failed to record selector health:', error);
+    });
+}
+
+/**
+ * Record the outcome of an extraction on a site with rules
+ * Runs in the background service worker (see reportSelectorHealth()).
+ * @param {string} domain - Domain (e.g., 'target.com')
+ * @param {Object|null} fields - checkSelectorHealth() result, or null if the rules failed
+ * @returns {Promise<void>}
+ */
+async function recordSelectorHealth(domain, fields) {
+  await queueSelectorHealthWrite(() => writeSelectorHealthOutcome(domain, fields));
+}
+
+/**
+ * Add an extraction's outcome to the health map (queued by recordSelectorHealth())
+ * @param {string} domain - Domain
+ * @param {Object|null} fields - checkSelectorHealth() result, or null if the rules failed
+ * @returns {Promise<void>}
+ */
+async function writeSelectorHealthOutcome(domain, fields) {
+  try {
+    const health = await readSelectorHealth();
+    const now = new Date().toISOString();
+    const entry = health[domain] || { results: '', fields: {} };
+    entry.results = appendHealthOutcome(entry.results, fields ? 's' : 'f');
+    entry.lastSeen = now;
+
+    Object.keys(fields || {}).forEach(field => {
+      const check = fields[field];
+      const existing = entry.fields[field];
+      const stats = existing && existing.selector === check.selector
+        ? existing
+        : { selector: check.selector, outcomes: '', lastMatched: null, matchedSelector: null };
+      stats.outcomes = appendHealthOutcome(stats.outcomes, check.outcome);
+      if (check.outcome === 'm') {
+        stats.lastMatched = now;
+        stats.matchedSelector = check.matchedSelector;
+      }
+      entry.fields[field] = stats;
+    });
+
+    health[domain] = entry;
+    await chrome.storage.local.set({ [SELECTOR_HEALTH_KEY]: health });
+  } catch (error) {
+    console.error('Error recording selector health:', error);
+  }
+}
+
+/**
+ * Get the share of outcomes that are a given character
+ * @param {string} outcomes - Outcomes
+ * @param {string} outcome - Character to count
+ * @returns {number|null} - 0-1, or null without outcomes
+ */
+function getHealthRate(outcomes, outcome) {
+  if (!outcomes) return null;
+  return outcomes.split('').filter(char => char === outcome).length / outcomes.length;
+}
+
+/**
+ * Rate a history of outcomes
+ * Recent is the last HEALTH_RECENT_SIZE outcomes, earlier the ones before them.
+ * @param {string} outcomes - Outcomes, oldest first
+ * @param {string} success - The character that counts as a success
+ * @returns {Object} - { checks, recentRate, earlierRate, status }
+ */
+function rateHealthOutcomes(outcomes, success) {
+  const recent = outcomes.slice(-HEALTH_RECENT_SIZE);
+  const earlier = outcomes.slice(0, -HEALTH_RECENT_SIZE);
+  const recentRate = getHealthRate(recent, success);
+  const earlierRate = earlier.length >= HEALTH_MIN_CHECKS ? getHealthRate(earlier, success) : null;
+
+  let status = 'ok';
+  if (outcomes.length < HEALTH_MIN_CHECKS) {
+    status = 'unknown';
+  } else if (recentRate < HEALTH_THRESHOLDS.broken) {
+    status = 'broken';
+  } else if (recentRate < HEALTH_THRESHOLDS.degraded ||
+             (earlierRate !== null && earlierRate - recentRate >= HEALTH_THRESHOLDS.drop)) {
+    status = 'degraded';
+  }
+
+  return { checks: outcomes.length, recentRate: recentRate, earlierRate: earlierRate, status: status };
+}
+
+/**
+ * Pick the worst of some statuses
+ * @param {Array<string>} statuses - Values of HEALTH_STATUSES
+ * @returns {string}
+ */
+function getWorstHealthStatus(statuses) {
+  return HEALTH_STATUSES.find(status => statuses.includes(status)) || 'unknown';
+}
+
+/**
+ * Get the health of every site, worst first
+ * @returns {Promise<Array<Object>>} - [{ domain, lastSeen, extractions, failures, failureRate,
+ *   status, fields: [{ field, selector, matchedSelector, lastMatched, checks, recentRate,
+ *   earlierRate, rescued, missed, status }] }]
+ */
+async function getSelectorHealthReport() {
+  const health = await readSelectorHealth();
+  return Object.keys(health).map(domain => {
+    const entry = health[domain];
+    const fields = HEALTH_FIELDS.filter(field => entry.fields[field]).map(field => {
+      const stats = entry.fields[field];
+      return Object.assign({
+        field: field,
+        selector: stats.selector,
+        matchedSelector: stats.matchedSelector,
+        lastMatched: stats.lastMatched,
+        rescued: stats.outcomes.split('').filter(char => char === 'r').length,
+        missed: stats.outcomes.split('').filter(char => char === 'x').length
+      }, rateHealthOutcomes(stats.outcomes, 'm'));
+    });
+
+    // A site whose extractions keep failing is broken even if the fields it still gets look fine
+    const results = rateHealthOutcomes(entry.results, 's');
+    return {
+      domain: domain,
+      lastSeen: entry.lastSeen,
+      extractions: entry.results.length,
+      failures: entry.results.split('').filter(char => char === 'f').length,
+      failureRate: results.recentRate === null ? null : 1 - results.recentRate,
+      status: getWorstHealthStatus(fields.map(field => field.status).concat(results.status)),
+      fields: fields
+    };
+  }).sort((a, b) =>
+    HEALTH_STATUSES.indexOf(a.status) - HEALTH_STATUSES.indexOf(b.status) || a.domain.localeCompare(b.domain)
+  );
+}
+
+/**
+ * Forget the health of some sites, or of every site
+ * @param {Array<string>} domains - Domains to clear (all when omitted)
+ * @returns {Promise<void>}
+ */
+async function clearSelectorHealth(domains) {
+  await queueSelectorHealthWrite(async () => {
+    try {
+      if (!domains) {
+        await chrome.storage.local.remove(SELECTOR_HEALTH_KEY);
+        return;
+      }
+      const health = await readSelectorHealth();
+      domains.forEach(domain => delete health[domain]);
+      await chrome.storage.local.set({ [SELECTOR_HEALTH_KEY]: health });
+    } catch (error) {
+      console.error('Error clearing selector health:', error);
+    }
+  });
+}
@@ -0,0 +1,231 @@
+/**
+ * Selector Lint
+ * Checks site rules (SITE_SELECTORS entries and the user's overrides) for selectors that
+ * are likely to break or to match the wrong element, before they are shipped or saved.
+ *
+ * Used by the options page (live in the site rule editor, and a quality score per site)
+ * and by the tests (test/selector-lint.js, npm run lint-selectors). Needs rule-engine.js.
+ *
+ * Every finding is a structured warning:
+ * {
+ *   domain: 'walmart.com',
+ *   field: 'price',              // Rule key, or null for the whole entry
+ *   selector: 'span',            // The selector concerned, or null
+ *   code: 'too-broad',           // See LINT_CHECKS
+ *   severity: 'warning',         // error, warning or info
+ *   message: '...'
+ * }
+ */
+
+// Severity and description of each check
+const LINT_CHECKS = {
+  'invalid-syntax': { severity: 'error', message: 'Not a valid CSS selector' },
+  'guard-without-rule': { severity: 'error', message: 'The guard requires a field that has no selectors, so every page fails it' },
+  'empty-entry': { severity: 'error', message: 'No selectors at all - the site counts as supported but is extracted with heuristics only' },
+  'too-broad': { severity: 'error', message: 'Only element names - matches unrelated elements all over the page' },
+  'hashed-class': { severity: 'warning', message: 'Generated (hashed) class name - changes whenever the site is rebuilt' },
+  'duplicate-selector': { severity: 'error', message: 'Listed more than once' },
+  'positional': { severity: 'info', message: `Depends on the element's position among its siblings` },
+  'long-chain': { severity: 'info', message: 'Long chain of ancestors - breaks when any of them changes' },
+  'empty-field': { severity: 'info', message: 'Empty selector - the field falls back to structured data and heuristics' }
+};
+
+// Score (0-100) lost per finding of each severity
+const LINT_PENALTIES = { error: 50, warning: 20, info: 5 };
+
+// Compound selectors in a chain above which it counts as long
+const LINT_MAX_CHAIN = 5;
+
+// Rule keys that hold selectors (see the rule format in site-selectors.js)
+const LINT_SELECTOR_KEYS = RULE_FIELDS.concat('gallery');
+
+// Class names generated by CSS tooling: CSS modules (styles_price__BgU9C), Emotion
+// (css-1x2y3z), styled-components / styled-jsx (sc-bdVaJa, jsx-2417958711), and random
+// tokens mixing digits with upper and lower case (_3eDhqCfZ)
+const HASHED_CLASS_PATTERNS = [
+  /__(?=[a-zA-Z0-9_-]*[A-Z0-9])[a-zA-Z0-9_-]{5}$/,
+  /^css-[a-z0-9]{5,}$/,
+  /^(sc|jsx)-[a-zA-Z0-9]{5,}$/,
+  /^_*(?=[a-zA-Z0-9]*\d)(?=[a-zA-Z0-9]*[a-z])(?=[a-zA-Z0-9]*[A-Z])[a-zA-Z0-9]{5,}$/
+];
+
+/**
+ * Create a structured warning
+ * @param {string} code - Key of LINT_CHECKS
+ * @param {Object} details - { domain, field, selector }
+ * @returns {Object}
+ */
+function createLintWarning(code, { domain = null, field = null, selector = null } = {}) {
+  return {
+    domain: domain,
+    field: field,
+    selector: selector,
+    code: code,
+    severity: LINT_CHECKS[code].severity,
+    message: LINT_CHECKS[code].message
+  };
+}
+
+/**
+ * Check if a selector parses (only where a document is available)
+ * @param {string} selector - CSS selector
+ * @returns {boolean}
+ */
+function isValidSelector(selector) {
+  if (typeof document === 'undefined') return true;
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Calculate a selector's specificity (approximate: :not() and :is() count as a pseudo-class)
+ * @param {string} selector - One selector (no commas)
+ * @returns {Array<number>} - [ids, classes/attributes/pseudo-classes, elements]
+ */
+function getSelectorSpecificity(selector) {
+  let rest = selector.replace(/"[^"]*"|'[^']*'/g, '""');
+  const count = (pattern) => {
+    let matches = 0;
+    rest = rest.replace(pattern, () => {
+      matches++;
+      return ' ';
+    });
+    return matches;
+  };
+
+  const attributes = count(/\[[^\]]*\]/g);
+  const pseudoElements = count(/::[\w-]+(\([^)]*\))?/g);
+  const pseudoClasses = count(/:[\w-]+(\([^)]*\))?/g);
+  const ids = count(/#[\w-]+/g);
+  const classes = count(/\.[\w-]+/g);
+  const elements = count(/(^|[\s>+~])[a-zA-Z][\w-]*/g);
+  return [ids, classes + attributes + pseudoClasses, elements + pseudoElements];
+}
+
+/**
+ * Check if a class name looks generated
+ * @param {string} className - Class name
+ * @returns {boolean}
+ */
+function isHashedClassName(className) {
+  return HASHED_CLASS_PATTERNS.some(pattern => pattern.test(className));
+}
+
+/**
+ * Lint one selector (no commas)
+ * @param {string} selector - CSS selector
+ * @param {Object} context - { domain, field, allowBroad } (allowBroad for rules that pick
+ *   among every match themselves, e.g. the largest image)
+ * @returns {Array<Object>} - Warnings
+ */
+function lintSelector(selector, { domain = null, field = null, allowBroad = false } = {}) {
+  const details = { domain: domain, field: field, selector: selector };
+  if (!isValidSelector(selector)) {
+    return [createLintWarning('invalid-syntax', details)];
+  }
+
+  const warnings = [];
+  const [ids, classes] = getSelectorSpecificity(selector);
+  if (ids === 0 && classes === 0 && !allowBroad) {
+    warnings.push(createLintWarning('too-broad', details));
+  }
+
+  const classNames = (selector.replace(/\[[^\]]*\]/g, ' ').match(/\.[\w-]+/g) || []).map(name => name.slice(1));
+  if (classNames.some(isHashedClassName)) {
+    warnings.push(createLintWarning('hashed-class', details));
+  }
+
+  if (/:(nth-child|nth-of-type|nth-last-child|nth-last-of-type|first-child|last-child)\b/.test(selector)) {
+    warnings.push(createLintWarning('positional', details));
+  }
+
+  const compounds = selector.replace(/\[[^\]]*\]|\([^)]*\)/g, '').trim().split(/\s*[\s>+~]\s*/);
+  if (compounds.length > LINT_MAX_CHAIN) {
+    warnings.push(createLintWarning('long-chain', details));
+  }
+  return warnings;
+}
+
+/**
+ * Get the selectors of one rule value (selector string or rule object)
+ * @param {string|Object} value - Rule value
+ * @returns {Array<string>}
+ */
+function getRuleSelectors(value) {
+  if (typeof value === 'string') return splitSelectorList(value);
+  if (!value || typeof value !== 'object') return [];
+  const selectors = typeof value.selectors === 'string' ? splitSelectorList(value.selectors) : value.selectors || [];
+  return selectors.map(selector => String(selector).trim()).filter(Boolean);
+}
+
+/**
+ * Lint a site entry
+ * @param {string} domain - Domain the entry is for
+ * @param {Object} entry - Rules in SITE_SELECTORS format
+ * @returns {Array<Object>} - Warnings, entry-level first
+ */
+function lintSiteRules(domain, entry) {
+  const warnings = [];
+  const rules = entry || {};
+  const keys = LINT_SELECTOR_KEYS.filter(key => key in rules);
+  const selectorsByKey = {};
+  keys.forEach(key => {
+    selectorsByKey[key] = getRuleSelectors(rules[key]);
+  });
+
+  if (keys.every(key => selectorsByKey[key].length === 0)) {
+    return [createLintWarning('empty-entry', { domain: domain })];
+  }
+
+  const required = rules.guard && Array.isArray(rules.guard.required) ? rules.guard.required : [];
+  // checkSiteRuleGuard() only looks at field rules (not gallery)
+  required.filter(field => !RULE_FIELDS.includes(field) || !selectorsByKey[field] || selectorsByKey[field].length === 0).forEach(field => {
+    warnings.push(createLintWarning('guard-without-rule', { domain: domain, field: field }));
+  });
+
+  keys.forEach(key => {
+    const selectors = selectorsByKey[key];
+    if (selectors.length === 0) {
+      warnings.push(createLintWarning('empty-field', { domain: domain, field: key }));
+      return;
+    }
+
+    // The largest-image rule chooses among every match by size, so a broad selector is intended
+    const allowBroad = Boolean(rules[key] && rules[key].largest);
+    selectors.forEach((selector, index) => {
+      if (selectors.indexOf(selector) !== index) {
+        warnings.push(createLintWarning('duplicate-selector', { domain: domain, field: key, selector: selector }));
+        return;
+      }
+      warnings.push(...lintSelector(selector, { domain: domain, field: key, allowBroad: allowBroad }));
+    });
+  });
+  return warnings;
+}
+
+/**
+ * Score a site entry from its warnings
+ * @param {Array<Object>} warnings - lintSiteRules() result
+ * @returns {number} - 0-100 (0 for an entry without selectors)
+ */
+function scoreSiteRules(warnings) {
+  if (warnings.some(warning => warning.code === 'empty-entry')) return 0;
+  const penalty = warnings.reduce((total, warning) => total + LINT_PENALTIES[warning.severity], 0);
+  return Math.max(0, 100 - penalty);
+}
+
+/**
+ * Lint every entry of a rule map
+ * @param {Object} entries - Map of domain -> rules (SITE_SELECTORS when omitted)
+ * @returns {Array<Object>} - [{ domain, score, warnings }], lowest score first
+ */
+function lintSiteSelectors(entries = SITE_SELECTORS) {
+  return Object.keys(entries).map(domain => {
+    const warnings = lintSiteRules(domain, entries[domain]);
+    return { domain: domain, score: scoreSiteRules(warnings), warnings: warnings };
+  }).sort((a, b) => a.score - b.score || a.domain.localeCompare(b.domain));
+}
@@ -0,0 +1,357 @@
+/**
+ * Selector Overrides Storage
+ * User-editable site rules, applied on top of the built-in rules in site-selectors.js
+ * so a broken site can be fixed without repacking the extension.
+ *
+ * Overrides come from the element picker (element-picker.js, one field at a time),
+ * the site rule editor on the options page, and imported rule packs.
+ * Their fields are merged over the domain's built-in entry field by field; a domain
+ * without a built-in entry becomes a supported site. A disabled entry turns the site's
+ * rules off entirely (built-in ones included), so it is extracted like an unsupported site.
+ *
+ * Storage format (chrome.storage.local, key 'selectorOverrides'):
+ * {
+ *   'example.com': {
+ *     rules: { price: 'div.product-main span.price' },  // Same format as a SITE_SELECTORS entry
+ *     disabled: false,                                  // Optional
+ *     updated: '2024-01-01T12:00:00.000Z'
+ *   }
+ * }
+ *
+ * Rule pack format (import/export):
+ * {
+ *   format: 'product-extractor-rule-pack',
+ *   version: 1,
+ *   exported: '2024-01-01T12:00:00.000Z',
+ *   sites: { 'example.com': { rules: { ... }, disabled: false } }
+ * }
+ */
+
+const SELECTOR_OVERRIDES_KEY = 'selectorOverrides';
+
+// Fields the element picker can set
+const OVERRIDE_FIELDS = ['name', 'price', 'image'];
+
+// Keys a site entry may override (see the rule format in site-selectors.js)
+const OVERRIDE_RULE_KEYS = ['name', 'price', 'image', 'listPrice', 'coupon', 'gallery', 'guard'];
+
+const RULE_PACK_FORMAT = 'product-extractor-rule-pack';
+const RULE_PACK_VERSION = 1;
+
+// Copy of the stored overrides, so getSelectorsForSite() can stay synchronous.
+// Refreshed by loadSelectorOverrides() before every extraction.
+let selectorOverridesCache = {};
+
+/**
+ * Read the overrides from storage and refresh the cache
+ * @returns {Promise<Object>} - Map of domain -> override
+ */
+async function loadSelectorOverrides() {
+  try {
+    const result = await chrome.storage.local.get(SELECTOR_OVERRIDES_KEY);
+    selectorOverridesCache = result[SELECTOR_OVERRIDES_KEY] || {};
+  } catch (error) {
+    console.error('Error reading selector overrides:', error);
+  }
+  return selectorOverridesCache;
+}
+
+/**
+ * Find a domain's entry in the cache, disabled or not (parent domain too, like getSelectorsForSite)
+ * @param {string} domain - Domain (e.g., 'shop.example.com')
+ * @returns {Object|null} - { rules, disabled, updated } or null
+ */
+function findOverrideEntry(domain) {
+  if (selectorOverridesCache[domain]) {
+    return selectorOverridesCache[domain];
+  }
+
+  const domainParts = domain.split('.');
+  if (domainParts.length > 2) {
+    const parentDomain = domainParts.slice(-2).join('.');
+    if (selectorOverridesCache[parentDomain]) {
+      return selectorOverridesCache[parentDomain];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the active override for a domain from the cache
+ * @param {string} domain - Domain (e.g., 'shop.example.com')
+ * @returns {Object|null} - { rules, updated }, or null if there is none or it is disabled
+ */
+function getSelectorOverride(domain) {
+  const entry = findOverrideEntry(domain);
+  return entry && !entry.disabled ? entry : null;
+}
+
+/**
+ * Check if the user turned a site's rules off
+ * @param {string} domain - Domain
+ * @returns {boolean}
+ */
+function isSiteDisabled(domain) {
+  const entry = findOverrideEntry(domain);
+  return Boolean(entry && entry.disabled);
+}
+
+/**
+ * Get the domains with active overrides that add rules
+ * @returns {Array<string>}
+ */
+function getOverrideDomains() {
+  return Object.keys(selectorOverridesCache).filter(domain => {
+    const entry = selectorOverridesCache[domain];
+    return !entry.disabled && Object.keys(entry.rules || {}).length > 0;
+  });
+}
+
+/**
+ * Clean up a domain typed or pasted by the user
+ * @param {string} value - Domain or URL (e.g., 'https://www.Example.com/p/1')
+ * @returns {string} - Domain (e.g., 'example.com'), or '' if it doesn't look like one
+ */
+function normalizeOverrideDomain(value) {
+  const domain = String(value || '').trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/^www\./, '');
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain) ? domain : '';
+}
+
+/**
+ * Check that a selector list parses (only where a document is available)
+ * @param {string} selector - CSS selector list
+ * @param {string} key - Rule key, for the error message
+ */
+function checkOverrideSelector(selector, key) {
+  if (typeof document === 'undefined') return;
+  try {
+    document.createDocumentFragment().querySelector(selector);
+  } catch (e) {
+    throw new Error(`Invalid selector for ${key}: ${selector}`);
+  }
+}
+
+/**
+ * Validate site rules and drop empty fields
+ * @param {Object} rules - Rules in SITE_SELECTORS format
+ * @returns {Object} - Cleaned rules
+ * @throws {Error} - If a key is unknown or a value is not a valid rule
+ */
+function validateOverrideRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error('Rules must be an object');
+  }
+
+  const cleaned = {};
+  Object.keys(rules).forEach(key => {
+    const value = rules[key];
+    if (value === null || value === undefined || value === '') return;
+    if (!OVERRIDE_RULE_KEYS.includes(key)) {
+      throw new Error(`Unknown rule: ${key}`);
+    }
+
+    if (key === 'guard') {
+      if (typeof value !== 'object' || !Array.isArray(value.required)) {
+        throw new Error('guard must be an object with a required list');
+      }
+    } else if (typeof value === 'string') {
+      checkOverrideSelector(value.trim(), key);
+    } else if (key !== 'gallery' && typeof value === 'object' && !Array.isArray(value)) {
+      const selectors = typeof value.selectors === 'string' ? [value.selectors] : value.selectors;
+      if (!Array.isArray(selectors) || selectors.length === 0 || !selectors.every(s => typeof s === 'string' && s.trim())) {
+        throw new Error(`${key} needs selectors`);
+      }
+      selectors.forEach(selector => checkOverrideSelector(selector, key));
+    } else {
+      throw new Error(`${key} must be a selector or a rule object`);
+    }
+    cleaned[key] = typeof value === 'string' ? value.trim() : value;
+  });
+  return cleaned;
+}
+
+/**
+ * Write the overrides to storage and the cache
+ * @param {Object} overrides - Map of domain -> override
+ * @returns {Promise<void>}
+ */
+async function writeSelectorOverrides(overrides) {
+  await chrome.storage.local.set({ [SELECTOR_OVERRIDES_KEY]: overrides });
+  selectorOverridesCache = overrides;
+}
+
+/**
+ * Save a selector for one field of a domain
+ * Picking a selector turns a disabled site back on.
+ * @param {string} domain - Domain
+ * @param {string} field - One of OVERRIDE_FIELDS
+ * @param {string} selector - CSS selector
+ * @returns {Promise<Object>} - The domain's updated override
+ */
+async function saveSelectorOverride(domain, field, selector) {
+  if (!OVERRIDE_FIELDS.includes(field)) {
+    throw new Error(`Unknown field: ${field}`);
+  }
+
+  const overrides = await loadSelectorOverrides();
+  const override = overrides[domain] || { rules: {} };
+  override.rules[field] = selector;
+  delete override.disabled;
+  override.updated = new Date().toISOString();
+  overrides[domain] = override;
+
+  await writeSelectorOverrides(overrides);
+  return override;
+}
+
+/**
+ * Replace a domain's override (site rule editor)
+ * An enabled entry without rules is removed.
+ * @param {string} domain - Domain
+ * @param {Object} entry - { rules, disabled }
+ * @returns {Promise<Object|null>} - The saved override, or null if it was removed
+ * @throws {Error} - If the domain or the rules are invalid
+ */
+async function setSiteOverride(domain, { rules = {}, disabled = false } = {}) {
+  const normalizedDomain = normalizeOverrideDomain(domain);
+  if (!normalizedDomain) {
+    throw new Error(`Invalid domain: ${domain}`);
+  }
+  const cleanedRules = validateOverrideRules(rules);
+
+  const overrides = await loadSelectorOverrides();
+  if (!disabled && Object.keys(cleanedRules).length === 0) {
+    delete overrides[normalizedDomain];
+    await writeSelectorOverrides(overrides);
+    return null;
+  }
+
+  const override = { rules: cleanedRules, updated: new Date().toISOString() };
+  if (disabled) override.disabled = true;
+  overrides[normalizedDomain] = override;
+  await writeSelectorOverrides(overrides);
+  return override;
+}
+
+/**
+ * Turn a site's rules off or back on
+ * @param {string} domain - Domain
+ * @param {boolean} disabled - True to disable
+ * @returns {Promise<Object|null>} - The saved override, or null if it was removed
+ */
+async function setSiteDisabled(domain, disabled) {
+  const overrides = await loadSelectorOverrides();
+  const current = overrides[domain] || { rules: {} };
+  return setSiteOverride(domain, { rules: current.rules, disabled: disabled });
+}
+
+/**
+ * Remove a domain's override, or one field of it
+ * @param {string} domain - Domain
+ * @param {string} field - Field to remove (the whole override when omitted)
+ * @returns {Promise<void>}
+ */
+async function removeSelectorOverride(domain, field) {
+  try {
+    const overrides = await loadSelectorOverrides();
+    if (!overrides[domain]) return;
+
+    if (field) {
+      delete overrides[domain].rules[field];
+    }
+    if (!field || (Object.keys(overrides[domain].rules).length === 0 && !overrides[domain].disabled)) {
+      delete overrides[domain];
+    }
+    await writeSelectorOverrides(overrides);
+  } catch (error) {
+    console.error('Error removing selector override:', error);
+  }
+}
+
+/**
+ * List every override, sorted by domain
+ * @returns {Promise<Array<Object>>} - [{ domain, rules, disabled, updated }]
+ */
+async function listSelectorOverrides() {
+  const overrides = await loadSelectorOverrides();
+  return Object.keys(overrides).sort().map(domain => ({
+    domain: domain,
+    rules: overrides[domain].rules || {},
+    disabled: Boolean(overrides[domain].disabled),
+    updated: overrides[domain].updated
+  }));
+}
+
+/**
+ * Build a rule pack with every override (or the given domains)
+ * @param {Array<string>} domains - Domains to export (all when omitted)
+ * @returns {Promise<Object>} - Rule pack
+ */
+async function exportRulePack(domains) {
+  const overrides = await loadSelectorOverrides();
+  const sites = {};
+  Object.keys(overrides).sort().forEach(domain => {
+    if (domains && !domains.includes(domain)) return;
+    sites[domain] = { rules: overrides[domain].rules || {} };
+    if (overrides[domain].disabled) sites[domain].disabled = true;
+  });
+  return {
+    format: RULE_PACK_FORMAT,
+    version: RULE_PACK_VERSION,
+    exported: new Date().toISOString(),
+    sites: sites
+  };
+}
+
+/**
+ * Import a rule pack
+ * Each site's rules are merged over the existing override field by field, and its
+ * disabled flag replaces the existing one. Nothing is saved if any site is invalid.
+ * @param {Object} pack - Rule pack (see the format at the top of this file)
+ * @returns {Promise<Object>} - { added, updated } domain lists
+ * @throws {Error} - If the pack or one of its sites is invalid
+ */
+async function importRulePack(pack) {
+  if (!pack || pack.format !== RULE_PACK_FORMAT || !pack.sites || typeof pack.sites !== 'object') {
+    throw new Error('Not a rule pack');
+  }
+  if (pack.version > RULE_PACK_VERSION) {
+    throw new Error(`Rule pack version ${pack.version} is newer than this extension supports`);
+  }
+
+  const overrides = await loadSelectorOverrides();
+  const result = { added: [], updated: [] };
+  const now = new Date().toISOString();
+
+  Object.keys(pack.sites).forEach(key => {
+    const domain = normalizeOverrideDomain(key);
+    if (!domain) {
+      throw new Error(`Invalid domain: ${key}`);
+    }
+    const site = pack.sites[key] || {};
+    let rules;
+    try {
+      rules = validateOverrideRules(site.rules || {});
+    } catch (error) {
+      throw new Error(`${domain}: ${error.message}`);
+    }
+
+    const existing = overrides[domain];
+    const override = {
+      rules: Object.assign({}, existing ? existing.rules : {}, rules),
+      updated: now
+    };
+    if (site.disabled) override.disabled = true;
+    if (!override.disabled && Object.keys(override.rules).length === 0) return;
+
+    overrides[domain] = override;
+    (existing ? result.updated : result.added).push(domain);
+  });
+
+  await writeSelectorOverrides(overrides);
+  return result;
+}
@@ -1,124 +1,139 @@
-// Site-specific CSS selectors for product extraction
-const SITE_SELECTORS = {
-  'amazon.com': {
-    name: '#productTitle',
-    image: '#landingImage, #imgBlkFront',
-    price: '.a-price .a-offscreen, #priceblock_ourprice, #priceblock_dealprice, .a-price-whole, span.a-price'
-  },
-  'amazon.co.uk': {
-    name: '#productTitle',
-    image: '#landingImage, #imgBlkFront',
-    price: '.a-price .a-offscreen, #priceblock_ourprice, #priceblock_dealprice, .a-price-whole, span.a-price'
-  },
-  'amazon.de': {
-    name: '#productTitle',
-    image: '#landingImage, #imgBlkFront',
-    price: '.a-price .a-offscreen, #priceblock_ourprice, #priceblock_dealprice, .a-price-whole, span.a-price'
-  },
-  'amazon.fr': {
-    name: '#productTitle',
-    image: '#landingImage, #imgBlkFront',
-    price: '.a-price .a-offscreen, #priceblock_ourprice, #priceblock_dealprice, .a-price-whole, span.a-price'
-  },
-  'amazon.ca': {
-    name: '#productTitle',
-    image: '#landingImage, #imgBlkFront',
-    price: '.a-price .a-offscreen, #priceblock_ourprice, #priceblock_dealprice, .a-price-whole, span.a-price'
-  },
-  'amazon.co.jp': {
-    name: '#productTitle',
-    image: '#landingImage, #imgBlkFront',
-    price: '.a-price .a-offscreen, #priceblock_ourprice, #priceblock_dealprice, .a-price-whole, span.a-price'
-  },
-  'ebay.com': {
-    name: 'h1.x-item-title__mainTitle, h1.textual-display, h1[data-testid="x-item-title-label"], #x-item-title-label, h1.it-ttl, .x-item-title-label, h1.it-ttl',
-    image: 'img[src*="ebayimg.com"], #icImg, img[itemprop="image"], .img.img500, #mainImgHldr img, img.brw-product-card__image',
-    price: 'div.x-price-primary, div.x-bin-price__content, span.textual-display, .notranslate[itemprop="price"], #prcIsum, .u-flL.condText, .notranslate, .u-flL.condText .notranslate'
-  },
-  'ebay.co.uk': {
-    name: 'h1.x-item-title__mainTitle, h1.textual-display, h1[data-testid="x-item-title-label"], #x-item-title-label, h1.it-ttl, .x-item-title-label, h1.it-ttl',
-    image: 'img[src*="ebayimg.com"], #icImg, img[itemprop="image"], .img.img500, #mainImgHldr img, img.brw-product-card__image',
-    price: 'div.x-price-primary, div.x-bin-price__content, span.textual-display, .notranslate[itemprop="price"], #prcIsum, .u-flL.condText, .notranslate, .u-flL.condText .notranslate'
-  },
-  'ebay.de': {
-    name: 'h1[data-testid="x-item-title-label"], #x-item-title-label, h1.it-ttl, .x-item-title-label, h1.it-ttl',
-    image: '#icImg, img[itemprop="image"], .img.img500, #mainImgHldr img',
-    price: '.notranslate[itemprop="price"], #prcIsum, .u-flL.condText, .notranslate, .u-flL.condText .notranslate'
-  },
-  'ebay.fr': {
-    name: 'h1[data-testid="x-item-title-label"], #x-item-title-label, h1.it-ttl, .x-item-title-label, h1.it-ttl',
-    image: '#icImg, img[itemprop="image"], .img.img500, #mainImgHldr img',
-    price: '.notranslate[itemprop="price"], #prcIsum, .u-flL.condText, .notranslate, .u-flL.condText .notranslate'
-  },
-  'ebay.ca': {
-    name: 'h1[data-testid="x-item-title-label"], #x-item-title-label, h1.it-ttl, .x-item-title-label, h1.it-ttl',
-    image: '#icImg, img[itemprop="image"], .img.img500, #mainImgHldr img',
-    price: '.notranslate[itemprop="price"], #prcIsum, .u-flL.condText, .notranslate, .u-flL.condText .notranslate'
-  },
-  'ebay.com.au': {
-    name: 'h1[data-testid="x-item-title-label"], #x-item-title-label, h1.it-ttl, .x-item-title-label, h1.it-ttl',
-    image: '#icImg, img[itemprop="image"], .img.img500, #mainImgHldr img',
-    price: '.notranslate[itemprop="price"], #prcIsum, .u-flL.condText, .notranslate, .u-flL.condText .notranslate'
-  },
-  // Alibaba
-  'alibaba.com': {
-    name: '',
-    image: '',
-    price: ''
-  },
-  // JD.com
-  'jd.com': {
-    name: '',
-    image: '',
-    price: ''
-  },
-  // Shopee
-  'shopee.com': {
-    name: '',
-    image: '',
-    price: ''
+/**
+ * Site-specific extraction rules
+ *
+ * Rule format
+ * -----------
+ * Each site entry maps a field (name, price, image, listPrice, coupon) to either:
+ *
+ * 1. A CSS selector string - comma-separated selectors, tried in order:
+ *      name: '#productTitle, h1.title'
+ *
+ * 2. A rule object for anything more than plain selectors:
+ *      price: {
+ *        selectors: ['.price-now', '.price'],     // Ordered selector list
+ *        sources: ['price', 'text', 'aria-label'], // Where to read the value, in order:
+ *                                                 //   'text', 'price' (handles superscript cents)
+ *                                                 //   or any attribute name
+ *                                                 //   or { attribute, transforms } for per-source transforms
+ *        transforms: ['stripPriceLabel'],         // Value transforms (see RULE_TRANSFORMS in rule-engine.js)
+ *        splitPrice: { container: '.a-price', fraction: '.a-price-fraction' }, // "$39" + "95" -> "$39.95"
+ *        variants: { container: '.prices', attribute: 'data-variant', discount: 'discount', original: 'original' },
+ *        collect: true,                           // Gather every price from every match, then pick one
+ *        multiple: 'highest',                     // Several prices in one element: 'all', 'highest', 'lowest'
+ *        pick: 'highest'                          // Choose among candidates: 'first', 'decimal', 'highest', 'lowest'
+ *      }
+ *      image: {
+ *        selectors: ['img'],
+ *        largest: { minWidth: 200, minHeight: 200 } // Largest visible image above this size
+ *      }
+ *
+ * listPrice (the regular price shown next to a sale price) takes the same options as price;
+ * coupon is read as text. Both are optional - see price-details.js for the generic fallbacks.
+ *
+ * Entry-level options:
+ *      guard: { required: ['name', 'price'], message: '...' }
+ *        If any required field has no matching element, the page is reported as NOT_PRODUCT_PAGE.
+ *      gallery: '#altImages img, .thumbnails img'
+ *        Extra selectors for the product's image gallery / thumbnails (see image-gallery.js).
+ *
+ * Fields a rule cannot fill fall back to structured data and heuristics in content.js.
+ *
+ * Users can override these entries without repacking the extension (see selector-overrides.js):
+ * selectors picked on a page (element-picker.js) or edited on the options page replace the
+ * matching fields, new sites can be added and sites can be disabled.
+ */
+
+// Amazon (same markup on every regional domain)
+const AMAZON_RULES = {
+  guard: {
+    required: ['name', 'price'],
+    message: 'Missing Amazon product title or price selectors on this page'
   },
-  'shopee.sg': {
-    name: '',
-    image: '',
-    price: ''
+  name: '#productTitle',
+  // Thumbnail strip next to the main image (thumbnails are upsized in image-gallery.js)
+  gallery: '#altImages li.imageThumbnail img, #altImages .a-button-thumbnail img',
+  image: {
+    selectors: ['#landingImage', '#imgBlkFront'],
+    sources: [
+      'src', 'data-src', 'data-lazy-src', 'data-old-src',
+      // Amazon stores image URLs in a JSON object keyed by URL
+      { attribute: 'data-a-dynamic-image', transforms: ['firstJsonKey'] }
+    ]
   },
-  'shopee.co.id': {
-    name: '',
-    image: '',
-    price: ''
+  price: {
+    selectors: ['.a-price .a-offscreen', '#priceblock_ourprice', '#priceblock_dealprice', '.a-price-whole', 'span.a-price'],
+    sources: ['price', 'text', 'aria-label', 'title'],
+    transforms: ['stripPriceLabel'],
+    // Amazon sometimes splits the price: "$39" in one element, "95" in .a-price-fraction
+    splitPrice: { container: '.a-price', fraction: '.a-price-fraction' }
   },
-  'shopee.com.my': {
-    name: '',
-    image: '',
-    price: ''
-  },
-  'shopee.ph': {
-    name: '',
-    image: '',
-    price: ''
+  // "List Price: $49.99" / "Typical price" (struck through under the deal price)
+  listPrice: {
+    selectors: ['.basisPrice .a-price.a-text-price .a-offscreen', '#corePriceDisplay_desktop_feature_div .a-price.a-text-price .a-offscreen', '#priceblock_listprice', '.priceBlockStrikePriceString'],
+    sources: ['text'],
+    transforms: ['stripPriceLabel']
   },
-  'shopee.co.th': {
-    name: '',
-    image: '',
-    price: ''
+  // "Apply $5 coupon", "Save 10% with coupon"
+  coupon: '[id^="couponText"], #promoPriceBlockMessage_feature_div .couponLabelText, #vpcButton .a-color-success'
+};
+
+// eBay (.com and .co.uk use the newer x-* markup)
+const EBAY_RULES = {
+  gallery: '.ux-image-carousel-item img, .ux-image-filmstrip-carousel-item img, .ux-image-grid-item img',
+  name: 'h1.x-item-title__mainTitle, h1.textual-display, h1[data-testid="x-item-title-label"], #x-item-title-label, h1.it-ttl, .x-item-title-label',
+  image: 'img[src*="ebayimg.com"], #icImg, img[itemprop="image"], .img.img500, #mainImgHldr img, img.brw-product-card__image',
+  price: {
+    // div.x-price-primary is the most reliable container, then x-bin-price__content
+    selectors: ['div.x-price-primary', 'div.x-bin-price__content', 'span.textual-display', '.notranslate[itemprop="price"]', '#prcIsum', '.u-flL.condText', '.notranslate', '.u-flL.condText .notranslate'],
+    collect: true,
+    // "US $269.99 / $249.99 with coupon code" -> keep the regular (higher) price
+    multiple: 'highest',
+    pick: 'highest'
   },
-  'shopee.vn': {
-    name: '',
-    image: '',
-    price: ''
+  // "List price US $299.99" under a discounted Buy It Now price
+  listPrice: '.x-additional-info .ux-textspans--STRIKETHROUGH, .x-price-transparency .ux-textspans--STRIKETHROUGH',
+  coupon: '.x-coupon-offers .ux-textspans, .x-price-primary + .x-additional-info .ux-textspans--EMPHASIS'
+};
+
+// eBay regional sites still on the older markup
+const EBAY_LEGACY_RULES = {
+  gallery: '#vi_main_img_fs img, #vi_main_img_fs_slider img',
+  name: 'h1[data-testid="x-item-title-label"], #x-item-title-label, h1.it-ttl, .x-item-title-label',
+  image: '#icImg, img[itemprop="image"], .img.img500, #mainImgHldr img',
+  price: {
+    selectors: ['.notranslate[itemprop="price"]', '#prcIsum', '.u-flL.condText', '.notranslate', '.u-flL.condText .notranslate'],
+    collect: true,
+    multiple: 'highest',
+    pick: 'highest'
   },
+  listPrice: '#orgPrc, .vi-originalPrice, #mm-saleOrgPrc'
+};
+
+// Site-specific CSS selectors / rules for product extraction
+const SITE_SELECTORS = {
+  'amazon.com': AMAZON_RULES,
+  'amazon.co.uk': AMAZON_RULES,
+  'amazon.de': AMAZON_RULES,
+  'amazon.fr': AMAZON_RULES,
+  'amazon.ca': AMAZON_RULES,
+  'amazon.co.jp': AMAZON_RULES,
+  'ebay.com': EBAY_RULES,
+  'ebay.co.uk': EBAY_RULES,
+  'ebay.de': EBAY_LEGACY_RULES,
+  'ebay.fr': EBAY_LEGACY_RULES,
+  'ebay.ca': EBAY_LEGACY_RULES,
+  'ebay.com.au': EBAY_LEGACY_RULES,
   // Walmart
   'walmart.com': {
     name: '#main-title',
     image: 'img.db',
-    price: 'span'
+    price: '[itemprop="price"]'
   },
   // Target
   'target.com': {
     name: '#pdp-product-title-id',
     price: 'div.styles_priceFullLineHeight__BgU9C',
-    image: 'img'
+    image: '[data-test^="image-gallery-item"] img'
   },
   // Best Buy
   'bestbuy.com': {
@@ -132,24 +147,6 @@ const SITE_SELECTORS = {
     price: '.wt-text-title-larger.wt-mr-xs-1.wt-text-black .wt-screen-reader-only, .wt-screen-reader-only, div.n-listing-card__price',
     image: 'img.wt-max-width-full'
   },
-  // Wayfair
-  'wayfair.com': {
-    name: '',
-    image: '',
-    price: ''
-  },
-  // Chewy
-  'chewy.com': {
-    name: '',
-    image: '',
-    price: ''
-  },
-  // Newegg
-  'newegg.com': {
-    name: '',
-    image: '',
-    price: ''
-  },
   // Temu
   'temu.com': {
     name: '',
@@ -158,21 +155,21 @@ const SITE_SELECTORS = {
   },
   // Abercrombie
   'abercrombie.com': {
-    name: 'h1.product-title-component',
-    price: 'span.product-price-text, div.product-price-container',
-    image: 'img'
-  },
-  // Pacsun
-  'pacsun.com': {
-    name: '',
-    image: '',
-    price: ''
-  },
-  // Aeropostale
-  'aeropostale.com': {
-    name: '',
-    image: '',
-    price: ''
+    guard: {
+      required: ['name', 'price'],
+      message: 'Abercrombie: missing product title or price selectors'
+    },
+    // The main header holds the sub-item/variant title when a variant is open
+    name: 'h1.product-title-component.product-title-main-header, h1.product-title-component',
+    price: {
+      selectors: ['span.product-price-text', 'div.product-price-container'],
+      // Prices are marked data-variant="discount" / "original"; the discount price wins
+      variants: { container: 'div.product-price-container', attribute: 'data-variant', discount: 'discount', original: 'original' }
+    },
+    image: {
+      selectors: ['img'],
+      largest: { minWidth: 200, minHeight: 200 }
+    }
   }
 };
 
@@ -197,13 +194,11 @@ function getBaseDomain(url) {
 }
 
 /**
- * Get selectors for the current site
- * @param {string} url - The current page URL
+ * Get the built-in selectors for a domain
+ * @param {string} domain - The domain
  * @returns {Object|null} - Selectors object or null if not found
  */
-function getSelectorsForSite(url) {
-  const domain = getBaseDomain(url);
-  
+function getBuiltInSelectors(domain) {
   // Try exact match first
   if (SITE_SELECTORS[domain]) {
     return SITE_SELECTORS[domain];
@@ -221,20 +216,69 @@ function getSelectorsForSite(url) {
   return null;
 }
 
+/**
+ * Check if the override layer (selector-overrides.js) is loaded in this context
+ * @returns {boolean}
+ */
+function hasSelectorOverrides() {
+  return typeof getSelectorOverride === 'function';
+}
+
+/**
+ * Get selectors for the current site
+ *
+ * Resolves through the user's overrides (see selector-overrides.js): their fields
+ * replace the matching fields of the built-in entry, a domain without a built-in
+ * entry can be added, and a disabled site has no rules at all.
+ *
+ * @param {string} url - The current page URL
+ * @param {Object} fallbackRules - Rules to use under an override when the domain has
+ *   no built-in entry (e.g., the platform's rules)
+ * @returns {Object|null} - Selectors object or null if not found
+ */
+function getSelectorsForSite(url, fallbackRules = null) {
+  const domain = getBaseDomain(url);
+  if (hasSelectorOverrides() && isSiteDisabled(domain)) {
+    return null;
+  }
+
+  const builtIn = getBuiltInSelectors(domain);
+  const override = hasSelectorOverrides() ? getSelectorOverride(domain) : null;
+
+  if (override) {
+    return Object.assign({}, builtIn || fallbackRules || {}, override.rules);
+  }
+  return builtIn;
+}
+
 /**
  * Get list of all supported site domains
+ * Includes sites added through overrides and leaves out disabled ones.
  * @returns {Array<string>} - Array of supported domain names
  */
 function getSupportedSitesList() {
-  return Object.keys(SITE_SELECTORS);
+  if (!hasSelectorOverrides()) {
+    return Object.keys(SITE_SELECTORS);
+  }
+  const builtIn = Object.keys(SITE_SELECTORS).filter(domain => !isSiteDisabled(domain));
+  const added = getOverrideDomains().filter(domain => !SITE_SELECTORS[domain]);
+  return builtIn.concat(added);
 }
 
 /**
  * Check if a domain is in the supported sites list
+ * A site is supported when it has a built-in entry or an override with rules,
+ * unless the user disabled it.
  * @param {string} domain - The domain to check
  * @returns {boolean} - True if domain is supported
  */
 function isSupportedSite(domain) {
+  if (hasSelectorOverrides()) {
+    if (isSiteDisabled(domain)) return false;
+    const override = getSelectorOverride(domain);
+    if (override && Object.keys(override.rules).length > 0) return true;
+  }
+
   // Check exact match
   if (SITE_SELECTORS[domain]) {
     return true;
@@ -251,4 +295,3 @@ function isSupportedSite(domain) {
   
   return false;
 }
-
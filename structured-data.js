@@ -0,0 +1,485 @@
+/**
+ * Structured Data Extraction
+ * Reads Schema.org Product/Offer data that sites publish as JSON-LD or microdata.
+ *
+ * Structured data is written by the site for search engines, so when it exists it is
+ * more reliable than CSS selectors or heuristics. extractProductInfo() runs this layer
+ * first and only falls back to selectors/heuristics for fields it leaves empty.
+ */
+
+// Schema.org types that describe a product
+const SCHEMA_PRODUCT_TYPES = ['Product', 'ProductGroup', 'IndividualProduct', 'ProductModel', 'SomeProducts', 'Vehicle', 'Car'];
+
+// GTIN properties in order of preference
+const SCHEMA_GTIN_PROPERTIES = ['gtin13', 'gtin12', 'gtin14', 'gtin8', 'gtin'];
+
+// PriceSpecification.priceType values for the regular (pre-sale) price
+const SCHEMA_LIST_PRICE_TYPES = /ListPrice|StrikethroughPrice|\bM?SRP\b/i;
+
+/**
+ * Get the Schema.org types of a JSON-LD node, without the schema.org prefix
+ * @param {Object} node - JSON-LD node
+ * @returns {Array<string>} - Types (e.g., ['Product'])
+ */
+function getSchemaTypes(node) {
+  if (!node || typeof node !== 'object') return [];
+  const rawTypes = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  return rawTypes
+    .filter(type => typeof type === 'string')
+    .map(type => type.replace(/^https?:\/\/schema\.org\//i, '').replace(/^schema:/i, ''));
+}
+
+/**
+ * Check if a JSON-LD node has one of the given Schema.org types
+ * @param {Object} node - JSON-LD node
+ * @param {Array<string>} types - Types to check for
+ * @returns {boolean}
+ */
+function isSchemaType(node, types) {
+  return getSchemaTypes(node).some(type => types.includes(type));
+}
+
+/**
+ * Parse every JSON-LD block on the page and flatten it into a list of nodes
+ *
+ * Handles the shapes sites actually publish:
+ * - A single object: { "@type": "Product", ... }
+ * - An array of objects: [{ "@type": "Organization" }, { "@type": "Product" }]
+ * - A graph: { "@graph": [ ... ] } (optionally nested inside arrays)
+ *
+ * @param {Document|HTMLElement} rootElement - Root element to search within (default: document)
+ * @returns {Array<Object>} - Flat list of JSON-LD nodes
+ */
+function collectJsonLdNodes(rootElement = document) {
+  const nodes = [];
+  const scripts = Array.from(rootElement.querySelectorAll('script[type="application/ld+json"]'));
+
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === 'object') {
+      if (value['@type']) {
+        nodes.push(value);
+      }
+      if (value['@graph']) {
+        visit(value['@graph']);
+      }
+    }
+  };
+
+  scripts.forEach(script => {
+    try {
+      visit(JSON.parse(script.textContent));
+    } catch (e) {
+      // Some sites publish invalid JSON-LD (trailing commas, raw newlines) - skip those blocks
+      console.warn('Failed to parse JSON-LD block:', e);
+    }
+  });
+
+  return nodes;
+}
+
+/**
+ * Resolve a JSON-LD reference ({ "@id": "..." }) against the other nodes on the page
+ * @param {*} value - Value that may be a reference
+ * @param {Array<Object>} nodes - All JSON-LD nodes on the page
+ * @returns {*} - The referenced node, or the original value
+ */
+function resolveJsonLdRef(value, nodes) {
+  if (value && typeof value === 'object' && !Array.isArray(value) && value['@id'] && Object.keys(value).length === 1) {
+    return nodes.find(node => node['@id'] === value['@id']) || value;
+  }
+  return value;
+}
+
+/**
+ * Find the main Product node among the JSON-LD nodes
+ *
+ * Pages often contain several products (related items, breadcrumbs, etc.).
+ * Prefer the product that has offers and a name, since that is the main product.
+ *
+ * @param {Array<Object>} nodes - JSON-LD nodes from collectJsonLdNodes()
+ * @returns {Object|null} - Product node or null
+ */
+function findJsonLdProduct(nodes) {
+  const products = nodes.filter(node => isSchemaType(node, SCHEMA_PRODUCT_TYPES));
+  if (products.length === 0) return null;
+
+  return products.find(node => node.offers && node.name) ||
+         products.find(node => node.name) ||
+         products[0];
+}
+
+/**
+ * Convert a Schema.org value to a plain string
+ *
+ * Values can be strings, numbers, { "@value": ... } objects, named objects
+ * ({ "@type": "Brand", "name": "..." }) or arrays of any of those.
+ *
+ * @param {*} value - Schema.org value
+ * @returns {string|null} - Plain string or null
+ */
+function schemaValueToString(value) {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) return schemaValueToString(value[0]);
+  if (typeof value === 'string') return value.trim() || null;
+  if (typeof value === 'number') return String(value);
+  if (typeof value === 'object') {
+    return schemaValueToString(value['@value'] ?? value.name ?? value['@id'] ?? null);
+  }
+  return null;
+}
+
+/**
+ * Get every image URL from a Schema.org image value, in order
+ * @param {*} value - String, ImageObject, or array of either
+ * @returns {Array<string>} - Image URLs (empty if none)
+ */
+function schemaImageToUrls(value) {
+  if (Array.isArray(value)) {
+    return value.flatMap(item => schemaImageToUrls(item));
+  }
+  const url = schemaImageToUrl(value);
+  return url ? [url] : [];
+}
+
+/**
+ * Get the first image URL from a Schema.org image value
+ * @param {*} value - String, ImageObject, or array of either
+ * @returns {string|null} - Image URL or null
+ */
+function schemaImageToUrl(value) {
+  if (!value) return null;
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      const url = schemaImageToUrl(item);
+      if (url) return url;
+    }
+    return null;
+  }
+  if (typeof value === 'string') return value.trim() || null;
+  if (typeof value === 'object') {
+    return schemaImageToUrl(value.contentUrl || value.url || value['@id']);
+  }
+  return null;
+}
+
+/**
+ * Strip the schema.org prefix from an availability value
+ * @param {*} value - e.g., "https://schema.org/InStock"
+ * @returns {string|null} - e.g., "InStock"
+ */
+function schemaAvailabilityToString(value) {
+  const text = schemaValueToString(value);
+  if (!text) return null;
+  return text.replace(/^https?:\/\/schema\.org\//i, '').replace(/^schema:/i, '');
+}
+
+/**
+ * Pick the offer to use for price/currency/availability
+ *
+ * Handles:
+ * - A single Offer
+ * - An array of offers (first offer with a price wins)
+ * - AggregateOffer with price, lowPrice or nested offers
+ * - Price stored in priceSpecification instead of the offer itself
+ *
+ * @param {*} offers - The product's "offers" value
+ * @param {Array<Object>} nodes - All JSON-LD nodes (for @id references)
+ * @returns {Object|null} - { price, currency, availability, listPrice } or null
+ */
+function pickJsonLdOffer(offers, nodes) {
+  offers = resolveJsonLdRef(offers, nodes);
+  if (!offers) return null;
+
+  if (Array.isArray(offers)) {
+    const candidates = offers.map(offer => pickJsonLdOffer(offer, nodes)).filter(Boolean);
+    return candidates.find(offer => offer.price !== null) || candidates[0] || null;
+  }
+
+  if (typeof offers !== 'object') return null;
+
+  let price = schemaValueToString(offers.price);
+  let currency = schemaValueToString(offers.priceCurrency);
+  let availability = schemaAvailabilityToString(offers.availability);
+  let listPrice = null;
+
+  // AggregateOffer: prefer explicit price, then lowPrice, then nested offers
+  if (isSchemaType(offers, ['AggregateOffer'])) {
+    if (price === null) {
+      price = schemaValueToString(offers.lowPrice);
+    }
+    const nested = offers.offers ? pickJsonLdOffer(offers.offers, nodes) : null;
+    if (nested) {
+      price = price ?? nested.price;
+      currency = currency || nested.currency;
+      availability = availability || nested.availability;
+      listPrice = nested.listPrice;
+    }
+  }
+
+  // Some sites put the price in a PriceSpecification instead of on the offer,
+  // often next to a second one with priceType ListPrice / StrikethroughPrice
+  if (offers.priceSpecification) {
+    const specs = (Array.isArray(offers.priceSpecification) ? offers.priceSpecification : [offers.priceSpecification])
+      .filter(s => s && s.price !== undefined);
+    const isListSpec = s => SCHEMA_LIST_PRICE_TYPES.test(schemaValueToString(s.priceType) || '');
+
+    const listSpec = specs.find(isListSpec);
+    if (listSpec) listPrice = schemaValueToString(listSpec.price);
+
+    const spec = specs.find(s => !isListSpec(s));
+    if (price === null && spec) {
+      price = schemaValueToString(spec.price);
+      currency = currency || schemaValueToString(spec.priceCurrency);
+    }
+  }
+
+  return { price, currency, availability, listPrice };
+}
+
+/**
+ * Get the GTIN from a Schema.org product (gtin13, gtin12, etc.)
+ * @param {Function} getValue - Function that returns a property value by name
+ * @returns {string|null} - GTIN or null
+ */
+function pickSchemaGtin(getValue) {
+  for (const property of SCHEMA_GTIN_PROPERTIES) {
+    const value = schemaValueToString(getValue(property));
+    if (value) return value;
+  }
+  return null;
+}
+
+/**
+ * Extract product data from JSON-LD
+ * @param {Document|HTMLElement} rootElement - Root element to search within (default: document)
+ * @returns {Object|null} - Structured product fields or null if no Product found
+ */
+function extractJsonLdProduct(rootElement = document) {
+  const nodes = collectJsonLdNodes(rootElement);
+  const product = findJsonLdProduct(nodes);
+  if (!product) return null;
+
+  // ProductGroup may carry its offers on the variants instead of the group
+  let offers = product.offers;
+  if (!offers && Array.isArray(product.hasVariant)) {
+    const variantWithOffer = product.hasVariant
+      .map(variant => resolveJsonLdRef(variant, nodes))
+      .find(variant => variant && variant.offers);
+    offers = variantWithOffer?.offers;
+  }
+  const offer = pickJsonLdOffer(offers, nodes) || {};
+
+  return {
+    name: schemaValueToString(product.name),
+    price: offer.price ?? null,
+    currency: offer.currency ?? null,
+    image: schemaImageToUrl(product.image),
+    images: schemaImageToUrls(product.image),
+    brand: schemaValueToString(resolveJsonLdRef(product.brand, nodes)),
+    sku: schemaValueToString(product.sku),
+    gtin: pickSchemaGtin(property => product[property]),
+    availability: offer.availability ?? null,
+    listPrice: offer.listPrice ?? null
+  };
+}
+
+/**
+ * Read the value of a microdata itemprop element
+ *
+ * Follows the HTML microdata rules: meta uses content, links use href,
+ * media uses src, time uses datetime, everything else uses text.
+ * A "content" attribute on any element wins (sites often use it on spans).
+ *
+ * @param {HTMLElement} el - Element with an itemprop attribute
+ * @returns {string|null} - Property value or null
+ */
+function getMicrodataValue(el) {
+  if (el.hasAttribute('content')) return el.getAttribute('content').trim() || null;
+
+  const tagName = el.tagName.toLowerCase();
+  let value = null;
+  if (tagName === 'meta') {
+    value = el.getAttribute('content');
+  } else if (['img', 'audio', 'video', 'source', 'embed', 'iframe'].includes(tagName)) {
+    value = el.getAttribute('src') || el.getAttribute('data-src');
+  } else if (['a', 'link', 'area'].includes(tagName)) {
+    value = el.getAttribute('href');
+  } else if (['data', 'meter'].includes(tagName)) {
+    value = el.getAttribute('value');
+  } else if (tagName === 'time') {
+    value = el.getAttribute('datetime') || el.textContent;
+  } else {
+    value = el.textContent;
+  }
+
+  return value ? value.trim() || null : null;
+}
+
+/**
+ * Get the itemprop elements that belong directly to an itemscope
+ * (not to an item nested inside it)
+ * @param {HTMLElement} scope - Element with itemscope
+ * @returns {Array<HTMLElement>} - Property elements owned by this scope
+ */
+function getMicrodataProperties(scope) {
+  return Array.from(scope.querySelectorAll('[itemprop]')).filter(el => {
+    const owner = el.parentElement ? el.parentElement.closest('[itemscope]') : null;
+    return owner === scope;
+  });
+}
+
+/**
+ * Convert a microdata itemscope tree into a plain object
+ *
+ * Property names can be space-separated lists (itemprop="price lowPrice").
+ * Repeated properties become arrays, and nested items become nested objects
+ * with an "@type" taken from their itemtype.
+ *
+ * @param {HTMLElement} scope - Element with itemscope
+ * @param {number} depth - Current nesting depth (guards against cycles)
+ * @returns {Object} - Plain object of properties
+ */
+function microdataToObject(scope, depth = 0) {
+  const itemtype = scope.getAttribute('itemtype') || '';
+  const result = {
+    '@type': itemtype.split(/\s+/).filter(Boolean).map(type => type.replace(/^https?:\/\/schema\.org\//i, ''))
+  };
+
+  getMicrodataProperties(scope).forEach(el => {
+    const value = el.hasAttribute('itemscope') && depth < 5
+      ? microdataToObject(el, depth + 1)
+      : getMicrodataValue(el);
+    if (value === null) return;
+
+    el.getAttribute('itemprop').split(/\s+/).filter(Boolean).forEach(property => {
+      if (result[property] === undefined) {
+        result[property] = value;
+      } else if (Array.isArray(result[property])) {
+        result[property].push(value);
+      } else {
+        result[property] = [result[property], value];
+      }
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Extract product data from microdata (itemscope/itemprop attributes)
+ * @param {Document|HTMLElement} rootElement - Root element to search within (default: document)
+ * @returns {Object|null} - Structured product fields or null if no Product found
+ */
+function extractMicrodataProduct(rootElement = document) {
+  const scopes = Array.from(rootElement.querySelectorAll('[itemscope][itemtype]'))
+    .filter(el => isSchemaType({ '@type': el.getAttribute('itemtype').split(/\s+/) }, SCHEMA_PRODUCT_TYPES));
+  if (scopes.length === 0) return null;
+
+  // Skip products nested inside other products (related items, accessories)
+  const topLevel = scopes.filter(scope => !scopes.some(other => other !== scope && other.contains(scope)));
+  const products = topLevel.map(scope => microdataToObject(scope));
+  const product = products.find(p => p.offers && p.name) || products.find(p => p.name) || products[0];
+
+  const offer = pickJsonLdOffer(product.offers, []) || {};
+
+  return {
+    name: schemaValueToString(product.name),
+    price: offer.price ?? null,
+    currency: offer.currency ?? null,
+    image: schemaImageToUrl(product.image),
+    images: schemaImageToUrls(product.image),
+    brand: schemaValueToString(product.brand),
+    sku: schemaValueToString(product.sku),
+    gtin: pickSchemaGtin(property => product[property]),
+    availability: offer.availability ?? null,
+    listPrice: offer.listPrice ?? null
+  };
+}
+
+/**
+ * Read a structured-data amount as a number
+ *
+ * Schema.org asks for a plain number with "." as the decimal separator ("1299.00"),
+ * but some sites publish the amount the way they show it ("29,99", "1.299,00"). Those
+ * are read by the shared price parser (see price-parser.js), which works out the separators.
+ *
+ * @param {string|number} amount - Amount as published
+ * @param {string|null} currency - ISO 4217 currency code
+ * @returns {number} - Amount, or NaN if it isn't a number
+ */
+function parseStructuredAmount(amount, currency) {
+  if (typeof amount === 'number') return amount;
+  const text = String(amount).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return Number(text);
+  return parsePriceAmount(text, { currencyHint: currency || null });
+}
+
+/**
+ * Format a structured-data amount for display
+ *
+ * Structured data stores the amount ("29.99") and currency ("USD") separately.
+ * The rest of the extension shows prices as display strings ("$29.99"), so we
+ * format it the same way, keeping every decimal the site published.
+ *
+ * @param {number} value - Amount (parseStructuredAmount() result)
+ * @param {string|null} currency - ISO 4217 currency code
+ * @returns {string|null} - Display price or null if amount is not numeric
+ */
+function formatStructuredPrice(value, currency) {
+  if (isNaN(value)) return null;
+
+  if (currency) {
+    try {
+      return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency, maximumFractionDigits: 20 }).format(value);
+    } catch (e) {
+      // Unknown currency code - fall through to "29.99 XYZ"
+      return `${value.toFixed(2)} ${currency}`;
+    }
+  }
+  return value.toFixed(2);
+}
+
+/**
+ * Main function: Extract Schema.org product data from the current page
+ *
+ * JSON-LD is preferred; microdata fills any fields JSON-LD left empty.
+ *
+ * @returns {Object|null} - { name, price, amount, currency, image, images, brand, sku, gtin, availability, listPrice, sources }
+ *                          where price and listPrice are display strings, amount is the price as published
+ *                          and sources maps each found field to 'json-ld' or 'microdata', or null if the
+ *                          page has no structured product data
+ */
+function extractStructuredData() {
+  const jsonLd = extractJsonLdProduct();
+  const microdata = extractMicrodataProduct();
+  if (!jsonLd && !microdata) return null;
+
+  const merged = {};
+  const sources = {};
+  ['name', 'price', 'currency', 'image', 'brand', 'sku', 'gtin', 'availability', 'listPrice'].forEach(field => {
+    merged[field] = jsonLd?.[field] ?? microdata?.[field] ?? null;
+    if (merged[field] !== null) {
+      sources[field] = jsonLd?.[field] !== null && jsonLd?.[field] !== undefined ? 'json-ld' : 'microdata';
+    }
+  });
+
+  // All image URLs from whichever source lists any (null when neither does)
+  const images = jsonLd?.images?.length ? jsonLd.images : microdata?.images;
+  merged.images = images && images.length > 0 ? images : null;
+
+  // Convert numeric amount to display string (keep currency from whichever source had the price)
+  merged.amount = null;
+  if (merged.price !== null) {
+    const amount = parseStructuredAmount(merged.price, merged.currency);
+    merged.price = formatStructuredPrice(amount, merged.currency);
+    merged.amount = merged.price === null ? null : amount;
+  }
+  if (merged.listPrice !== null) {
+    merged.listPrice = formatStructuredPrice(parseStructuredAmount(merged.listPrice, merged.currency), merged.currency);
+  }
+
+  merged.sources = sources;
+  return merged;
+}
@@ -0,0 +1,47 @@
+/**
+ * Availability Tests
+ * Runs extractAvailability() (availability.js) on small pages with purchase buttons,
+ * purchase links and stock messages.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./harness');
+
+/**
+ * Read the availability of a page body
+ * @param {string} body - Body HTML
+ * @returns {Object} - extractAvailability() result
+ */
+function readAvailability(body) {
+  const page = loadPage(`<!DOCTYPE html>
+<!-- fixture-url: https://shop.example.com/products/lamp -->
+<html><body>${body}</body></html>`);
+  try {
+    return JSON.parse(JSON.stringify(page.run('extractAvailability()')));
+  } finally {
+    page.close();
+  }
+}
+
+describe('extractAvailability()', () => {
+  test('counts purchase links in the buy box', () => {
+    const result = readAvailability(`
+      <div class="x-atc-action"><a href="#">Add to cart</a></div>`);
+    assert.equal(result.status, 'in_stock');
+  });
+
+  test('ignores purchase links outside the buy box', () => {
+    const result = readAvailability(`
+      <nav><a href="/account/orders">Purchase history</a></nav>
+      <button disabled>Sold out</button>
+      <section class="related"><a href="/products/desk-lamp">Add to cart</a> <a href="/products/bulb">Buy It Now</a></section>`);
+    assert.equal(result.status, 'out_of_stock');
+  });
+
+  test('ignores class names that only contain "stock"', () => {
+    const result = readAvailability(`
+      <div class="stockist-finder">Find a stockist - in stock near you</div>`);
+    assert.equal(result.status, 'unknown');
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Content Script Message Tests
+ * Sends the popup's extractProduct message to the content scripts on fixture pages, and
+ * checks the response and what is sent on to the background service worker.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./harness');
+
+/**
+ * Ask a fixture's content scripts to extract, like the popup does
+ * @param {string} name - Fixture name
+ * @param {Object} storage - Initial chrome.storage.local contents
+ * @returns {Promise<Object>} - { response, messages (sent to the background) }
+ */
+async function extractFromPopup(name, storage = {}) {
+  const page = loadFixture(name, { storage });
+  try {
+    const response = await page.send({ action: 'extractProduct', force: false });
+    return JSON.parse(JSON.stringify({ response, messages: page.messages }));
+  } finally {
+    page.close();
+  }
+}
+
+describe('extractProduct on unsupported sites', () => {
+  test('has the background record a rejected page', async () => {
+    const { response, messages } = await extractFromPopup('generic-not-product');
+    assert.equal(response.errorType, 'SITE_NOT_SUPPORTED');
+    assert.deepEqual(messages.filter(message => message.action === 'recordJunkSite'),
+      [{ action: 'recordJunkSite', domain: 'trailgear-example.com' }]);
+  });
+
+  test('flags a generic result on a listed domain', async () => {
+    const lastSeen = new Date().toISOString();
+    const { response } = await extractFromPopup('generic-json-ld', {
+      junkSites: { 'trailgear-example.com': { domain: 'trailgear-example.com', firstSeen: lastSeen, lastSeen: lastSeen, attempts: 2 } }
+    });
+    assert.equal(response.success, true);
+    assert.equal(response.data.mode, 'generic');
+    assert.equal(response.previouslyUnsupported, true);
+  });
+
+  test('does not flag a domain that is not listed', async () => {
+    const { response } = await extractFromPopup('generic-json-ld');
+    assert.equal(response.previouslyUnsupported, false);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Exporter Tests
+ * Checks that CSV and XLSX exports (exporters.js) keep page text that looks like a
+ * spreadsheet formula as plain text.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// The exporters only need zip.js, so they run without a page
+const context = vm.createContext({ TextEncoder, Uint8Array, Date });
+['zip.js', 'exporters.js'].forEach(file => {
+  vm.runInContext(fs.readFileSync(path.join(ROOT_DIR, file), 'utf8'), context, { filename: file });
+});
+
+const PRODUCT = {
+  name: '=HYPERLINK("https://evil.example","Click")',
+  price: '$19.99',
+  amount: 19.99,
+  couponText: '-20% off',
+  brand: '@Acme',
+  sku: '+SUM(1,2)',
+  site: 'shop.example.com'
+};
+
+describe('productsToCsv()', () => {
+  test('prefixes formula-like text with an apostrophe', () => {
+    const [header, row] = context.productsToCsv([PRODUCT]).trim().split('\r\n');
+    const cells = Object.fromEntries(header.split(',').map((column, index) => [column, row.split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/)[index]]));
+    assert.equal(cells.name, `"'=HYPERLINK(""https://evil.example"",""Click"")"`);
+    assert.equal(cells.couponText, '-20% off');
+    assert.equal(cells.brand, `'@Acme`);
+    assert.equal(cells.sku, `"'+SUM(1,2)"`);
+    assert.equal(cells.price, '$19.99');
+    assert.equal(cells.amount, '19.99');
+  });
+
+  test('leaves negative numbers alone', () => {
+    assert.equal(context.toCsvCell(-5), '-5');
+  });
+
+  test('only prefixes signs that start a formula', () => {
+    assert.equal(context.toCsvCell('-20% off'), '-20% off');
+    assert.equal(context.toCsvCell('+5 colors available'), '+5 colors available');
+    assert.equal(context.toCsvCell('-50% today!'), '-50% today!');
+    assert.equal(context.toCsvCell("-2+3+cmd|' /C calc'!A0"), "'-2+3+cmd|' /C calc'!A0");
+    assert.equal(context.toCsvCell('+HYPERLINK("https://evil.example")'), `"'+HYPERLINK(""https://evil.example"")"`);
+    assert.equal(context.toCsvCell('-Sheet1!A1'), `'-Sheet1!A1`);
+    assert.equal(context.toCsvCell('\t=1+1'), `'\t=1+1`);
+  });
+});
+
+describe('toXlsxCell()', () => {
+  test('gives formula-like text the quote prefix style', () => {
+    assert.equal(context.toXlsxCell('=1+1', 'A2'), '<c r="A2" s="1" t="inlineStr"><is><t xml:space="preserve">=1+1</t></is></c>');
+    assert.equal(context.toXlsxCell('-20% off', 'D2'), '<c r="D2" t="inlineStr"><is><t xml:space="preserve">-20% off</t></is></c>');
+    assert.equal(context.toXlsxCell('Acme', 'B2'), '<c r="B2" t="inlineStr"><is><t xml:space="preserve">Acme</t></is></c>');
+    assert.equal(context.toXlsxCell(-5, 'C2'), '<c r="C2"><v>-5</v></c>');
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Extraction Regression Tests
+ * Runs extractProductInfo() on every page in test/fixtures and compares the result
+ * with its golden JSON in test/golden.
+ *
+ * The fixtures are hand-written pages with each site's markup, not snapshots of the
+ * real sites, so these are smoke tests: they don't notice a site changing its markup.
+ *
+ * After an intended change to the output, review the diff and update the golden files:
+ *   UPDATE_GOLDEN=1 npm test
+ * A fixture without a golden file fails until it is created the same way.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { listFixtures, extractFixture } = require('./harness');
+
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+
+describe('extractProductInfo() on saved pages', () => {
+  listFixtures().forEach(name => {
+    test(name, async () => {
+      const result = await extractFixture(name);
+      const goldenFile = path.join(GOLDEN_DIR, `${name}.json`);
+
+      if (UPDATE_GOLDEN) {
+        fs.writeFileSync(goldenFile, JSON.stringify(result, null, 2) + '\n');
+        return;
+      }
+      assert.ok(fs.existsSync(goldenFile), `No golden file for ${name} - create it with UPDATE_GOLDEN=1 npm test`);
+      assert.deepEqual(result, JSON.parse(fs.readFileSync(goldenFile, 'utf8')));
+    });
+  });
+});
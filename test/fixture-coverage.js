@@ -0,0 +1,85 @@
+/**
+ * Fixture Coverage Report
+ * Lists the SITE_SELECTORS entries no saved page in test/fixtures exercises.
+ *
+ * Entries that share their rules with a covered entry (e.g. the regional Amazon
+ * domains) are listed separately, since their rules are tested anyway.
+ *
+ * Run on its own with: npm run fixture-coverage
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { ROOT_DIR, FIXTURES_DIR, listFixtures, readFixtureUrl } = require('./harness');
+
+/**
+ * Load SITE_SELECTORS and the domain helpers from site-selectors.js
+ * @returns {Object} - Context with SITE_SELECTORS and getBaseDomain
+ */
+function loadSiteSelectors() {
+  const context = vm.createContext({ URL, console });
+  // const declarations stay in the script scope, so expose them explicitly
+  const source = fs.readFileSync(path.join(ROOT_DIR, 'site-selectors.js'), 'utf8') +
+    '\nthis.SITE_SELECTORS = SITE_SELECTORS;';
+  new vm.Script(source, { filename: 'site-selectors.js' }).runInContext(context);
+  return context;
+}
+
+/**
+ * Work out which SITE_SELECTORS entries have a fixture
+ * @returns {Object} - { covered, sharedRules: [{ domain, sharesWith }], uncovered }
+ */
+function getFixtureCoverage() {
+  const { SITE_SELECTORS, getBaseDomain } = loadSiteSelectors();
+
+  // Entries a fixture resolves to (exact domain or parent domain, like getBuiltInSelectors)
+  const coveredDomains = new Set();
+  // Rules objects those entries use, with the first entry that covers them
+  const coveredRules = new Map();
+  listFixtures().forEach(name => {
+    const url = readFixtureUrl(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf8'));
+    const domain = getBaseDomain(url);
+    const entry = [domain, domain.split('.').slice(-2).join('.')].find(key => SITE_SELECTORS[key]);
+    if (!entry) return;
+    coveredDomains.add(entry);
+    if (!coveredRules.has(SITE_SELECTORS[entry])) {
+      coveredRules.set(SITE_SELECTORS[entry], entry);
+    }
+  });
+
+  const report = { covered: [], sharedRules: [], uncovered: [] };
+  Object.keys(SITE_SELECTORS).forEach(domain => {
+    if (coveredDomains.has(domain)) {
+      report.covered.push(domain);
+    } else if (coveredRules.has(SITE_SELECTORS[domain])) {
+      report.sharedRules.push({ domain, sharesWith: coveredRules.get(SITE_SELECTORS[domain]) });
+    } else {
+      report.uncovered.push(domain);
+    }
+  });
+  return report;
+}
+
+/**
+ * Format the coverage report as text lines
+ * @param {Object} report - Result of getFixtureCoverage()
+ * @returns {Array<string>}
+ */
+function formatFixtureCoverage(report) {
+  const total = report.covered.length + report.sharedRules.length + report.uncovered.length;
+  const lines = [`SITE_SELECTORS entries with a fixture: ${report.covered.length}/${total}`];
+  if (report.sharedRules.length > 0) {
+    lines.push(`Covered through shared rules: ${report.sharedRules.map(entry => `${entry.domain} (${entry.sharesWith})`).join(', ')}`);
+  }
+  if (report.uncovered.length > 0) {
+    lines.push(`No fixture: ${report.uncovered.join(', ')}`);
+  }
+  return lines;
+}
+
+if (require.main === module) {
+  formatFixtureCoverage(getFixtureCoverage()).forEach(line => console.log(line));
+}
+
+module.exports = { getFixtureCoverage, formatFixtureCoverage };
@@ -0,0 +1,14 @@
+/**
+ * Reports which SITE_SELECTORS entries have no saved page in test/fixtures.
+ * Missing fixtures don't fail the run; they are listed as test diagnostics.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getFixtureCoverage, formatFixtureCoverage } = require('./fixture-coverage');
+
+test('SITE_SELECTORS fixture coverage', (t) => {
+  const report = getFixtureCoverage();
+  assert.ok(report.covered.length > 0, 'No fixture matches a SITE_SELECTORS entry');
+  formatFixtureCoverage(report).forEach(line => t.diagnostic(line));
+});
@@ -0,0 +1,294 @@
+/**
+ * Test Harness
+ * Loads a saved product page into jsdom, runs the content scripts in it (in manifest
+ * order) and gives access to their globals, e.g. extractProductInfo().
+ *
+ * Fixtures (test/fixtures):
+ * - <name>.html       - Page. The page URL comes from the comment Chrome's "Save page as" (and
+ *                       "Capture page") adds: <!-- saved from url=(0042)https://www.example.com/p/1 -->
+ *                       Hand-written pages, which weren't saved from anywhere, name the URL they
+ *                       stand in for instead: <!-- fixture-url: https://www.example.com/p/1 -->
+ * - <name>.fetch.json - Optional responses for fetch(), by URL path (e.g. a Shopify product JSON):
+ *                       { "/products/hoodie.js": { ... } }. Anything else gets a 404.
+ *
+ * Golden results of extractProductInfo() are kept in test/golden/<name>.json (see extraction.test.js).
+ *
+ * jsdom has no layout engine, so layout is stubbed:
+ * - innerText is textContent
+ * - elements are visible (offsetParent set) unless they or an ancestor are hidden
+ *   (hidden attribute or inline display: none)
+ * - getBoundingClientRect() uses the width/height attributes (300x300 for images and
+ *   300x40 for other elements without them), stacked in document order
+ * - scrolling does nothing
+ *
+ * Pages saved with the extension's "Capture page" (page-capture.js) carry their real layout
+ * in data-capture-* attributes, which are used instead wherever they are present.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Content scripts, in the order the extension loads them
+const CONTENT_SCRIPTS = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'manifest.json'), 'utf8')).content_scripts[0].js;
+
+/**
+ * List the fixture names (file names without .html)
+ * @returns {Array<string>}
+ */
+function listFixtures() {
+  return fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.html'))
+    .map(file => file.slice(0, -'.html'.length))
+    .sort();
+}
+
+/**
+ * Read the page URL from a saved page's "saved from url" comment, or from a
+ * hand-written page's "fixture-url" comment
+ * @param {string} html - Page HTML
+ * @returns {string|null}
+ */
+function readFixtureUrl(html) {
+  const match = html.match(/<!--\s*(?:saved from url=\(\d+\)|fixture-url:\s*)(\S+)\s*-->/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Check if an element or one of its ancestors is hidden
+ * @param {Element} el - Element
+ * @returns {boolean}
+ */
+function isHidden(el) {
+  for (let current = el; current; current = current.parentElement) {
+    if (current.hasAttribute('hidden') || /display\s*:\s*none/.test(current.getAttribute('style') || '')) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Replace the layout properties jsdom leaves empty
+ * @param {Window} window - jsdom window
+ */
+function stubLayout(window) {
+  const { HTMLElement, Element } = window;
+
+  Object.defineProperty(HTMLElement.prototype, 'innerText', {
+    configurable: true,
+    get() { return this.textContent; },
+    set(value) { this.textContent = value; }
+  });
+
+  Object.defineProperty(HTMLElement.prototype, 'offsetParent', {
+    configurable: true,
+    get() {
+      const hidden = this.hasAttribute('data-capture-rect') ? this.hasAttribute('data-capture-hidden') : isHidden(this);
+      return hidden ? null : this.parentElement;
+    }
+  });
+
+  Element.prototype.getBoundingClientRect = function() {
+    const captured = this.getAttribute('data-capture-rect');
+    if (captured) {
+      const [top, left, width, height] = captured.split(',').map(Number);
+      return { top, left, width, height, bottom: top + height, right: left + width, x: left, y: top };
+    }
+
+    const isImage = this.tagName === 'IMG';
+    const width = Number(this.getAttribute('width')) || 300;
+    const height = Number(this.getAttribute('height')) || (isImage ? 300 : 40);
+    // Stacked in document order, so earlier elements are higher on the page
+    const top = Array.prototype.indexOf.call(this.ownerDocument.getElementsByTagName('*'), this) * 10;
+    return { top, left: 10, width, height, bottom: top + height, right: 10 + width, x: 10, y: top };
+  };
+
+  // Images report their size attributes
+  ['width', 'height', 'naturalWidth', 'naturalHeight'].forEach(property => {
+    Object.defineProperty(window.HTMLImageElement.prototype, property, {
+      configurable: true,
+      get() { return this.getBoundingClientRect()[property.replace('natural', '').toLowerCase()]; }
+    });
+  });
+
+  const viewport = window.document.documentElement.getAttribute('data-capture-viewport');
+  if (viewport) {
+    const [innerWidth, innerHeight] = viewport.split(',').map(Number);
+    Object.assign(window, { innerWidth, innerHeight });
+  }
+
+  // Scrolling (lazy images, see wait-for-content.js) has nothing to move
+  Element.prototype.scrollIntoView = function() {};
+  window.scrollTo = function() {};
+
+  if (!window.CSS) window.CSS = {};
+  if (!window.CSS.escape) {
+    window.CSS.escape = value => String(value).replace(/[^a-zA-Z0-9_-]/g, char => `\\${char}`);
+  }
+}
+
+/**
+ * Create the chrome.* APIs the content scripts use, with in-memory storage
+ * @param {Object} storage - Initial chrome.storage.local contents
+ * @returns {Object} - { chrome, messages, listeners } (messages sent to the background, in order,
+ *   and the content scripts' onMessage listeners)
+ */
+function createChromeStub(storage = {}) {
+  const store = JSON.parse(JSON.stringify(storage));
+  const messages = [];
+  const listeners = [];
+  const chrome = {
+    runtime: {
+      id: 'test',
+      onMessage: { addListener: listener => listeners.push(listener) },
+      sendMessage: async (message) => {
+        messages.push(message);
+        return { success: true };
+      }
+    },
+    storage: {
+      local: {
+        get: async (keys) => {
+          if (keys == null) return JSON.parse(JSON.stringify(store));
+          const result = {};
+          (Array.isArray(keys) ? keys : [keys]).forEach(key => {
+            if (key in store) result[key] = JSON.parse(JSON.stringify(store[key]));
+          });
+          return result;
+        },
+        set: async (items) => {
+          Object.assign(store, JSON.parse(JSON.stringify(items)));
+        },
+        remove: async (keys) => {
+          (Array.isArray(keys) ? keys : [keys]).forEach(key => delete store[key]);
+        }
+      },
+      onChanged: { addListener() {} }
+    }
+  };
+  return { chrome, messages, listeners };
+}
+
+/**
+ * Create a fetch() that answers from a fixture's .fetch.json
+ * @param {Object} responses - Map of URL path -> JSON body
+ * @returns {Function}
+ */
+function createFetchStub(responses) {
+  return async (url) => {
+    const { pathname, search } = new URL(String(url));
+    const body = responses[pathname + search] ?? responses[pathname];
+    if (body === undefined) {
+      return { ok: false, status: 404, json: async () => { throw new Error('Not found'); } };
+    }
+    return { ok: true, status: 200, json: async () => JSON.parse(JSON.stringify(body)) };
+  };
+}
+
+/**
+ * Load a page with the content scripts
+ * @param {string} html - Page HTML, with a "saved from url" or "fixture-url" comment
+ * @param {Object} options
+ * @param {Object} options.storage - Initial chrome.storage.local contents
+ * @param {Object} options.responses - fetch() responses (see .fetch.json above)
+ * @returns {Object} - { url, window, messages, run(code), send(request), close() }
+ *   (send() passes a message from the popup to the content scripts and resolves with the response)
+ */
+function loadPage(html, { storage = {}, responses = {} } = {}) {
+  const url = readFixtureUrl(html);
+  if (!url) {
+    throw new Error('The page has no "saved from url" or "fixture-url" comment');
+  }
+
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true });
+  const { window } = dom;
+  const { chrome, messages, listeners } = createChromeStub(storage);
+  window.chrome = chrome;
+  window.fetch = createFetchStub(responses);
+  stubLayout(window);
+
+  const context = dom.getInternalVMContext();
+  CONTENT_SCRIPTS.forEach(file => {
+    new vm.Script(fs.readFileSync(path.join(ROOT_DIR, file), 'utf8'), { filename: file }).runInContext(context);
+  });
+
+  return {
+    url,
+    window,
+    messages,
+    run: (code) => new vm.Script(code).runInContext(context),
+    send: (request) => new Promise(resolve => {
+      listeners.forEach(listener => listener(request, {}, resolve));
+    }),
+    close: () => window.close()
+  };
+}
+
+/**
+ * Read a fixture's fetch() responses
+ * @param {string} name - Fixture name
+ * @returns {Object} - Map of URL path -> JSON body (empty without a .fetch.json)
+ */
+function readFetchResponses(name) {
+  const fetchFile = path.join(FIXTURES_DIR, `${name}.fetch.json`);
+  return fs.existsSync(fetchFile) ? JSON.parse(fs.readFileSync(fetchFile, 'utf8')) : {};
+}
+
+/**
+ * Load a fixture page with the content scripts
+ * @param {string} name - Fixture name
+ * @param {Object} options
+ * @param {Object} options.storage - Initial chrome.storage.local contents
+ * @returns {Object} - { url, window, messages, run(code), send(request), close() }
+ */
+function loadFixture(name, { storage = {} } = {}) {
+  try {
+    return loadPage(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf8'), {
+      storage,
+      responses: readFetchResponses(name)
+    });
+  } catch (error) {
+    throw new Error(`${name}.html: ${error.message}`);
+  }
+}
+
+/**
+ * Run extractProductInfo() on a fixture
+ * The result is returned as plain JSON data without the timestamp, which changes on
+ * every run. Structured errors are returned as { error: { type, message } } so they
+ * can be golden too.
+ * @param {string} name - Fixture name
+ * @param {Object} options - loadFixture() options, plus extractProductInfo() options as extract
+ * @returns {Promise<Object>}
+ */
+async function extractFixture(name, options = {}) {
+  const page = loadFixture(name, options);
+  try {
+    page.window.__extractOptions = options.extract || {};
+    const result = JSON.parse(JSON.stringify(await page.run('extractProductInfo(window.__extractOptions)')));
+    delete result.timestamp;
+    return result;
+  } catch (error) {
+    if (!error || !error.type) throw error;
+    return { error: { type: error.type, message: error.message } };
+  } finally {
+    page.close();
+  }
+}
+
+module.exports = {
+  ROOT_DIR,
+  FIXTURES_DIR,
+  CONTENT_SCRIPTS,
+  listFixtures,
+  readFixtureUrl,
+  readFetchResponses,
+  loadPage,
+  loadFixture,
+  extractFixture
+};
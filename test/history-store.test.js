@@ -0,0 +1,95 @@
+/**
+ * History Store Tests
+ * Runs history-store.js (loaded by the background service worker) with an in-memory
+ * chrome.storage.local, and checks canonical URLs and what an entry keeps.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+/**
+ * Load history-store.js with an in-memory storage area
+ * @param {Object} options
+ * @param {boolean} options.full - Make every write fail like a full storage area
+ * @returns {Object} - The script's globals
+ */
+function loadHistoryStore({ full = false } = {}) {
+  const store = {};
+  const context = vm.createContext({
+    URL,
+    URLSearchParams,
+    console: { error() {}, warn() {}, log() {} },
+    chrome: {
+      storage: {
+        local: {
+          get: async (key) => (key in store ? { [key]: JSON.parse(JSON.stringify(store[key])) } : {}),
+          set: async (items) => {
+            if (full) throw new Error('QUOTA_BYTES quota exceeded');
+            Object.assign(store, JSON.parse(JSON.stringify(items)));
+          },
+          remove: async (keys) => [].concat(keys).forEach(key => delete store[key])
+        }
+      }
+    }
+  });
+  vm.runInContext(fs.readFileSync(path.join(ROOT_DIR, 'history-store.js'), 'utf8'), context, { filename: 'history-store.js' });
+  return context;
+}
+
+const PRODUCT = {
+  name: 'Trail Shoe',
+  price: '$89.00',
+  amount: 89,
+  currency: 'USD',
+  image: 'https://shop.example.com/shoe.jpg',
+  images: ['https://shop.example.com/shoe.jpg'],
+  variants: { options: [], items: [] },
+  fieldMeta: { name: { strategy: 'json-ld' } },
+  site: 'shop.example.com',
+  url: 'https://shop.example.com/products/trail-shoe?utm_source=mail',
+  canonicalUrl: null,
+  timestamp: '2024-01-01T12:00:00.000Z'
+};
+
+describe('canonicalizeUrl()', () => {
+  const { canonicalizeUrl } = loadHistoryStore();
+
+  test('drops tracking parameters on every site', () => {
+    assert.equal(canonicalizeUrl('https://www.shop.example.com/p/1?utm_source=x&gclid=y&color=red#reviews'),
+      'https://shop.example.com/p/1?color=red');
+  });
+
+  test('keeps generic names that pick the product outside Amazon', () => {
+    assert.equal(canonicalizeUrl('https://shop.example.com/item?ref=12345&th=1&tag=blue'),
+      'https://shop.example.com/item?ref=12345&tag=blue&th=1');
+  });
+
+  test('drops Amazon tracking parameters on Amazon', () => {
+    assert.equal(canonicalizeUrl('https://www.amazon.com/s?k=bottle&ref=nb_sb_noss&sr=8-1&crid=ABC'),
+      'https://amazon.com/s?k=bottle');
+    assert.equal(canonicalizeUrl('https://www.amazon.com/Bottle/dp/b09b8v1lz3/ref=sr_1_1?th=1'),
+      'https://amazon.com/dp/B09B8V1LZ3');
+  });
+});
+
+describe('addToHistory()', () => {
+  test('keeps the product fields, not provenance or variants', async () => {
+    const { addToHistory } = loadHistoryStore();
+    const entry = JSON.parse(JSON.stringify(await addToHistory(PRODUCT)));
+    assert.equal(entry.id, 'https://shop.example.com/products/trail-shoe');
+    assert.equal(entry.data.name, 'Trail Shoe');
+    assert.equal(entry.data.amount, 89);
+    assert.equal(entry.data.fieldMeta, undefined);
+    assert.equal(entry.data.variants, undefined);
+  });
+
+  test('reports a full storage area', async () => {
+    const { addToHistory } = loadHistoryStore({ full: true });
+    await assert.rejects(addToHistory(PRODUCT), /history is full/);
+  });
+});
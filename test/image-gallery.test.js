@@ -0,0 +1,21 @@
+/**
+ * Image Gallery Tests
+ * Checks which images extractProductImages() (image-gallery.js) collects on a page that
+ * also shows other products.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractFixture } = require('./harness');
+
+describe('extractProductImages()', () => {
+  test('keeps related-product images out of the gallery', async () => {
+    const result = await extractFixture('generic-related-products');
+    assert.equal(result.image, 'https://cdn.kettle-example.com/img/kettle-front.jpg');
+    assert.deepEqual(result.images, [
+      'https://cdn.kettle-example.com/img/kettle-front.jpg',
+      'https://cdn.kettle-example.com/img/kettle-side.jpg',
+      'https://cdn.kettle-example.com/img/kettle-lid.jpg'
+    ]);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Junk Sites Tests
+ * Runs junk-sites.js (loaded by the background service worker) with an in-memory
+ * chrome.storage.local, and checks how the unsupported site list is kept.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+/**
+ * Load junk-sites.js with in-memory storage
+ * @param {Object} storage - Initial chrome.storage.local contents
+ * @returns {Object} - { context (the script's globals), store }
+ */
+function loadJunkSites(storage = {}) {
+  const store = JSON.parse(JSON.stringify(storage));
+  const context = vm.createContext({
+    console: { error() {}, warn() {}, log() {} },
+    chrome: {
+      storage: {
+        local: {
+          get: async (key) => (key in store ? { [key]: JSON.parse(JSON.stringify(store[key])) } : {}),
+          set: async (items) => Object.assign(store, JSON.parse(JSON.stringify(items))),
+          remove: async (keys) => [].concat(keys).forEach(key => delete store[key])
+        }
+      }
+    }
+  });
+  vm.runInContext(fs.readFileSync(path.join(ROOT_DIR, 'junk-sites.js'), 'utf8'), context, { filename: 'junk-sites.js' });
+  return { context, store };
+}
+
+/**
+ * Create a stored junk site list with one domain
+ * @param {string} domain - Domain
+ * @param {number} daysAgo - Days since the last attempt
+ * @returns {Object} - chrome.storage.local contents
+ */
+function createJunkSites(domain, daysAgo) {
+  const lastSeen = new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString();
+  return { junkSites: { [domain]: { domain: domain, firstSeen: lastSeen, lastSeen: lastSeen, attempts: 2 } } };
+}
+
+describe('recordJunkSite()', () => {
+  test('counts every attempt, including ones from several tabs at once', async () => {
+    const { context, store } = loadJunkSites();
+    await Promise.all([1, 2, 3, 4, 5].map(() => context.recordJunkSite('shop.example.com')));
+    assert.equal(store.junkSites['shop.example.com'].attempts, 5);
+  });
+
+  test('keeps the first attempt date', async () => {
+    const { context, store } = loadJunkSites(createJunkSites('shop.example.com', 1));
+    const firstSeen = store.junkSites['shop.example.com'].firstSeen;
+    const entry = await context.recordJunkSite('shop.example.com');
+    assert.equal(entry.attempts, 3);
+    assert.equal(entry.firstSeen, firstSeen);
+  });
+});
+
+describe('getJunkSites()', () => {
+  test('forgets a domain after the expiry', async () => {
+    const { context } = loadJunkSites(createJunkSites('shop.example.com', 31));
+    assert.equal(await context.isJunkSite('shop.example.com'), false);
+    assert.equal((await context.getJunkSites()).length, 0);
+  });
+
+  test('converts the old list of domains', async () => {
+    const { context } = loadJunkSites({ junkSites: ['shop.example.com'] });
+    const [entry] = JSON.parse(JSON.stringify(await context.getJunkSites()));
+    assert.equal(entry.domain, 'shop.example.com');
+    assert.equal(entry.attempts, 1);
+  });
+});
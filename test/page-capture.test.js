@@ -0,0 +1,48 @@
+/**
+ * Page Capture Tests
+ * Captures every fixture with capturePage() (page-capture.js), loads the captured HTML
+ * back into the harness and checks that it extracts the same result, so a capture taken
+ * in the browser can be used as a fixture.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { listFixtures, readFetchResponses, loadPage, loadFixture } = require('./harness');
+
+/**
+ * Run code in a page and return its result as plain JSON data
+ * @param {Object} page - loadPage() / loadFixture() result
+ * @param {string} code - Expression returning a promise
+ * @returns {Promise<Object>}
+ */
+async function runInPage(page, code) {
+  try {
+    return JSON.parse(JSON.stringify(await page.run(code)));
+  } finally {
+    page.close();
+  }
+}
+
+describe('capturePage() on saved pages', () => {
+  listFixtures().forEach(name => {
+    test(name, async () => {
+      const page = loadFixture(name);
+      const url = page.url;
+      const { html, capture, extraction } = await runInPage(page, 'capturePage()');
+
+      assert.equal(capture.url, url);
+      assert.ok(capture.layout.annotated > 0, 'No element layout was captured');
+      assert.match(html, /data-capture-rect="-?\d+,-?\d+,\d+,\d+"/);
+
+      const replay = loadPage(html, { responses: readFetchResponses(name) });
+      const replayed = await runInPage(replay, 'capturePage()');
+      assert.deepEqual(replayed.extraction, extraction);
+    });
+  });
+
+  test('keeps the raw JSON-LD blocks', async () => {
+    const { capture } = await runInPage(loadFixture('generic-json-ld'), 'capturePage()');
+    assert.ok(capture.jsonLd.length > 0);
+    assert.equal(JSON.parse(capture.jsonLd[0])['@type'], 'Product');
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Price Parser Tests
+ * Runs parsePrice() (price-parser.js) on price text in different currencies and formats.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// price-parser.js needs no page, so it runs on its own
+const context = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(ROOT_DIR, 'price-parser.js'), 'utf8'), context, { filename: 'price-parser.js' });
+
+/**
+ * Parse price text and keep the amount and currency
+ * @param {string} text - Price text
+ * @returns {Object|null} - { amount, currency }
+ */
+function parse(text) {
+  context.__text = text;
+  const parsed = vm.runInContext('parsePrice(__text)', context);
+  return parsed ? { amount: parsed.amount, currency: parsed.currency } : null;
+}
+
+describe('parsePrice()', () => {
+  test('reads letter currency tokens', () => {
+    assert.deepEqual(parse('Rs. 499'), { amount: 499, currency: 'INR' });
+    assert.deepEqual(parse('Rs 1,499.00'), { amount: 1499, currency: 'INR' });
+    assert.deepEqual(parse('Rp 150.000'), { amount: 150000, currency: 'IDR' });
+    assert.deepEqual(parse('RM 29.90'), { amount: 29.9, currency: 'MYR' });
+    assert.deepEqual(parse('199 kr'), { amount: 199, currency: 'SEK' });
+  });
+
+  test('does not find currency tokens inside words', () => {
+    assert.deepEqual(parse('ARM 50'), { amount: 50, currency: null });
+    assert.deepEqual(parse('Skrill 20'), { amount: 20, currency: null });
+    assert.deepEqual(parse('Mrs 12'), { amount: 12, currency: null });
+    assert.deepEqual(parse('12 krona'), { amount: 12, currency: null });
+  });
+
+  test('reads ISO codes next to the amount', () => {
+    assert.deepEqual(parse('EUR29.99'), { amount: 29.99, currency: 'EUR' });
+    assert.deepEqual(parse('29,99EUR'), { amount: 29.99, currency: 'EUR' });
+    assert.deepEqual(parse('USD 5'), { amount: 5, currency: 'USD' });
+  });
+
+  test('reads locale separators', () => {
+    assert.deepEqual(parse('1.299,00 €'), { amount: 1299, currency: 'EUR' });
+    assert.deepEqual(parse('US $1,299.99'), { amount: 1299.99, currency: 'USD' });
+  });
+});
+
+describe('getCurrencyHintForDomain()', () => {
+  test('matches a domain and its subdomains only', () => {
+    assert.equal(context.getCurrencyHintForDomain('jd.com'), 'CNY');
+    assert.equal(context.getCurrencyHintForDomain('item.jd.com'), 'CNY');
+    assert.equal(context.getCurrencyHintForDomain('shopjd.com'), null);
+    assert.equal(context.getCurrencyHintForDomain('amazon.co.uk'), 'GBP');
+  });
+});
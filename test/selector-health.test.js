@@ -0,0 +1,168 @@
+/**
+ * Selector Health Tests
+ * Runs checkSelectorHealth() (selector-health.js) after extractions on saved pages, and
+ * checks how recorded outcomes are rated.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, loadPage } = require('./harness');
+
+// An Amazon search results page: prices and images, but not a product page
+const AMAZON_SEARCH_PAGE = `<!DOCTYPE html>
+<!-- fixture-url: https://www.amazon.com/s?k=bottle -->
+<html><body>
+  <div class="s-result-item"><h2>Steel Bottle 1L</h2><span class="a-price"><span class="a-offscreen">$19.99</span></span></div>
+  <div class="s-result-item"><h2>Glass Bottle</h2><span class="a-price"><span class="a-offscreen">$9.99</span></span></div>
+</body></html>`;
+
+/**
+ * Ask a page's content scripts to extract, like the popup does
+ * @param {Object} page - loadPage() result
+ * @param {string} setup - Code to run on the page first
+ * @returns {Promise<Object>} - { response, reported (recordSelectorHealth messages) }
+ */
+async function extractFromPopup(page, setup = '') {
+  try {
+    page.run(setup);
+    const response = await page.send({ action: 'extractProduct', force: false });
+    const reported = page.messages.filter(message => message.action === 'recordSelectorHealth');
+    return JSON.parse(JSON.stringify({ response, reported }));
+  } finally {
+    page.close();
+  }
+}
+
+/**
+ * Extract a fixture and check its site's rules
+ * @param {string} name - Fixture name
+ * @param {Object} storage - Initial chrome.storage.local contents
+ * @returns {Promise<Object>} - checkSelectorHealth() result
+ */
+async function checkFixtureHealth(name, storage = {}) {
+  const page = loadFixture(name, { storage });
+  try {
+    return JSON.parse(JSON.stringify(await page.run('extractProductInfo().then(checkSelectorHealth)')));
+  } finally {
+    page.close();
+  }
+}
+
+/**
+ * Record outcomes for one field and return the site's health report
+ * @param {string} outcomes - One character per extraction ('m', 'r' or 'x'; 'f' for a failed extraction)
+ * @returns {Promise<Object>} - The site's getSelectorHealthReport() entry
+ */
+async function rateOutcomes(outcomes) {
+  const page = loadFixture('amazon.com');
+  try {
+    page.window.__outcomes = outcomes;
+    return JSON.parse(JSON.stringify(await page.run(`(async () => {
+      for (const outcome of window.__outcomes) {
+        await recordSelectorHealth('amazon.com', outcome === 'f'
+          ? null
+          : { price: { selector: '.a-price .a-offscreen', outcome: outcome, matchedSelector: null } });
+      }
+      return (await getSelectorHealthReport())[0];
+    })()`)));
+  } finally {
+    page.close();
+  }
+}
+
+describe('checkSelectorHealth()', () => {
+  test('reports every configured field that matched', async () => {
+    const health = await checkFixtureHealth('amazon.com');
+    assert.deepEqual(Object.keys(health), ['name', 'price', 'image']);
+    Object.values(health).forEach(field => assert.equal(field.outcome, 'm'));
+    assert.equal(health.price.matchedSelector, '.a-price .a-offscreen');
+  });
+
+  test('reports a field the heuristics had to rescue', async () => {
+    const health = await checkFixtureHealth('amazon.com', {
+      selectorOverrides: { 'amazon.com': { rules: { image: 'img.stale-image-class' }, updated: '2024-01-01T00:00:00.000Z' } }
+    });
+    assert.equal(health.image.selector, 'img.stale-image-class');
+    assert.equal(health.image.outcome, 'r');
+    assert.equal(health.price.outcome, 'm');
+  });
+
+  test('skips extractions without site rules', async () => {
+    assert.equal(await checkFixtureHealth('generic-json-ld'), null);
+    assert.equal(await checkFixtureHealth('shopify-store'), null);
+  });
+});
+
+describe('getSelectorHealthReport()', () => {
+  test('needs a few extractions before rating a field', async () => {
+    const site = await rateOutcomes('mm');
+    assert.equal(site.fields[0].status, 'unknown');
+  });
+
+  test('rates a selector that keeps matching as ok', async () => {
+    const site = await rateOutcomes('m'.repeat(20));
+    assert.equal(site.status, 'ok');
+    assert.equal(site.fields[0].recentRate, 1);
+  });
+
+  test('flags a drop from the earlier match rate as degraded', async () => {
+    const site = await rateOutcomes('m'.repeat(20) + 'mmmmmmmrrr');
+    assert.equal(site.fields[0].recentRate, 0.7);
+    assert.equal(site.fields[0].earlierRate, 1);
+    assert.equal(site.fields[0].rescued, 3);
+    assert.equal(site.status, 'degraded');
+  });
+
+  test('flags a selector that stopped matching as broken', async () => {
+    const site = await rateOutcomes('m'.repeat(20) + 'rrrrrrxrrr');
+    assert.equal(site.fields[0].status, 'broken');
+    assert.equal(site.fields[0].missed, 1);
+  });
+
+  test('flags a site whose extractions keep failing as broken', async () => {
+    const site = await rateOutcomes('mmmffffff');
+    assert.equal(site.fields[0].status, 'ok');
+    assert.equal(site.failures, 6);
+    assert.equal(site.status, 'broken');
+  });
+});
+
+describe('reportSelectorHealth()', () => {
+  test('sends the outcomes of a product page to the background', async () => {
+    const { response, reported } = await extractFromPopup(loadFixture('amazon.com'));
+    assert.equal(response.success, true);
+    assert.equal(reported.length, 1);
+    assert.equal(reported[0].domain, 'amazon.com');
+    assert.equal(reported[0].fields.price.outcome, 'm');
+  });
+
+  test('reports a product page the rules failed on', async () => {
+    const { response, reported } = await extractFromPopup(loadFixture('amazon.com'),
+      `document.getElementById('productTitle').id = 'renamedTitle';`);
+    assert.equal(response.errorType, 'NOT_PRODUCT_PAGE');
+    assert.deepEqual(reported, [{ action: 'recordSelectorHealth', domain: 'amazon.com', fields: null }]);
+  });
+
+  test('leaves pages that are not product pages out', async () => {
+    const { response, reported } = await extractFromPopup(loadPage(AMAZON_SEARCH_PAGE));
+    assert.equal(response.errorType, 'NOT_PRODUCT_PAGE');
+    assert.deepEqual(reported, []);
+  });
+});
+
+describe('recordSelectorHealth()', () => {
+  test('keeps every outcome of simultaneous extractions', async () => {
+    const page = loadFixture('amazon.com');
+    try {
+      const site = JSON.parse(JSON.stringify(await page.run(`(async () => {
+        const fields = { price: { selector: '.a-price .a-offscreen', outcome: 'm', matchedSelector: null } };
+        await Promise.all([1, 2, 3, 4, 5].map(() => recordSelectorHealth('amazon.com', fields)));
+        return (await getSelectorHealthReport())[0];
+      })()`)));
+      assert.equal(site.extractions, 5);
+      assert.equal(site.fields[0].checks, 5);
+    } finally {
+      page.close();
+    }
+  });
+});
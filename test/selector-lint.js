@@ -0,0 +1,87 @@
+/**
+ * Selector Lint Report
+ * Runs selector-lint.js over every SITE_SELECTORS entry and lists the findings,
+ * lowest quality score first.
+ *
+ * Run on its own with: npm run lint-selectors
+ * (exits with 1 if any entry has an error, e.g. a selector that doesn't parse)
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+const { ROOT_DIR } = require('./harness');
+
+// Scripts selector-lint.js needs, in load order
+const LINT_SCRIPTS = ['site-selectors.js', 'rule-engine.js', 'selector-lint.js'];
+
+/**
+ * Load the linter in a jsdom window (selectors are parsed with querySelector)
+ * @returns {Object} - { run(code), close() }
+ */
+function loadSelectorLint() {
+  const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', { runScripts: 'outside-only' });
+  const context = dom.getInternalVMContext();
+  LINT_SCRIPTS.forEach(file => {
+    new vm.Script(fs.readFileSync(path.join(ROOT_DIR, file), 'utf8'), { filename: file }).runInContext(context);
+  });
+  return {
+    run: (code) => JSON.parse(JSON.stringify(new vm.Script(code).runInContext(context))),
+    close: () => dom.window.close()
+  };
+}
+
+/**
+ * Lint every SITE_SELECTORS entry
+ * @returns {Array<Object>} - lintSiteSelectors() result
+ */
+function lintBuiltInSelectors() {
+  const lint = loadSelectorLint();
+  try {
+    return lint.run('lintSiteSelectors()');
+  } finally {
+    lint.close();
+  }
+}
+
+/**
+ * Format the lint report as text lines
+ * Entries that share their rules (e.g. the regional Amazon domains) are listed once.
+ * @param {Array<Object>} report - Result of lintSiteSelectors()
+ * @returns {Array<string>}
+ */
+function formatSelectorLint(report) {
+  const groups = [];
+  report.forEach(site => {
+    const key = JSON.stringify(site.warnings.map(({ domain, ...warning }) => warning));
+    const group = groups.find(existing => existing.key === key && existing.score === site.score);
+    if (group) {
+      group.domains.push(site.domain);
+    } else {
+      groups.push({ key: key, score: site.score, domains: [site.domain], warnings: site.warnings });
+    }
+  });
+
+  const lines = [];
+  groups.filter(group => group.warnings.length > 0).forEach(group => {
+    lines.push(`${group.domains.join(', ')} - score ${group.score}`);
+    group.warnings.forEach(warning => {
+      const where = [warning.field, warning.selector && `'${warning.selector}'`].filter(Boolean).join(' ');
+      lines.push(`  ${warning.severity} ${warning.code}${where ? ` (${where})` : ''}: ${warning.message}`);
+    });
+  });
+  const clean = report.filter(site => site.warnings.length === 0).map(site => site.domain);
+  lines.push(`No findings: ${clean.length > 0 ? clean.join(', ') : '(none)'}`);
+  return lines;
+}
+
+if (require.main === module) {
+  const report = lintBuiltInSelectors();
+  formatSelectorLint(report).forEach(line => console.log(line));
+  if (report.some(site => site.warnings.some(warning => warning.severity === 'error'))) {
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { loadSelectorLint, lintBuiltInSelectors, formatSelectorLint };
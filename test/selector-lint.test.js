@@ -0,0 +1,88 @@
+/**
+ * Selector Lint Tests
+ * Lints the built-in SITE_SELECTORS entries (errors fail the run, warnings are listed as
+ * test diagnostics) and checks each lint rule on small examples.
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSelectorLint, lintBuiltInSelectors, formatSelectorLint } = require('./selector-lint');
+
+test('SITE_SELECTORS entries have no lint errors', (t) => {
+  const report = lintBuiltInSelectors();
+  formatSelectorLint(report).forEach(line => t.diagnostic(line));
+  const errors = report.flatMap(site => site.warnings).filter(warning => warning.severity === 'error');
+  assert.deepEqual(errors, []);
+});
+
+describe('lintSiteRules()', () => {
+  let lint;
+  before(() => {
+    lint = loadSelectorLint();
+  });
+  after(() => lint.close());
+
+  /**
+   * Lint rules and return the warning codes
+   * @param {Object} rules - Rules in SITE_SELECTORS format
+   * @returns {Array<string>}
+   */
+  const lintCodes = (rules) => lint.run(`lintSiteRules('example.com', ${JSON.stringify(rules)})`).map(warning => warning.code);
+
+  test('accepts specific selectors', () => {
+    assert.deepEqual(lintCodes({ name: '#productTitle', price: '.a-price .a-offscreen', image: 'img[itemprop="image"]' }), []);
+  });
+
+  test('reports selectors that do not parse', () => {
+    assert.deepEqual(lintCodes({ name: 'h1[', price: '.price' }), ['invalid-syntax']);
+  });
+
+  test('reports element-only selectors', () => {
+    assert.deepEqual(lintCodes({ name: 'h1.title', price: 'span', image: 'div img' }), ['too-broad', 'too-broad']);
+  });
+
+  test('allows a broad selector for the largest-image rule', () => {
+    assert.deepEqual(lintCodes({ image: { selectors: ['img'], largest: { minWidth: 200, minHeight: 200 } } }), []);
+  });
+
+  test('reports generated class names', () => {
+    assert.deepEqual(lintCodes({
+      price: 'div.styles_priceFullLineHeight__BgU9C',
+      image: 'img._3eDhqCfZ',
+      name: 'h1.css-1x2y3z',
+      coupon: '.x-item-title__mainTitle, .img500, .ux-textspans--STRIKETHROUGH'
+    }), ['hashed-class', 'hashed-class', 'hashed-class']);
+  });
+
+  test('reports duplicates within a selector list', () => {
+    const warnings = lint.run(`lintSiteRules('ebay.com', { name: 'h1.it-ttl, #itemTitle, h1.it-ttl' })`);
+    assert.equal(warnings.length, 1);
+    assert.equal(warnings[0].code, 'duplicate-selector');
+    assert.equal(warnings[0].field, 'name');
+    assert.equal(warnings[0].selector, 'h1.it-ttl');
+  });
+
+  test('reports entries without selectors', () => {
+    assert.deepEqual(lintCodes({ name: '', image: '', price: '' }), ['empty-entry']);
+    assert.deepEqual(lintCodes({ name: '', price: '.price' }), ['empty-field']);
+  });
+
+  test('reports a guard that requires a field without selectors', () => {
+    assert.deepEqual(lintCodes({ guard: { required: ['name', 'price'] }, name: '#title' }), ['guard-without-rule']);
+    assert.deepEqual(lintCodes({ guard: { required: ['gallery'] }, name: '#title', gallery: '.thumbs img' }), ['guard-without-rule']);
+  });
+
+  test('reports positional selectors and long chains', () => {
+    assert.deepEqual(lintCodes({
+      name: '#main > div:nth-child(2) h1',
+      price: '#main div.a div.b div.c span.d span.e'
+    }), ['positional', 'long-chain']);
+  });
+
+  test('scores entries by their findings', () => {
+    assert.equal(lint.run(`scoreSiteRules(lintSiteRules('x.com', { name: '#title', price: 'div._1vkz0rqG' }))`), 80);
+    assert.equal(lint.run(`scoreSiteRules(lintSiteRules('x.com', { name: '#title', price: 'span' }))`), 50);
+    assert.equal(lint.run(`scoreSiteRules(lintSiteRules('x.com', { name: '' }))`), 0);
+    assert.equal(lint.run(`scoreSiteRules([])`), 100);
+  });
+});
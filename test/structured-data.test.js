@@ -0,0 +1,47 @@
+/**
+ * Structured Data Tests
+ * Checks how Schema.org prices are read (structured-data.js), including the localized
+ * amounts some sites publish instead of plain numbers.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Reading amounts needs no page, so structured-data.js runs with just the price parser
+const context = vm.createContext({});
+['price-parser.js', 'structured-data.js'].forEach(file => {
+  vm.runInContext(fs.readFileSync(path.join(ROOT_DIR, file), 'utf8'), context, { filename: file });
+});
+
+/**
+ * Run code in the script's context and return its (JSON) result
+ * @param {string} code - Expression
+ * @returns {*}
+ */
+function run(code) {
+  return JSON.parse(JSON.stringify(vm.runInContext(code, context)));
+}
+
+describe('parseStructuredAmount()', () => {
+  test('reads plain Schema.org numbers as published', () => {
+    assert.deepEqual(run(`[parseStructuredAmount('1299.00', 'EUR'), parseStructuredAmount('29.995', 'USD'), parseStructuredAmount(49.9, 'USD')]`),
+      [1299, 29.995, 49.9]);
+  });
+
+  test('reads comma decimals and grouped amounts', () => {
+    assert.deepEqual(run(`[parseStructuredAmount('29,99', 'EUR'), parseStructuredAmount('1.299,00', 'EUR'), parseStructuredAmount('1,299.00', 'USD')]`),
+      [29.99, 1299, 1299]);
+  });
+});
+
+describe('formatStructuredPrice()', () => {
+  test('keeps every published decimal', () => {
+    assert.deepEqual(run(`[formatStructuredPrice(1299, 'EUR'), formatStructuredPrice(29.995, 'USD'), formatStructuredPrice(NaN, 'USD')]`),
+      ['€1,299.00', '$29.995', null]);
+  });
+});
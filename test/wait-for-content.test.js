@@ -0,0 +1,181 @@
+/**
+ * Wait for Content Tests
+ * Renders the name, price and image of saved pages late, the way client-rendered pages do,
+ * and checks that the extraction waits for them (wait-for-content.js), but not on pages
+ * that won't become product pages.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, loadPage } = require('./harness');
+
+const AMAZON_GOLDEN = JSON.parse(fs.readFileSync(path.join(__dirname, 'golden', 'amazon.com.json'), 'utf8'));
+
+// Empties the Amazon title and prices, and returns a function that puts them back
+const HIDE_AMAZON_CONTENT = `
+  window.__hideContent = () => {
+    const title = document.getElementById('productTitle');
+    const titleText = title.textContent;
+    const prices = Array.from(document.querySelectorAll('.a-price')).map(el => [el, el.innerHTML]);
+    title.textContent = '';
+    prices.forEach(([el]) => { el.innerHTML = ''; });
+    return () => {
+      title.textContent = titleText;
+      prices.forEach(([el, html]) => { el.innerHTML = html; });
+    };
+  };
+`;
+
+/**
+ * Run code on a fixture and return its (JSON) result
+ * @param {string} name - Fixture name
+ * @param {string} code - Expression resolving to the result
+ * @returns {Promise<*>}
+ */
+async function runOnFixture(name, code) {
+  const page = loadFixture(name);
+  try {
+    page.run(HIDE_AMAZON_CONTENT);
+    return JSON.parse(JSON.stringify(await page.run(code)));
+  } finally {
+    page.close();
+  }
+}
+
+describe('waitForProductContent()', () => {
+  test('resolves right away when the fields are there', async () => {
+    const result = await runOnFixture('amazon.com', 'waitForProductContent(normalizeSiteRules(getSelectorsForSite(location.href)))');
+    assert.deepEqual(result, { ready: true, waited: 0, missing: [] });
+  });
+
+  test('waits for the name and price to render', async () => {
+    const result = await runOnFixture('amazon.com', `(async () => {
+      const show = window.__hideContent();
+      setTimeout(show, 300);
+      const messages = [];
+      const product = await extractProductInfo({ onProgress: message => messages.push(message) });
+      return { name: product.name, price: product.price, messages: messages };
+    })()`);
+    assert.equal(result.name, AMAZON_GOLDEN.name);
+    assert.equal(result.price, AMAZON_GOLDEN.price);
+    assert.deepEqual(result.messages, ['Waiting for the page to show the name and price...']);
+  });
+
+  test('gives up when the page stops changing', async () => {
+    const result = await runOnFixture('amazon.com', `(() => {
+      window.__hideContent();
+      return waitForProductContent(normalizeSiteRules(getSelectorsForSite(location.href)), { timeout: 5000 })
+        .then(result => Object.assign(result, { settle: CONTENT_SETTLE_MS }));
+    })()`);
+    assert.equal(result.ready, false);
+    assert.deepEqual(result.missing, ['name', 'price']);
+    assert.ok(result.waited >= result.settle && result.waited < 5000, `waited ${result.waited} ms`);
+  });
+
+  test('times out on a page that keeps changing', async () => {
+    const result = await runOnFixture('amazon.com', `(async () => {
+      window.__hideContent();
+      const timer = setInterval(() => document.body.setAttribute('data-tick', Date.now()), 50);
+      try {
+        return await waitForProductContent(normalizeSiteRules(getSelectorsForSite(location.href)), { timeout: 500 });
+      } finally {
+        clearInterval(timer);
+      }
+    })()`);
+    assert.equal(result.ready, false);
+    assert.ok(result.waited >= 500 && result.waited < 1500, `waited ${result.waited} ms`);
+  });
+
+  test('looks for a price near the title on sites without selectors', async () => {
+    const page = loadPage(`<!DOCTYPE html>
+<!-- fixture-url: https://item.jd.com/100012043978.html -->
+<html><body><div id="app"></div></body></html>`);
+    try {
+      const result = await page.run(`(() => {
+        setTimeout(() => {
+          document.getElementById('app').innerHTML = '<div class="itemInfo"><h1>Phone X 128GB</h1><div class="summary"><span class="p-price">¥1999.00</span></div></div>';
+        }, 200);
+        return waitForProductContent(normalizeSiteRules(getSelectorsForSite(location.href)));
+      })()`);
+      assert.equal(result.ready, true);
+      assert.ok(result.waited >= 200, `waited ${result.waited} ms`);
+    } finally {
+      page.close();
+    }
+  });
+});
+
+describe('mayShowProductContent()', () => {
+  test('answers a search page on a supported site without waiting', async () => {
+    const page = loadPage(`<!DOCTYPE html>
+<!-- fixture-url: https://www.amazon.com/s?k=bottle -->
+<html><body>
+  <div class="s-result-item"><h2>Steel Bottle 1L</h2><span class="a-price"><span class="a-offscreen">$19.99</span></span></div>
+  <div class="s-result-item"><h2>Glass Bottle</h2><span class="a-price"><span class="a-offscreen">$9.99</span></span></div>
+</body></html>`);
+    try {
+      const result = JSON.parse(JSON.stringify(await page.run(`(async () => {
+        // A carousel keeps the page changing, which would hold the wait until the timeout
+        const timer = setInterval(() => document.body.setAttribute('data-tick', Date.now()), 50);
+        const messages = [];
+        const started = Date.now();
+        try {
+          await extractProductInfo({ onProgress: message => messages.push(message) });
+          return { extracted: true };
+        } catch (error) {
+          return { type: error.type, took: Date.now() - started, messages: messages };
+        } finally {
+          clearInterval(timer);
+        }
+      })()`)));
+      assert.equal(result.type, 'NOT_PRODUCT_PAGE');
+      assert.deepEqual(result.messages, []);
+      assert.ok(result.took < 500, `took ${result.took} ms`);
+    } finally {
+      page.close();
+    }
+  });
+
+  test('still waits for an app shell and for empty product fields', async () => {
+    const shell = loadPage(`<!DOCTYPE html>
+<!-- fixture-url: https://item.jd.com/100012043978.html -->
+<html><body><div id="app"></div></body></html>`);
+    try {
+      assert.equal(shell.run('mayShowProductContent(normalizeSiteRules(getSelectorsForSite(location.href)), detectProductPage())'), true);
+    } finally {
+      shell.close();
+    }
+    const result = await runOnFixture('amazon.com', `(() => {
+      window.__hideContent();
+      return mayShowProductContent(normalizeSiteRules(getSelectorsForSite(location.href)), { isProductPage: false });
+    })()`);
+    assert.equal(result, true);
+  });
+});
+
+describe('loadLazyProductImage()', () => {
+  test('scrolls a lazy image into view and extracts its URL', async () => {
+    const result = await runOnFixture('amazon.com', `(async () => {
+      const image = document.getElementById('landingImage');
+      const src = image.getAttribute('src');
+      image.setAttribute('src', 'data:image/gif;base64,R0lGODlhAQABAAAAACw=');
+      image.removeAttribute('data-a-dynamic-image');
+      let scrolled = 0;
+      Element.prototype.scrollIntoView = function() {
+        scrolled++;
+        setTimeout(() => this.setAttribute('src', src), 50);
+      };
+      const product = await extractProductInfo();
+      return { image: product.image, scrolled: scrolled };
+    })()`);
+    assert.equal(result.scrolled, 1);
+    assert.equal(result.image, AMAZON_GOLDEN.image);
+  });
+
+  test('leaves loaded images alone', async () => {
+    const result = await runOnFixture('amazon.com', 'loadLazyProductImage(normalizeSiteRules(getSelectorsForSite(location.href)))');
+    assert.equal(result, false);
+  });
+});
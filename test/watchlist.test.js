@@ -0,0 +1,127 @@
+/**
+ * Watchlist Tests
+ * Runs history-store.js and watchlist.js (loaded by the background service worker) with
+ * stubbed chrome.* APIs: background tabs answer with a fixed extraction result.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+/**
+ * Load the watchlist with in-memory storage and stubbed tabs, alarms and notifications
+ * @param {Object} options
+ * @param {Object} options.storage - Initial chrome.storage.local contents
+ * @param {number} options.amount - Amount every background extraction returns
+ * @param {boolean} options.notificationsFail - Make chrome.notifications.create reject
+ * @returns {Object} - { context, store, opened (URLs), alarms (names), notifications }
+ */
+function loadWatchlist({ storage = {}, amount = 10, notificationsFail = false } = {}) {
+  const store = JSON.parse(JSON.stringify(storage));
+  const opened = [];
+  const alarms = new Set();
+  const notifications = [];
+  let nextTabId = 1;
+  const tabUrls = {};
+  const noop = { addListener() {} };
+
+  const chrome = {
+    storage: {
+      local: {
+        get: async (key) => (key in store ? { [key]: JSON.parse(JSON.stringify(store[key])) } : {}),
+        set: async (items) => Object.assign(store, JSON.parse(JSON.stringify(items))),
+        remove: async (keys) => [].concat(keys).forEach(key => delete store[key])
+      }
+    },
+    tabs: {
+      create: async ({ url }) => {
+        opened.push(url);
+        tabUrls[nextTabId] = url;
+        return { id: nextTabId++ };
+      },
+      get: async (id) => ({ id: id, status: 'complete' }),
+      remove: async () => {},
+      sendMessage: async (id) => ({
+        success: true,
+        data: { name: 'Product', price: `$${amount}`, amount: amount, url: tabUrls[id], availability: 'in_stock' }
+      }),
+      onUpdated: { addListener() {}, removeListener() {} }
+    },
+    alarms: {
+      get: async (name) => (alarms.has(name) ? { name } : undefined),
+      create: (name) => { alarms.add(name); },
+      clear: async (name) => alarms.delete(name),
+      onAlarm: noop
+    },
+    notifications: {
+      create: async (id, options) => {
+        if (notificationsFail) throw new Error('Unable to download all specified images.');
+        notifications.push(Object.assign({ id }, options));
+        return id;
+      },
+      onClicked: noop,
+      clear() {}
+    },
+    runtime: { onStartup: noop }
+  };
+
+  const context = vm.createContext({ chrome, URL, URLSearchParams, setTimeout, clearTimeout, console: { error() {}, warn() {}, log() {} } });
+  ['history-store.js', 'watchlist.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT_DIR, file), 'utf8'), context, { filename: file });
+  });
+  return { context, store, opened, alarms, notifications };
+}
+
+/**
+ * Create a watch
+ * @param {string} id - Watch id (also its URL)
+ * @param {Object} fields - Fields to override
+ * @returns {Object}
+ */
+function createWatch(id, fields = {}) {
+  return Object.assign({
+    id: id, url: id, name: 'Product', site: 'shop.example.com', force: false,
+    added: '2024-01-01T00:00:00.000Z', threshold: null, dropPercent: null,
+    baselineAmount: 20, lowestAmount: 20, lastAmount: 20, lastChecked: null, lastError: null, alertedAmount: null
+  }, fields);
+}
+
+const WATCHES = {
+  'https://shop.example.com/a': createWatch('https://shop.example.com/a'),
+  'https://shop.example.com/b': createWatch('https://shop.example.com/b'),
+  'https://shop.example.com/c': createWatch('https://shop.example.com/c')
+};
+
+describe('scheduled price checks', () => {
+  test('check every product and clear the queue and the resume alarm', async () => {
+    const { context, store, opened, alarms, notifications } = loadWatchlist({ storage: { watchlist: WATCHES } });
+    await context.startScheduledWatchlistCheck();
+    assert.deepEqual(opened, Object.keys(WATCHES));
+    assert.deepEqual(store.watchlistQueue, []);
+    assert.equal(alarms.has('watchlistResume'), false);
+    assert.equal(notifications.length, 3);
+    assert.equal(notifications[0].iconUrl, 'icons/price-drop.png');
+    assert.ok(fs.existsSync(path.join(ROOT_DIR, notifications[0].iconUrl)));
+  });
+
+  test('continue a run the service worker was stopped in', async () => {
+    const { context, opened } = loadWatchlist({
+      storage: { watchlist: WATCHES, watchlistQueue: ['https://shop.example.com/c'] }
+    });
+    await context.startScheduledWatchlistCheck();
+    assert.deepEqual(opened, ['https://shop.example.com/c']);
+  });
+
+  test('keep a failed alert for the next check', async () => {
+    const { context, store } = loadWatchlist({ storage: { watchlist: WATCHES }, notificationsFail: true });
+    await context.checkWatchlist(['https://shop.example.com/a']);
+    const watch = store.watchlist['https://shop.example.com/a'];
+    assert.equal(watch.alertedAmount, null);
+    assert.match(watch.lastError, /alert could not be shown/);
+    assert.equal(watch.lastAmount, 10);
+  });
+});
@@ -0,0 +1,529 @@
+/**
+ * Variant Extraction
+ * Reads a product's option dimensions (size, color, style, ...) and, where the
+ * page exposes them, every variant with its own price, availability and image.
+ *
+ * Sources, most complete first:
+ * 1. Shopify product JSON (/products/<handle>.js) - full matrix with prices and stock
+ * 2. WooCommerce's data-product_variations - full matrix with prices and stock
+ * 3. JSON-LD ProductGroup/Product "hasVariant", or a list of named offers
+ * 4. The DOM - size/color selects, radio groups and swatch buttons
+ *
+ * The DOM is always read as well, because it is the only source that knows
+ * which combination the shopper currently has selected.
+ *
+ * Result format (productData.variants):
+ * {
+ *   source: 'shopify' | 'woocommerce' | 'json-ld' | 'dom',
+ *   options: [{ name: 'Size', values: ['S', 'M', 'L'], unavailable: ['L'] }],
+ *   selected: { Size: 'M', Color: 'Blue' },        // Currently selected combination
+ *   items: [{                                       // One per variant (empty for DOM-only pages)
+ *     id, sku, title,
+ *     options: { Size: 'M', Color: 'Blue' },
+ *     price: '$19.99', amount: 19.99, currency: 'USD',
+ *     availability: 'in_stock', image: 'https://...', selected: true
+ *   }]
+ * }
+ */
+
+// Option dimensions we look for in the DOM, by name/label
+const VARIANT_OPTION_PATTERN = /\b(size|sizes|color|colour|style|fit|length|width|waist|inseam|material|finish|pattern|flavou?r|capacity|storage|edition)\b/i;
+
+// Schema.org properties that distinguish variants (see ProductGroup.variesBy)
+const SCHEMA_VARIANT_PROPERTIES = ['size', 'color', 'material', 'pattern', 'suggestedGender', 'suggestedAge'];
+
+// Placeholder options like "Select a size" or "--"
+const VARIANT_PLACEHOLDER_PATTERN = /^(select|choose|pick|please|--|—)|^\s*$/i;
+
+// Classes/attributes that mark an option value as unavailable
+const VARIANT_UNAVAILABLE_PATTERN = /unavailable|disabled|sold-?out|out-?of-?stock|oos\b/i;
+
+// Classes that mark a swatch as the selected one
+const VARIANT_SELECTED_PATTERN = /\b(selected|active|is-selected|is-active|checked|current)\b/i;
+
+/**
+ * Turn an option name into a display label ("pa_color" / "color" -> "Color")
+ * @param {string} name - Raw option name
+ * @returns {string}
+ */
+function formatVariantOptionName(name) {
+  const match = String(name).match(VARIANT_OPTION_PATTERN);
+  const base = match ? match[1] : String(name).replace(/^(pa_|attribute_)/i, '').replace(/[_-]+/g, ' ').trim();
+  const normalized = base.toLowerCase() === 'colour' ? 'color' : base.toLowerCase() === 'sizes' ? 'size' : base;
+  return normalized.charAt(0).toUpperCase() + normalized.slice(1);
+}
+
+/**
+ * Clean up an option value label
+ * @param {string} text - Raw label/value
+ * @returns {string|null} - Cleaned value, or null for placeholders
+ */
+function cleanVariantValue(text) {
+  if (text === null || text === undefined) return null;
+  // Drop stock notes that sites append to the label ("M - Sold out")
+  const value = String(text).replace(/\s+/g, ' ').replace(/\s*[-–(]\s*(sold out|out of stock|unavailable)\)?\s*$/i, '').trim();
+  if (VARIANT_PLACEHOLDER_PATTERN.test(value) || value.length > 60) return null;
+  return value;
+}
+
+/**
+ * Add a value to an option dimension, keeping order and skipping duplicates
+ * @param {Object} option - { name, values, unavailable }
+ * @param {string} value - Option value
+ * @param {boolean} available - Whether the value can be selected
+ */
+function addVariantOptionValue(option, value, available) {
+  if (!value) return;
+  if (!option.values.includes(value)) option.values.push(value);
+  if (!available && !option.unavailable.includes(value)) option.unavailable.push(value);
+}
+
+/**
+ * Find the label text that describes a form control or option group
+ * @param {HTMLElement} el - Element
+ * @returns {string} - Label text, name, id or aria-label (whichever exists first)
+ */
+function getVariantGroupLabel(el) {
+  const ariaLabel = el.getAttribute('aria-label');
+  if (ariaLabel) return ariaLabel;
+
+  const labelledBy = el.getAttribute('aria-labelledby');
+  if (labelledBy) {
+    const labelEl = document.getElementById(labelledBy.split(/\s+/)[0]);
+    if (labelEl && labelEl.textContent.trim()) return labelEl.textContent.trim();
+  }
+
+  if (el.id) {
+    const label = document.querySelector(`label[for="${CSS.escape(el.id)}"]`);
+    if (label && label.textContent.trim()) return label.textContent.trim();
+  }
+
+  const legend = el.tagName === 'FIELDSET' ? el.querySelector('legend') : null;
+  if (legend && legend.textContent.trim()) return legend.textContent.trim();
+
+  return el.getAttribute('data-option-name') || el.getAttribute('name') || el.id || el.className || '';
+}
+
+/**
+ * Read option dimensions from <select> elements
+ * @returns {Array<Object>} - Options with a selected value
+ */
+function readSelectVariantOptions() {
+  return Array.from(document.querySelectorAll('select')).map(select => {
+    const label = getVariantGroupLabel(select);
+    if (!VARIANT_OPTION_PATTERN.test(label)) return null;
+
+    const option = { name: formatVariantOptionName(label), values: [], unavailable: [], selected: null };
+    Array.from(select.options).forEach(opt => {
+      const value = cleanVariantValue(opt.textContent || opt.value);
+      const available = !opt.disabled && !VARIANT_UNAVAILABLE_PATTERN.test(opt.className + ' ' + opt.textContent);
+      addVariantOptionValue(option, value, available);
+      if (opt.selected && value) option.selected = value;
+    });
+    return option.values.length > 0 ? option : null;
+  }).filter(Boolean);
+}
+
+/**
+ * Read option dimensions from radio inputs, grouped by input name
+ * @returns {Array<Object>}
+ */
+function readRadioVariantOptions() {
+  const groups = new Map();
+  document.querySelectorAll('input[type="radio"]').forEach(input => {
+    const fieldset = input.closest('fieldset');
+    const groupLabel = fieldset ? getVariantGroupLabel(fieldset) : input.name;
+    if (!VARIANT_OPTION_PATTERN.test(groupLabel) && !VARIANT_OPTION_PATTERN.test(input.name)) return;
+
+    const key = input.name || groupLabel;
+    if (!groups.has(key)) {
+      const name = VARIANT_OPTION_PATTERN.test(groupLabel) ? groupLabel : input.name;
+      groups.set(key, { name: formatVariantOptionName(name), values: [], unavailable: [], selected: null });
+    }
+    const option = groups.get(key);
+
+    const label = input.id ? document.querySelector(`label[for="${CSS.escape(input.id)}"]`) : input.closest('label');
+    const value = cleanVariantValue(input.getAttribute('aria-label') || input.getAttribute('data-value') ||
+      (label && label.textContent) || input.value);
+    const available = !input.disabled && !VARIANT_UNAVAILABLE_PATTERN.test(`${input.className} ${label ? label.className : ''}`);
+    addVariantOptionValue(option, value, available);
+    if (input.checked && value) option.selected = value;
+  });
+  return Array.from(groups.values()).filter(option => option.values.length > 0);
+}
+
+/**
+ * Read option dimensions from swatch/button groups (role="radiogroup", option lists)
+ * @returns {Array<Object>}
+ */
+function readSwatchVariantOptions() {
+  const containers = document.querySelectorAll('[role="radiogroup"], [role="listbox"], [data-option-name], [class*="swatches" i], [class*="size-selector" i], [class*="color-selector" i]');
+  const options = [];
+
+  containers.forEach(container => {
+    // Radio inputs are handled by readRadioVariantOptions()
+    if (container.querySelector('input[type="radio"]')) return;
+
+    const label = getVariantGroupLabel(container);
+    if (!VARIANT_OPTION_PATTERN.test(label)) return;
+
+    // Keep only the outermost item of nested matches (li > button counts once)
+    const candidates = Array.from(container.querySelectorAll('[role="radio"], [role="option"], button, li, [data-value]'));
+    const candidateSet = new Set(candidates);
+    const items = candidates.filter(item => {
+      for (let parent = item.parentElement; parent && parent !== container; parent = parent.parentElement) {
+        if (candidateSet.has(parent)) return false;
+      }
+      return true;
+    });
+
+    const option = { name: formatVariantOptionName(label), values: [], unavailable: [], selected: null };
+    items.forEach(item => {
+      // State can sit on the item or on the control inside it
+      const parts = [item, ...item.querySelectorAll('[role="radio"], [role="option"], button, [data-value]')];
+      const attribute = name => parts.map(part => part.getAttribute(name)).find(value => value !== null) ?? null;
+
+      const value = cleanVariantValue(attribute('data-value') || attribute('aria-label') || attribute('title') || item.textContent);
+      const unavailable = parts.some(part => part.disabled || part.getAttribute('aria-disabled') === 'true' ||
+        VARIANT_UNAVAILABLE_PATTERN.test(part.className));
+      addVariantOptionValue(option, value, !unavailable);
+
+      const isSelected = ['aria-checked', 'aria-selected', 'aria-pressed'].some(name => attribute(name) === 'true') ||
+        parts.some(part => VARIANT_SELECTED_PATTERN.test(part.className));
+      if (isSelected && value) option.selected = value;
+    });
+
+    if (option.values.length > 0) options.push(option);
+  });
+
+  return options;
+}
+
+/**
+ * Read variant option dimensions and the current selection from the DOM
+ * @returns {Object|null} - { options, selected } or null if the page shows no options
+ */
+function extractDomVariants() {
+  const byName = new Map();
+  [...readSelectVariantOptions(), ...readRadioVariantOptions(), ...readSwatchVariantOptions()].forEach(option => {
+    // The same dimension is often rendered twice (hidden <select> + visible swatches)
+    const existing = byName.get(option.name);
+    if (!existing) {
+      byName.set(option.name, option);
+      return;
+    }
+    option.values.forEach(value => addVariantOptionValue(existing, value, !option.unavailable.includes(value)));
+    existing.selected = existing.selected || option.selected;
+  });
+
+  if (byName.size === 0) return null;
+
+  const selected = {};
+  const options = Array.from(byName.values()).map(option => {
+    if (option.selected) selected[option.name] = option.selected;
+    return { name: option.name, values: option.values, unavailable: option.unavailable };
+  });
+  return { options: options, selected: selected };
+}
+
+/**
+ * Build option dimensions from variant items
+ * @param {Array<Object>} items - Variant items with an options map
+ * @param {Array<string>} names - Option names in display order (optional)
+ * @returns {Array<Object>} - [{ name, values, unavailable }]
+ */
+function buildVariantOptions(items, names = null) {
+  const options = new Map();
+  (names || []).forEach(name => options.set(name, { name: name, values: [], unavailable: [] }));
+
+  items.forEach(item => {
+    Object.keys(item.options).forEach(name => {
+      if (!options.has(name)) options.set(name, { name: name, values: [], unavailable: [] });
+      const option = options.get(name);
+      if (!option.values.includes(item.options[name])) option.values.push(item.options[name]);
+    });
+  });
+
+  // A value is unavailable when every variant with it is out of stock
+  options.forEach(option => {
+    option.unavailable = option.values.filter(value => {
+      const withValue = items.filter(item => item.options[option.name] === value);
+      return withValue.length > 0 && withValue.every(item => item.availability === 'out_of_stock');
+    });
+  });
+
+  return Array.from(options.values()).filter(option => option.values.length > 0);
+}
+
+/**
+ * Build a variant item with a display price
+ * @param {Object} fields - { id, sku, title, options, amount, currency, availability, image }
+ *   (availability may be a schema.org value; it is normalized, see availability.js)
+ * @returns {Object}
+ */
+function createVariantItem(fields) {
+  const amount = fields.amount !== null && fields.amount !== undefined && fields.amount !== '' ? Number(fields.amount) : null;
+  return {
+    id: fields.id !== undefined && fields.id !== null ? String(fields.id) : null,
+    sku: fields.sku || null,
+    title: fields.title || null,
+    options: fields.options || {},
+    price: amount !== null && !isNaN(amount) ? formatStructuredPrice(amount, fields.currency || null) : null,
+    amount: amount !== null && !isNaN(amount) ? amount : null,
+    currency: fields.currency || null,
+    availability: normalizeAvailability(fields.availability),
+    image: fields.image || null,
+    selected: false
+  };
+}
+
+// ============================================================================
+// SHOPIFY
+// ============================================================================
+
+/**
+ * Read variants from Shopify's product JSON (fetchShopifyProduct() in platforms.js)
+ *
+ * Prices are in cents.
+ *
+ * @param {string} handle - Product handle
+ * @param {string|null} currency - Store currency (Shopify's product JSON doesn't include it)
+ * @returns {Promise<Object|null>} - { options, items } or null
+ */
+async function extractShopifyVariants(handle, currency) {
+  const product = await fetchShopifyProduct(handle);
+  if (!product || !Array.isArray(product.variants) || product.variants.length === 0) return null;
+
+  // options are [{ name, values }] in the .js JSON, plain names in older themes
+  const optionNames = (product.options || [])
+    .map(option => formatVariantOptionName(typeof option === 'string' ? option : option.name));
+
+  const items = product.variants.map(variant => {
+    const options = {};
+    optionNames.forEach((name, index) => {
+      const value = variant[`option${index + 1}`];
+      if (value !== null && value !== undefined) options[name] = value;
+    });
+    return createVariantItem({
+      id: variant.id,
+      sku: variant.sku,
+      title: variant.title,
+      options: options,
+      amount: typeof variant.price === 'number' ? variant.price / 100 : null,
+      currency: currency,
+      availability: variant.available === undefined ? null : variant.available ? 'in_stock' : 'out_of_stock',
+      image: variant.featured_image ? new URL(variant.featured_image.src, window.location.href).href : null
+    });
+  });
+
+  // Shopify's placeholder option for products without variants
+  const isDefaultOnly = items.length === 1 && optionNames.length === 1 && items[0].options[optionNames[0]] === 'Default Title';
+  if (isDefaultOnly) return null;
+
+  return { options: buildVariantOptions(items, optionNames), items: items };
+}
+
+// ============================================================================
+// WOOCOMMERCE
+// ============================================================================
+
+/**
+ * Read variants from WooCommerce's data-product_variations (readWooCommerceVariations() in platforms.js)
+ * @param {string|null} currency - Currency of the page's price (the variation JSON has none)
+ * @returns {Object|null} - { options, items } or null
+ */
+function extractWooCommerceVariants(currency) {
+  const data = readWooCommerceVariations();
+  if (!data) return null;
+
+  // Variation attributes hold slugs ("light-blue"); the form's <select> options have the labels
+  const getValueLabel = (attribute, value) => {
+    const select = data.form.querySelector(`select[name="${CSS.escape(attribute)}"]`);
+    const option = select ? Array.from(select.options).find(opt => opt.value === value) : null;
+    return cleanVariantValue(option ? option.textContent : value) || value;
+  };
+
+  const optionNames = [];
+  const items = data.variations.map(variation => {
+    const options = {};
+    Object.keys(variation.attributes || {}).forEach(attribute => {
+      const value = variation.attributes[attribute];
+      if (!value) return; // Empty means "any value"
+      const name = formatVariantOptionName(attribute.replace(/^attribute_/, ''));
+      if (!optionNames.includes(name)) optionNames.push(name);
+      options[name] = getValueLabel(attribute, value);
+    });
+
+    return createVariantItem({
+      id: variation.variation_id,
+      sku: variation.sku,
+      options: options,
+      amount: variation.display_price,
+      currency: currency,
+      availability: typeof variation.is_in_stock === 'boolean' ? (variation.is_in_stock ? 'in_stock' : 'out_of_stock') : null,
+      image: variation.image ? variation.image.full_src || variation.image.src : null
+    });
+  });
+
+  return { options: buildVariantOptions(items, optionNames), items: items };
+}
+
+// ============================================================================
+// JSON-LD
+// ============================================================================
+
+/**
+ * Read the variant-defining properties of a Schema.org product
+ * @param {Object} variant - Variant Product node
+ * @param {Array<string>} variesBy - Property names from ProductGroup.variesBy (optional)
+ * @returns {Object} - Map of option name -> value
+ */
+function readSchemaVariantOptions(variant, variesBy) {
+  const options = {};
+  const properties = variesBy.length > 0 ? variesBy : SCHEMA_VARIANT_PROPERTIES;
+  properties.forEach(property => {
+    const value = schemaValueToString(variant[property]);
+    if (value) options[formatVariantOptionName(property)] = value;
+  });
+
+  // additionalProperty: [{ "@type": "PropertyValue", name: "Style", value: "Slim" }]
+  const additional = Array.isArray(variant.additionalProperty) ? variant.additionalProperty : variant.additionalProperty ? [variant.additionalProperty] : [];
+  additional.forEach(property => {
+    const name = schemaValueToString(property && property.name);
+    const value = schemaValueToString(property && property.value);
+    if (name && value && VARIANT_OPTION_PATTERN.test(name)) options[formatVariantOptionName(name)] = value;
+  });
+
+  return options;
+}
+
+/**
+ * Read variants from JSON-LD: hasVariant lists, or several named offers on one product
+ * @returns {Object|null} - { options, items } or null
+ */
+function extractJsonLdVariants() {
+  const nodes = collectJsonLdNodes();
+  const group = nodes.find(node => isSchemaType(node, SCHEMA_PRODUCT_TYPES) && node.hasVariant) || findJsonLdProduct(nodes);
+  if (!group) return null;
+
+  if (group.hasVariant) {
+    const variesBy = (Array.isArray(group.variesBy) ? group.variesBy : group.variesBy ? [group.variesBy] : [])
+      .map(property => String(property).replace(/^https?:\/\/schema\.org\//i, ''));
+    const variants = (Array.isArray(group.hasVariant) ? group.hasVariant : [group.hasVariant])
+      .map(variant => resolveJsonLdRef(variant, nodes))
+      .filter(variant => variant && typeof variant === 'object');
+
+    const items = variants.map(variant => {
+      const offer = pickJsonLdOffer(variant.offers, nodes) || {};
+      return createVariantItem({
+        id: variant.productID || variant['@id'] || variant.sku,
+        sku: schemaValueToString(variant.sku),
+        title: schemaValueToString(variant.name),
+        options: readSchemaVariantOptions(variant, variesBy),
+        amount: offer.price,
+        currency: offer.currency,
+        availability: offer.availability,
+        image: schemaImageToUrl(variant.image)
+      });
+    }).filter(item => Object.keys(item.options).length > 0 || item.title);
+
+    if (items.length === 0) return null;
+    return { options: buildVariantOptions(items, variesBy.map(formatVariantOptionName)), items: items };
+  }
+
+  // One product with several offers that each name a variant ("Small", "Large")
+  const offers = resolveJsonLdRef(group.offers, nodes);
+  if (Array.isArray(offers) && offers.length > 1) {
+    const items = offers
+      .map(offer => resolveJsonLdRef(offer, nodes))
+      .filter(offer => offer && (offer.name || offer.itemOffered))
+      .map(offer => {
+        const itemOffered = resolveJsonLdRef(offer.itemOffered, nodes) || {};
+        const picked = pickJsonLdOffer(offer, nodes) || {};
+        const options = readSchemaVariantOptions(itemOffered, []);
+        const title = schemaValueToString(offer.name) || schemaValueToString(itemOffered.name);
+        return createVariantItem({
+          id: offer.sku || itemOffered.sku || offer['@id'],
+          sku: schemaValueToString(offer.sku || itemOffered.sku),
+          title: title,
+          options: Object.keys(options).length > 0 ? options : { Variant: title },
+          amount: picked.price,
+          currency: picked.currency,
+          availability: picked.availability,
+          image: schemaImageToUrl(itemOffered.image)
+        });
+      });
+
+    if (items.length > 1) return { options: buildVariantOptions(items), items: items };
+  }
+
+  return null;
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+/**
+ * Mark the variant matching the current selection (URL ?variant=, the cart form's variant id, then selected options)
+ * @param {Array<Object>} items - Variant items
+ * @param {Object} selected - Selected options from the DOM
+ * @returns {Object|null} - The selected item
+ */
+function markSelectedVariant(items, selected) {
+  const variantParam = new URLSearchParams(window.location.search).get('variant');
+  const formVariant = document.querySelector('form[action*="/cart/add"] [name="id"]');
+  const wooVariation = document.querySelector('form.variations_form input[name="variation_id"]');
+  const selectedId = variantParam || (formVariant && formVariant.value) ||
+    (wooVariation && wooVariation.value !== '0' && wooVariation.value) || null;
+
+  let match = selectedId ? items.find(item => item.id === selectedId) : null;
+  if (!match && Object.keys(selected).length > 0) {
+    match = items.find(item => Object.keys(selected).every(name =>
+      item.options[name] === undefined || item.options[name].toLowerCase() === selected[name].toLowerCase()));
+  }
+  if (match) match.selected = true;
+  return match || null;
+}
+
+/**
+ * Extract the product's variants
+ * @param {Object} options
+ * @param {string|null} options.currency - Currency of the page's price (used for Shopify, whose JSON has none)
+ * @returns {Promise<Object|null>} - Variants (see format at the top of this file) or null if the product has none
+ */
+async function extractVariants({ currency = null } = {}) {
+  const dom = extractDomVariants();
+
+  let matrix = null;
+  let source = null;
+
+  const shopifyHandle = getShopifyProductHandle();
+  if (shopifyHandle) {
+    matrix = await extractShopifyVariants(shopifyHandle, currency);
+    source = 'shopify';
+  }
+  if (!matrix) {
+    matrix = extractWooCommerceVariants(currency);
+    source = 'woocommerce';
+  }
+  if (!matrix) {
+    matrix = extractJsonLdVariants();
+    source = 'json-ld';
+  }
+
+  if (!matrix) {
+    if (!dom) return null;
+    return { source: 'dom', options: dom.options, selected: dom.selected, items: [] };
+  }
+
+  const selectedFromDom = dom ? dom.selected : {};
+  const selectedItem = markSelectedVariant(matrix.items, selectedFromDom);
+
+  return {
+    source: source,
+    options: matrix.options,
+    selected: selectedItem ? selectedItem.options : selectedFromDom,
+    items: matrix.items
+  };
+}
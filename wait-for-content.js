@@ -0,0 +1,250 @@
+/**
+ * Wait for Content
+ * Client-rendered product pages (Temu, Shopee, JD, ...) fill in the title and price after
+ * the content script runs, so extracting right away finds an empty page. Before extracting,
+ * extractProductInfo() waits for the fields the site needs, with a MutationObserver:
+ *
+ * - Fields with selectors (the guard's required fields, or name and price): an element
+ *   matching the field's rule has content
+ * - Sites without selectors for them: a heading with price-like text near it
+ *
+ * Waiting ends as soon as the fields are there, when the page has stopped changing for
+ * CONTENT_SETTLE_MS (a page that is done rendering won't get them), or after
+ * CONTENT_WAIT_TIMEOUT_MS. The extraction then runs with whatever is on the page.
+ *
+ * Home and search pages on supported sites never get the fields, so the extraction only
+ * waits when the page could still turn into a product page (mayShowProductContent()):
+ * it already looks like one, a field's element is there but still empty, the product
+ * image is still a lazy placeholder, or nothing with a price has rendered yet.
+ *
+ * Lazy-loaded images only get their URL once they are scrolled into view, so the image the
+ * site's rules point at is briefly scrolled into view when it has no URL yet.
+ */
+
+// Longest wait for the fields to appear
+const CONTENT_WAIT_TIMEOUT_MS = 8000;
+
+// A page without changes for this long is done rendering
+const CONTENT_SETTLE_MS = 1500;
+
+// Fields are re-checked at most this often while the page changes
+const CONTENT_CHECK_INTERVAL_MS = 100;
+
+// Longest wait for a lazy image to get its URL after scrolling to it
+const LAZY_IMAGE_TIMEOUT_MS = 2000;
+
+// Ancestor levels of the title searched for a price
+const TITLE_PRICE_DEPTH = 4;
+
+// Fields waited for on sites whose rules have no guard
+const DEFAULT_CONTENT_FIELDS = ['name', 'price'];
+
+/**
+ * Check if any element matching a field rule has a value
+ * Images count once the element is there (lazy URLs are handled by loadLazyProductImage()).
+ * @param {string} field - Field name
+ * @param {Object} rule - Normalized field rule
+ * @returns {boolean}
+ */
+function hasRuleContent(field, rule) {
+  return rule.selectors.some(selector => queryRuleSelectorAll(selector).some(el => {
+    if (field === 'image') return true;
+    const read = readRuleValue(el, rule);
+    if (!read || !read.value) return false;
+    // Skeleton placeholders ("--", "Loading") aren't a price yet
+    return field === 'price' || field === 'listPrice' ? /\d/.test(read.value) : true;
+  }));
+}
+
+/**
+ * Check if the page shows a title with a price near it (for sites without selectors)
+ * @returns {boolean}
+ */
+function hasPriceNearTitle() {
+  return Array.from(document.querySelectorAll('h1')).some(heading => {
+    if (!heading.textContent.trim()) return false;
+    let container = heading.parentElement;
+    for (let depth = 0; container && depth < TITLE_PRICE_DEPTH; depth++) {
+      if (createPriceRegex().test(container.textContent)) return true;
+      container = container.parentElement;
+    }
+    return false;
+  });
+}
+
+/**
+ * Get the fields the page doesn't show yet
+ * @param {Object} siteRules - Result of normalizeSiteRules()
+ * @returns {Array<string>} - Missing fields (empty when the page is ready)
+ */
+function getMissingContentFields(siteRules) {
+  const required = siteRules.guard && Array.isArray(siteRules.guard.required)
+    ? siteRules.guard.required
+    : DEFAULT_CONTENT_FIELDS;
+
+  let titleChecked = false;
+  let titleReady = false;
+  return required.filter(field => {
+    const rule = siteRules.fields[field];
+    if (rule) return !hasRuleContent(field, rule);
+    if (!titleChecked) {
+      titleReady = hasPriceNearTitle();
+      titleChecked = true;
+    }
+    return !titleReady;
+  });
+}
+
+/**
+ * Check if a field rule's element is on the page without its value (a skeleton)
+ * @param {string} field - Field name
+ * @param {Object} rule - Normalized field rule
+ * @returns {boolean}
+ */
+function hasEmptyRuleElement(field, rule) {
+  return rule.selectors.some(selector => queryRuleSelectorAll(selector).length > 0) && !hasRuleContent(field, rule);
+}
+
+/**
+ * Check if the page could still show the product, so waiting for it is worthwhile
+ * A rendered page without any of that (a home or search page) gets its NOT_PRODUCT_PAGE
+ * answer right away instead of after the wait.
+ * @param {Object} siteRules - Result of normalizeSiteRules()
+ * @param {Object} pageCheck - Result of detectProductPage() on the page as it is now
+ * @returns {boolean}
+ */
+function mayShowProductContent(siteRules, pageCheck) {
+  if (pageCheck.isProductPage) return true;
+
+  // The product template is there, waiting for its data
+  const required = siteRules.guard && Array.isArray(siteRules.guard.required)
+    ? siteRules.guard.required
+    : DEFAULT_CONTENT_FIELDS;
+  if (required.some(field => siteRules.fields[field] && hasEmptyRuleElement(field, siteRules.fields[field]))) {
+    return true;
+  }
+  // The product image hasn't loaded, and the page check counts product images
+  if (findLazyProductImage(siteRules)) return true;
+
+  // An app shell that hasn't rendered anything yet (listings show prices)
+  return !document.body || !createPriceRegex().test(document.body.innerText || document.body.textContent || '');
+}
+
+/**
+ * Wait until the page shows the fields the site needs
+ * Resolves right away when they are already there.
+ * @param {Object} siteRules - Result of normalizeSiteRules()
+ * @param {Object} options
+ * @param {number} options.timeout - Longest wait in milliseconds
+ * @param {Function} options.onProgress - Called with a status message for the user
+ * @returns {Promise<Object>} - { ready, waited (ms), missing }
+ */
+function waitForProductContent(siteRules, { timeout = CONTENT_WAIT_TIMEOUT_MS, onProgress = null } = {}) {
+  const missing = getMissingContentFields(siteRules);
+  if (missing.length === 0) {
+    return Promise.resolve({ ready: true, waited: 0, missing: [] });
+  }
+  if (onProgress) {
+    onProgress(`Waiting for the page to show the ${missing.join(' and ')}...`);
+  }
+
+  const started = Date.now();
+  return new Promise(resolve => {
+    let done = false;
+    let checkTimer = null;
+    let settleTimer = null;
+    let timeoutTimer = null;
+    let observer = null;
+
+    const finish = (ready) => {
+      if (done) return;
+      done = true;
+      observer.disconnect();
+      clearTimeout(checkTimer);
+      clearTimeout(settleTimer);
+      clearTimeout(timeoutTimer);
+      resolve({ ready: ready, waited: Date.now() - started, missing: ready ? [] : getMissingContentFields(siteRules) });
+    };
+    const restartSettleTimer = () => {
+      clearTimeout(settleTimer);
+      settleTimer = setTimeout(() => finish(false), CONTENT_SETTLE_MS);
+    };
+
+    observer = new MutationObserver(() => {
+      restartSettleTimer();
+      // Pages change in bursts - check once per interval, not once per mutation
+      if (checkTimer) return;
+      checkTimer = setTimeout(() => {
+        checkTimer = null;
+        if (getMissingContentFields(siteRules).length === 0) finish(true);
+      }, CONTENT_CHECK_INTERVAL_MS);
+    });
+    observer.observe(document.documentElement, { childList: true, subtree: true, characterData: true, attributes: true });
+    restartSettleTimer();
+    timeoutTimer = setTimeout(() => finish(false), timeout);
+  });
+}
+
+/**
+ * Check if an image element has no usable URL yet (lazy loading placeholder)
+ * @param {HTMLElement} el - Image element
+ * @param {Object} rule - Normalized image rule
+ * @returns {boolean}
+ */
+function isLazyImagePending(el, rule) {
+  const read = readRuleValue(el, rule);
+  return !read || read.value.startsWith('data:');
+}
+
+/**
+ * Find the product image the site's rules point at, if it has no usable URL yet
+ * Rules that pick the largest of many images are left alone.
+ * @param {Object} siteRules - Result of normalizeSiteRules()
+ * @returns {HTMLElement|null}
+ */
+function findLazyProductImage(siteRules) {
+  const rule = siteRules.fields.image;
+  if (!rule || rule.largest) return null;
+
+  const image = rule.selectors.map(selector => queryRuleSelectorAll(selector)[0]).find(Boolean);
+  return image && isLazyImagePending(image, rule) ? image : null;
+}
+
+/**
+ * Scroll the product image into view when it hasn't loaded its URL yet, wait for it
+ * and scroll back
+ * @param {Object} siteRules - Result of normalizeSiteRules()
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with a status message for the user
+ * @returns {Promise<boolean>} - True if the image had to be loaded
+ */
+async function loadLazyProductImage(siteRules, { onProgress = null } = {}) {
+  const image = findLazyProductImage(siteRules);
+  if (!image) return false;
+  const rule = siteRules.fields.image;
+
+  if (onProgress) {
+    onProgress('Loading the product image...');
+  }
+  const scrollX = window.scrollX;
+  const scrollY = window.scrollY;
+  image.scrollIntoView({ block: 'center' });
+
+  await new Promise(resolve => {
+    const finish = () => {
+      observer.disconnect();
+      image.removeEventListener('load', finish);
+      clearTimeout(timer);
+      resolve();
+    };
+    const observer = new MutationObserver(() => {
+      if (!isLazyImagePending(image, rule)) finish();
+    });
+    observer.observe(image, { attributes: true });
+    image.addEventListener('load', finish);
+    const timer = setTimeout(finish, LAZY_IMAGE_TIMEOUT_MS);
+  });
+
+  window.scrollTo(scrollX, scrollY);
+  return true;
+}
@@ -0,0 +1,472 @@
+/**
+ * Price Watchlist
+ * Re-checks tracked products on a schedule and alerts when their price drops.
+ *
+ * Loaded by the background service worker after history-store.js. Every check
+ * opens the product in a background tab and asks content.js to run the normal
+ * extractProductInfo() flow, so tracked prices are read exactly like manual
+ * extractions (and are recorded in the history's price series the same way).
+ *
+ * Watch format (stored in chrome.storage.local under WATCHLIST_KEY, keyed by id):
+ * {
+ *   id: 'https://amazon.com/dp/B09B8V1LZ3',   // Canonical URL, same as the history entry id
+ *   url: 'https://www.amazon.com/...',          // URL that is re-opened
+ *   name: 'Product Name',
+ *   site: 'amazon.com',
+ *   force: false,           // Extracted with "Try anyway" on an unsupported site, so re-checks force it too
+ *   added: '2024-01-01T12:00:00.000Z',
+ *   threshold: 25,          // Alert when the amount is at or below this (optional)
+ *   dropPercent: 10,        // Alert when the amount falls this % below baselineAmount (optional)
+ *   baselineAmount: 29.99,  // Amount when tracking started
+ *   lowestAmount: 27.5,     // Lowest amount seen since tracking started
+ *   lastAmount: 27.5,
+ *   lastChecked: '2024-01-02T12:00:00.000Z',
+ *   lastError: null,
+ *   alertedAmount: null     // Amount of the last alert, so the same price doesn't alert twice
+ * }
+ *
+ * With neither threshold nor dropPercent set, any new lowest price raises an alert.
+ *
+ * A scheduled check can take minutes (one background tab per product), longer than Chrome
+ * keeps an idle service worker alive. So the products still to check are kept in storage
+ * (WATCHLIST_QUEUE_KEY) and taken off one at a time, and a resume alarm fires every minute
+ * while any are left: if the worker is stopped mid-run, the next alarm wakes it up and
+ * the run continues with the next product.
+ */
+
+const WATCHLIST_KEY = 'watchlist';
+const WATCHLIST_ALARM = 'watchlistCheck';
+
+// How often tracked products are re-checked
+const WATCHLIST_CHECK_INTERVAL_MINUTES = 360;
+
+// How long to wait for a background tab to load and extract before giving up
+const WATCHLIST_TAB_TIMEOUT_MS = 45000;
+
+// Ids of the products a scheduled check still has to do
+const WATCHLIST_QUEUE_KEY = 'watchlistQueue';
+
+// Wakes the service worker up to continue a scheduled check while products are left
+const WATCHLIST_RESUME_ALARM = 'watchlistResume';
+const WATCHLIST_RESUME_INTERVAL_MINUTES = 1;
+
+// Price drop notification image (chrome.notifications requires one)
+const WATCHLIST_NOTIFICATION_ICON = 'icons/price-drop.png';
+
+// content.js may not be listening yet right after load, so extraction is retried
+const WATCHLIST_EXTRACT_RETRIES = 3;
+const WATCHLIST_EXTRACT_RETRY_DELAY_MS = 2000;
+
+/**
+ * Read all watches from storage
+ * @returns {Promise<Object>} - Map of id -> watch
+ */
+async function readWatchlist() {
+  const result = await chrome.storage.local.get(WATCHLIST_KEY);
+  return result[WATCHLIST_KEY] || {};
+}
+
+/**
+ * Write all watches to storage
+ * @param {Object} watchlist - Map of id -> watch
+ * @returns {Promise<void>}
+ */
+async function writeWatchlist(watchlist) {
+  await chrome.storage.local.set({ [WATCHLIST_KEY]: watchlist });
+}
+
+/**
+ * Parse an optional positive number from user input
+ * @param {*} value - Input value
+ * @returns {number|null} - The number, or null when empty/invalid
+ */
+function toOptionalAmount(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * Start tracking a product, or update the alert settings of a tracked one
+ * @param {Object} productData - Latest extraction result for the product
+ * @param {Object} options - Alert settings
+ * @param {number} options.threshold - Alert at or below this amount (optional)
+ * @param {number} options.dropPercent - Alert when the price drops this % below the starting price (optional)
+ * @returns {Promise<Object|null>} - The saved watch, or null on error
+ */
+async function addToWatchlist(productData, options = {}) {
+  try {
+    return await queueHistoryWrite(async () => {
+      const watchlist = await readWatchlist();
+      const id = canonicalizeUrl(productData.canonicalUrl || productData.url);
+      const existing = watchlist[id];
+      const amount = typeof productData.amount === 'number' ? productData.amount : null;
+
+      const watch = {
+        id: id,
+        url: productData.url,
+        name: productData.name || (existing && existing.name) || '',
+        site: productData.site,
+        force: productData.mode === 'generic',
+        added: existing ? existing.added : new Date().toISOString(),
+        threshold: toOptionalAmount(options.threshold),
+        dropPercent: toOptionalAmount(options.dropPercent),
+        baselineAmount: existing ? existing.baselineAmount : amount,
+        lowestAmount: existing ? existing.lowestAmount : amount,
+        lastAmount: existing ? existing.lastAmount : amount,
+        lastChecked: existing ? existing.lastChecked : null,
+        lastError: existing ? existing.lastError : null,
+        // New alert settings deserve a fresh alert
+        alertedAmount: null
+      };
+
+      watchlist[id] = watch;
+      await writeWatchlist(watchlist);
+      await ensureWatchlistAlarm();
+      return watch;
+    });
+  } catch (error) {
+    console.error('Error adding to watchlist:', error);
+    return null;
+  }
+}
+
+/**
+ * Stop tracking products
+ * @param {Array<string>} ids - Watch ids (canonical URLs)
+ * @returns {Promise<number>} - Number of watches removed
+ */
+async function removeFromWatchlist(ids) {
+  try {
+    return await queueHistoryWrite(async () => {
+      const watchlist = await readWatchlist();
+      let removed = 0;
+      ids.forEach(id => {
+        if (watchlist[id]) {
+          delete watchlist[id];
+          removed++;
+        }
+      });
+      await writeWatchlist(watchlist);
+      return removed;
+    });
+  } catch (error) {
+    console.error('Error removing from watchlist:', error);
+    return 0;
+  }
+}
+
+/**
+ * List all watches, most recently added first
+ * @returns {Promise<Array<Object>>}
+ */
+async function listWatchlist() {
+  try {
+    const watchlist = await readWatchlist();
+    return Object.values(watchlist).sort((a, b) => new Date(b.added) - new Date(a.added));
+  } catch (error) {
+    console.error('Error listing watchlist:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the watch for a product by id or by any URL of the product
+ * @param {string} idOrUrl - Watch id (canonical URL) or a product page URL
+ * @returns {Promise<Object|null>} - Watch or null if the product isn't tracked
+ */
+async function getWatch(idOrUrl) {
+  try {
+    const watchlist = await readWatchlist();
+    return watchlist[idOrUrl] || watchlist[canonicalizeUrl(idOrUrl)] || null;
+  } catch (error) {
+    console.error('Error getting watch:', error);
+    return null;
+  }
+}
+
+/**
+ * Make sure the periodic check alarm exists while anything is tracked
+ * @returns {Promise<void>}
+ */
+async function ensureWatchlistAlarm() {
+  const existing = await chrome.alarms.get(WATCHLIST_ALARM);
+  if (!existing) {
+    chrome.alarms.create(WATCHLIST_ALARM, {
+      delayInMinutes: WATCHLIST_CHECK_INTERVAL_MINUTES,
+      periodInMinutes: WATCHLIST_CHECK_INTERVAL_MINUTES
+    });
+  }
+}
+
+/**
+ * Wait until a tab has finished loading
+ * @param {number} tabId - Tab id
+ * @param {number} timeoutMs - Maximum wait
+ * @returns {Promise<void>}
+ */
+function waitForTabComplete(tabId, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      reject(new Error('Timed out waiting for the page to load'));
+    }, timeoutMs);
+
+    function onUpdated(updatedTabId, changeInfo) {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(onUpdated);
+        resolve();
+      }
+    }
+
+    chrome.tabs.onUpdated.addListener(onUpdated);
+
+    // The tab may have finished before the listener was added
+    chrome.tabs.get(tabId).then(tab => {
+      if (tab.status === 'complete') {
+        onUpdated(tabId, { status: 'complete' });
+      }
+    }).catch(() => {});
+  });
+}
+
+/**
+ * Open a URL in a background tab and run the content script's extraction on it
+ * @param {string} url - Product URL
+ * @returns {Promise<Object>} - Extraction result
+ */
+async function extractInBackgroundTab(url, force = false) {
+  const tab = await chrome.tabs.create({ url: url, active: false });
+  try {
+    await waitForTabComplete(tab.id, WATCHLIST_TAB_TIMEOUT_MS);
+
+    let lastError = null;
+    for (let attempt = 0; attempt < WATCHLIST_EXTRACT_RETRIES; attempt++) {
+      try {
+        const response = await chrome.tabs.sendMessage(tab.id, { action: 'extractProduct', force: force });
+        if (response && response.success) {
+          return response.data;
+        }
+        lastError = new Error(response?.error || 'Failed to extract product information');
+      } catch (error) {
+        // Usually "Receiving end does not exist" while content.js is still loading
+        lastError = error;
+      }
+      await new Promise(resolve => setTimeout(resolve, WATCHLIST_EXTRACT_RETRY_DELAY_MS));
+    }
+    throw lastError;
+  } finally {
+    chrome.tabs.remove(tab.id).catch(() => {});
+  }
+}
+
+/**
+ * Decide whether a new amount should raise an alert for a watch
+ * @param {Object} watch - Watch (before this check's amount is applied)
+ * @param {number} amount - Newly extracted amount
+ * @returns {string|null} - Reason for the alert, or null for no alert
+ */
+function getPriceAlertReason(watch, amount) {
+  // Don't repeat an alert for the same (or a higher) price
+  if (watch.alertedAmount !== null && amount >= watch.alertedAmount) return null;
+
+  if (watch.threshold !== null && amount <= watch.threshold) {
+    return `at or below your target of ${watch.threshold}`;
+  }
+  if (watch.dropPercent !== null && watch.baselineAmount) {
+    const drop = (watch.baselineAmount - amount) / watch.baselineAmount * 100;
+    if (drop >= watch.dropPercent) {
+      return `down ${Math.round(drop)}% from ${watch.baselineAmount}`;
+    }
+  }
+  if (watch.threshold === null && watch.dropPercent === null &&
+      watch.lowestAmount !== null && amount < watch.lowestAmount) {
+    return `lowest price since tracking (was ${watch.lowestAmount})`;
+  }
+  return null;
+}
+
+/**
+ * Show a price drop notification (clicking it opens the product)
+ * @param {Object} watch - Watch
+ * @param {Object} result - Extraction result
+ * @param {string} reason - Why the alert fired
+ * @returns {Promise<void>}
+ * @throws {Error} - If the notification can't be shown
+ */
+async function showPriceDropNotification(watch, result, reason) {
+  await chrome.notifications.create(`priceDrop:${watch.id}`, {
+    type: 'basic',
+    iconUrl: WATCHLIST_NOTIFICATION_ICON,
+    title: `Price drop: ${result.name || watch.name || watch.site}`,
+    message: `Now ${result.price || result.amount}, ${reason}.`,
+    priority: 1
+  });
+}
+
+/**
+ * Re-check one tracked product and alert on a price drop
+ * @param {string} id - Watch id
+ * @returns {Promise<Object|null>} - Updated watch, or null if it isn't tracked
+ */
+async function checkWatch(id) {
+  const watchlist = await readWatchlist();
+  const watch = watchlist[id];
+  if (!watch) return null;
+
+  let result = null;
+  let lastError = null;
+  try {
+    result = await extractInBackgroundTab(watch.url, Boolean(watch.force));
+  } catch (error) {
+    console.warn(`Price check failed for ${watch.url}:`, error);
+    lastError = error.message || String(error);
+  }
+
+  // content.js has already recorded the result in history; update the watch
+  return queueHistoryWrite(async () => {
+    const latest = await readWatchlist();
+    const current = latest[id];
+    if (!current) return null; // Removed while the check was running
+
+    current.lastChecked = new Date().toISOString();
+    current.lastError = lastError;
+
+    const amount = result && typeof result.amount === 'number' ? result.amount : null;
+    if (amount !== null) {
+      // A lower price on an item that can't be bought isn't worth an alert
+      const reason = result.availability === 'out_of_stock' ? null : getPriceAlertReason(current, amount);
+      if (reason) {
+        try {
+          await showPriceDropNotification(current, result, reason);
+          current.alertedAmount = amount;
+        } catch (error) {
+          // Not marked as alerted, so the next check tries again
+          console.error('Error showing price drop notification:', error);
+          current.lastError = `Price drop alert could not be shown: ${error.message || error}`;
+        }
+      } else if (current.alertedAmount !== null && amount > current.alertedAmount) {
+        // Price went back up, so a later drop should alert again
+        current.alertedAmount = null;
+      }
+
+      if (current.baselineAmount === null) current.baselineAmount = amount;
+      if (current.lowestAmount === null || amount < current.lowestAmount) current.lowestAmount = amount;
+      current.lastAmount = amount;
+      current.name = result.name || current.name;
+    } else if (result && !lastError) {
+      current.lastError = 'No price found on the page';
+    }
+
+    await writeWatchlist(latest);
+    return current;
+  });
+}
+
+/**
+ * Re-check tracked products one after another
+ * @param {Array<string>} ids - Watch ids to check (all watches when omitted)
+ * @returns {Promise<Array<Object>>} - Updated watches
+ */
+async function checkWatchlist(ids) {
+  const watchlist = await readWatchlist();
+  const toCheck = ids && ids.length > 0 ? ids : Object.keys(watchlist);
+  const updated = [];
+  for (const id of toCheck) {
+    try {
+      const watch = await checkWatch(id);
+      if (watch) updated.push(watch);
+    } catch (error) {
+      console.error(`Error checking watch ${id}:`, error);
+    }
+  }
+  return updated;
+}
+
+/**
+ * Read the ids a scheduled check still has to do
+ * @returns {Promise<Array<string>>}
+ */
+async function readWatchlistQueue() {
+  const result = await chrome.storage.local.get(WATCHLIST_QUEUE_KEY);
+  return result[WATCHLIST_QUEUE_KEY] || [];
+}
+
+// Set while this service worker instance works through the queue
+let watchlistQueueRunning = false;
+
+/**
+ * Check the queued products one at a time, saving the rest before each one
+ * A product is taken off the queue before its check, so a page that stops the worker
+ * is skipped until the next scheduled check instead of stopping every run.
+ * @returns {Promise<void>}
+ */
+async function runWatchlistQueue() {
+  if (watchlistQueueRunning) return;
+  watchlistQueueRunning = true;
+  try {
+    let queue = await readWatchlistQueue();
+    if (queue.length > 0) {
+      chrome.alarms.create(WATCHLIST_RESUME_ALARM, { periodInMinutes: WATCHLIST_RESUME_INTERVAL_MINUTES });
+    }
+    while (queue.length > 0) {
+      const [id, ...rest] = queue;
+      await chrome.storage.local.set({ [WATCHLIST_QUEUE_KEY]: rest });
+      await checkWatchlist([id]);
+      queue = await readWatchlistQueue();
+    }
+    await chrome.alarms.clear(WATCHLIST_RESUME_ALARM);
+  } catch (error) {
+    console.error('Error running scheduled price checks:', error);
+  } finally {
+    watchlistQueueRunning = false;
+  }
+}
+
+/**
+ * Start a scheduled check of every tracked product
+ * A run that is still queued (stopped with the service worker) is continued instead.
+ * @returns {Promise<void>}
+ */
+async function startScheduledWatchlistCheck() {
+  try {
+    const queue = await readWatchlistQueue();
+    if (queue.length === 0) {
+      const watchlist = await readWatchlist();
+      await chrome.storage.local.set({ [WATCHLIST_QUEUE_KEY]: Object.keys(watchlist) });
+    }
+  } catch (error) {
+    console.error('Error starting scheduled price checks:', error);
+    return;
+  }
+  await runWatchlistQueue();
+}
+
+// Alarms aren't guaranteed to survive a browser restart
+chrome.runtime.onStartup.addListener(async function() {
+  const watchlist = await readWatchlist();
+  if (Object.keys(watchlist).length > 0) {
+    await ensureWatchlistAlarm();
+  }
+  await runWatchlistQueue();
+});
+
+chrome.alarms.onAlarm.addListener(function(alarm) {
+  if (alarm.name === WATCHLIST_ALARM) {
+    startScheduledWatchlistCheck();
+  } else if (alarm.name === WATCHLIST_RESUME_ALARM) {
+    runWatchlistQueue();
+  }
+});
+
+// Clicking a price drop notification opens the product page
+chrome.notifications.onClicked.addListener(async function(notificationId) {
+  if (!notificationId.startsWith('priceDrop:')) return;
+  const watchlist = await readWatchlist();
+  const watch = watchlist[notificationId.slice('priceDrop:'.length)];
+  if (watch) {
+    chrome.tabs.create({ url: watch.url });
+  }
+  chrome.notifications.clear(notificationId);
+});
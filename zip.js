@@ -0,0 +1,117 @@
+/**
+ * Minimal ZIP Writer
+ * Builds an uncompressed ("stored") ZIP archive in memory.
+ *
+ * Used for XLSX export, which is a ZIP of XML parts. Compression isn't needed
+ * for the sizes we produce, and storing keeps this small and dependency-free.
+ */
+
+// CRC-32 lookup table (IEEE polynomial, as required by the ZIP format)
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Compute the CRC-32 checksum of some bytes
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} - Unsigned 32-bit checksum
+ */
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Convert a Date to the MS-DOS time and date fields used in ZIP headers
+ * @param {Date} date - Modification date
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Create a ZIP archive
+ * @param {Array<{name: string, data: string|Uint8Array}>} files - Files to add; strings are UTF-8 encoded
+ * @param {Date} modified - Modification date for every file (defaults to now)
+ * @returns {Uint8Array} - ZIP file bytes
+ */
+function createZip(files, modified = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(modified);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const nameBytes = encoder.encode(file.name);
+    const dataBytes = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    const checksum = crc32(dataBytes);
+
+    // Local file header
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);              // Version needed to extract
+    local.setUint16(6, 0x0800, true);          // Flags: file names are UTF-8
+    local.setUint16(8, 0, true);               // Compression: stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, checksum, true);
+    local.setUint32(18, dataBytes.length, true);
+    local.setUint32(22, dataBytes.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);              // Extra field length
+    localParts.push(new Uint8Array(local.buffer), nameBytes, dataBytes);
+
+    // Central directory header
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true);
+    central.setUint16(4, 20, true);            // Version made by
+    central.setUint16(6, 20, true);            // Version needed to extract
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, checksum, true);
+    central.setUint32(20, dataBytes.length, true);
+    central.setUint32(24, dataBytes.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);       // Offset of the local header
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + dataBytes.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+  // End of central directory record
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(offset + centralSize + 22);
+  let position = 0;
+  parts.forEach(part => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+}